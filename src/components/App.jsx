@@ -1,47 +1,55 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect } from 'react';
 import ThreeScene from './ThreeScene';
 import PixiScene from './PixiScene';
 import TaskGame from './TaskGame';
 import Overlay from './Overlay';
 import TaskMenu from './TaskMenu';
+import StatsDashboard from './StatsDashboard';
+import TokenShop from './TokenShop';
+import KeyBindings from './KeyBindings';
+import TouchControls from './TouchControls';
 import { setupInputListeners } from '../game/inputManager';
-import gameState from '../game/gameState';
+import { setupAudio } from '../game/audioManager';
+import useGameSlice from './useGameSlice';
 
 const App = () => {
-  const [mode, setMode] = useState(gameState.mode);
-
-  // Attach a setMode function to gameState so other modules can update the React state.
-  gameState.setMode = (newMode) => {
-    console.log("Setting game mode from", gameState.mode, "to", newMode);
-    gameState.mode = newMode;
-    setMode(newMode);
-  };
+  // Mode changes all go through the mode state machine, which updates the mode slice
+  const { mode } = useGameSlice('mode');
 
   useEffect(() => {
     setupInputListeners();
+    setupAudio();
   }, []);
 
   // Determine if we're in any 2D-based mode
   const is2DBasedMode = ['2D', '2D_TRAINING', '2D_TASK_ARENA', 'TASK_GAME'].includes(mode);
+  // The training challenge runs inside the 3D scene
+  const is3DBasedMode = mode === '3D' || mode === 'TRAINING_CHALLENGE';
   
   return (
     <div
       id="gameContainer"
       style={{ position: 'relative', width: '100vw', height: '100vh', overflow: 'hidden' }}
     >
-      {mode === '3D' && <ThreeScene />}
+      {is3DBasedMode && <ThreeScene />}
       
       {/* Always keep PixiScene mounted for all 2D-based modes */}
       {is2DBasedMode && <PixiScene />}
       
       {/* TaskGame component is now only for UI elements specific to task game mode */}
       {mode === 'TASK_GAME' && <TaskGame />}
+
+      {/* On-screen joystick and buttons on touch screens */}
+      {is2DBasedMode && <TouchControls mode={mode} />}
       
       <Overlay mode={mode} />
       <TaskMenu mode={mode} />
+      <StatsDashboard />
+      <TokenShop />
+      <KeyBindings />
       
-      {/* Add crosshair only in 3D mode */}
-      {mode === '3D' && (
+      {/* Add crosshair only in 3D-based modes */}
+      {is3DBasedMode && (
         <div
           id="crosshair"
           style={{
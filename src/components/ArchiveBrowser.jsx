@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { taskStorage } from '../services/TaskStorageService';
+import { searchArchive, getArchiveTags, restoreArchivedTask } from '../services/taskArchive';
+
+/**
+ * Archive browser inside the TaskMenu. Lists archived tasks newest first
+ * with their completion date, arena score and attempts; the list can be
+ * searched and filtered by completion date and tag, and any entry can be
+ * restored to the active list as an unfinished task.
+ * The archive is read on every render; the TaskMenu re-renders whenever
+ * the task list changes, which is also when tasks get archived.
+ */
+const ArchiveBrowser = ({ onRestore }) => {
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const entries = taskStorage.getArchivedTasks();
+  const matches = searchArchive(entries, { query, tag, from, to });
+
+  const fieldStyle = { width: '100%', padding: '3px', margin: '3px 0', boxSizing: 'border-box' };
+
+  const restore = (entry) => {
+    const task = restoreArchivedTask(entry.id);
+    if (onRestore) onRestore(task);
+  };
+
+  const describeEntry = (entry) => {
+    const details = [`done ${new Date(entry.completedAt).toLocaleDateString()}`];
+    if (entry.arenaScore !== null && entry.arenaScore !== undefined) details.push(`score ${entry.arenaScore}`);
+    if (entry.attempts > 0) details.push(`${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'}`);
+    if (entry.tags && entry.tags.length > 0) details.push(entry.tags.map(t => `#${t}`).join(' '));
+    return details.join(' · ');
+  };
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search archived tasks..."
+        style={fieldStyle}
+      />
+      <select value={tag} onChange={(e) => setTag(e.target.value)} style={fieldStyle}>
+        <option value="">All tags</option>
+        {getArchiveTags(entries).map(t => (
+          <option key={t} value={t}>#{t}</option>
+        ))}
+      </select>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+        From
+        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={{ flex: 1 }} />
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '5px', marginTop: '3px' }}>
+        To
+        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={{ flex: 1, marginLeft: '14px' }} />
+      </label>
+
+      <div style={{ margin: '5px 0', opacity: 0.7 }}>
+        {matches.length} of {entries.length} archived
+      </div>
+      <ul style={{ listStyleType: 'none', padding: 0, margin: 0, maxHeight: '200px', overflowY: 'auto' }}>
+        {matches.map(entry => (
+          <li
+            key={entry.id}
+            style={{
+              padding: '5px',
+              margin: '3px 0',
+              backgroundColor: 'rgba(255,255,255,0.05)',
+              borderRadius: '3px',
+              display: 'flex',
+              justifyContent: 'space-between'
+            }}
+          >
+            <span title={entry.notes || undefined}>
+              {entry.text}
+              <div style={{ fontSize: '11px', opacity: 0.7 }}>{describeEntry(entry)}</div>
+            </span>
+            <button onClick={() => restore(entry)} style={{ alignSelf: 'flex-start' }}>
+              Restore
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ArchiveBrowser;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ACTION_DEFINITIONS,
+  KEY_BINDINGS_OPEN_EVENT,
+  KEY_BINDINGS_CHANGED_EVENT,
+  getBindings,
+  findBindingConflicts,
+  getActionDefinition,
+  bindKey,
+  unbindKey,
+  resetBindings,
+  formatKey,
+  GAMEPAD_MAPPING,
+  getGamepadSettings,
+  saveGamepadSettings
+} from '../game/inputBindings';
+import { getConnectedGamepadIds, formatGamepadInput } from '../game/gamepadInput';
+
+// Gamepad settings shown as sliders: [setting, label, min, max, step]
+const GAMEPAD_SLIDERS = [
+  ['deadZone', 'Stick dead zone', 0, 0.6, 0.05],
+  ['triggerThreshold', 'Trigger threshold', 0.1, 0.9, 0.05],
+  ['lookSpeed', 'Look speed', 0.5, 6, 0.5]
+];
+
+/**
+ * Key bindings overlay, opened with the controls key or the TaskMenu button.
+ * Lists every action with its keys; a key is removed with its × button and
+ * added by clicking "Add key" and pressing it. Keys that would conflict with
+ * another action are refused, and conflicts already in the bindings are
+ * listed at the top. Below the keys are the gamepad buttons for each action
+ * and the gamepad dead zone and look settings.
+ */
+const KeyBindings = () => {
+  const [open, setOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  // Action waiting for its new key, or null
+  const [capturing, setCapturing] = useState(null);
+  // The bindings are not part of the game state; bump this to re-render
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    const show = () => {
+      setMessage('');
+      setCapturing(null);
+      setOpen(true);
+    };
+    const refresh = () => setRevision(revision => revision + 1);
+    // The input manager polls after these events, so refresh once it has
+    const refreshAfterPoll = () => requestAnimationFrame(() => requestAnimationFrame(refresh));
+    window.addEventListener(KEY_BINDINGS_OPEN_EVENT, show);
+    window.addEventListener(KEY_BINDINGS_CHANGED_EVENT, refresh);
+    window.addEventListener('gamepadconnected', refreshAfterPoll);
+    window.addEventListener('gamepaddisconnected', refreshAfterPoll);
+    return () => {
+      window.removeEventListener(KEY_BINDINGS_OPEN_EVENT, show);
+      window.removeEventListener(KEY_BINDINGS_CHANGED_EVENT, refresh);
+      window.removeEventListener('gamepadconnected', refreshAfterPoll);
+      window.removeEventListener('gamepaddisconnected', refreshAfterPoll);
+    };
+  }, []);
+
+  // Capture the next key press before the game sees it; Escape cancels
+  useEffect(() => {
+    if (!capturing) return undefined;
+    const capture = (e) => {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (e.repeat) return;
+      if (e.key === 'Escape') {
+        setMessage('');
+      } else {
+        setMessage(bindKey(capturing, e.key.toLowerCase()).message);
+      }
+      setCapturing(null);
+    };
+    window.addEventListener('keydown', capture, true);
+    return () => window.removeEventListener('keydown', capture, true);
+  }, [capturing]);
+
+  if (!open) return null;
+
+  const bindings = getBindings();
+  const conflicts = findBindingConflicts(bindings);
+  const gamepadSettings = getGamepadSettings();
+  const gamepadIds = getConnectedGamepadIds();
+
+  const reset = () => {
+    resetBindings();
+    setMessage('Restored the default keys');
+  };
+
+  const keyStyle = {
+    display: 'inline-block',
+    padding: '1px 5px',
+    margin: '0 3px 3px 0',
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    borderRadius: '3px',
+    fontSize: '12px'
+  };
+
+  return (
+    <div
+      id="keyBindings"
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '340px',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        backgroundColor: 'rgba(0,0,0,0.85)',
+        color: 'white',
+        padding: '20px',
+        borderRadius: '10px',
+        zIndex: 210
+      }}
+    >
+      <h2 style={{ marginTop: 0 }}>Controls</h2>
+
+      {conflicts.length > 0 && (
+        <div style={{ color: '#FF9800', fontSize: '12px', marginBottom: '5px' }}>
+          {conflicts.map(({ key, actions }) => (
+            <div key={`${key}-${actions.join('-')}`}>
+              {formatKey(key)} is bound to both {actions.map(action => getActionDefinition(action).label).join(' and ')}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ul style={{ listStyleType: 'none', padding: 0, margin: 0 }}>
+        {ACTION_DEFINITIONS.map(({ action, label }) => (
+          <li
+            key={action}
+            style={{
+              padding: '5px',
+              margin: '3px 0',
+              backgroundColor: 'rgba(255,255,255,0.1)',
+              borderRadius: '3px',
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center'
+            }}
+          >
+            <span style={{ fontSize: '13px' }}>{label}</span>
+            <span style={{ textAlign: 'right' }}>
+              {bindings[action].length === 0 && <span style={{ opacity: 0.7, fontSize: '12px' }}>Unbound </span>}
+              {bindings[action].map(key => (
+                <span key={key} style={keyStyle}>
+                  {formatKey(key)}{' '}
+                  <span
+                    onClick={() => unbindKey(action, key)}
+                    style={{ cursor: 'pointer', opacity: 0.7 }}
+                    title="Remove this key"
+                  >
+                    ×
+                  </span>
+                </span>
+              ))}
+              <button onClick={() => setCapturing(action)} disabled={capturing !== null}>
+                {capturing === action ? 'Press a key…' : 'Add key'}
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {capturing && <div style={{ marginTop: '5px', fontSize: '12px' }}>Press a key, or Esc to cancel</div>}
+      {!capturing && message && <div style={{ marginTop: '5px', fontSize: '12px' }}>{message}</div>}
+
+      <h3 style={{ margin: '10px 0 5px', fontSize: '14px' }}>Gamepad</h3>
+      <div style={{ fontSize: '12px', opacity: 0.8, marginBottom: '5px' }}>
+        {gamepadIds.length > 0 ? `Connected: ${gamepadIds.join(', ')}` : 'No gamepad connected (press a button to wake it)'}
+      </div>
+      <ul style={{ listStyleType: 'none', padding: 0, margin: 0, fontSize: '12px' }}>
+        {ACTION_DEFINITIONS.filter(({ action }) => GAMEPAD_MAPPING.actions[action]).map(({ action, label }) => (
+          <li key={action} style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>{label}</span>
+            <span>{GAMEPAD_MAPPING.actions[action].map(formatGamepadInput).join(' / ')}</span>
+          </li>
+        ))}
+        <li style={{ display: 'flex', justifyContent: 'space-between' }}>
+          <span>Look (3D)</span>
+          <span>Right stick</span>
+        </li>
+      </ul>
+      {GAMEPAD_SLIDERS.map(([setting, label, min, max, step]) => (
+        <label key={setting} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginTop: '5px' }}>
+          <span>{label}: {gamepadSettings[setting]}</span>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={gamepadSettings[setting]}
+            onChange={(e) => saveGamepadSettings({ [setting]: Number(e.target.value) })}
+          />
+        </label>
+      ))}
+      <label style={{ display: 'block', fontSize: '12px', marginTop: '5px' }}>
+        <input
+          type="checkbox"
+          checked={gamepadSettings.invertLook}
+          onChange={(e) => saveGamepadSettings({ invertLook: e.target.checked })}
+        />{' '}
+        Invert look
+      </label>
+
+      <div style={{ marginTop: '10px' }}>
+        <button onClick={reset} style={{ marginRight: '10px' }}>
+          Reset to defaults
+        </button>
+        <button onClick={() => setOpen(false)}>Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default KeyBindings;
@@ -1,6 +1,62 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import useGameSlice from './useGameSlice';
+import { ACTIONS, KEY_BINDINGS_CHANGED_EVENT, formatActionKeys } from '../game/inputBindings';
+
+// Control hints per mode: bound actions show their current keys, fixed
+// controls (mouse, Tab/Esc) show the given text before them
+const CONTROL_HINTS = {
+  '3D': [
+    { actions: [ACTIONS.MOVE_FORWARD, ACTIONS.MOVE_LEFT, ACTIONS.MOVE_BACK, ACTIONS.MOVE_RIGHT], label: 'Move' },
+    { keys: 'Mouse', label: 'Look/Aim' },
+    { keys: 'Click', actions: [ACTIONS.SHOOT], label: 'Shoot' },
+    { actions: [ACTIONS.INTERACT], label: 'Interact' },
+    { actions: [ACTIONS.STATS], label: 'Stats' },
+    { actions: [ACTIONS.CONTROLS], label: 'Controls' }
+  ],
+  '2D': [
+    { actions: [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT], label: 'Move & Face' },
+    { actions: [ACTIONS.JUMP], label: 'Jump' },
+    { actions: [ACTIONS.SHOOT], label: 'Shoot' },
+    { keys: 'Click', label: 'Aim & Shoot' },
+    { actions: [ACTIONS.STATS], label: 'Stats' },
+    { actions: [ACTIONS.CONTROLS], label: 'Controls' }
+  ],
+  TASK_GAME: [
+    { actions: [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT], label: 'Move & Face' },
+    { actions: [ACTIONS.JUMP], label: 'Jump' },
+    { actions: [ACTIONS.SHOOT], label: 'Shoot' },
+    { keys: 'Click', label: 'Aim & Shoot' },
+    { actions: [ACTIONS.STATS], label: 'Stats' },
+    { actions: [ACTIONS.CONTROLS], label: 'Controls' },
+    { keys: 'Tab/Esc', label: 'Exit' }
+  ]
+};
+
+/**
+ * Formats a mode's hints as "[A/D] Move & Face | [L] Shoot", leaving out
+ * actions that have no keys bound
+ * @private
+ */
+const formatHints = (hints) => hints
+  .map(hint => ({
+    keys: [hint.keys, hint.actions && formatActionKeys(hint.actions)].filter(Boolean).join('/'),
+    label: hint.label
+  }))
+  .filter(hint => hint.keys)
+  .map(hint => `[${hint.keys}] ${hint.label}`)
+  .join(' | ');
 
 const Overlay = ({ mode }) => {
+  const { fps } = useGameSlice('performance');
+  // The bindings are not part of the game state; bump this to re-render
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    const refresh = () => setRevision(revision => revision + 1);
+    window.addEventListener(KEY_BINDINGS_CHANGED_EVENT, refresh);
+    return () => window.removeEventListener(KEY_BINDINGS_CHANGED_EVENT, refresh);
+  }, []);
+
   return (
     <div
       id="overlay"
@@ -16,24 +72,10 @@ const Overlay = ({ mode }) => {
       }}
     >
       <div id="stats">
-        FPS: <span id="fps">0</span> | Mode: <span id="mode">{mode}</span>
+        FPS: <span id="fps">{fps}</span> | Mode: <span id="mode">{mode}</span>
       </div>
       <div id="controls">
-        {mode === '3D' && (
-          <>
-            [WASD] Move | [Mouse] Look/Aim | [Click] Shoot | [E] Interact
-          </>
-        )}
-        {mode === '2D' && (
-          <>
-            [A/D] Move &amp; Face | [W/Space] Jump | [L] Shoot
-          </>
-        )}
-        {mode === 'TASK_GAME' && (
-          <>
-            [A/D] Move &amp; Face | [W/Space] Jump | [L] Shoot | [Tab/Esc] Exit
-          </>
-        )}
+        {CONTROL_HINTS[mode] && formatHints(CONTROL_HINTS[mode])}
       </div>
     </div>
   );
@@ -1,10 +1,13 @@
 import React, { useEffect, useRef, useState } from 'react';
-import gameState from '../game/gameState';
+import gameState, { notifyGameState } from '../game/gameState';
 import { init2DEnvironment, update2D, render2D } from '../game/twoDSetup';
-import { updateTrainingArena2D, renderTrainingArena2D } from '../game/trainingArena2DSetup';
-import { updateTaskArena2D, renderTaskArena2D } from '../game/taskArena2DSetup';
+import { updateTrainingArena2D, renderTrainingArena2D, getTrainingArena2DTargets } from '../game/trainingArena2DSetup';
+import { updateTaskArena2D, renderTaskArena2D, getTaskArena2DTargets } from '../game/taskArena2DSetup';
 import { updateTaskGame, renderTaskGame } from '../game/taskGameSetup';
 import { isInModeTransition, addModeTransitionListener } from '../game/modeTransitionManager';
+import { beginArenaStep } from '../game/arenaReplay';
+import { ACTIONS, setActionPressed } from '../game/inputBindings';
+import { createFixedStepLoop, createInterpolator, FIXED_STEP_MS } from '../game/fixedTimestep';
 import { recordState, compareSnapshots, createDiagnosticButton } from '../utils/stateDiagnostics';
 
 const PixiScene = () => {
@@ -56,6 +59,14 @@ const PixiScene = () => {
     }
   });
   
+  // Bodies drawn between simulation steps in each mode (see fixedTimestep.js)
+  const interpolatedBodiesRef = useRef({
+    '2D': () => [gameState.playerPosition, ...gameState.bullets],
+    '2D_TRAINING': () => [gameState.playerPosition, ...gameState.bullets, ...getTrainingArena2DTargets()],
+    '2D_TASK_ARENA': () => [gameState.playerPosition, ...gameState.bullets, ...getTaskArena2DTargets()],
+    'TASK_GAME': () => [gameState.taskGamePosition, gameState.playerPosition, ...gameState.bullets]
+  });
+  
   // Add a ref to track the last update time for each mode
   const lastUpdateTimeRef = useRef({});
   
@@ -136,11 +147,11 @@ const PixiScene = () => {
             
             // Test key handling
             console.log("Testing key handling:");
-            gameState.keys['d'] = true;
+            setActionPressed(ACTIONS.MOVE_RIGHT, true);
             
             // Manually call update for task game
             if (gameState.mode === 'TASK_GAME') {
-              module.updateTaskGame(16, gameState, canvasRef.current);
+              module.updateTaskGame(FIXED_STEP_MS, gameState, canvasRef.current);
               
               // Record state after update
               const afterState = recordState(gameState);
@@ -149,7 +160,7 @@ const PixiScene = () => {
             }
             
             // Reset key
-            gameState.keys['d'] = false;
+            setActionPressed(ACTIONS.MOVE_RIGHT, false);
           }
         });
       });
@@ -190,6 +201,14 @@ const PixiScene = () => {
     let lastTime = performance.now();
     let frameCounter = 0;
     
+    // Simulation runs in fixed steps regardless of the display's refresh rate
+    const stepLoop = createFixedStepLoop();
+    const interpolator = createInterpolator();
+    const getBodies = (mode) => {
+      const bodies = interpolatedBodiesRef.current[mode];
+      return bodies ? bodies().filter(Boolean) : [];
+    };
+    
     const animate = (time) => {
       // Calculate delta time
       const deltaTime = time - lastTime;
@@ -245,18 +264,45 @@ const PixiScene = () => {
             let updated = true;
             let rendered = true;
             
-            // Call the update function
-            if (gameState.mode === '2D_TASK_ARENA') {
-              updated = updateFunction(deltaTime);
-            } else {
-              updateFunction(deltaTime);
+            // Run the frame's time through the simulation in fixed steps. The mode is
+            // looked up for every step because an update can enter or leave an arena;
+            // the rest of the frame's time is dropped when that happens.
+            const steps = stepLoop.advance(deltaTime, (step) => {
+              const stepMode = gameState.mode;
+              const stepUpdate = updateFunctionsRef.current[stepMode];
+              if (!stepUpdate) return false;
+              
+              interpolator.capture(getBodies(stepMode));
+              
+              // Arena runs are recorded step by step; a replay supplies its own steps
+              const isArena = stepMode === '2D_TRAINING' || stepMode === '2D_TASK_ARENA';
+              const result = stepUpdate(isArena ? beginArenaStep(step) : step);
+              if (stepMode === '2D_TASK_ARENA') {
+                updated = result;
+              }
+              return gameState.mode === stepMode;
+            });
+            
+            // The player moves in place; let player slice subscribers check once per frame
+            if (steps > 0) {
+              notifyGameState('player');
             }
             
-            // Call the render function
-            if (gameState.mode === '2D_TASK_ARENA') {
-              rendered = renderFunction();
-            } else {
-              renderFunction();
+            // Call the render function for whatever mode the steps left us in,
+            // with moving bodies placed between the last two steps
+            const renderMode = gameState.mode;
+            const frameRender = renderFunctionsRef.current[renderMode];
+            if (frameRender) {
+              interpolator.apply(getBodies(renderMode), stepLoop.alpha());
+              try {
+                if (renderMode === '2D_TASK_ARENA') {
+                  rendered = frameRender();
+                } else {
+                  frameRender();
+                }
+              } finally {
+                interpolator.restore();
+              }
             }
             
             // Log for task arena modes
@@ -306,14 +352,9 @@ const PixiScene = () => {
         
         // Update FPS display every 500ms
         if (elapsed >= 500) {
+          // The Overlay reads this through the performance slice
           gameState.fps = Math.round((gameState.frameCount * 1000) / elapsed);
           
-          // Update the FPS display
-          const fpsElement = document.getElementById('fps');
-          if (fpsElement) {
-            fpsElement.textContent = gameState.fps;
-          }
-          
           // Reset counters
           gameState.lastFpsUpdate = now;
           gameState.frameCount = 0;
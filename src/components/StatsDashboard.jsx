@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { taskStorage } from '../services/TaskStorageService';
+import { summarizeDays, exportStatsCsv, STATS_DASHBOARD_TOGGLE_EVENT } from '../services/statsService';
+
+// How often the open dashboard refreshes, so the current mode's time keeps counting
+const REFRESH_INTERVAL = 5000;
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 130;
+const AXIS_COLOR = 'rgba(255,255,255,0.4)';
+const LABEL_COLOR = 'rgba(255,255,255,0.8)';
+
+/**
+ * Draw a bar chart with one group of bars per label
+ * @param {HTMLCanvasElement} canvas Target canvas
+ * @param {Array<string>} labels One label per group
+ * @param {Array<{values: Array<number>, color: string}>} series Bars in each group
+ */
+const drawBarChart = (canvas, labels, series) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  const top = 14;
+  const bottom = height - 16;
+  const left = 28;
+  ctx.clearRect(0, 0, width, height);
+
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const groupWidth = (width - left) / labels.length;
+  const barWidth = (groupWidth * 0.7) / series.length;
+
+  ctx.strokeStyle = AXIS_COLOR;
+  ctx.beginPath();
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, bottom);
+  ctx.lineTo(width, bottom);
+  ctx.stroke();
+
+  ctx.font = '10px Arial';
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.textAlign = 'right';
+  ctx.fillText(String(max), left - 4, top + 4);
+  ctx.fillText('0', left - 4, bottom);
+
+  labels.forEach((label, i) => {
+    const groupX = left + i * groupWidth + groupWidth * 0.15;
+    series.forEach((s, j) => {
+      const barHeight = ((bottom - top) * s.values[i]) / max;
+      ctx.fillStyle = s.color;
+      ctx.fillRect(groupX + j * barWidth, bottom - barHeight, barWidth - 1, barHeight);
+    });
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, left + i * groupWidth + groupWidth / 2, height - 3);
+  });
+};
+
+/**
+ * Draw one horizontal bar per item, longest first
+ * @param {HTMLCanvasElement} canvas Target canvas
+ * @param {Array<{label: string, value: number}>} items Bars to draw
+ * @param {string} color Bar color
+ * @param {Function} format Turns a value into the text shown after its bar
+ */
+const drawHorizontalBars = (canvas, items, color, format) => {
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '10px Arial';
+
+  if (items.length === 0) {
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'center';
+    ctx.fillText('Nothing recorded yet', width / 2, height / 2);
+    return;
+  }
+
+  const labelWidth = 110;
+  const valueWidth = 50;
+  const rowHeight = height / items.length;
+  const max = Math.max(1, ...items.map(item => item.value));
+
+  items.forEach((item, i) => {
+    const y = i * rowHeight;
+    const barWidth = ((width - labelWidth - valueWidth) * item.value) / max;
+    const label = item.label.length > 18 ? `${item.label.slice(0, 17)}…` : item.label;
+
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'right';
+    ctx.fillText(label, labelWidth - 4, y + rowHeight / 2 + 3);
+    ctx.fillStyle = color;
+    ctx.fillRect(labelWidth, y + rowHeight * 0.2, barWidth, rowHeight * 0.6);
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'left';
+    ctx.fillText(format(item.value), labelWidth + barWidth + 4, y + rowHeight / 2 + 3);
+  });
+};
+
+/**
+ * Formats milliseconds as "1h 05m" or "12m"
+ * @private
+ */
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+/**
+ * Overlay with the last week's productivity: tasks completed, average arena
+ * score against the required score and tokens earned per day, failures per
+ * task and time spent in each mode. Charts are drawn on canvas from the
+ * events statsService records. Opened and closed with the
+ * STATS_DASHBOARD_TOGGLE_EVENT (the P key or the TaskMenu button).
+ */
+const StatsDashboard = () => {
+  const [open, setOpen] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const completedRef = useRef(null);
+  const scoreRef = useRef(null);
+  const tokensRef = useRef(null);
+  const failuresRef = useRef(null);
+  const modeRef = useRef(null);
+
+  useEffect(() => {
+    const toggle = () => setOpen(isOpen => !isOpen);
+    window.addEventListener(STATS_DASHBOARD_TOGGLE_EVENT, toggle);
+    return () => window.removeEventListener(STATS_DASHBOARD_TOGGLE_EVENT, toggle);
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const refresh = () => setSummary(summarizeDays(taskStorage.getStatsEvents()));
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !summary) return;
+    const labels = summary.days.map(day => day.date.slice(5));
+
+    drawBarChart(completedRef.current, labels, [
+      { values: summary.days.map(day => day.completed), color: '#8BC34A' }
+    ]);
+    drawBarChart(scoreRef.current, labels, [
+      { values: summary.days.map(day => day.averageScore), color: '#03A9F4' },
+      { values: summary.days.map(day => day.averageRequired), color: '#FF9800' }
+    ]);
+    drawBarChart(tokensRef.current, labels, [
+      { values: summary.days.map(day => day.tokens), color: '#FFD700' }
+    ]);
+    drawHorizontalBars(
+      failuresRef.current,
+      summary.failures.slice(0, 5).map(({ task, failures }) => ({ label: task, value: failures })),
+      '#E91E63',
+      String
+    );
+    drawHorizontalBars(
+      modeRef.current,
+      Object.entries(summary.modeTime)
+        .map(([mode, ms]) => ({ label: mode, value: ms }))
+        .sort((a, b) => b.value - a.value),
+      '#9C27B0',
+      formatDuration
+    );
+  }, [open, summary]);
+
+  if (!open || !summary) return null;
+
+  const { totals } = summary;
+  const headingStyle = { margin: '10px 0 5px', fontSize: '14px' };
+  const canvasProps = { width: CHART_WIDTH, height: CHART_HEIGHT, style: { display: 'block' } };
+
+  return (
+    <div
+      id="statsDashboard"
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: `${CHART_WIDTH}px`,
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        backgroundColor: 'rgba(0,0,0,0.85)',
+        color: 'white',
+        padding: '20px',
+        borderRadius: '10px',
+        zIndex: 210
+      }}
+    >
+      <h2 style={{ marginTop: 0 }}>This Week</h2>
+      <div style={{ fontSize: '12px' }}>
+        {totals.completed} tasks completed · {totals.tokens} tokens · {totals.runs} challenges
+        ({totals.failures} failed) · {totals.trainingRuns} training runs
+      </div>
+
+      <h3 style={headingStyle}>Tasks completed per day</h3>
+      <canvas ref={completedRef} {...canvasProps} />
+
+      <h3 style={headingStyle}>
+        Average score <span style={{ color: '#03A9F4' }}>■</span> vs required{' '}
+        <span style={{ color: '#FF9800' }}>■</span>
+      </h3>
+      <canvas ref={scoreRef} {...canvasProps} />
+
+      <h3 style={headingStyle}>Tokens earned per day</h3>
+      <canvas ref={tokensRef} {...canvasProps} />
+
+      <h3 style={headingStyle}>Failures per task</h3>
+      <canvas ref={failuresRef} {...canvasProps} />
+
+      <h3 style={headingStyle}>Time in each mode</h3>
+      <canvas ref={modeRef} {...canvasProps} />
+
+      <div style={{ marginTop: '10px' }}>
+        <button onClick={exportStatsCsv} style={{ marginRight: '10px' }}>
+          Export CSV
+        </button>
+        <button onClick={() => setOpen(false)}>Close</button>
+      </div>
+    </div>
+  );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { PRIORITIES, parseTags, priorityToRequiredScore, createSubtask } from '../services/taskSchema';
+import {
+  RECURRENCE_TYPES,
+  WEEKDAY_NAMES,
+  createRecurrence,
+  normalizeRecurrence,
+  toDateString
+} from '../services/recurrence';
+
+/**
+ * Inline form for editing a task's details inside the TaskMenu.
+ * Calls onSave with only the fields the form owns; changing the
+ * priority also updates the arena score the task requires.
+ * Subtasks can be added, renamed, reordered and removed here, but they
+ * are only marked done by clearing them in the task arena.
+ * A repeat schedule can be set; a recurring task always has a due date.
+ */
+const TaskEditor = ({ task, onSave, onCancel }) => {
+  const [text, setText] = useState(task.text);
+  const [priority, setPriority] = useState(task.priority || '');
+  const [dueDate, setDueDate] = useState(task.dueDate || '');
+  const [estimate, setEstimate] = useState(task.estimateMinutes || '');
+  const [tags, setTags] = useState((task.tags || []).join(', '));
+  const [notes, setNotes] = useState(task.notes || '');
+  const [subtasks, setSubtasks] = useState((task.subtasks || []).map(subtask => ({ ...subtask })));
+  const [newSubtask, setNewSubtask] = useState('');
+  const [recurrence, setRecurrence] = useState(task.recurrence || null);
+
+  const fieldStyle = { width: '100%', padding: '3px', margin: '3px 0', boxSizing: 'border-box' };
+
+  const addSubtask = () => {
+    if (newSubtask.trim()) {
+      setSubtasks([...subtasks, createSubtask(newSubtask.trim())]);
+      setNewSubtask('');
+    }
+  };
+
+  const renameSubtask = (index, text) => {
+    setSubtasks(subtasks.map((subtask, i) => (i === index ? { ...subtask, text } : subtask)));
+  };
+
+  const moveSubtask = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= subtasks.length) return;
+    const reordered = [...subtasks];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setSubtasks(reordered);
+  };
+
+  const removeSubtask = (index) => {
+    setSubtasks(subtasks.filter((_, i) => i !== index));
+  };
+
+  const changeRepeatType = (type) => {
+    setRecurrence(type ? createRecurrence(type, dueDate || toDateString(new Date()), 2) : null);
+  };
+
+  const toggleRepeatDay = (day) => {
+    const days = recurrence.days.includes(day)
+      ? recurrence.days.filter(d => d !== day)
+      : [...recurrence.days, day];
+    // Keep at least one day selected
+    if (days.length > 0) setRecurrence(normalizeRecurrence({ ...recurrence, days }));
+  };
+
+  const changeRepeatNumber = (key, value) => {
+    setRecurrence(normalizeRecurrence({ ...recurrence, [key]: value }) || recurrence);
+  };
+
+  const handleSave = () => {
+    if (!text.trim()) return;
+    const estimateMinutes = parseFloat(estimate);
+    const fields = {
+      text: text.trim(),
+      priority: priority || null,
+      dueDate: dueDate || null,
+      estimateMinutes: estimateMinutes > 0 ? estimateMinutes : null,
+      tags: parseTags(tags),
+      notes: notes.trim(),
+      subtasks: subtasks.filter(subtask => subtask.text.trim()),
+      recurrence
+    };
+    if (recurrence && !fields.dueDate) {
+      fields.dueDate = toDateString(new Date());
+    }
+    if (fields.priority !== (task.priority || null)) {
+      fields.requiredScore = priorityToRequiredScore(fields.priority);
+    }
+    onSave(fields);
+  };
+
+  return (
+    // Keep game keys (WASD, L, Tab...) from reaching the game while typing
+    <div onKeyDown={(e) => e.stopPropagation()} style={{ width: '100%' }}>
+      <input type="text" value={text} onChange={(e) => setText(e.target.value)} style={fieldStyle} />
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <select value={priority} onChange={(e) => setPriority(e.target.value)}>
+          <option value="">No priority</option>
+          {PRIORITIES.map(level => (
+            <option key={level} value={level}>{level}</option>
+          ))}
+        </select>
+        <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+        <input
+          type="number"
+          min="1"
+          value={estimate}
+          onChange={(e) => setEstimate(e.target.value)}
+          placeholder="Est. min"
+          style={{ width: '60px' }}
+        />
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '5px', margin: '3px 0' }}>
+        <select value={recurrence ? recurrence.type : ''} onChange={(e) => changeRepeatType(e.target.value)}>
+          <option value="">Does not repeat</option>
+          {RECURRENCE_TYPES.map(type => (
+            <option key={type} value={type}>{type === 'interval' ? 'Every N days' : type}</option>
+          ))}
+        </select>
+        {recurrence && recurrence.type === 'weekly' && WEEKDAY_NAMES.map((name, day) => (
+          <label key={name} style={{ fontSize: '11px' }}>
+            <input
+              type="checkbox"
+              checked={recurrence.days.includes(day)}
+              onChange={() => toggleRepeatDay(day)}
+            />
+            {name}
+          </label>
+        ))}
+        {recurrence && recurrence.type === 'monthly' && (
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={recurrence.dayOfMonth}
+            onChange={(e) => changeRepeatNumber('dayOfMonth', e.target.value)}
+            title="Day of the month"
+            style={{ width: '50px' }}
+          />
+        )}
+        {recurrence && recurrence.type === 'interval' && (
+          <input
+            type="number"
+            min="1"
+            value={recurrence.interval}
+            onChange={(e) => changeRepeatNumber('interval', e.target.value)}
+            title="Days between repeats"
+            style={{ width: '50px' }}
+          />
+        )}
+      </div>
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+        style={fieldStyle}
+      />
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Notes"
+        rows={3}
+        style={fieldStyle}
+      />
+      <div style={{ fontSize: '12px', margin: '3px 0' }}>Subtasks</div>
+      {subtasks.map((subtask, index) => (
+        <div key={subtask.id} style={{ display: 'flex', gap: '3px', margin: '2px 0' }}>
+          <span style={{ width: '14px' }}>{subtask.completed ? '✓' : '○'}</span>
+          <input
+            type="text"
+            value={subtask.text}
+            onChange={(e) => renameSubtask(index, e.target.value)}
+            style={{ flex: 1 }}
+          />
+          <button onClick={() => moveSubtask(index, -1)} disabled={index === 0}>↑</button>
+          <button onClick={() => moveSubtask(index, 1)} disabled={index === subtasks.length - 1}>↓</button>
+          <button onClick={() => removeSubtask(index)}>✕</button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '3px', margin: '2px 0 6px' }}>
+        <input
+          type="text"
+          value={newSubtask}
+          onChange={(e) => setNewSubtask(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addSubtask(); }}
+          placeholder="Add a subtask..."
+          style={{ flex: 1 }}
+        />
+        <button onClick={addSubtask}>+</button>
+      </div>
+      <button onClick={handleSave} style={{ marginRight: '10px' }}>
+        Save
+      </button>
+      <button onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default TaskEditor;
@@ -1,5 +1,39 @@
-import React, { useState, useEffect } from 'react';
-import gameState from '../game/gameState';
+import React, { useState } from 'react';
+import gameState, { notifyGameState } from '../game/gameState';
+import useGameSlice from './useGameSlice';
+import { createTask, getDueStatus, getSubtaskProgress } from '../services/taskSchema';
+import { describeRecurrence, getStreak, getBestStreak } from '../services/recurrence';
+import TaskEditor from './TaskEditor';
+import ArchiveBrowser from './ArchiveBrowser';
+import { exportBackup, importBackupFromFile, IMPORT_MODES, CONFLICT_STRATEGIES } from '../services/backupService';
+import { taskStorage } from '../services/TaskStorageService';
+import {
+  IMPORT_FORMATS,
+  CSV_FIELDS,
+  detectImportFormat,
+  parseMarkdownChecklist,
+  parseTodoTxt,
+  parseCsv,
+  guessCsvMapping,
+  csvRowsToTasks
+} from '../services/taskParsers';
+import { parseICalendarFields, calendarFieldsToUpserts, serializeTasksToICalendar } from '../services/icalendar';
+import { pickTextFile, downloadTextFile } from '../utils/fileUtils';
+import { SEED_MODES, getDailySeed } from '../services/seededRandom';
+import { getLastReplay, exportReplay, parseReplay, playReplay } from '../game/arenaReplay';
+import { enterTrainingArena2D } from '../game/trainingArena2DSetup';
+import { undoTaskChange, redoTaskChange, completeTaskWithPass } from '../game/taskGameSetup';
+import { getItemCount } from '../services/tokenShop';
+import { toggleStatsDashboard } from '../services/statsService';
+import { ACTIONS, formatActionKeys, openKeyBindings } from '../game/inputBindings';
+import { TASK_COMMANDS, snapshotTask, recordTaskAdded, recordTaskChanged, recordTaskRemoved, peekUndo, peekRedo } from '../services/taskHistory';
+
+// Volume sliders in the Sound section: [setting, label]
+const VOLUME_SLIDERS = [
+  ['masterVolume', 'Master'],
+  ['sfxVolume', 'Effects'],
+  ['musicVolume', 'Music & ambience']
+];
 
 /**
  * This TaskMenu is shown/hidden by pressing Tab in 2D or 3D mode.
@@ -8,27 +42,249 @@ import gameState from '../game/gameState';
  */
 
 const TaskMenu = () => {
-  const [tasks, setTasks] = useState([...gameState.tasks]);
+  const tasks = useGameSlice('tasks');
+  const { lastArenaSeed, audioSettings } = useGameSlice('settings');
+  // Runs end with a mode change; re-render then so the last replay shows up
+  useGameSlice('mode');
   const [newTask, setNewTask] = useState('');
-
-  useEffect(() => {
-    // Whenever tasks are added/completed, re-pull them from the gameState
-    const handleTasksChange = () => {
-      setTasks([...gameState.tasks]);
-    };
-
-    // Optionally, you could set up a small interval or subscription
-    const intervalId = setInterval(handleTasksChange, 500);
-    return () => clearInterval(intervalId);
-  }, []);
+  const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE);
+  const [conflictStrategy, setConflictStrategy] = useState(CONFLICT_STRATEGIES.KEEP_EXISTING);
+  const [statusMessage, setStatusMessage] = useState('');
+  // Pending CSV import waiting for the column mapping: { headers, rows, mapping }
+  const [csvImport, setCsvImport] = useState(null);
+  // Id of the task whose details are being edited
+  const [editingId, setEditingId] = useState(null);
+  // Arena seed choice: 'random', 'daily' or a custom seed
+  const [arenaSeed, setArenaSeed] = useState(gameState.arenaSeed);
+  const [customSeed, setCustomSeed] = useState(
+    Object.values(SEED_MODES).includes(gameState.arenaSeed) ? '' : gameState.arenaSeed
+  );
+  // Whether the archive browser is open
+  const [showArchive, setShowArchive] = useState(false);
+  // Number of targets for the collision benchmark
+  const [benchmarkTargets, setBenchmarkTargets] = useState(500);
 
   const addTask = () => {
     if (newTask.trim()) {
-      gameState.tasks.push({ text: newTask.trim(), completed: false });
+      const task = createTask(newTask.trim());
+      gameState.tasks.push(task);
+      taskStorage.addTask(task);
+      recordTaskAdded(task);
+      notifyGameState('tasks');
       setNewTask('');
     }
   };
 
+  const saveTaskEdits = (taskId, fields) => {
+    const task = gameState.tasks.find(t => t.id === taskId);
+    if (task) {
+      const before = snapshotTask(task);
+      Object.assign(task, fields);
+      taskStorage.updateTask(taskId, fields);
+      recordTaskChanged(TASK_COMMANDS.EDIT, before, task);
+      notifyGameState('tasks');
+    }
+    setEditingId(null);
+  };
+
+  const deleteTask = (taskId) => {
+    const index = gameState.tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return;
+    const [task] = gameState.tasks.splice(index, 1);
+    taskStorage.deleteTask(taskId);
+    recordTaskRemoved(TASK_COMMANDS.DELETE, task, index);
+    notifyGameState('tasks');
+    if (editingId === taskId) setEditingId(null);
+  };
+
+  const skipWithPass = (task) => {
+    setStatusMessage(completeTaskWithPass(task.id)
+      ? `Completed "${task.text}" with a skip pass`
+      : `Could not skip "${task.text}"`);
+  };
+
+  const handleHistoryStep = (runStep, done, action) => {
+    const command = runStep();
+    if (command) {
+      setStatusMessage(`${done} ${command.label}`);
+    } else if (gameState.currentTaskChallenge) {
+      setStatusMessage(`Cannot ${action} during a task challenge`);
+    }
+  };
+
+  // Skip passes bought in the token shop
+  const skipPasses = getItemCount('skip_pass');
+
+  const describeTask = (task) => {
+    const details = [];
+    if (task.priority) details.push(task.priority);
+    if (task.dueDate) {
+      const dueStatus = getDueStatus(task);
+      details.push(`due ${task.dueDate}${dueStatus === 'overdue' ? ' (late)' : ''}`);
+    }
+    if (task.estimateMinutes) details.push(`${task.estimateMinutes} min`);
+    const { done, total } = getSubtaskProgress(task);
+    if (total > 0) details.push(`${done}/${total} subtasks`);
+    if (task.recurrence) {
+      const streak = getStreak(task);
+      details.push(`↻ ${describeRecurrence(task.recurrence)}` +
+        (streak > 0 ? `, streak ${streak} (best ${getBestStreak(task)})` : ''));
+    }
+    if (task.tags && task.tags.length > 0) details.push(task.tags.map(tag => `#${tag}`).join(' '));
+    return details.join(' · ');
+  };
+
+  const chooseArenaSeed = (choice) => {
+    if (gameState.setArenaSeed(choice)) {
+      setArenaSeed(choice);
+    }
+  };
+
+  const chooseSeedMode = (mode) => {
+    // Switching to "custom" keeps the current choice until a seed is typed
+    if (mode === 'custom') {
+      if (customSeed.trim()) chooseArenaSeed(customSeed);
+      else setArenaSeed('');
+    } else {
+      chooseArenaSeed(mode);
+    }
+  };
+
+  const replayLastSeed = () => {
+    setCustomSeed(lastArenaSeed);
+    chooseArenaSeed(lastArenaSeed);
+  };
+
+  const watchReplay = async (replay) => {
+    if (await playReplay(replay)) {
+      // Get the menu out of the way while the replay runs
+      const menuEl = document.getElementById('taskMenu');
+      if (menuEl) menuEl.style.display = 'none';
+      setStatusMessage(`Playing replay (seed ${replay.seed}), Esc to stop`);
+    } else {
+      setStatusMessage('Replays can only be played from a 2D mode outside a running arena');
+    }
+  };
+
+  const handleSaveReplay = () => {
+    setStatusMessage(exportReplay(getLastReplay()) ? 'Replay downloaded' : 'Replay export failed');
+  };
+
+  const handlePlayReplayFile = async () => {
+    try {
+      const file = await pickTextFile('application/json,.json');
+      if (!file) return;
+      await watchReplay(parseReplay(file.text));
+    } catch (e) {
+      setStatusMessage(`Replay failed: ${e.message}`);
+    }
+  };
+
+  const runCollisionBenchmark = () => {
+    const count = Math.floor(Number(benchmarkTargets));
+    if (!(count > 0)) {
+      setStatusMessage('Enter a target count above 0');
+      return;
+    }
+    if (gameState.mode !== '2D' || !gameState.canvas || !gameState.ctx) {
+      setStatusMessage('The benchmark runs from the 2D mode');
+      return;
+    }
+
+    if (!enterTrainingArena2D(gameState.canvas, gameState.ctx, gameState, { benchmarkTargets: count })) {
+      setStatusMessage('Could not start the benchmark');
+      return;
+    }
+    const menuEl = document.getElementById('taskMenu');
+    if (menuEl) menuEl.style.display = 'none';
+    setStatusMessage(`Benchmark running with ${count} targets`);
+  };
+
+  const handleExport = () => {
+    setStatusMessage(exportBackup() ? 'Backup downloaded' : 'Export failed');
+  };
+
+  const handleImport = async () => {
+    try {
+      const summary = await importBackupFromFile({ mode: importMode, conflictStrategy });
+      if (!summary) return;
+      setStatusMessage(
+        `Imported: ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped` +
+        (summary.rejected ? `, ${summary.rejected} invalid` : '')
+      );
+    } catch (e) {
+      setStatusMessage(`Import failed: ${e.message}`);
+    }
+  };
+
+  const insertTasks = (parsedTasks) => {
+    const added = taskStorage.addTasks(parsedTasks);
+    const existingIds = new Set(gameState.tasks.map(task => task.id));
+    gameState.tasks.push(...parsedTasks.filter(task => !existingIds.has(task.id)));
+    notifyGameState('tasks');
+    setStatusMessage(`Imported ${added} tasks`);
+  };
+
+  // Calendar tasks keep their UID, so re-importing an .ics updates the tasks it came from
+  const upsertCalendarTasks = (entries) => {
+    const calendarTasks = calendarFieldsToUpserts(entries, taskStorage.getTasks());
+    const { added, updated } = taskStorage.upsertTasks(calendarTasks);
+    calendarTasks.forEach(calendarTask => {
+      const existing = gameState.tasks.find(task => task.id === calendarTask.id);
+      if (existing) {
+        Object.assign(existing, calendarTask);
+      } else {
+        gameState.tasks.push(calendarTask);
+      }
+    });
+    notifyGameState('tasks');
+    setStatusMessage(`Calendar import: ${added} added, ${updated} updated`);
+  };
+
+  const handleExportCalendar = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadTextFile(`tasks-${date}.ics`, serializeTasksToICalendar(gameState.tasks), 'text/calendar');
+    setStatusMessage('Calendar file downloaded');
+  };
+
+  const handleImportList = async () => {
+    try {
+      const file = await pickTextFile('.md,.markdown,.txt,.csv,.ics,text/plain,text/markdown,text/csv,text/calendar');
+      if (!file) return;
+
+      const format = detectImportFormat(file.name, file.text);
+      if (format === IMPORT_FORMATS.ICALENDAR) {
+        upsertCalendarTasks(parseICalendarFields(file.text));
+        return;
+      }
+      if (format === IMPORT_FORMATS.CSV) {
+        const { headers, rows } = parseCsv(file.text);
+        if (headers.length === 0) {
+          setStatusMessage('CSV file is empty');
+          return;
+        }
+        setCsvImport({ headers, rows, mapping: guessCsvMapping(headers) });
+        return;
+      }
+
+      const parsedTasks = format === IMPORT_FORMATS.MARKDOWN
+        ? parseMarkdownChecklist(file.text)
+        : parseTodoTxt(file.text);
+      insertTasks(parsedTasks);
+    } catch (e) {
+      setStatusMessage(`Import failed: ${e.message}`);
+    }
+  };
+
+  const setCsvColumn = (field, columnIndex) => {
+    setCsvImport({ ...csvImport, mapping: { ...csvImport.mapping, [field]: columnIndex } });
+  };
+
+  const confirmCsvImport = () => {
+    insertTasks(csvRowsToTasks(csvImport.rows, csvImport.mapping));
+    setCsvImport(null);
+  };
+
   // By default, we rely on inputManager for toggling display. This component 
   // itself is always rendered. The style can be toggled with .style.display = 'none' externally.
   const overlayStyle = {
@@ -62,7 +318,7 @@ const TaskMenu = () => {
       <ul id="taskList" style={{ listStyleType: 'none', padding: 0 }}>
         {tasks.map((task, index) => (
           <li
-            key={index}
+            key={task.id || index}
             style={{
               padding: '5px',
               margin: '5px 0',
@@ -72,18 +328,242 @@ const TaskMenu = () => {
               justifyContent: 'space-between'
             }}
           >
-            <span
-              style={{
-                textDecoration: task.completed ? 'line-through' : 'none',
-                opacity: task.completed ? 0.7 : 1
-              }}
-            >
-              {task.text}
-            </span>
+            {editingId === task.id ? (
+              <TaskEditor
+                task={task}
+                onSave={(fields) => saveTaskEdits(task.id, fields)}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <>
+                <span
+                  style={{
+                    textDecoration: task.completed ? 'line-through' : 'none',
+                    opacity: task.completed ? 0.7 : 1
+                  }}
+                  title={task.notes || undefined}
+                >
+                  {task.text}
+                  {describeTask(task) && (
+                    <div style={{ fontSize: '11px', opacity: 0.7 }}>{describeTask(task)}</div>
+                  )}
+                </span>
+                <span style={{ alignSelf: 'flex-start', whiteSpace: 'nowrap' }}>
+                  <button onClick={() => setEditingId(task.id)} style={{ marginRight: '5px' }}>
+                    Edit
+                  </button>
+                  <button onClick={() => deleteTask(task.id)}>
+                    Delete
+                  </button>
+                  {!task.completed && skipPasses > 0 && (
+                    <button
+                      onClick={() => skipWithPass(task)}
+                      title={`Complete without a challenge (${skipPasses} passes left)`}
+                      style={{ marginLeft: '5px' }}
+                    >
+                      Skip
+                    </button>
+                  )}
+                </span>
+              </>
+            )}
           </li>
         ))}
       </ul>
 
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>History</h3>
+        <button
+          onClick={() => handleHistoryStep(undoTaskChange, 'Undid', 'undo')}
+          disabled={!peekUndo()}
+          title="Ctrl+Z in the task game"
+          style={{ marginRight: '10px' }}
+        >
+          {peekUndo() ? `Undo ${peekUndo().label}` : 'Undo'}
+        </button>
+        <button
+          onClick={() => handleHistoryStep(redoTaskChange, 'Redid', 'redo')}
+          disabled={!peekRedo()}
+          title="Ctrl+Shift+Z or Ctrl+Y in the task game"
+        >
+          {peekRedo() ? `Redo ${peekRedo().label}` : 'Redo'}
+        </button>
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Statistics</h3>
+        <button onClick={toggleStatsDashboard} title={`${formatActionKeys([ACTIONS.STATS])} outside the arenas`}>
+          Show this week's stats
+        </button>
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Controls</h3>
+        <button onClick={openKeyBindings}>Change key bindings</button>
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Sound</h3>
+        <label style={{ display: 'block', fontSize: '12px' }}>
+          <input
+            type="checkbox"
+            checked={audioSettings.muted}
+            onChange={(e) => gameState.setAudioSettings({ muted: e.target.checked })}
+          />{' '}
+          Mute
+        </label>
+        {VOLUME_SLIDERS.map(([setting, label]) => (
+          <label key={setting} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginTop: '5px' }}>
+            <span>{label}: {Math.round(audioSettings[setting] * 100)}%</span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={audioSettings[setting]}
+              disabled={audioSettings.muted}
+              onChange={(e) => gameState.setAudioSettings({ [setting]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Archive</h3>
+        <button onClick={() => setShowArchive(!showArchive)}>
+          {showArchive ? 'Hide archive' : `Browse archive (${taskStorage.getArchivedTasks().length})`}
+        </button>
+        {showArchive && (
+          <ArchiveBrowser onRestore={(task) => task && setStatusMessage(`Restored "${task.text}"`)} />
+        )}
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Import / Export</h3>
+        <button onClick={handleExport} style={{ marginRight: '10px' }}>
+          Export
+        </button>
+        <button onClick={handleImport} style={{ marginRight: '10px' }}>
+          Import
+        </button>
+        <button onClick={handleImportList} title="Markdown checklist, todo.txt, CSV or iCalendar (.ics)">
+          Import List
+        </button>
+        <button onClick={handleExportCalendar} style={{ marginLeft: '10px' }}>
+          Export .ics
+        </button>
+        <div style={{ marginTop: '5px' }}>
+          <select value={importMode} onChange={(e) => setImportMode(e.target.value)} style={{ marginRight: '5px' }}>
+            <option value={IMPORT_MODES.MERGE}>Merge</option>
+            <option value={IMPORT_MODES.REPLACE}>Replace</option>
+          </select>
+          <select
+            value={conflictStrategy}
+            onChange={(e) => setConflictStrategy(e.target.value)}
+            disabled={importMode === IMPORT_MODES.REPLACE}
+          >
+            <option value={CONFLICT_STRATEGIES.KEEP_EXISTING}>On conflict: keep current</option>
+            <option value={CONFLICT_STRATEGIES.USE_IMPORTED}>On conflict: use imported</option>
+            <option value={CONFLICT_STRATEGIES.KEEP_BOTH}>On conflict: keep both</option>
+          </select>
+        </div>
+        {csvImport && (
+          <div style={{ marginTop: '5px', fontSize: '12px' }}>
+            <div>Map CSV columns ({csvImport.rows.length} rows):</div>
+            {CSV_FIELDS.map(field => (
+              <div key={field} style={{ display: 'flex', justifyContent: 'space-between', margin: '2px 0' }}>
+                <span>{field}</span>
+                <select
+                  value={csvImport.mapping[field]}
+                  onChange={(e) => setCsvColumn(field, parseInt(e.target.value, 10))}
+                >
+                  <option value={-1}>(skip)</option>
+                  {csvImport.headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <button onClick={confirmCsvImport} disabled={csvImport.mapping.text < 0} style={{ marginRight: '10px' }}>
+              Import {csvImport.rows.length} rows
+            </button>
+            <button onClick={() => setCsvImport(null)}>
+              Cancel
+            </button>
+          </div>
+        )}
+        {statusMessage && <div style={{ marginTop: '5px', fontSize: '12px' }}>{statusMessage}</div>}
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Arena Seed</h3>
+        <select
+          value={Object.values(SEED_MODES).includes(arenaSeed) ? arenaSeed : 'custom'}
+          onChange={(e) => chooseSeedMode(e.target.value)}
+          style={{ marginRight: '5px' }}
+        >
+          <option value={SEED_MODES.RANDOM}>Random every run</option>
+          <option value={SEED_MODES.DAILY}>Daily ({getDailySeed()})</option>
+          <option value="custom">Custom</option>
+        </select>
+        {!Object.values(SEED_MODES).includes(arenaSeed) && (
+          <input
+            type="text"
+            value={customSeed}
+            onChange={(e) => {
+              setCustomSeed(e.target.value);
+              chooseArenaSeed(e.target.value);
+            }}
+            onKeyDown={(e) => e.stopPropagation()}
+            placeholder="Seed"
+            style={{ width: '100px' }}
+          />
+        )}
+        {lastArenaSeed && (
+          <div style={{ marginTop: '5px', fontSize: '12px' }}>
+            Last run: {lastArenaSeed}{' '}
+            <button onClick={replayLastSeed}>Use again</button>
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Replays</h3>
+        {getLastReplay() && (
+          <div style={{ marginBottom: '5px', fontSize: '12px' }}>
+            Last run: {getLastReplay().mode === '2D_TRAINING' ? 'training' : 'task arena'},
+            score {getLastReplay().score}, seed {getLastReplay().seed}
+          </div>
+        )}
+        <button onClick={handleSaveReplay} disabled={!getLastReplay()} style={{ marginRight: '5px' }}>
+          Save last run
+        </button>
+        <button onClick={() => watchReplay(getLastReplay())} disabled={!getLastReplay()} style={{ marginRight: '5px' }}>
+          Watch last run
+        </button>
+        <button onClick={handlePlayReplayFile}>
+          Play replay file
+        </button>
+      </div>
+
+      <div style={{ marginBottom: '10px' }}>
+        <h3 style={{ margin: '10px 0 5px' }}>Collision Benchmark</h3>
+        <input
+          type="number"
+          min="1"
+          value={benchmarkTargets}
+          onChange={(e) => setBenchmarkTargets(e.target.value)}
+          onKeyDown={(e) => e.stopPropagation()}
+          style={{ width: '70px', marginRight: '5px' }}
+        />
+        <button onClick={runCollisionBenchmark}>
+          Run with N targets
+        </button>
+        <div style={{ marginTop: '5px', fontSize: '12px' }}>
+          Times bullet collisions per frame with the grid broadphase and brute force
+        </div>
+      </div>
+
       {/* A “Close” button that just hides the menu in 2D/3D */}
       <button
         onClick={() => {
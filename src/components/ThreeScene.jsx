@@ -1,7 +1,9 @@
 import React, { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
-import { initThreeScene, updateThreeScene, renderThreeScene } from '../game/threeSetup';
+import { initThreeScene, updateThreeScene, renderThreeScene, cleanupThreeScene } from '../game/threeSetup';
 import gameState from '../game/gameState';
+import { setGameMode } from '../game/modeTransitionManager';
+import useGameSlice from './useGameSlice';
 
 const ThreeScene = () => {
   const threeContainerRef = useRef(null);
@@ -11,7 +13,7 @@ const ThreeScene = () => {
   const controlsRef = useRef(null);
   const animationFrameRef = useRef(null);
   const lastTimeRef = useRef(performance.now());
-  const [fpsCounter, setFpsCounter] = useState(0);
+  const { fps: fpsCounter } = useGameSlice('performance');
   const [showPerformanceInfo, setShowPerformanceInfo] = useState(true);
 
   useEffect(() => {
@@ -32,11 +34,11 @@ const ThreeScene = () => {
     
     console.log(`Starting game with ${gameState.graphicsQuality} graphics quality`);
     
-    // Pass gameState.setMode to the Three.js setup so that when the portal is reached, it will update mode
+    // Pass setGameMode to the Three.js setup so that when the portal is reached, it will update mode
     const { scene, camera, renderer, controls } = initThreeScene(
       threeContainerRef.current,
       gameState,
-      gameState.setMode
+      setGameMode
     );
     sceneRef.current = scene;
     cameraRef.current = camera;
@@ -70,7 +72,7 @@ const ThreeScene = () => {
           cameraRef.current, 
           controlsRef.current, 
           gameState, 
-          gameState.setMode,
+          setGameMode,
           rendererRef.current // Always pass the renderer
         );
         
@@ -88,7 +90,6 @@ const ThreeScene = () => {
         if (elapsed >= 500) {
           const fps = Math.round((gameState.frameCount * 1000) / elapsed);
           gameState.fps = fps;
-          setFpsCounter(fps);
           
           // Reset counters
           gameState.lastFpsUpdate = now;
@@ -136,6 +137,9 @@ const ThreeScene = () => {
       
       gameState.pointerLocked = false;
       
+      // Stop the scene's shooting and sounds
+      cleanupThreeScene(gameState);
+      
       // Clean up renderer
       if (rendererRef.current) {
         rendererRef.current.dispose();
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import useGameSlice from './useGameSlice';
+import {
+  SHOP_ITEMS,
+  ITEM_TYPES,
+  TOKEN_SHOP_OPEN_EVENT,
+  getInventory,
+  getShopItem,
+  isConsumable,
+  purchaseItem,
+  equipItem
+} from '../services/tokenShop';
+import { getTokenLedger, TOKEN_REASONS } from '../services/tokenLedger';
+
+// Transactions listed under the items
+const RECENT_TRANSACTIONS = 8;
+
+const TRANSACTION_LABELS = {
+  [TOKEN_REASONS.OPENING]: 'Earlier balance',
+  [TOKEN_REASONS.CHALLENGE]: 'Challenge won',
+  [TOKEN_REASONS.PURCHASE]: 'Bought',
+  [TOKEN_REASONS.UNDO]: 'Undo/redo',
+  [TOKEN_REASONS.IMPORT]: 'Backup import'
+};
+
+/**
+ * Token shop overlay, opened by shooting the Token Shop app in 2D mode.
+ * Lists the items with their price, buys them through the token ledger,
+ * equips owned skins and weapons, and shows the latest ledger transactions.
+ */
+const TokenShop = () => {
+  const [open, setOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  // Equipping does not change any game state slice; bump this to re-render
+  const [, setRevision] = useState(0);
+  const tokens = useGameSlice('tokens');
+
+  useEffect(() => {
+    const show = () => {
+      setMessage('');
+      setOpen(true);
+    };
+    window.addEventListener(TOKEN_SHOP_OPEN_EVENT, show);
+    return () => window.removeEventListener(TOKEN_SHOP_OPEN_EVENT, show);
+  }, []);
+
+  if (!open) return null;
+
+  const inventory = getInventory();
+  const transactions = getTokenLedger().slice(-RECENT_TRANSACTIONS).reverse();
+
+  const buy = (item) => {
+    setMessage(purchaseItem(item.id).message);
+    setRevision(revision => revision + 1);
+  };
+
+  const equip = (item, itemId) => {
+    equipItem(item.type, itemId);
+    setRevision(revision => revision + 1);
+  };
+
+  const renderAction = (item) => {
+    const owned = inventory.owned[item.id] || 0;
+    if (isConsumable(item)) {
+      return (
+        <button onClick={() => buy(item)} disabled={tokens < item.price}>
+          Buy ({owned} owned)
+        </button>
+      );
+    }
+    if (!owned) {
+      return (
+        <button onClick={() => buy(item)} disabled={tokens < item.price}>
+          Buy
+        </button>
+      );
+    }
+    return inventory.equipped[item.type] === item.id ? (
+      <button onClick={() => equip(item, null)}>Unequip</button>
+    ) : (
+      <button onClick={() => equip(item, item.id)}>Equip</button>
+    );
+  };
+
+  const describeTransaction = (transaction) => {
+    const item = transaction.itemId && getShopItem(transaction.itemId);
+    const label = TRANSACTION_LABELS[transaction.reason] || transaction.reason;
+    return item ? `${label} ${item.name}` : label;
+  };
+
+  const sections = [
+    { title: 'Skins', types: [ITEM_TYPES.SKIN] },
+    { title: 'Arena weapons', types: [ITEM_TYPES.WEAPON] },
+    { title: 'Boosts', types: [ITEM_TYPES.EXTRA_TIME, ITEM_TYPES.SKIP_PASS] }
+  ];
+
+  return (
+    <div
+      id="tokenShop"
+      style={{
+        position: 'absolute',
+        top: '50%',
+        left: '50%',
+        transform: 'translate(-50%, -50%)',
+        width: '320px',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        backgroundColor: 'rgba(0,0,0,0.85)',
+        color: 'white',
+        padding: '20px',
+        borderRadius: '10px',
+        zIndex: 210
+      }}
+    >
+      <h2 style={{ marginTop: 0 }}>Token Shop</h2>
+      <div style={{ color: '#FFD700' }}>Balance: {tokens} tokens</div>
+
+      {sections.map(section => (
+        <div key={section.title}>
+          <h3 style={{ margin: '10px 0 5px', fontSize: '14px' }}>{section.title}</h3>
+          <ul style={{ listStyleType: 'none', padding: 0, margin: 0 }}>
+            {SHOP_ITEMS.filter(item => section.types.includes(item.type)).map(item => (
+              <li
+                key={item.id}
+                style={{
+                  padding: '5px',
+                  margin: '3px 0',
+                  backgroundColor: 'rgba(255,255,255,0.1)',
+                  borderRadius: '3px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center'
+                }}
+              >
+                <span>
+                  {item.color && <span style={{ color: item.color }}>■ </span>}
+                  {item.name} · {item.price}
+                  {item.description && (
+                    <div style={{ fontSize: '11px', opacity: 0.7 }}>{item.description}</div>
+                  )}
+                </span>
+                {renderAction(item)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      {message && <div style={{ marginTop: '5px', fontSize: '12px' }}>{message}</div>}
+
+      <h3 style={{ margin: '10px 0 5px', fontSize: '14px' }}>Recent transactions</h3>
+      <ul style={{ listStyleType: 'none', padding: 0, margin: 0, fontSize: '12px' }}>
+        {transactions.length === 0 && <li style={{ opacity: 0.7 }}>No transactions yet</li>}
+        {transactions.map(transaction => (
+          <li key={transaction.id} style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>{describeTransaction(transaction)}</span>
+            <span style={{ color: transaction.amount > 0 ? '#8BC34A' : '#FF5722' }}>
+              {transaction.amount > 0 ? `+${transaction.amount}` : transaction.amount}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      <button onClick={() => setOpen(false)} style={{ marginTop: '10px' }}>
+        Close
+      </button>
+    </div>
+  );
+};
+
+export default TokenShop;
@@ -0,0 +1,190 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ACTIONS, GAMEPAD_MAPPING } from '../game/inputBindings';
+import { addVirtualGamepad } from '../game/gamepadInput';
+import { startGamepadPolling } from '../game/inputManager';
+import { tapTaskGame } from '../game/taskGameSetup';
+import { toCanvasPoint } from '../game/aim2D';
+import gameState from '../game/gameState';
+
+// Joystick size in CSS pixels; the knob reaches full tilt at the edge
+const JOYSTICK_RADIUS = 50;
+const KNOB_RADIUS = 22;
+
+// On-screen buttons, each pressing the first gamepad button of its action
+const TOUCH_BUTTONS = [
+  { action: ACTIONS.JUMP, label: 'Jump' },
+  { action: ACTIONS.SHOOT, label: 'Shoot' },
+  { action: ACTIONS.INTERACT, label: 'Interact' }
+];
+
+const isTouchDevice = () => 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+const createTouchGamepad = () => ({
+  id: 'Touch controls',
+  connected: true,
+  axes: [0, 0, 0, 0],
+  buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }))
+});
+
+/**
+ * @param {string} action Action id
+ * @returns {number} Gamepad button index the action is mapped to
+ */
+const getActionButton = (action) => GAMEPAD_MAPPING.actions[action].find(input => input.button !== undefined).button;
+
+/**
+ * On-screen joystick and Jump/Shoot/Interact buttons for touch screens, drawn over
+ * the 2D canvas. They drive a virtual gamepad, so the modes see the same
+ * actions as from the keyboard or a real gamepad. In the task game a tap on a
+ * task box or button acts on it as if it had been shot.
+ */
+const TouchControls = ({ mode }) => {
+  const [enabled] = useState(isTouchDevice);
+  const gamepadRef = useRef(null);
+  const joystickRef = useRef(null);
+  // Pointer dragging the joystick, or null
+  const joystickPointerRef = useRef(null);
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const [pressedButtons, setPressedButtons] = useState({});
+
+  // Register the virtual gamepad while the controls are shown
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const gamepad = createTouchGamepad();
+    gamepadRef.current = gamepad;
+    const removeGamepad = addVirtualGamepad(gamepad);
+    startGamepadPolling();
+    return () => {
+      removeGamepad();
+      gamepadRef.current = null;
+    };
+  }, [enabled]);
+
+  // Tap-to-select on the task game canvas
+  useEffect(() => {
+    if (!enabled || mode !== 'TASK_GAME') return undefined;
+    const tap = (e) => {
+      const canvas = gameState.canvas;
+      if (e.pointerType === 'mouse' || !canvas || e.target !== canvas) return;
+      const { x, y } = toCanvasPoint(canvas, e.clientX, e.clientY);
+      tapTaskGame(x, y);
+    };
+    window.addEventListener('pointerup', tap);
+    return () => window.removeEventListener('pointerup', tap);
+  }, [enabled, mode]);
+
+  if (!enabled) return null;
+
+  const moveJoystick = (e) => {
+    const rect = joystickRef.current.getBoundingClientRect();
+    let x = (e.clientX - rect.left - rect.width / 2) / JOYSTICK_RADIUS;
+    let y = (e.clientY - rect.top - rect.height / 2) / JOYSTICK_RADIUS;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    gamepadRef.current.axes[0] = x;
+    gamepadRef.current.axes[1] = y;
+    setKnob({ x, y });
+  };
+
+  const startJoystick = (e) => {
+    if (joystickPointerRef.current !== null) return;
+    joystickPointerRef.current = e.pointerId;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    moveJoystick(e);
+  };
+
+  const dragJoystick = (e) => {
+    if (e.pointerId === joystickPointerRef.current) moveJoystick(e);
+  };
+
+  const endJoystick = (e) => {
+    if (e.pointerId !== joystickPointerRef.current) return;
+    joystickPointerRef.current = null;
+    gamepadRef.current.axes[0] = 0;
+    gamepadRef.current.axes[1] = 0;
+    setKnob({ x: 0, y: 0 });
+  };
+
+  const setButton = (action, pressed) => (e) => {
+    e.preventDefault();
+    const button = gamepadRef.current.buttons[getActionButton(action)];
+    button.pressed = pressed;
+    button.value = pressed ? 1 : 0;
+    setPressedButtons(buttons => ({ ...buttons, [action]: pressed }));
+  };
+
+  const circleStyle = {
+    position: 'absolute',
+    borderRadius: '50%',
+    touchAction: 'none',
+    userSelect: 'none',
+    pointerEvents: 'auto'
+  };
+
+  return (
+    <div
+      id="touchControls"
+      style={{ position: 'absolute', inset: 0, pointerEvents: 'none', zIndex: 150 }}
+    >
+      <div
+        ref={joystickRef}
+        onPointerDown={startJoystick}
+        onPointerMove={dragJoystick}
+        onPointerUp={endJoystick}
+        onPointerCancel={endJoystick}
+        style={{
+          ...circleStyle,
+          left: '30px',
+          bottom: '30px',
+          width: `${JOYSTICK_RADIUS * 2}px`,
+          height: `${JOYSTICK_RADIUS * 2}px`,
+          backgroundColor: 'rgba(255,255,255,0.15)',
+          border: '2px solid rgba(255,255,255,0.4)'
+        }}
+      >
+        <div
+          style={{
+            position: 'absolute',
+            left: `${JOYSTICK_RADIUS - KNOB_RADIUS + knob.x * JOYSTICK_RADIUS}px`,
+            top: `${JOYSTICK_RADIUS - KNOB_RADIUS + knob.y * JOYSTICK_RADIUS}px`,
+            width: `${KNOB_RADIUS * 2}px`,
+            height: `${KNOB_RADIUS * 2}px`,
+            borderRadius: '50%',
+            backgroundColor: 'rgba(255,255,255,0.5)',
+            pointerEvents: 'none'
+          }}
+        />
+      </div>
+
+      {TOUCH_BUTTONS.map(({ action, label }, index) => (
+        <div
+          key={action}
+          onPointerDown={setButton(action, true)}
+          onPointerUp={setButton(action, false)}
+          onPointerCancel={setButton(action, false)}
+          onPointerLeave={setButton(action, false)}
+          style={{
+            ...circleStyle,
+            right: `${30 + index * 75}px`,
+            bottom: index === 1 ? '75px' : '30px',
+            width: '64px',
+            height: '64px',
+            lineHeight: '64px',
+            textAlign: 'center',
+            color: 'white',
+            fontSize: '12px',
+            backgroundColor: pressedButtons[action] ? 'rgba(255,255,255,0.45)' : 'rgba(255,255,255,0.2)',
+            border: '2px solid rgba(255,255,255,0.4)'
+          }}
+        >
+          {label}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TouchControls;
@@ -0,0 +1,15 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { gameStore } from '../game/gameState';
+
+/**
+ * Read a gameState slice in a component. The component re-renders only when
+ * that slice changes.
+ * @param {string} slice Slice name: 'tasks', 'tokens', 'mode', 'player', 'settings' or 'performance'
+ * @returns {*} Current snapshot of the slice (see game/gameStore.js for the shapes)
+ */
+const useGameSlice = (slice) => {
+  const subscribe = useCallback((onChange) => gameStore.subscribe(slice, onChange), [slice]);
+  return useSyncExternalStore(subscribe, () => gameStore.getSnapshot(slice));
+};
+
+export default useGameSlice;
@@ -0,0 +1,83 @@
+// src/game/aim2D.js
+
+/**
+ * Mouse aiming for the 2D modes.
+ *
+ * The input manager keeps gameState.mousePosition in canvas pixels and sets
+ * gameState.isMouseAiming while the mouse is over the 2D canvas. Clicking
+ * the canvas shoots from the player toward the cursor; the shoot key still
+ * fires straight ahead in the facing direction. Aim angles are rounded to
+ * milliradians so a replay can store one and fire exactly the same shot.
+ */
+
+// Length of the rendered aim line in canvas pixels
+const AIM_LINE_LENGTH = 120;
+
+// Where shots are aimed from, relative to the top-left of the 40x50 player
+const AIM_ORIGIN = { x: 20, y: 25 };
+
+/**
+ * Convert a point on the page to canvas pixels
+ * @param {HTMLCanvasElement} canvas The 2D canvas
+ * @param {number} clientX Page x, e.g. from a pointer event
+ * @param {number} clientY Page y
+ * @returns {{x: number, y: number}} Point in canvas pixels
+ */
+export function toCanvasPoint(canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (clientX - rect.left) * (canvas.width / rect.width),
+    y: (clientY - rect.top) * (canvas.height / rect.height)
+  };
+}
+
+/**
+ * @param {{x: number, y: number}} position Top-left of the player
+ * @param {{x: number, y: number}} target Point to aim at, in canvas pixels
+ * @returns {number} Angle from the player to the target in radians, rounded to milliradians
+ */
+export function getAimAngle(position, target) {
+  const angle = Math.atan2(target.y - (position.y + AIM_ORIGIN.y), target.x - (position.x + AIM_ORIGIN.x));
+  return Math.round(angle * 1000) / 1000;
+}
+
+/**
+ * @param {number} angle Aim angle in radians
+ * @returns {number} Facing direction that points along the aim, 1 or -1
+ */
+export const getAimDirection = (angle) => (Math.cos(angle) < 0 ? -1 : 1);
+
+/**
+ * @param {number} angle Aim angle in radians
+ * @param {number} speed Bullet speed in pixels per second
+ * @returns {{vx: number, vy: number}} Bullet velocity along the aim
+ */
+export const getAimVelocity = (angle, speed) => ({ vx: speed * Math.cos(angle), vy: speed * Math.sin(angle) });
+
+/**
+ * Draw a dashed line from the player toward the cursor
+ * @param {CanvasRenderingContext2D} ctx 2D context
+ * @param {{x: number, y: number}} position Top-left of the player
+ * @param {{x: number, y: number}} target Cursor in canvas pixels
+ */
+export function drawAimLine(ctx, position, target) {
+  const origin = { x: position.x + AIM_ORIGIN.x, y: position.y + AIM_ORIGIN.y };
+  const angle = getAimAngle(position, target);
+  const length = Math.min(AIM_LINE_LENGTH, Math.hypot(target.x - origin.x, target.y - origin.y));
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 6]);
+  ctx.beginPath();
+  ctx.moveTo(origin.x, origin.y);
+  ctx.lineTo(origin.x + Math.cos(angle) * length, origin.y + Math.sin(angle) * length);
+  ctx.stroke();
+
+  // Crosshair ring on the cursor
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.arc(target.x, target.y, 6, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
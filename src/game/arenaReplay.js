@@ -0,0 +1,468 @@
+// src/game/arenaReplay.js
+import gameState from './gameState';
+import { downloadTextFile } from '../utils/fileUtils';
+import logger from '../utils/logger';
+import { FIXED_STEP_MS } from './fixedTimestep';
+import { canTransition } from './modeTransitionManager';
+import { DEFAULT_WEAPON } from './arenaWeapons';
+import { getArenaWeapon, setArenaWeaponOverride } from '../services/tokenShop';
+import {
+  ARENA_ACTIONS,
+  DEFAULT_BINDINGS,
+  getArenaBindings,
+  setBindingsOverride,
+  onGamepadAction,
+  simulateGamepadAction
+} from './inputBindings';
+import { getGamepadActions, resetGamepadState } from './gamepadInput';
+
+/**
+ * Input recording and deterministic replay for the 2D arenas.
+ *
+ * While a 2D_TRAINING or 2D_TASK_ARENA run is live, every event for a key
+ * bound to an arena action is stored with the number of the fixed simulation
+ * step it landed on, along with the step length and how many steps the run
+ * took. A replay re-enters
+ * the arena with the same seed, quality, canvas size and difficulty, then
+ * PixiScene runs the recorded steps through the usual update/render functions
+ * while the recorded keys are dispatched as synthetic events before the step
+ * they landed on. The weapon the run used is stored too, since it decides
+ * which bullets each shot fires, and so are the arena key bindings, which
+ * playback uses in place of the player's current ones. Gamepad presses of
+ * arena actions are stored as "pad:<action>" inputs and played back as
+ * gamepad actions, and mouse shots as "aim:<angle>" inputs that the arena
+ * fires again at the same angle.
+ * Real key presses are blocked during playback; Escape stops it.
+ */
+
+// Module name for logging
+const MODULE = 'ArenaReplay';
+
+export const REPLAY_FORMAT = 'taskGame-replay';
+// Version 2: fixed simulation steps in per-second physics. Version 1 files
+// stored per-frame deltas for the old per-frame physics and cannot be re-simulated.
+export const REPLAY_VERSION = 2;
+
+export const REPLAY_MODES = ['2D_TRAINING', '2D_TASK_ARENA'];
+
+// Single characters the default arena keys are stored as; other keys are
+// stored URI-encoded in brackets, e.g. "[j]"
+const KEY_CODES = {
+  a: 'a',
+  d: 'd',
+  w: 'w',
+  s: 's',
+  l: 'l',
+  e: 'e',
+  ' ': '_',
+  arrowleft: '<',
+  arrowright: '>',
+  arrowup: '^',
+  arrowdown: 'v'
+};
+const CODE_KEYS = Object.fromEntries(Object.entries(KEY_CODES).map(([key, code]) => [code, key]));
+
+// Prefix of recorded gamepad inputs, followed by the action
+const GAMEPAD_INPUT_PREFIX = 'pad:';
+
+// Prefix of recorded mouse shots, followed by the aim angle in radians
+const AIM_INPUT_PREFIX = 'aim:';
+
+// Recording in progress: { info, steps, inputs, keyHandler, stopGamepadListener }
+let recording = null;
+
+// Most recent finished recording
+let lastReplay = null;
+
+// Playback in progress: { replay, arena, stepIndex, nextInput, blocker, saved, finalScore }
+let playback = null;
+
+/**
+ * Start recording an arena run. Called by the arenas right after they initialize.
+ * @param {Object} info Run settings: mode, seed, requiredScore, difficulty, subtask
+ */
+export function startArenaRecording(info) {
+  if (playback) return;
+  stopRecordingListener();
+
+  const bindings = getArenaBindings();
+  const arenaKeys = new Set(ARENA_ACTIONS.flatMap(action => bindings[action]));
+
+  const keyHandler = (e) => {
+    const key = e.key.toLowerCase();
+    if (!e.isTrusted || !arenaKeys.has(key)) return;
+    // The event lands on the next step to be simulated
+    recording.inputs.push([recording.steps, e.type === 'keydown' ? 'down' : 'up', key]);
+  };
+
+  recording = {
+    info: {
+      mode: info.mode,
+      seed: info.seed,
+      quality: gameState.graphicsQuality,
+      canvas: { width: gameState.canvas.width, height: gameState.canvas.height },
+      requiredScore: info.requiredScore || null,
+      difficulty: info.difficulty || null,
+      subtask: info.subtask || null,
+      weapon: getArenaWeapon(),
+      bindings,
+      start: {
+        facing: gameState.playerFacingDirection || 1,
+        jumping: Boolean(gameState.isJumping),
+        keys: [...arenaKeys].filter(key => gameState.keys[key]).concat(
+          getGamepadActions().filter(action => ARENA_ACTIONS.includes(action)).map(action => GAMEPAD_INPUT_PREFIX + action)
+        )
+      }
+    },
+    steps: 0,
+    inputs: [],
+    keyHandler,
+    stopGamepadListener: onGamepadAction((action, pressed) => {
+      if (!ARENA_ACTIONS.includes(action)) return;
+      recording.inputs.push([recording.steps, pressed ? 'down' : 'up', GAMEPAD_INPUT_PREFIX + action]);
+    })
+  };
+
+  // Capture phase, so keys are recorded before any handler reacts to them
+  window.addEventListener('keydown', keyHandler, true);
+  window.addEventListener('keyup', keyHandler, true);
+  logger.info(MODULE, `Recording ${info.mode} run with seed ${info.seed}`);
+}
+
+/**
+ * Record a mouse shot in the arena run being recorded, if any.
+ * Called by the input manager as it fires the shot.
+ * @param {number} aimAngle Aim angle in radians, as passed to the arena
+ */
+export function recordAimedShot(aimAngle) {
+  if (!recording) return;
+  recording.inputs.push([recording.steps, 'down', AIM_INPUT_PREFIX + aimAngle]);
+}
+
+/**
+ * Stop recording and keep the run as the last replay.
+ * Called by the arenas when a run ends or is left early; extra calls are ignored.
+ * @param {number} score Final score of the run
+ */
+export function finishArenaRecording(score) {
+  if (playback) {
+    playback.finalScore = score;
+    return;
+  }
+  if (!recording) return;
+
+  lastReplay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: Date.now(),
+    ...recording.info,
+    score,
+    step: FIXED_STEP_MS,
+    steps: recording.steps,
+    inputs: recording.inputs
+  };
+  stopRecordingListener();
+  recording = null;
+  logger.info(MODULE, `Recorded ${lastReplay.steps} steps and ${lastReplay.inputs.length} inputs (score ${score})`);
+}
+
+/**
+ * Remove the recording key and gamepad listeners
+ * @private
+ */
+function stopRecordingListener() {
+  if (recording && recording.keyHandler) {
+    window.removeEventListener('keydown', recording.keyHandler, true);
+    window.removeEventListener('keyup', recording.keyHandler, true);
+  }
+  if (recording && recording.stopGamepadListener) {
+    recording.stopGamepadListener();
+  }
+}
+
+/**
+ * Press or release a recorded input: a key as a synthetic event, a gamepad
+ * input as a gamepad action, and a mouse shot through the arena
+ * @private
+ */
+function playInput(type, key) {
+  if (key.startsWith(AIM_INPUT_PREFIX)) {
+    playback.arena.tryShoot(Number(key.slice(AIM_INPUT_PREFIX.length)));
+  } else if (key.startsWith(GAMEPAD_INPUT_PREFIX)) {
+    simulateGamepadAction(key.slice(GAMEPAD_INPUT_PREFIX.length), type === 'down');
+  } else {
+    window.dispatchEvent(new KeyboardEvent(type === 'down' ? 'keydown' : 'keyup', { key }));
+  }
+}
+
+/**
+ * Called by PixiScene before each fixed simulation step in the arena modes.
+ * While recording, the step is counted; during playback, the recorded inputs
+ * for the step are dispatched and the recorded step length is returned.
+ * @param {number} step Step length in milliseconds
+ * @returns {number} Step length to simulate with
+ */
+export function beginArenaStep(step) {
+  if (playback) {
+    const { replay } = playback;
+    if (playback.stepIndex >= replay.steps) {
+      stopReplay();
+      return step;
+    }
+
+    while (playback.nextInput < replay.inputs.length && replay.inputs[playback.nextInput][0] === playback.stepIndex) {
+      const [, type, key] = replay.inputs[playback.nextInput];
+      playInput(type, key);
+      playback.nextInput++;
+    }
+    playback.stepIndex++;
+    return replay.step;
+  }
+
+  if (recording) {
+    recording.steps++;
+  }
+  return step;
+}
+
+/**
+ * @returns {boolean} True while a replay is being played back
+ */
+export function isReplayPlaying() {
+  return playback !== null;
+}
+
+/**
+ * @returns {Object|null} The most recently recorded run
+ */
+export function getLastReplay() {
+  return lastReplay;
+}
+
+/**
+ * Encode a replay as compact JSON.
+ * Inputs are stored as "<steps since previous input><+ down|- up><key code>",
+ * where the key code is one character from KEY_CODES or "[<encoded key>]".
+ * @param {Object} replay Replay to encode
+ * @returns {string} Replay file contents
+ */
+export function serializeReplay(replay) {
+  let previousStep = 0;
+  const inputs = replay.inputs.map(([stepIndex, type, key]) => {
+    const gap = stepIndex - previousStep;
+    previousStep = stepIndex;
+    const code = KEY_CODES[key] || `[${encodeURIComponent(key)}]`;
+    return `${gap.toString(36)}${type === 'down' ? '+' : '-'}${code}`;
+  });
+
+  return JSON.stringify({ ...replay, inputs: inputs.join(',') });
+}
+
+/**
+ * Decode a replay file
+ * @param {string} text Replay file contents
+ * @returns {Object} Replay with its inputs expanded
+ * @throws {Error} If the file is not a replay this version can play
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!data || data.format !== REPLAY_FORMAT) {
+    throw new Error('File is not an arena replay');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.version}`);
+  }
+  if (!REPLAY_MODES.includes(data.mode) || !data.seed || !(data.step > 0) || !Number.isInteger(data.steps)) {
+    throw new Error('Replay is missing its mode, seed or steps');
+  }
+
+  let stepIndex = 0;
+  const inputs = (data.inputs || '').split(',').filter(Boolean).map(token => {
+    const match = token.match(/^([0-9a-z]+)([+-])(\[[^\]]+\]|.)$/);
+    const key = match && (match[3].length > 1 ? decodeReplayKey(match[3]) : CODE_KEYS[match[3]]);
+    if (!key) {
+      throw new Error(`Invalid replay input: ${token}`);
+    }
+    stepIndex += parseInt(match[1], 36);
+    return [stepIndex, match[2] === '+' ? 'down' : 'up', key];
+  });
+
+  if (data.bindings !== undefined && !isValidBindings(data.bindings)) {
+    throw new Error('Replay has invalid key bindings');
+  }
+
+  return { ...data, inputs };
+}
+
+/**
+ * Decode a bracketed key from a replay input
+ * @private
+ */
+function decodeReplayKey(code) {
+  try {
+    return decodeURIComponent(code.slice(1, -1));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function isValidBindings(bindings) {
+  return Boolean(bindings) && typeof bindings === 'object' &&
+    Object.values(bindings).every(keys => Array.isArray(keys) && keys.every(key => typeof key === 'string'));
+}
+
+/**
+ * Download a replay as a .json file
+ * @param {Object} replay Replay to save
+ * @returns {boolean} True if the download started
+ */
+export function exportReplay(replay) {
+  try {
+    downloadTextFile(`arena-replay-${replay.mode}-${replay.seed}.json`, serializeReplay(replay), 'application/json');
+    return true;
+  } catch (e) {
+    logger.error(MODULE, `Failed to export replay: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Play a replay: re-enter its arena with the recorded settings and let
+ * PixiScene feed it the recorded steps. Must be called from a 2D-based mode
+ * the replay's arena can be entered from.
+ * @param {Object} replay Replay to play
+ * @returns {Promise<boolean>} True if playback started
+ */
+export async function playReplay(replay) {
+  if (playback) stopReplay();
+  if (!gameState.canvas || !gameState.ctx || gameState.mode === '3D' || !canTransition(replay.mode)) {
+    logger.warn(MODULE, `Replays can only be played from a 2D mode outside a running arena (now in ${gameState.mode})`);
+    return false;
+  }
+
+  // Finish any live recording first so it is not overwritten mid-run
+  finishArenaRecording(0);
+
+  const canvas = gameState.canvas;
+  const saved = {
+    arenaSeed: gameState.arenaSeed,
+    graphicsQuality: gameState.graphicsQuality,
+    canvas: { width: canvas.width, height: canvas.height }
+  };
+
+  // Recreate the conditions the run started under
+  gameState.arenaSeed = replay.seed;
+  gameState.graphicsQuality = replay.quality || saved.graphicsQuality;
+  setArenaWeaponOverride(replay.weapon || DEFAULT_WEAPON);
+  // Replays from before bindings were stored used the default keys
+  setBindingsOverride(replay.bindings || getArenaBindings(DEFAULT_BINDINGS));
+  // Real gamepads are not polled during playback; start from an idle one
+  resetGamepadState();
+  if (replay.canvas) {
+    canvas.width = replay.canvas.width;
+    canvas.height = replay.canvas.height;
+  }
+  // Block real key presses; Escape stops the replay
+  const blocker = (e) => {
+    if (!e.isTrusted) return;
+    e.stopImmediatePropagation();
+    if (e.type === 'keydown' && e.key === 'Escape') {
+      stopReplay();
+    }
+  };
+  window.addEventListener('keydown', blocker, true);
+  window.addEventListener('keyup', blocker, true);
+
+  playback = { replay, arena: null, stepIndex: 0, nextInput: 0, blocker, saved, finalScore: null };
+
+  try {
+    // The arenas switch the mode themselves and return null if they cannot be entered from here
+    let arena;
+    if (replay.mode === '2D_TRAINING') {
+      const { enterTrainingArena2D } = await import('./trainingArena2DSetup');
+      arena = enterTrainingArena2D(canvas, gameState.ctx, gameState);
+    } else {
+      gameState.currentTaskChallenge = {
+        task: null,
+        taskObj: null,
+        subtask: replay.subtask ? { text: replay.subtask } : null,
+        difficulty: replay.difficulty,
+        requiredScore: replay.requiredScore,
+        isReplay: true
+      };
+      const { enterTaskArena2D } = await import('./taskArena2DSetup');
+      // No completion callback: the arena returns to 2D on its own and no task is touched
+      arena = enterTaskArena2D(canvas, gameState.ctx, gameState, replay.requiredScore, null);
+    }
+    if (!arena) {
+      throw new Error(`cannot enter ${replay.mode} from ${gameState.mode}`);
+    }
+    playback.arena = arena;
+
+    // Entering resets the keys, so the player's starting state goes on afterwards
+    for (const key in gameState.keys) {
+      gameState.keys[key] = false;
+    }
+    const start = replay.start || {};
+    (start.keys || []).forEach(key => {
+      if (key.startsWith(GAMEPAD_INPUT_PREFIX)) {
+        simulateGamepadAction(key.slice(GAMEPAD_INPUT_PREFIX.length), true, false);
+      } else {
+        gameState.keys[key] = true;
+      }
+    });
+    gameState.playerFacingDirection = start.facing || 1;
+    gameState.isJumping = Boolean(start.jumping);
+  } catch (error) {
+    logger.error(MODULE, `Failed to start replay: ${error.message}`);
+    stopReplay();
+    return false;
+  }
+
+  logger.info(MODULE, `Playing ${replay.mode} replay with seed ${replay.seed} (${replay.steps} steps)`);
+  return true;
+}
+
+/**
+ * Stop playback and restore the settings the replay overrode.
+ * If the arena is still running, it is left live for the player.
+ */
+export function stopReplay() {
+  if (!playback) return;
+  const { replay, blocker, saved, finalScore, stepIndex } = playback;
+  playback = null;
+
+  window.removeEventListener('keydown', blocker, true);
+  window.removeEventListener('keyup', blocker, true);
+
+  gameState.arenaSeed = saved.arenaSeed;
+  gameState.graphicsQuality = saved.graphicsQuality;
+  setArenaWeaponOverride(null);
+  setBindingsOverride(null);
+  resetGamepadState();
+  gameState.canvas.width = saved.canvas.width;
+  gameState.canvas.height = saved.canvas.height;
+  if (gameState.currentTaskChallenge && gameState.currentTaskChallenge.isReplay) {
+    gameState.currentTaskChallenge = null;
+  }
+  for (const key in gameState.keys) {
+    gameState.keys[key] = false;
+  }
+
+  if (finalScore === null) {
+    logger.warn(MODULE, `Replay stopped at step ${stepIndex}/${replay.steps} before the run ended`);
+  } else if (finalScore === replay.score) {
+    logger.info(MODULE, `Replay finished with the recorded score ${finalScore}`);
+  } else {
+    logger.warn(MODULE, `Replay diverged: scored ${finalScore}, recorded ${replay.score}`);
+  }
+}
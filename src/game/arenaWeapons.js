@@ -0,0 +1,42 @@
+// src/game/arenaWeapons.js
+import { getAimVelocity } from './aim2D';
+
+/**
+ * Weapon variants for the 2D arenas.
+ *
+ * The blaster is the standard weapon; the others are bought in the token
+ * shop. A weapon fires one bullet per angle in its pattern (radians away
+ * from the facing direction, or from the aim of a mouse shot). Bullets only
+ * depend on the weapon, the muzzle position and the facing direction or aim
+ * angle, so replays fire the same shots as long as they use the weapon the
+ * run was recorded with.
+ */
+
+export const DEFAULT_WEAPON = 'blaster';
+
+export const ARENA_WEAPONS = {
+  blaster: { name: 'Blaster', angles: [0], speed: 600, size: 5, color: '#FFFF00' },
+  spread: { name: 'Spread shot', angles: [-0.2, 0, 0.2], speed: 600, size: 4, color: '#00E5FF' },
+  heavy: { name: 'Heavy rounds', angles: [0], speed: 450, size: 10, color: '#FF7043' }
+};
+
+/**
+ * Create the bullets for one shot
+ * @param {string} weaponId Key of ARENA_WEAPONS; unknown ids fire the blaster
+ * @param {{x: number, y: number}} muzzle Where the bullets start
+ * @param {number} direction Facing direction, 1 or -1
+ * @param {number} [aimAngle] Angle to fire at in radians; straight ahead if omitted
+ * @returns {Array<Object>} New bullets (x, y, vx, vy in pixels per second, size, color)
+ */
+export function fireWeapon(weaponId, muzzle, direction, aimAngle) {
+  const weapon = ARENA_WEAPONS[weaponId] || ARENA_WEAPONS[DEFAULT_WEAPON];
+  return weapon.angles.map(angle => ({
+    x: muzzle.x,
+    y: muzzle.y,
+    ...(aimAngle === undefined
+      ? { vx: direction * weapon.speed * Math.cos(angle), vy: weapon.speed * Math.sin(angle) }
+      : getAimVelocity(aimAngle + angle, weapon.speed)),
+    size: weapon.size,
+    color: weapon.color
+  }));
+}
@@ -0,0 +1,341 @@
+// src/game/audioManager.js
+import gameState, { gameStore } from './gameState';
+import logger from '../utils/logger';
+
+/**
+ * Procedural game audio on WebAudio.
+ *
+ * Every sound is synthesized from oscillators and noise when it plays, so
+ * there are no audio files to download. Sounds go through two buses into a
+ * master gain: SFX for one-shot sounds (shots, hits, chimes) and music for
+ * looping ambience such as the portal hum. The bus volumes and mute come
+ * from gameState.audioSettings and follow it as it changes.
+ *
+ * Sounds and loops given a 3D position are played through a panner, heard
+ * from the listener pose the 3D scene sets every frame; the rest play as is.
+ *
+ * Browsers only start audio after a user gesture, so the AudioContext is
+ * created on the first key or pointer press. Sounds played before that are
+ * dropped; loops started before that begin once the context exists.
+ */
+
+// Module name for logging
+const MODULE = 'Audio';
+
+export const SOUNDS = {
+  SHOT: 'shot',
+  HIT: 'hit',
+  TOKEN: 'token',
+  FAILURE: 'failure'
+};
+
+export const LOOPS = {
+  PORTAL_HUM: 'portalHum'
+};
+
+// How positional sounds fade with distance (3D scene units): full volume
+// up to REF_DISTANCE, silent from MAX_DISTANCE
+const REF_DISTANCE = 1;
+const MAX_DISTANCE = 12;
+
+// Lowest gain ramps fade to; exponential ramps cannot reach 0
+const SILENT = 0.0001;
+
+// A sound played again sooner than this (seconds) is dropped, so a burst of
+// hits in one step does not stack into one loud blast
+const MIN_REPEAT = 0.03;
+
+// Audio graph once created: { context, master, sfx, music, noise }
+let audio = null;
+
+// Loops that are playing, or waiting for the context: { name, position, level, gain, stop }
+const loops = new Set();
+
+// Context time each sound last played at
+const lastPlayed = {};
+
+/**
+ * Create the AudioContext and buses on first use
+ * @returns {Object|null} The audio graph, or null if WebAudio is unavailable
+ * @private
+ */
+function ensureAudio() {
+  if (audio) return audio;
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) {
+    logger.warn(MODULE, 'WebAudio is not available; the game stays silent');
+    return null;
+  }
+
+  const context = new AudioContext();
+  const master = context.createGain();
+  const sfx = context.createGain();
+  const music = context.createGain();
+  sfx.connect(master);
+  music.connect(master);
+  master.connect(context.destination);
+
+  // One second of white noise, shared by the noisy sounds
+  const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+  const samples = noise.getChannelData(0);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.random() * 2 - 1;
+  }
+
+  audio = { context, master, sfx, music, noise };
+  applySettings(gameState.audioSettings);
+  loops.forEach(startLoopNodes);
+  logger.info(MODULE, `Audio started at ${context.sampleRate} Hz`);
+  return audio;
+}
+
+/**
+ * Set the bus volumes from the audio settings
+ * @private
+ */
+function applySettings(settings) {
+  if (!audio || !settings) return;
+  const now = audio.context.currentTime;
+  audio.master.gain.setTargetAtTime(settings.muted ? 0 : settings.masterVolume, now, 0.02);
+  audio.sfx.gain.setTargetAtTime(settings.sfxVolume, now, 0.02);
+  audio.music.gain.setTargetAtTime(settings.musicVolume, now, 0.02);
+}
+
+/**
+ * Start audio on the first user gesture and follow the audio settings.
+ * Called once when the app starts.
+ */
+export function setupAudio() {
+  const unlock = () => {
+    const graph = ensureAudio();
+    if (graph && graph.context.state === 'suspended') {
+      graph.context.resume();
+    }
+  };
+  window.addEventListener('pointerdown', unlock);
+  window.addEventListener('keydown', unlock);
+
+  gameStore.subscribe('settings', ({ audioSettings }, previous) => {
+    if (!previous || audioSettings !== previous.audioSettings) {
+      applySettings(audioSettings);
+    }
+  });
+}
+
+/**
+ * Set a panner's or the listener's position, with the older setPosition API as fallback
+ * @private
+ */
+function setPosition(node, { x, y, z }) {
+  if (node.positionX) {
+    node.positionX.value = x;
+    node.positionY.value = y;
+    node.positionZ.value = z;
+  } else {
+    node.setPosition(x, y, z);
+  }
+}
+
+/**
+ * Where positional sounds are heard from; the 3D scene calls this every
+ * frame with the camera
+ * @param {{x: number, y: number, z: number}} position Listener position
+ * @param {{x: number, y: number, z: number}} forward Direction the listener faces
+ * @param {{x: number, y: number, z: number}} up Listener's up direction
+ */
+export function setListenerPose(position, forward, up) {
+  if (!audio) return;
+  const { listener } = audio.context;
+  setPosition(listener, position);
+  if (listener.forwardX) {
+    listener.forwardX.value = forward.x;
+    listener.forwardY.value = forward.y;
+    listener.forwardZ.value = forward.z;
+    listener.upX.value = up.x;
+    listener.upY.value = up.y;
+    listener.upZ.value = up.z;
+  } else {
+    listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+  }
+}
+
+/**
+ * Node a sound connects to: a panner at the position, or the bus itself
+ * @private
+ */
+function createOutput(bus, position) {
+  if (!position) return bus;
+  const panner = audio.context.createPanner();
+  panner.panningModel = 'HRTF';
+  panner.distanceModel = 'linear';
+  panner.refDistance = REF_DISTANCE;
+  panner.maxDistance = MAX_DISTANCE;
+  setPosition(panner, position);
+  panner.connect(bus);
+  return panner;
+}
+
+/**
+ * Play an oscillator gliding from one pitch to another and fading out
+ * @private
+ */
+function playTone(output, start, { type = 'sine', from, to = from, duration, volume }) {
+  const { context } = audio;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(from, start);
+  oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(SILENT, start + duration);
+  oscillator.connect(gain);
+  gain.connect(output);
+  oscillator.start(start);
+  oscillator.stop(start + duration + 0.05);
+}
+
+/**
+ * Play a burst of low-passed noise that fades out
+ * @private
+ */
+function playNoise(output, start, { duration, volume, cutoff }) {
+  const { context, noise } = audio;
+  const source = context.createBufferSource();
+  const filter = context.createBiquadFilter();
+  const gain = context.createGain();
+  source.buffer = noise;
+  filter.type = 'lowpass';
+  filter.frequency.value = cutoff;
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(SILENT, start + duration);
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(output);
+  source.start(start);
+  source.stop(start + duration + 0.05);
+}
+
+// Synthesizers for the one-shot sounds: (output, start time) => void
+const SOUND_SYNTHS = {
+  // A noise crack over a falling square blip
+  [SOUNDS.SHOT]: (output, start) => {
+    playNoise(output, start, { duration: 0.08, volume: 0.4, cutoff: 3000 });
+    playTone(output, start, { type: 'square', from: 880, to: 110, duration: 0.1, volume: 0.15 });
+  },
+  // A low thud
+  [SOUNDS.HIT]: (output, start) => {
+    playTone(output, start, { type: 'triangle', from: 320, to: 60, duration: 0.18, volume: 0.5 });
+    playNoise(output, start, { duration: 0.06, volume: 0.3, cutoff: 900 });
+  },
+  // Two bell notes going up (E6, B6)
+  [SOUNDS.TOKEN]: (output, start) => {
+    playTone(output, start, { from: 1319, duration: 0.35, volume: 0.25 });
+    playTone(output, start + 0.09, { from: 1976, duration: 0.5, volume: 0.25 });
+  },
+  // Three falling notes (G4, E4, C4), the last one sagging
+  [SOUNDS.FAILURE]: (output, start) => {
+    playTone(output, start, { type: 'sawtooth', from: 392, duration: 0.18, volume: 0.12 });
+    playTone(output, start + 0.2, { type: 'sawtooth', from: 330, duration: 0.18, volume: 0.12 });
+    playTone(output, start + 0.4, { type: 'sawtooth', from: 262, to: 196, duration: 0.6, volume: 0.12 });
+  }
+};
+
+/**
+ * Play a one-shot sound effect
+ * @param {string} name One of SOUNDS
+ * @param {Object} [options]
+ * @param {{x: number, y: number, z: number}} [options.position] Where the sound is in the 3D scene
+ */
+export function playSound(name, { position } = {}) {
+  const synth = SOUND_SYNTHS[name];
+  if (!synth) {
+    logger.warn(MODULE, `Unknown sound: ${name}`);
+    return;
+  }
+  if (!audio || audio.context.state !== 'running') return;
+  const now = audio.context.currentTime;
+  if (now - (lastPlayed[name] ?? -Infinity) < MIN_REPEAT) return;
+  lastPlayed[name] = now;
+  try {
+    synth(createOutput(audio.sfx, position), now);
+  } catch (error) {
+    logger.error(MODULE, `Failed to play ${name}: ${error.message}`);
+  }
+}
+
+// Synthesizers for the loops: (output) => stop function
+const LOOP_SYNTHS = {
+  // Detuned low saws through a resonant low-pass whose cutoff drifts slowly
+  [LOOPS.PORTAL_HUM]: (output) => {
+    const { context } = audio;
+    const filter = context.createBiquadFilter();
+    const gain = context.createGain();
+    filter.type = 'lowpass';
+    filter.frequency.value = 320;
+    filter.Q.value = 6;
+    gain.gain.value = 0.2;
+    filter.connect(gain);
+    gain.connect(output);
+
+    const oscillators = [['sawtooth', 55], ['sawtooth', 55.7], ['sine', 110]].map(([type, frequency]) => {
+      const oscillator = context.createOscillator();
+      oscillator.type = type;
+      oscillator.frequency.value = frequency;
+      oscillator.connect(filter);
+      return oscillator;
+    });
+
+    const lfo = context.createOscillator();
+    const lfoDepth = context.createGain();
+    lfo.frequency.value = 0.3;
+    lfoDepth.gain.value = 120;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(filter.frequency);
+
+    [...oscillators, lfo].forEach(oscillator => oscillator.start());
+    return () => {
+      [...oscillators, lfo].forEach(oscillator => oscillator.stop());
+      gain.disconnect();
+    };
+  }
+};
+
+/**
+ * Build a loop's nodes once the context exists
+ * @private
+ */
+function startLoopNodes(loop) {
+  loop.gain = audio.context.createGain();
+  loop.gain.gain.value = loop.level;
+  loop.gain.connect(createOutput(audio.music, loop.position));
+  loop.stop = LOOP_SYNTHS[loop.name](loop.gain);
+}
+
+/**
+ * Start a looping sound on the music bus
+ * @param {string} name One of LOOPS
+ * @param {Object} [options]
+ * @param {{x: number, y: number, z: number}} [options.position] Where the loop is in the 3D scene
+ * @returns {{setLevel: Function, stop: Function}} Controls: setLevel(0-1) fades the
+ *   loop, stop() ends it
+ */
+export function startLoop(name, { position } = {}) {
+  if (!LOOP_SYNTHS[name]) {
+    throw new Error(`Unknown loop: ${name}`);
+  }
+  const loop = { name, position: position && { x: position.x, y: position.y, z: position.z }, level: 1, gain: null, stop: null };
+  loops.add(loop);
+  if (audio) startLoopNodes(loop);
+
+  return {
+    setLevel: (level) => {
+      if (level === loop.level) return;
+      loop.level = level;
+      if (loop.gain) loop.gain.gain.setTargetAtTime(level, audio.context.currentTime, 0.1);
+    },
+    stop: () => {
+      if (!loops.delete(loop)) return;
+      if (loop.stop) loop.stop();
+    }
+  };
+}
@@ -0,0 +1,127 @@
+// src/game/fixedTimestep.js
+
+/**
+ * Fixed-timestep simulation for the 2D modes.
+ *
+ * PixiScene collects the real time between animation frames in an
+ * accumulator and runs the mode's update in whole FIXED_STEP_MS steps, so
+ * the simulation advances the same way at 60 Hz, 144 Hz or anything else.
+ * Whatever time is left over (less than one step) becomes the interpolation
+ * factor: for rendering, moving bodies are placed between their positions
+ * before and after the last step, then put back before the next update.
+ *
+ * All 2D physics is in per-second units: speeds in pixels per second,
+ * accelerations in pixels per second². Updates receive deltaTime in
+ * milliseconds, which is always FIXED_STEP_MS.
+ */
+
+// Length of one simulation step in milliseconds (60 steps per second)
+export const FIXED_STEP_MS = 1000 / 60;
+
+// Longest frame the loop catches up on; after a stall (background tab,
+// debugger pause) the rest is dropped instead of running hundreds of steps
+export const MAX_FRAME_MS = 250;
+
+// A body that moved further than this in one step was placed, not moved
+// (respawned, reset), and is drawn where it is instead of interpolated
+const TELEPORT_DISTANCE = 100;
+
+/**
+ * Create the step accumulator for an animation loop
+ * @param {number} [step] Step length in milliseconds
+ * @returns {Object} Loop with advance(frameTime, simulate), alpha() and reset()
+ */
+export function createFixedStepLoop(step = FIXED_STEP_MS) {
+  let accumulator = 0;
+
+  return {
+    /**
+     * Add a frame's real time and run as many whole steps as it covers
+     * @param {number} frameTime Milliseconds since the previous frame
+     * @param {Function} simulate Called with the step length for each step;
+     *   returning false stops the remaining steps for this frame
+     * @returns {number} Number of steps run
+     */
+    advance(frameTime, simulate) {
+      accumulator += Math.min(Math.max(frameTime, 0), MAX_FRAME_MS);
+      let steps = 0;
+      while (accumulator >= step) {
+        accumulator -= step;
+        steps++;
+        if (simulate(step) === false) {
+          accumulator = 0;
+          break;
+        }
+      }
+      return steps;
+    },
+
+    /**
+     * @returns {number} How far between the last step and the next the frame is, 0 to 1
+     */
+    alpha() {
+      return accumulator / step;
+    },
+
+    /**
+     * Drop any leftover time, e.g. after a mode change
+     */
+    reset() {
+      accumulator = 0;
+    }
+  };
+}
+
+/**
+ * Tracks where bodies were before the latest step so a frame can be drawn
+ * between steps. Bodies are any objects with x and y (player position,
+ * bullets, targets).
+ * @returns {Object} Interpolator with capture(bodies), apply(bodies, alpha) and restore()
+ */
+export function createInterpolator() {
+  let previous = new Map();
+  let applied = [];
+
+  return {
+    /**
+     * Remember the bodies' positions; call before each step
+     * @param {Array<Object>} bodies Bodies to track
+     */
+    capture(bodies) {
+      previous = new Map();
+      bodies.forEach(body => {
+        if (body) previous.set(body, { x: body.x, y: body.y });
+      });
+    },
+
+    /**
+     * Move the bodies to their interpolated positions for drawing
+     * @param {Array<Object>} bodies Bodies to draw
+     * @param {number} alpha Interpolation factor from the step loop
+     */
+    apply(bodies, alpha) {
+      applied = [];
+      bodies.forEach(body => {
+        const from = body && previous.get(body);
+        if (!from) return;
+        const dx = body.x - from.x;
+        const dy = body.y - from.y;
+        if (Math.abs(dx) > TELEPORT_DISTANCE || Math.abs(dy) > TELEPORT_DISTANCE) return;
+        applied.push({ body, x: body.x, y: body.y });
+        body.x = from.x + dx * alpha;
+        body.y = from.y + dy * alpha;
+      });
+    },
+
+    /**
+     * Put the bodies back at their simulated positions; call after drawing
+     */
+    restore() {
+      applied.forEach(({ body, x, y }) => {
+        body.x = x;
+        body.y = y;
+      });
+      applied = [];
+    }
+  };
+}
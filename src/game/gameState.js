@@ -1,8 +1,12 @@
+import { createGameStore } from './gameStore';
+
 // A shared game state object that can be imported by any module.
-// (In a more complex app you might use Redux or React context for reactivity.)
-const gameState = {
-    mode: '3D', // '3D', '2D', 'TASK_GAME', '2D_TRAINING', or '2D_TASK_ARENA'
+// It is observed by gameStore: modules and components subscribe to slices
+// of it (tasks, tokens, mode, player, settings, performance) instead of polling.
+const rawGameState = {
+    mode: '3D', // One of GAME_MODES; change it only through modeTransitionManager
     previousMode: null, // To track previous mode when transitioning
+    lastModeChangeTime: Date.now(), // When the mode last changed; time per mode is measured from it
     tasks: [],
     lastTime: 0,
     fps: 0,
@@ -10,14 +14,15 @@ const gameState = {
     lastFpsUpdate: 0,
     keys: {},
     shooting: false,
-    mousePosition: { x: 0, y: 0 },
+    mousePosition: { x: 0, y: 0 }, // Cursor over the 2D canvas, in canvas pixels
+    isMouseAiming: false, // True while the mouse is over the 2D canvas
     playerPosition: { x: 100, y: 400 }, // 2D player position
     player3D: { x: 0, y: 1.6, z: 0 }, // 3D player position
     velocity: { x: 0, y: 0 },
     portalPosition: { x: 5, y: 1, z: -5 },
     targets: [],
     bullets: [],
-    gravity: 0.5,
+    gravity: 1800, // pixels per second²
     isJumping: false,
     platforms: [],
     enemies: [],
@@ -64,41 +69,81 @@ const gameState = {
         }
     },
     
-    // Function to set the game mode
-    setMode: function(newMode) {
-        console.log(`Setting game mode from ${this.mode} to ${newMode}`);
-        
-        // Store reference to previous mode
-        this.previousMode = this.mode;
-        
-        // Set the new mode
-        this.mode = newMode;
-        
-        // Let's add a mode change timestamp for debugging
-        this.lastModeChangeTime = Date.now();
-        this.lastModeChangeFrom = this.previousMode;
-        this.lastModeChangeTo = newMode;
-        
-        // Reset animation frame tracking to prevent stale animation frames
-        this.resetAnimationRequested = true;
-        
-        // Make sure FPS display continues across mode changes
-        if (newMode === '3D') {
-            // Update the FPS tracking for 3D mode
-            this.lastFpsUpdate3D = performance.now();
-            this.frameCount3D = 0;
-        } else {
-            // Make sure 2D FPS tracking is initialized
-            this.lastFpsUpdate = this.lastFpsUpdate || performance.now();
-            this.frameCount = this.frameCount || 0;
+    // Audio volumes (0-1) and mute, see audioManager.js
+    audioSettings: { masterVolume: 0.8, sfxVolume: 0.8, musicVolume: 0.5, muted: false },
+    
+    // Function to change some of the audio settings, e.g. { muted: true }
+    setAudioSettings: function(changes) {
+        this.audioSettings = { ...this.audioSettings, ...changes };
+        try {
+            localStorage.setItem('audioSettings', JSON.stringify(this.audioSettings));
+        } catch (e) {
+            console.warn('Could not save audio settings to localStorage:', e);
+        }
+    },
+    
+    // Function to load the saved audio settings
+    loadAudioSettings: function() {
+        try {
+            const savedSettings = JSON.parse(localStorage.getItem('audioSettings'));
+            if (savedSettings && typeof savedSettings === 'object') {
+                this.audioSettings = { ...this.audioSettings, ...savedSettings };
+            }
+        } catch (e) {
+            console.warn('Could not load audio settings from localStorage:', e);
+        }
+    },
+    
+    // Arena seed choice: 'random', 'daily' or a custom seed (see services/seededRandom.js)
+    arenaSeed: 'random',
+    
+    // Seed used by the most recent arena run
+    lastArenaSeed: null,
+    
+    // Function to change the arena seed choice
+    setArenaSeed: function(choice) {
+        const trimmed = String(choice || '').trim();
+        if (!trimmed) {
+            return false;
+        }
+        this.arenaSeed = trimmed;
+        try {
+            localStorage.setItem('arenaSeed', trimmed);
+        } catch (e) {
+            console.warn('Could not save arena seed to localStorage:', e);
+        }
+        return true;
+    },
+    
+    // Function to load the saved arena seed choice
+    loadArenaSeed: function() {
+        try {
+            const savedSeed = localStorage.getItem('arenaSeed');
+            if (savedSeed) {
+                this.arenaSeed = savedSeed;
+            }
+        } catch (e) {
+            console.warn('Could not load arena seed from localStorage:', e);
         }
-        
-        console.log(`Mode set to ${this.mode}, animation reset requested`);
     }
 };
 
-// Load saved graphics quality on initialization
+// Store that notifies slice subscribers when gameState changes
+export const gameStore = createGameStore(rawGameState);
+
+const gameState = gameStore.state;
+
+/**
+ * Tell subscribers that slices changed in place (tasks.push, task.completed = true),
+ * which assigning gameState properties does not reveal
+ * @param {...string} slices Slice names, e.g. 'tasks'
+ */
+export const notifyGameState = (...slices) => gameStore.notify(...slices);
+
+// Load saved graphics quality, arena seed and audio settings on initialization
 gameState.loadGraphicsQuality();
+gameState.loadArenaSeed();
+gameState.loadAudioSettings();
 
 export default gameState;
   
\ No newline at end of file
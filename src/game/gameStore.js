@@ -0,0 +1,207 @@
+// src/game/gameStore.js
+
+/**
+ * Observable store over gameState.
+ *
+ * gameState stays the one shared object the game loops read and write every
+ * frame. The store groups the parts the UI and other modules care about into
+ * slices, and lets them subscribe to one slice instead of polling the whole
+ * object:
+ *
+ *   tasks        the task list
+ *   tokens       the task token count
+ *   mode         current and previous game mode
+ *   player       the 2D player's position, facing, jumping, score and health
+ *   settings     graphics quality, arena seeds and audio settings
+ *   performance  the FPS counter
+ *
+ * Assigning one of a slice's keys on gameState (gameState.taskTokens++,
+ * gameState.tasks = [...], gameState.fps = 60) marks the slice as changed.
+ * Changes made inside a value (tasks.push, task.completed = true,
+ * playerPosition.x += 5) cannot be seen, so the code making them calls
+ * notify() for the slice. Notifications are batched until the end of the
+ * current task; listeners are then called once per slice whose snapshot
+ * actually differs from the last one.
+ */
+
+/**
+ * @typedef {Array<Object>} TasksSlice Copy of gameState.tasks (the task objects are shared)
+ * @typedef {number} TokensSlice Task token count
+ * @typedef {{mode: string, previousMode: (string|null)}} ModeSlice
+ * @typedef {{x: number, y: number, facing: number, isJumping: boolean, score: number, health: number}} PlayerSlice
+ *   Position is the task game position in TASK_GAME and the 2D player position otherwise
+ * @typedef {{graphicsQuality: string, arenaSeed: string, lastArenaSeed: (string|null), audioSettings: Object}} SettingsSlice
+ * @typedef {{fps: number}} PerformanceSlice
+ */
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} True if both hold the same values, compared one level deep
+ */
+const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+};
+
+/**
+ * Slice definitions. keys: gameState properties whose assignment changes the
+ * slice; select: builds the slice's snapshot; equals: decides whether a new
+ * snapshot is a change (shallow comparison by default).
+ */
+export const GAME_SLICES = {
+  tasks: {
+    keys: ['tasks'],
+    select: (state) => [...(state.tasks || [])],
+    // Tasks are edited in place, so every notification counts as a change
+    equals: () => false
+  },
+  tokens: {
+    keys: ['taskTokens'],
+    select: (state) => state.taskTokens || 0
+  },
+  mode: {
+    keys: ['mode', 'previousMode'],
+    select: (state) => ({ mode: state.mode, previousMode: state.previousMode })
+  },
+  player: {
+    keys: ['playerPosition', 'taskGamePosition', 'playerFacingDirection', 'isJumping', 'score', 'health'],
+    select: (state) => {
+      const position = (state.mode === 'TASK_GAME' ? state.taskGamePosition : state.playerPosition) || { x: 0, y: 0 };
+      return {
+        x: position.x,
+        y: position.y,
+        facing: state.playerFacingDirection,
+        isJumping: Boolean(state.isJumping),
+        score: state.score,
+        health: state.health
+      };
+    }
+  },
+  settings: {
+    keys: ['graphicsQuality', 'arenaSeed', 'lastArenaSeed', 'audioSettings'],
+    select: (state) => ({
+      graphicsQuality: state.graphicsQuality,
+      arenaSeed: state.arenaSeed,
+      lastArenaSeed: state.lastArenaSeed,
+      audioSettings: state.audioSettings
+    })
+  },
+  performance: {
+    keys: ['fps'],
+    select: (state) => ({ fps: state.fps })
+  }
+};
+
+/**
+ * Wrap a state object in an observable store
+ * @param {Object} target State object to observe
+ * @param {Object} [slices] Slice definitions, GAME_SLICES by default
+ * @returns {Object} Store with state (the observed object to read and write),
+ *   subscribe(slice, listener), getSnapshot(slice) and notify(...slices)
+ */
+export function createGameStore(target, slices = GAME_SLICES) {
+  const listeners = {};
+  const snapshots = {};
+  const slicesByKey = {};
+  let pending = new Set();
+  let flushScheduled = false;
+
+  Object.entries(slices).forEach(([name, slice]) => {
+    listeners[name] = new Set();
+    slice.keys.forEach(key => {
+      slicesByKey[key] = (slicesByKey[key] || []).concat(name);
+    });
+  });
+
+  const assertSlice = (name) => {
+    if (!slices[name]) {
+      throw new Error(`Unknown game state slice: ${name}`);
+    }
+  };
+
+  const flush = () => {
+    flushScheduled = false;
+    const changed = pending;
+    pending = new Set();
+
+    changed.forEach(name => {
+      const slice = slices[name];
+      const previous = snapshots[name];
+      const next = slice.select(target);
+      const equals = slice.equals || shallowEqual;
+      if (name in snapshots && equals(previous, next)) return;
+
+      snapshots[name] = next;
+      listeners[name].forEach(listener => {
+        try {
+          listener(next, previous);
+        } catch (error) {
+          console.error(`Error in ${name} slice listener:`, error);
+        }
+      });
+    });
+  };
+
+  /**
+   * Mark slices as changed; listeners run once the current task finishes
+   * @param {...string} names Slices that changed
+   */
+  const notify = (...names) => {
+    names.forEach(name => {
+      assertSlice(name);
+      pending.add(name);
+    });
+    if (!flushScheduled && pending.size > 0) {
+      flushScheduled = true;
+      queueMicrotask(flush);
+    }
+  };
+
+  const state = new Proxy(target, {
+    set(object, key, value) {
+      const changed = !Object.is(object[key], value);
+      object[key] = value;
+      if (changed && slicesByKey[key]) {
+        notify(...slicesByKey[key]);
+      }
+      return true;
+    }
+  });
+
+  return {
+    state,
+
+    /**
+     * Listen to one slice
+     * @param {string} name Slice name
+     * @param {Function} listener Called with (snapshot, previousSnapshot) after the slice changes
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(name, listener) {
+      assertSlice(name);
+      listeners[name].add(listener);
+      return () => {
+        listeners[name].delete(listener);
+      };
+    },
+
+    /**
+     * Current snapshot of a slice. The same object is returned until the
+     * slice changes, so it can be compared by identity.
+     * @param {string} name Slice name
+     * @returns {*} Slice snapshot
+     */
+    getSnapshot(name) {
+      assertSlice(name);
+      if (!(name in snapshots)) {
+        snapshots[name] = slices[name].select(target);
+      }
+      return snapshots[name];
+    },
+
+    notify
+  };
+}
@@ -0,0 +1,250 @@
+// src/game/gamepadInput.js
+
+/**
+ * Gamepad reading for the action-based input layer (see inputBindings.js).
+ *
+ * Gamepads are read as plain objects shaped like the Gamepad API's
+ * ({ id, connected, buttons: [{ pressed, value }], axes: [number] }), so a
+ * mocked object works the same as one from navigator.getGamepads(). A
+ * mapping turns buttons and stick directions into actions:
+ *   { actions: { action: [{ button } | { axis, direction }] }, lookAxes: [x, y] }
+ * Sticks are pairs of axes (0/1 left, 2/3 right) with a radial dead zone; a
+ * stick direction presses its action once it is tilted at least halfway that
+ * way past the dead zone. Buttons, including analog triggers, count as
+ * pressed from the trigger threshold up.
+ *
+ * The combined state of every connected gamepad is kept here so the modes
+ * can ask whether an action is held; updateGamepads reports which actions
+ * went down or up since the previous poll. Virtual gamepads, such as the
+ * on-screen touch controls, are read together with the real ones.
+ */
+
+// Button indices of the standard gamepad layout
+export const STANDARD_BUTTONS = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LB: 4,
+  RB: 5,
+  LT: 6,
+  RT: 7,
+  BACK: 8,
+  START: 9,
+  LEFT_STICK: 10,
+  RIGHT_STICK: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15
+};
+
+// Stick tilt past the dead zone (0-1) that presses a direction's action, so a
+// stick pushed sideways does not also press up or down
+const STICK_ACTION_THRESHOLD = 0.5;
+
+const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →'];
+
+const AXIS_LABELS = {
+  0: { '-1': 'Left stick ←', 1: 'Left stick →' },
+  1: { '-1': 'Left stick ↑', 1: 'Left stick ↓' },
+  2: { '-1': 'Right stick ←', 1: 'Right stick →' },
+  3: { '-1': 'Right stick ↑', 1: 'Right stick ↓' }
+};
+
+export const DEFAULT_GAMEPAD_SETTINGS = {
+  deadZone: 0.25,        // Stick tilt (0-1) ignored around the center
+  triggerThreshold: 0.5, // Trigger travel (0-1) that counts as a press
+  lookSpeed: 2.5,        // Camera turn at full tilt, radians per second
+  invertLook: false      // Push up to look down
+};
+
+// Combined state from the last update: { connected, ids, actions, look }
+let state = createEmptyState();
+
+// Actions released by the game until their input goes up again
+const releasedActions = new Set();
+
+// Gamepad-like objects the game drives itself, e.g. the touch controls
+const virtualGamepads = new Set();
+
+function createEmptyState() {
+  return { connected: false, ids: [], actions: {}, look: { x: 0, y: 0 } };
+}
+
+/**
+ * Apply a radial dead zone to a stick and rescale the rest to 0-1
+ * @param {number} x Horizontal axis, -1 to 1
+ * @param {number} y Vertical axis, -1 to 1
+ * @param {number} deadZone Tilt to ignore, 0-1
+ * @returns {{x: number, y: number}} Stick position after the dead zone
+ */
+export function applyDeadZone(x, y, deadZone) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadZone || magnitude === 0) {
+    return { x: 0, y: 0 };
+  }
+  const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * @param {Object|number} button GamepadButton-like object, or a value
+ * @returns {number} How far the button is pressed, 0-1
+ */
+const buttonValue = (button) => {
+  if (typeof button === 'number') return button;
+  if (!button) return 0;
+  if (typeof button.value === 'number') return button.value;
+  return button.pressed ? 1 : 0;
+};
+
+/**
+ * Read one gamepad
+ * @param {Object} gamepad Gamepad-like object
+ * @param {Object} mapping Actions and look axes, as described above
+ * @param {Object} settings Dead zone and trigger threshold
+ * @returns {{actions: Object, look: {x: number, y: number}}} Pressed actions and the look stick
+ */
+export function readGamepad(gamepad, mapping, settings = DEFAULT_GAMEPAD_SETTINGS) {
+  const axes = gamepad.axes || [];
+  const buttons = gamepad.buttons || [];
+
+  // Dead zone per stick, so a diagonal tilt is treated like a straight one
+  const stick = (axis) => {
+    const first = axis - (axis % 2);
+    const position = applyDeadZone(axes[first] || 0, axes[first + 1] || 0, settings.deadZone);
+    return axis === first ? position.x : position.y;
+  };
+
+  const isInputActive = (input) => (input.axis !== undefined
+    ? stick(input.axis) * input.direction >= STICK_ACTION_THRESHOLD
+    : buttonValue(buttons[input.button]) >= settings.triggerThreshold);
+
+  const actions = {};
+  Object.entries(mapping.actions).forEach(([action, inputs]) => {
+    if (inputs.some(isInputActive)) actions[action] = true;
+  });
+
+  const [lookX, lookY] = mapping.lookAxes || [];
+  const look = lookX === undefined ? { x: 0, y: 0 } : { x: stick(lookX), y: stick(lookY) };
+
+  return { actions, look };
+}
+
+/**
+ * Read every connected gamepad and update the combined state
+ * @param {Array<Object|null>} gamepads Gamepad-like objects; nulls and disconnected pads are skipped
+ * @param {Object} mapping Actions and look axes
+ * @param {Object} settings Dead zone and trigger threshold
+ * @returns {Array<{action: string, pressed: boolean}>} Actions that went down or up
+ */
+export function updateGamepads(gamepads, mapping, settings = DEFAULT_GAMEPAD_SETTINGS) {
+  const connected = (gamepads || []).filter(gamepad => gamepad && gamepad.connected !== false);
+  const next = createEmptyState();
+  next.connected = connected.length > 0;
+  next.ids = connected.map(gamepad => gamepad.id || 'Gamepad');
+
+  connected.forEach(gamepad => {
+    const reading = readGamepad(gamepad, mapping, settings);
+    Object.assign(next.actions, reading.actions);
+    next.look.x = Math.max(-1, Math.min(1, next.look.x + reading.look.x));
+    next.look.y = Math.max(-1, Math.min(1, next.look.y + reading.look.y));
+  });
+
+  const changes = [];
+  new Set([...Object.keys(state.actions), ...Object.keys(next.actions)]).forEach(action => {
+    const pressed = Boolean(next.actions[action]);
+    if (pressed !== Boolean(state.actions[action])) {
+      changes.push({ action, pressed });
+      if (!pressed) releasedActions.delete(action);
+    }
+  });
+
+  state = next;
+  return changes;
+}
+
+/**
+ * Add a gamepad-like object that is read along with the real gamepads
+ * @param {Object} gamepad Gamepad-like object; its axes and buttons may change in place
+ * @returns {Function} Removes the gamepad again
+ */
+export function addVirtualGamepad(gamepad) {
+  virtualGamepads.add(gamepad);
+  return () => virtualGamepads.delete(gamepad);
+}
+
+/**
+ * @returns {Array<Object>} The virtual gamepads
+ */
+export const getVirtualGamepads = () => [...virtualGamepads];
+
+/**
+ * Press or release an action as if a gamepad did it, e.g. during a replay
+ * @param {string} action Action id
+ * @param {boolean} pressed New state
+ * @returns {boolean} True if the state changed
+ */
+export function setGamepadAction(action, pressed) {
+  if (Boolean(state.actions[action]) === pressed) return false;
+  state = { ...state, actions: { ...state.actions, [action]: pressed } };
+  if (!pressed) {
+    delete state.actions[action];
+    releasedActions.delete(action);
+  }
+  return true;
+}
+
+/**
+ * Forget every gamepad input
+ */
+export function resetGamepadState() {
+  state = createEmptyState();
+  releasedActions.clear();
+}
+
+/**
+ * @param {string} action Action id
+ * @returns {boolean} True while a gamepad holds the action and the game has not released it
+ */
+export const isGamepadActionPressed = (action) => Boolean(state.actions[action]) && !releasedActions.has(action);
+
+/**
+ * @returns {Array<string>} Actions the gamepads hold right now
+ */
+export const getGamepadActions = () => Object.keys(state.actions);
+
+/**
+ * Treat a held action as released until its input goes up again
+ * @param {string} action Action id
+ */
+export function releaseGamepadAction(action) {
+  if (state.actions[action]) releasedActions.add(action);
+}
+
+/**
+ * @returns {{x: number, y: number}} Look stick after the dead zone, -1 to 1
+ */
+export const getGamepadLook = () => ({ ...state.look });
+
+/**
+ * @returns {boolean} True if a gamepad was connected at the last update
+ */
+export const isGamepadConnected = () => state.connected;
+
+/**
+ * @returns {Array<string>} Ids of the gamepads connected at the last update
+ */
+export const getConnectedGamepadIds = () => [...state.ids];
+
+/**
+ * @param {Object} input { button } or { axis, direction }
+ * @returns {string} Name to show the player, e.g. "RT" or "Left stick ←"
+ */
+export function formatGamepadInput(input) {
+  if (input.axis !== undefined) {
+    return (AXIS_LABELS[input.axis] && AXIS_LABELS[input.axis][input.direction]) || `Axis ${input.axis}`;
+  }
+  return BUTTON_LABELS[input.button] || `Button ${input.button}`;
+}
@@ -0,0 +1,149 @@
+import {
+  applyDeadZone,
+  updateGamepads,
+  resetGamepadState,
+  isGamepadActionPressed,
+  releaseGamepadAction,
+  getGamepadLook,
+  isGamepadConnected,
+  getConnectedGamepadIds,
+  DEFAULT_GAMEPAD_SETTINGS,
+  STANDARD_BUTTONS
+} from './gamepadInput';
+import { ACTIONS, GAMEPAD_MAPPING } from './inputBindings';
+
+// A standard-layout pad at rest
+const createPad = (id = 'Test pad') => ({
+  id,
+  connected: true,
+  axes: [0, 0, 0, 0],
+  buttons: Array.from({ length: 16 }, () => ({ pressed: false, value: 0 }))
+});
+
+const press = (pad, button, value = 1) => {
+  pad.buttons[button] = { pressed: value > 0, value };
+};
+
+describe('gamepadInput', () => {
+  let pads;
+
+  // Read the pads the way the input manager does each frame
+  const poll = (settings = DEFAULT_GAMEPAD_SETTINGS) =>
+    updateGamepads(navigator.getGamepads(), GAMEPAD_MAPPING, settings);
+
+  beforeEach(() => {
+    pads = [createPad(), null];
+    Object.defineProperty(navigator, 'getGamepads', { value: () => pads, configurable: true });
+    resetGamepadState();
+  });
+
+  afterEach(() => {
+    delete navigator.getGamepads;
+  });
+
+  it('skips empty slots and disconnected pads', () => {
+    pads.push({ ...createPad('Unplugged'), connected: false });
+    poll();
+    expect(isGamepadConnected()).toBe(true);
+    expect(getConnectedGamepadIds()).toEqual(['Test pad']);
+  });
+
+  describe('dead zone', () => {
+    it('ignores stick tilt inside the dead zone', () => {
+      pads[0].axes = [0.2, -0.1, 0.15, 0.15];
+      expect(poll()).toEqual([]);
+      expect(getGamepadLook()).toEqual({ x: 0, y: 0 });
+    });
+
+    it('rescales tilt past the dead zone to 0-1', () => {
+      expect(applyDeadZone(0.625, 0, 0.25)).toEqual({ x: 0.5, y: 0 });
+      expect(applyDeadZone(0, -1, 0.25)).toEqual({ x: 0, y: -1 });
+    });
+
+    it('uses the dead zone from the settings', () => {
+      pads[0].axes = [0.9, 0, 0, 0];
+      poll({ ...DEFAULT_GAMEPAD_SETTINGS, deadZone: 0.95 });
+      expect(isGamepadActionPressed(ACTIONS.MOVE_RIGHT)).toBe(false);
+
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.MOVE_RIGHT)).toBe(true);
+    });
+  });
+
+  describe('analog look', () => {
+    it('reads the right stick after the dead zone', () => {
+      pads[0].axes = [0, 0, 0.625, -1];
+      poll();
+      const look = getGamepadLook();
+      expect(look.x).toBeCloseTo(0.53, 2);
+      expect(look.y).toBeCloseTo(-0.848, 3);
+    });
+
+    it('adds up pads and clamps the total to -1..1', () => {
+      const second = createPad('Second pad');
+      pads[0].axes = [0, 0, 1, 0];
+      second.axes = [0, 0, 1, 0];
+      pads.push(second);
+      poll();
+      expect(getGamepadLook()).toEqual({ x: 1, y: 0 });
+    });
+
+    it('does not press move actions from the look stick', () => {
+      pads[0].axes = [0, 0, -1, 0];
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.MOVE_LEFT)).toBe(false);
+    });
+  });
+
+  describe('button mapping', () => {
+    it('maps buttons, d-pad and left stick onto actions and reports the changes', () => {
+      press(pads[0], STANDARD_BUTTONS.A);
+      press(pads[0], STANDARD_BUTTONS.DPAD_UP);
+      pads[0].axes = [-1, 0, 0, 0];
+
+      expect(poll()).toEqual(expect.arrayContaining([
+        { action: ACTIONS.JUMP, pressed: true },
+        { action: ACTIONS.MOVE_FORWARD, pressed: true },
+        { action: ACTIONS.MOVE_LEFT, pressed: true }
+      ]));
+      expect(isGamepadActionPressed(ACTIONS.JUMP)).toBe(true);
+
+      // Holding reports nothing new; letting go reports the release
+      expect(poll()).toEqual([]);
+      press(pads[0], STANDARD_BUTTONS.A, 0);
+      expect(poll()).toEqual([{ action: ACTIONS.JUMP, pressed: false }]);
+    });
+
+    it('presses shoot from the trigger threshold up', () => {
+      press(pads[0], STANDARD_BUTTONS.RT, 0.4);
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.SHOOT)).toBe(false);
+
+      press(pads[0], STANDARD_BUTTONS.RT, 0.6);
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.SHOOT)).toBe(true);
+    });
+
+    it('only presses a stick direction once tilted halfway that way', () => {
+      // Mostly right with a little down: right only
+      pads[0].axes = [1, 0.3, 0, 0];
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.MOVE_RIGHT)).toBe(true);
+      expect(isGamepadActionPressed(ACTIONS.MOVE_BACK)).toBe(false);
+    });
+
+    it('keeps a released action up until its button is let go', () => {
+      press(pads[0], STANDARD_BUTTONS.X);
+      poll();
+      releaseGamepadAction(ACTIONS.INTERACT);
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.INTERACT)).toBe(false);
+
+      press(pads[0], STANDARD_BUTTONS.X, 0);
+      poll();
+      press(pads[0], STANDARD_BUTTONS.X);
+      poll();
+      expect(isGamepadActionPressed(ACTIONS.INTERACT)).toBe(true);
+    });
+  });
+});
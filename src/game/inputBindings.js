@@ -0,0 +1,410 @@
+// src/game/inputBindings.js
+import gameState from './gameState';
+import { taskStorage } from '../services/TaskStorageService';
+import {
+  STANDARD_BUTTONS,
+  DEFAULT_GAMEPAD_SETTINGS,
+  updateGamepads,
+  setGamepadAction,
+  isGamepadActionPressed,
+  releaseGamepadAction
+} from './gamepadInput';
+import logger from '../utils/logger';
+
+/**
+ * Action-based input layer.
+ *
+ * The modes ask whether an action (move_left, jump, shoot, ...) is pressed
+ * instead of reading gameState.keys directly; each action maps to one or
+ * more keys. gameState.keys keeps the raw key state (lower-cased
+ * KeyboardEvent.key values), so code that resets all keys keeps working.
+ *
+ * Every action belongs to one or more contexts. The same key may be bound to
+ * actions that are never active together (W moves forward in 3D and jumps in
+ * 2D), but not to two actions that share a context; global actions are active
+ * everywhere. The player's bindings are persisted through TaskStorageService
+ * as { action: [keys] }; actions missing there use their default keys.
+ *
+ * Gamepads drive the same actions through a fixed mapping for the standard
+ * layout. The input manager polls them every frame through pollGamepads, and
+ * an action counts as pressed while either a key or a gamepad holds it.
+ */
+
+// Module name for logging
+const MODULE = 'InputBindings';
+
+export const ACTIONS = {
+  MOVE_LEFT: 'move_left',
+  MOVE_RIGHT: 'move_right',
+  MOVE_FORWARD: 'move_forward',
+  MOVE_BACK: 'move_back',
+  JUMP: 'jump',
+  SHOOT: 'shoot',
+  INTERACT: 'interact',
+  SWITCH_MODE_3D: 'switch_mode_3d',
+  SWITCH_MODE_2D: 'switch_mode_2d',
+  SWITCH_MODE_TASK: 'switch_mode_task',
+  STATS: 'stats',
+  CONTROLS: 'controls',
+  DIAGNOSTICS: 'diagnostics'
+};
+
+export const INPUT_CONTEXTS = {
+  WORLD: 'world',       // 3D world and the 3D training challenge
+  PLATFORM: 'platform', // 2D, task game and the 2D arenas
+  GLOBAL: 'global'      // Every mode
+};
+
+// Actions in the order the bindings UI lists them
+export const ACTION_DEFINITIONS = [
+  { action: ACTIONS.MOVE_LEFT, label: 'Move left', contexts: [INPUT_CONTEXTS.WORLD, INPUT_CONTEXTS.PLATFORM], keys: ['a', 'arrowleft'] },
+  { action: ACTIONS.MOVE_RIGHT, label: 'Move right', contexts: [INPUT_CONTEXTS.WORLD, INPUT_CONTEXTS.PLATFORM], keys: ['d', 'arrowright'] },
+  { action: ACTIONS.MOVE_FORWARD, label: 'Move forward (3D)', contexts: [INPUT_CONTEXTS.WORLD], keys: ['w', 'arrowup'] },
+  { action: ACTIONS.MOVE_BACK, label: 'Move back (3D)', contexts: [INPUT_CONTEXTS.WORLD], keys: ['s', 'arrowdown'] },
+  { action: ACTIONS.JUMP, label: 'Jump (2D)', contexts: [INPUT_CONTEXTS.PLATFORM], keys: ['w', 'arrowup', ' '] },
+  { action: ACTIONS.SHOOT, label: 'Shoot', contexts: [INPUT_CONTEXTS.WORLD, INPUT_CONTEXTS.PLATFORM], keys: ['l'] },
+  { action: ACTIONS.INTERACT, label: 'Interact', contexts: [INPUT_CONTEXTS.WORLD, INPUT_CONTEXTS.PLATFORM], keys: ['e'] },
+  { action: ACTIONS.SWITCH_MODE_3D, label: 'Switch to 3D', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['1'] },
+  { action: ACTIONS.SWITCH_MODE_2D, label: 'Switch to 2D', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['2'] },
+  { action: ACTIONS.SWITCH_MODE_TASK, label: 'Switch to task game', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['3'] },
+  { action: ACTIONS.STATS, label: 'Stats dashboard', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['p'] },
+  { action: ACTIONS.CONTROLS, label: 'Controls', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['k'] },
+  { action: ACTIONS.DIAGNOSTICS, label: 'Diagnostics', contexts: [INPUT_CONTEXTS.GLOBAL], keys: ['t'] }
+];
+
+// Actions the 2D arenas react to; replays record these keys
+export const ARENA_ACTIONS = [ACTIONS.MOVE_LEFT, ACTIONS.MOVE_RIGHT, ACTIONS.JUMP, ACTIONS.SHOOT, ACTIONS.INTERACT];
+
+// Gamepad inputs per action (standard layout), and the stick that turns the 3D camera
+export const GAMEPAD_MAPPING = {
+  actions: {
+    [ACTIONS.MOVE_LEFT]: [{ axis: 0, direction: -1 }, { button: STANDARD_BUTTONS.DPAD_LEFT }],
+    [ACTIONS.MOVE_RIGHT]: [{ axis: 0, direction: 1 }, { button: STANDARD_BUTTONS.DPAD_RIGHT }],
+    [ACTIONS.MOVE_FORWARD]: [{ axis: 1, direction: -1 }, { button: STANDARD_BUTTONS.DPAD_UP }],
+    [ACTIONS.MOVE_BACK]: [{ axis: 1, direction: 1 }, { button: STANDARD_BUTTONS.DPAD_DOWN }],
+    [ACTIONS.JUMP]: [{ button: STANDARD_BUTTONS.A }],
+    [ACTIONS.SHOOT]: [{ button: STANDARD_BUTTONS.RT }, { button: STANDARD_BUTTONS.RB }],
+    [ACTIONS.INTERACT]: [{ button: STANDARD_BUTTONS.X }],
+    [ACTIONS.STATS]: [{ button: STANDARD_BUTTONS.BACK }],
+    [ACTIONS.CONTROLS]: [{ button: STANDARD_BUTTONS.START }]
+  },
+  lookAxes: [2, 3]
+};
+
+// Keys that cannot be bound: Escape and Tab leave dialogs and modes, and
+// modifiers are only used in shortcuts such as Ctrl+Z
+const RESERVED_KEYS = ['escape', 'tab', 'shift', 'control', 'alt', 'meta', 'capslock'];
+
+const KEY_LABELS = {
+  ' ': 'Space',
+  arrowleft: '←',
+  arrowright: '→',
+  arrowup: '↑',
+  arrowdown: '↓',
+  enter: 'Enter',
+  backspace: 'Backspace'
+};
+
+// Window event dispatched after the bindings or gamepad settings change
+export const KEY_BINDINGS_CHANGED_EVENT = 'keyBindingsChanged';
+
+// Window event that opens the bindings overlay
+export const KEY_BINDINGS_OPEN_EVENT = 'openKeyBindings';
+
+export const DEFAULT_BINDINGS = Object.freeze(
+  Object.fromEntries(ACTION_DEFINITIONS.map(({ action, keys }) => [action, Object.freeze([...keys])]))
+);
+
+// Resolved bindings, rebuilt after a change or once storage has loaded
+let cachedBindings = null;
+
+// Bindings a replay is played back with, overriding the player's
+let bindingsOverride = null;
+
+// Functions called with (action, pressed) when a gamepad action goes down or up
+const gamepadListeners = new Set();
+
+taskStorage.ready.then(() => { cachedBindings = null; });
+
+/**
+ * @param {string} action One of ACTIONS
+ * @returns {Object|undefined} The action's definition
+ */
+export const getActionDefinition = (action) => ACTION_DEFINITIONS.find(definition => definition.action === action);
+
+/**
+ * @param {string} key Lower-cased KeyboardEvent.key
+ * @returns {string} Text to show the player, e.g. "L", "Space" or "←"
+ */
+export function formatKey(key) {
+  if (KEY_LABELS[key]) return KEY_LABELS[key];
+  return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+/**
+ * @param {string} key Lower-cased KeyboardEvent.key
+ * @returns {boolean} True if the key cannot be bound to an action
+ */
+export const isReservedKey = (key) => RESERVED_KEYS.includes(key);
+
+/**
+ * @returns {Object} Keys per action: the player's choices over the defaults
+ */
+export function getBindings() {
+  if (!cachedBindings) {
+    const stored = taskStorage.getKeyBindings() || {};
+    cachedBindings = {};
+    ACTION_DEFINITIONS.forEach(({ action }) => {
+      cachedBindings[action] = Array.isArray(stored[action]) ? stored[action] : [...DEFAULT_BINDINGS[action]];
+    });
+  }
+  return bindingsOverride ? { ...cachedBindings, ...bindingsOverride } : cachedBindings;
+}
+
+/**
+ * @param {string} action One of ACTIONS
+ * @returns {Array<string>} Keys bound to the action
+ */
+export const getActionKeys = (action) => getBindings()[action] || [];
+
+/**
+ * @param {string} action One of ACTIONS
+ * @param {string} key Lower-cased KeyboardEvent.key
+ * @returns {boolean} True if the key triggers the action
+ */
+export const isActionKey = (action, key) => getActionKeys(action).includes(key);
+
+/**
+ * @param {string} action One of ACTIONS
+ * @param {Object} [keys] Raw key state, gameState.keys by default
+ * @returns {boolean} True while any key bound to the action, or a gamepad, holds it
+ */
+export function isActionPressed(action, keys = gameState.keys) {
+  return (Boolean(keys) && getActionKeys(action).some(key => keys[key])) || isGamepadActionPressed(action);
+}
+
+/**
+ * Treat the action's keys as released until they are pressed again, so a
+ * held key triggers one-shot actions such as interact only once
+ * @param {string} action One of ACTIONS
+ */
+export function releaseAction(action) {
+  releaseGamepadAction(action);
+  if (!gameState.keys) return;
+  getActionKeys(action).forEach(key => {
+    if (gameState.keys[key]) gameState.keys[key] = false;
+  });
+}
+
+/**
+ * Check a one-shot action and release it if it was pressed
+ * @param {string} action One of ACTIONS
+ * @returns {boolean} True if the action was pressed
+ */
+export function consumeAction(action) {
+  if (!isActionPressed(action)) return false;
+  releaseAction(action);
+  return true;
+}
+
+/**
+ * Press or release an action's first key, e.g. for diagnostics that
+ * simulate input
+ * @param {string} action One of ACTIONS
+ * @param {boolean} pressed New state
+ */
+export function setActionPressed(action, pressed) {
+  const [key] = getActionKeys(action);
+  if (key && gameState.keys) {
+    gameState.keys[key] = pressed;
+  }
+}
+
+/**
+ * @private
+ */
+const sharesContext = (a, b) => {
+  const contextsA = getActionDefinition(a).contexts;
+  const contextsB = getActionDefinition(b).contexts;
+  if (contextsA.includes(INPUT_CONTEXTS.GLOBAL) || contextsB.includes(INPUT_CONTEXTS.GLOBAL)) return true;
+  return contextsA.some(context => contextsB.includes(context));
+};
+
+/**
+ * Find keys bound to two actions that can be active at the same time
+ * @param {Object} bindings Keys per action
+ * @returns {Array<{key: string, actions: Array<string>}>} One entry per conflicting pair
+ */
+export function findBindingConflicts(bindings) {
+  const conflicts = [];
+  const actions = ACTION_DEFINITIONS.map(({ action }) => action);
+  actions.forEach((a, i) => {
+    actions.slice(i + 1).forEach(b => {
+      (bindings[a] || []).forEach(key => {
+        if ((bindings[b] || []).includes(key) && sharesContext(a, b)) {
+          conflicts.push({ key, actions: [a, b] });
+        }
+      });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Persist new bindings and tell listeners about them
+ * @private
+ */
+const storeBindings = (bindings) => {
+  taskStorage.saveKeyBindings(bindings);
+  cachedBindings = null;
+  window.dispatchEvent(new CustomEvent(KEY_BINDINGS_CHANGED_EVENT));
+};
+
+/**
+ * Bind a key to an action, in addition to its other keys
+ * @param {string} action One of ACTIONS
+ * @param {string} key Lower-cased KeyboardEvent.key
+ * @returns {{ok: boolean, message: string}} Result to show the player
+ */
+export function bindKey(action, key) {
+  const definition = getActionDefinition(action);
+  if (!definition) {
+    return { ok: false, message: `Unknown action: ${action}` };
+  }
+  if (isReservedKey(key)) {
+    return { ok: false, message: `${formatKey(key)} cannot be bound` };
+  }
+
+  const bindings = { ...getBindings() };
+  if (bindings[action].includes(key)) {
+    return { ok: false, message: `${formatKey(key)} already triggers ${definition.label}` };
+  }
+  bindings[action] = [...bindings[action], key];
+
+  const conflict = findBindingConflicts(bindings).find(c => c.key === key && c.actions.includes(action));
+  if (conflict) {
+    const other = getActionDefinition(conflict.actions.find(a => a !== action));
+    return { ok: false, message: `${formatKey(key)} is already bound to ${other.label}` };
+  }
+
+  storeBindings(bindings);
+  logger.info(MODULE, `Bound ${formatKey(key)} to ${action}`);
+  return { ok: true, message: `${formatKey(key)} now triggers ${definition.label}` };
+}
+
+/**
+ * Remove a key from an action
+ * @param {string} action One of ACTIONS
+ * @param {string} key Key to remove
+ */
+export function unbindKey(action, key) {
+  const bindings = { ...getBindings() };
+  bindings[action] = (bindings[action] || []).filter(k => k !== key);
+  storeBindings(bindings);
+  logger.info(MODULE, `Unbound ${formatKey(key)} from ${action}`);
+}
+
+/**
+ * Go back to the default keys for every action
+ */
+export function resetBindings() {
+  storeBindings(null);
+  logger.info(MODULE, 'Reset key bindings to the defaults');
+}
+
+/**
+ * Use the given bindings instead of the player's, e.g. the ones a replay was
+ * recorded with. Actions missing from the override keep the player's keys.
+ * @param {Object|null} bindings Keys per action, or null to clear the override
+ */
+export function setBindingsOverride(bindings) {
+  bindingsOverride = bindings;
+}
+
+/**
+ * @param {Object} [bindings] Keys per action, the current bindings by default
+ * @returns {Object} Keys per arena action, as stored with replays
+ */
+export const getArenaBindings = (bindings = getBindings()) =>
+  Object.fromEntries(ARENA_ACTIONS.map(action => [action, [...(bindings[action] || [])]]));
+
+/**
+ * Text for a control hint: the first key of each action for a group of
+ * actions (e.g. "A/D" for left and right), or every key of a single action
+ * @param {Array<string>} actions One or more ACTIONS
+ * @returns {string} Keys joined with "/", empty if nothing is bound
+ */
+export function formatActionKeys(actions) {
+  const keys = actions.length > 1
+    ? actions.map(action => getActionKeys(action)[0]).filter(Boolean)
+    : getActionKeys(actions[0]);
+  return keys.map(formatKey).join('/');
+}
+
+/**
+ * @returns {string} Hint drawn on the 2D arena HUD, from the current bindings
+ */
+export const getArenaHudHint = () =>
+  `Press ${formatActionKeys([ACTIONS.SHOOT])} to shoot | Press ${formatActionKeys([ACTIONS.INTERACT])} near exit to leave`;
+
+/**
+ * @returns {Object} Gamepad dead zone and look settings
+ */
+export const getGamepadSettings = () => ({ ...DEFAULT_GAMEPAD_SETTINGS, ...taskStorage.getGamepadSettings() });
+
+/**
+ * Change some of the gamepad settings
+ * @param {Object} changes Settings to change, e.g. { deadZone: 0.2 }
+ */
+export function saveGamepadSettings(changes) {
+  taskStorage.saveGamepadSettings({ ...getGamepadSettings(), ...changes });
+  window.dispatchEvent(new CustomEvent(KEY_BINDINGS_CHANGED_EVENT));
+}
+
+/**
+ * Listen for gamepad actions going down or up
+ * @param {Function} listener Called with (action, pressed)
+ * @returns {Function} Removes the listener
+ */
+export function onGamepadAction(listener) {
+  gamepadListeners.add(listener);
+  return () => gamepadListeners.delete(listener);
+}
+
+/**
+ * @private
+ */
+const notifyGamepadAction = (action, pressed) => {
+  gamepadListeners.forEach(listener => listener(action, pressed));
+};
+
+/**
+ * Read the gamepads and report actions that went down or up to the listeners
+ * @param {Array<Object|null>} gamepads Real or mocked gamepads, e.g. from navigator.getGamepads()
+ * @returns {Array<{action: string, pressed: boolean}>} The changes
+ */
+export function pollGamepads(gamepads) {
+  const changes = updateGamepads(gamepads, GAMEPAD_MAPPING, getGamepadSettings());
+  changes.forEach(({ action, pressed }) => notifyGamepadAction(action, pressed));
+  return changes;
+}
+
+/**
+ * Press or release an action as a gamepad would, e.g. when a replay plays
+ * back a recorded gamepad input
+ * @param {string} action One of ACTIONS
+ * @param {boolean} pressed New state
+ * @param {boolean} [notify=true] Tell the listeners, as a real press would
+ */
+export function simulateGamepadAction(action, pressed, notify = true) {
+  if (setGamepadAction(action, pressed) && notify) {
+    notifyGamepadAction(action, pressed);
+  }
+}
+
+/**
+ * Open the bindings overlay
+ */
+export const openKeyBindings = () => {
+  window.dispatchEvent(new CustomEvent(KEY_BINDINGS_OPEN_EVENT));
+};
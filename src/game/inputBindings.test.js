@@ -0,0 +1,26 @@
+import { ACTIONS, bindKey, unbindKey, resetBindings, getArenaHudHint } from './inputBindings';
+import { taskStorage } from '../services/TaskStorageService';
+
+describe('getArenaHudHint', () => {
+  beforeEach(async () => {
+    await taskStorage.ready;
+    resetBindings();
+  });
+
+  it('names the default shoot and interact keys', () => {
+    expect(getArenaHudHint()).toBe('Press L to shoot | Press E near exit to leave');
+  });
+
+  it('follows a remapped shoot key', () => {
+    unbindKey(ACTIONS.SHOOT, 'l');
+    expect(bindKey(ACTIONS.SHOOT, 'j').ok).toBe(true);
+
+    expect(getArenaHudHint()).toBe('Press J to shoot | Press E near exit to leave');
+  });
+
+  it('lists every key bound to shoot', () => {
+    bindKey(ACTIONS.SHOOT, 'enter');
+
+    expect(getArenaHudHint()).toBe('Press L/Enter to shoot | Press E near exit to leave');
+  });
+});
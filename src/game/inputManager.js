@@ -1,15 +1,35 @@
 // src/game/inputManager.js
 import gameState from './gameState';
-import { closeTaskGame, shootTaskGame } from './taskGameSetup';
+import { setGameMode } from './modeTransitionManager';
+import { closeTaskGame, shootTaskGame, undoTaskChange, redoTaskChange } from './taskGameSetup';
 import { shootInTrainingArena } from './trainingArena2DSetup';
+import { toggleStatsDashboard } from '../services/statsService';
 import { shootInTaskArena, handleLKeyInTaskArena } from './taskArena2DSetup';
+import { ACTIONS, ACTION_DEFINITIONS, isActionKey, openKeyBindings, onGamepadAction, pollGamepads } from './inputBindings';
+import { isGamepadConnected, getVirtualGamepads } from './gamepadInput';
+import { isReplayPlaying, recordAimedShot } from './arenaReplay';
+import { toCanvasPoint, getAimAngle, getAimDirection, getAimVelocity } from './aim2D';
+import { SOUNDS, playSound } from './audioManager';
 // Import diagnostic utilities
 import { recordState, compareSnapshots } from '../utils/stateDiagnostics';
 
+/**
+ * @param {EventTarget} target Event target
+ * @returns {boolean} True if the target is a field the user types into
+ */
+function isTextField(target) {
+  return Boolean(target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable));
+}
+
+// Modes where a click on the canvas shoots toward the cursor
+const MOUSE_AIM_MODES = ['2D', 'TASK_GAME', '2D_TRAINING', '2D_TASK_ARENA'];
+
 /**
  * Shoots a bullet in 2D mode.
+ * @param {number} [aimAngle] Angle of a mouse shot in radians; without it
+ *   the bullet flies straight ahead in the facing direction
  */
-function shoot2D() {
+function shoot2D(aimAngle) {
   // Ensure playerPosition and playerFacingDirection exist
   if (!gameState.playerPosition) {
     gameState.playerPosition = { 
@@ -27,16 +47,204 @@ function shoot2D() {
     gameState.bullets = [];
   }
   
+  // An aimed shot turns the player toward the aim
+  if (aimAngle !== undefined) {
+    gameState.playerFacingDirection = getAimDirection(aimAngle);
+  }
+  
   const direction = gameState.playerFacingDirection;
   const bullet = {
     x: gameState.playerPosition.x + (direction > 0 ? 40 : 0),
     y: gameState.playerPosition.y + 25,
-    vx: direction * 10,
-    vy: 0,
+    // pixels per second
+    ...(aimAngle === undefined ? { vx: direction * 600, vy: 0 } : getAimVelocity(aimAngle, 600)),
     size: 5,
     color: '#FFFF00'
   };
   gameState.bullets.push(bullet);
+  playSound(SOUNDS.SHOT);
+}
+
+/**
+ * Shoots in the current mode, once the shared cooldown has passed.
+ * The 3D scene and the 3D training challenge shoot from their update loops.
+ */
+function shootInCurrentMode() {
+  const currentTime = Date.now();
+  
+  // Check cooldown
+  if (currentTime - gameState.lastShootTime <= gameState.shootCooldown) {
+    return;
+  }
+  gameState.lastShootTime = currentTime;
+  
+  // Log shooting attempt
+  console.log("🔫 Shooting in mode:", gameState.mode);
+  console.log("🔫 Player position:", gameState.playerPosition);
+  console.log("🔫 Facing direction:", gameState.playerFacingDirection);
+  console.log("🔫 Current bullets:", gameState.bullets ? gameState.bullets.length : 0);
+  
+  // Log full game state at shoot time
+  console.log("🔍 Full game state at shoot time:", {
+    mode: gameState.mode,
+    isPaused: gameState.isPaused,
+    currentTaskChallenge: gameState.currentTaskChallenge,
+    playerPosition: gameState.playerPosition,
+    taskGamePosition: gameState.taskGamePosition,
+    playerFacingDirection: gameState.playerFacingDirection,
+    bulletCount: gameState.bullets ? gameState.bullets.length : 0,
+    lastShootTime: gameState.lastShootTime
+  });
+  
+  // Handle shooting based on current mode with error handling
+  try {
+    switch(gameState.mode) {
+      case '2D':
+        shoot2D();
+        break;
+      case '2D_TRAINING':
+        shootInTrainingArena();
+        break;
+      case '2D_TASK_ARENA':
+        console.log("🔫 Shoot pressed in 2D_TASK_ARENA mode");
+        handleLKeyInTaskArena();
+        break;
+      case 'TASK_GAME':
+        console.log("🔫 Shooting in TASK_GAME mode");
+        shootTaskGame();
+        break;
+      case '3D':
+      case 'TRAINING_CHALLENGE':
+        break;
+      default:
+        console.warn(`⚠️ No shooting mechanism defined for mode: ${gameState.mode}`);
+    }
+    
+    // Log bullets after shooting
+    console.log("🔫 Bullets after shooting:", gameState.bullets ? gameState.bullets.length : 0);
+    if (gameState.bullets && gameState.bullets.length > 0) {
+      const lastBullet = gameState.bullets[gameState.bullets.length - 1];
+      console.log("🔫 Last bullet:", {
+        position: `${lastBullet.x.toFixed(2)}, ${lastBullet.y.toFixed(2)}`,
+        velocity: `${lastBullet.vx}, ${lastBullet.vy}`
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Error shooting in ${gameState.mode} mode:`, error);
+  }
+}
+
+/**
+ * Shoots toward the cursor in the 2D modes. The arenas keep their own
+ * cooldown on the arena clock, and record the shot for replays.
+ * @param {number} aimAngle Aim angle in radians
+ */
+function aimShotInCurrentMode(aimAngle) {
+  console.log(`🎯 Aimed shot in mode: ${gameState.mode} at ${aimAngle} rad`);
+  
+  switch (gameState.mode) {
+    case '2D_TRAINING':
+      recordAimedShot(aimAngle);
+      shootInTrainingArena(aimAngle);
+      break;
+    case '2D_TASK_ARENA':
+      recordAimedShot(aimAngle);
+      shootInTaskArena(aimAngle);
+      break;
+    case '2D':
+    case 'TASK_GAME': {
+      const currentTime = Date.now();
+      if (currentTime - gameState.lastShootTime <= gameState.shootCooldown) {
+        return;
+      }
+      gameState.lastShootTime = currentTime;
+      if (gameState.mode === '2D') {
+        shoot2D(aimAngle);
+      } else {
+        shootTaskGame(aimAngle);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * Runs what an action does the moment it is pressed, from a key or a gamepad.
+ * Held actions such as movement are read by the modes' update loops instead.
+ * @param {string} action One of ACTIONS
+ * @param {Object} [options]
+ * @param {boolean} [options.repeat] True for an auto-repeated key press
+ * @param {boolean} [options.inTextField] True if the press went to a text field
+ */
+function handleActionDown(action, { repeat = false, inTextField = false } = {}) {
+  // The stats dashboard and key bindings only open outside the arenas and challenges
+  const inMenuMode = !repeat && !inTextField && ['3D', '2D', 'TASK_GAME'].includes(gameState.mode);
+  
+  switch (action) {
+    case ACTIONS.SHOOT:
+      shootInCurrentMode();
+      break;
+    case ACTIONS.DIAGNOSTICS:
+      console.log("🔍 Diagnostics pressed - running diagnostic");
+      
+      // Log critical state variables
+      console.log("🔍 Current game state:", {
+        mode: gameState.mode,
+        isPaused: gameState.isPaused,
+        currentTaskChallenge: gameState.currentTaskChallenge,
+        position: gameState.mode === 'TASK_GAME' ? gameState.taskGamePosition : gameState.playerPosition,
+        velocity: gameState.velocity,
+        keyStates: Object.entries(gameState.keys).filter(([k, v]) => v).map(([k]) => k)
+      });
+      break;
+    case ACTIONS.STATS:
+      if (inMenuMode) toggleStatsDashboard();
+      break;
+    case ACTIONS.CONTROLS:
+      if (inMenuMode) openKeyBindings();
+      break;
+    // Mode switching (the state machine rejects switches out of a running
+    // arena or challenge)
+    case ACTIONS.SWITCH_MODE_3D:
+      if (gameState.mode !== '3D') setGameMode('3D');
+      break;
+    case ACTIONS.SWITCH_MODE_2D:
+      if (gameState.mode !== '2D') setGameMode('2D');
+      break;
+    case ACTIONS.SWITCH_MODE_TASK:
+      if (gameState.mode !== 'TASK_GAME') setGameMode('TASK_GAME');
+      break;
+    default:
+      break;
+  }
+}
+
+// requestAnimationFrame id of the gamepad polling loop, while a gamepad is connected
+let gamepadFrame = null;
+
+/**
+ * Polls the gamepads once per frame until the last one is disconnected.
+ * Replays feed their recorded gamepad input instead, so real gamepads are
+ * not read while one plays (the loop keeps running to pick them up after).
+ */
+function pollGamepadFrame() {
+  if (!isReplayPlaying()) {
+    const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    pollGamepads([...gamepads, ...getVirtualGamepads()]);
+  }
+  gamepadFrame = isReplayPlaying() || isGamepadConnected() ? requestAnimationFrame(pollGamepadFrame) : null;
+}
+
+/**
+ * Starts polling the gamepads if it is not running, e.g. after a gamepad
+ * connects or a virtual one is added
+ */
+export function startGamepadPolling() {
+  if (gamepadFrame === null) {
+    gamepadFrame = requestAnimationFrame(pollGamepadFrame);
+  }
 }
 
 export function setupInputListeners() {
@@ -70,98 +278,22 @@ export function setupInputListeners() {
       });
     }
     
-    // Handle shooting with L key
-    if (key === 'l') {
-      const currentTime = Date.now();
-      
-      // Check cooldown
-      if (currentTime - gameState.lastShootTime > gameState.shootCooldown) {
-        gameState.lastShootTime = currentTime;
-        
-        // Log shooting attempt
-        console.log("🔫 Shooting in mode:", gameState.mode);
-        console.log("🔫 Player position:", gameState.playerPosition);
-        console.log("🔫 Facing direction:", gameState.playerFacingDirection);
-        console.log("🔫 Current bullets:", gameState.bullets ? gameState.bullets.length : 0);
-        
-        // Log full game state at shoot time
-        console.log("🔍 Full game state at shoot time:", {
-          mode: gameState.mode,
-          isPaused: gameState.isPaused,
-          currentTaskChallenge: gameState.currentTaskChallenge,
-          playerPosition: gameState.playerPosition,
-          taskGamePosition: gameState.taskGamePosition,
-          playerFacingDirection: gameState.playerFacingDirection,
-          bulletCount: gameState.bullets ? gameState.bullets.length : 0,
-          lastShootTime: gameState.lastShootTime
-        });
-        
-        // Handle shooting based on current mode with error handling
-        try {
-          switch(gameState.mode) {
-            case '2D':
-              shoot2D();
-              break;
-            case '2D_TRAINING':
-              shootInTrainingArena();
-              break;
-            case '2D_TASK_ARENA':
-              console.log("🔫 L key pressed in 2D_TASK_ARENA mode");
-              handleLKeyInTaskArena();
-              break;
-            case 'TASK_GAME':
-              console.log("🔫 Shooting in TASK_GAME mode");
-              shootTaskGame();
-              break;
-            default:
-              console.warn(`⚠️ No shooting mechanism defined for mode: ${gameState.mode}`);
-          }
-          
-          // Log bullets after shooting
-          console.log("🔫 Bullets after shooting:", gameState.bullets ? gameState.bullets.length : 0);
-          if (gameState.bullets && gameState.bullets.length > 0) {
-            const lastBullet = gameState.bullets[gameState.bullets.length - 1];
-            console.log("🔫 Last bullet:", {
-              position: `${lastBullet.x.toFixed(2)}, ${lastBullet.y.toFixed(2)}`,
-              velocity: `${lastBullet.vx}, ${lastBullet.vy}`
-            });
-          }
-        } catch (error) {
-          console.error(`❌ Error shooting in ${gameState.mode} mode:`, error);
-        }
+    // Run the actions bound to the key
+    const options = { repeat: e.repeat, inTextField: isTextField(e.target) };
+    ACTION_DEFINITIONS.forEach(({ action }) => {
+      if (isActionKey(action, key)) {
+        handleActionDown(action, options);
       }
-    }
+    });
     
-    // Handle diagnostic test with T key
-    if (key === 't') {
-      console.log("🔍 T key pressed - running diagnostic");
-      
-      // Log critical state variables
-      console.log("🔍 Current game state:", {
-        mode: gameState.mode,
-        isPaused: gameState.isPaused,
-        currentTaskChallenge: gameState.currentTaskChallenge,
-        position: gameState.mode === 'TASK_GAME' ? gameState.taskGamePosition : gameState.playerPosition,
-        velocity: gameState.velocity,
-        keyStates: Object.entries(gameState.keys).filter(([k, v]) => v).map(([k]) => k)
-      });
-    }
-    
-    // Handle mode switching with number keys
-    if (e.key === '1' && gameState.mode !== '3D') {
-      gameState.mode = '3D';
-      if (gameState.setMode) {
-        gameState.setMode('3D');
-      }
-    } else if (e.key === '2' && gameState.mode !== '2D') {
-      gameState.mode = '2D';
-      if (gameState.setMode) {
-        gameState.setMode('2D');
-      }
-    } else if (e.key === '3' && gameState.mode !== 'TASK_GAME') {
-      gameState.mode = 'TASK_GAME';
-      if (gameState.setMode) {
-        gameState.setMode('TASK_GAME');
+    // Undo/redo task changes in the task game; text fields keep their own undo
+    if (gameState.mode === 'TASK_GAME' && (e.ctrlKey || e.metaKey) && !isTextField(e.target)) {
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoTaskChange();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoTaskChange();
       }
     }
   });
@@ -183,7 +315,45 @@ export function setupInputListeners() {
     }
   });
   
+  // Mouse aiming in the 2D modes: follow the cursor over the 2D canvas and
+  // shoot toward it on a left click. Touches are left to the touch controls.
+  window.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'mouse') return;
+    const canvas = gameState.canvas;
+    gameState.isMouseAiming = Boolean(canvas) && e.target === canvas && MOUSE_AIM_MODES.includes(gameState.mode);
+    if (gameState.isMouseAiming) {
+      gameState.mousePosition = toCanvasPoint(canvas, e.clientX, e.clientY);
+    }
+  });
+  
+  window.addEventListener('pointerdown', (e) => {
+    const canvas = gameState.canvas;
+    if (e.pointerType !== 'mouse' || e.button !== 0 || !canvas || e.target !== canvas) return;
+    if (!MOUSE_AIM_MODES.includes(gameState.mode) || isReplayPlaying()) return;
+    
+    gameState.mousePosition = toCanvasPoint(canvas, e.clientX, e.clientY);
+    gameState.isMouseAiming = true;
+    const position = gameState.mode === 'TASK_GAME' ? gameState.taskGamePosition : gameState.playerPosition;
+    aimShotInCurrentMode(getAimAngle(position, gameState.mousePosition));
+  });
+  
+  // Gamepad buttons run the same actions as their keys
+  onGamepadAction((action, pressed) => {
+    if (pressed) {
+      console.log(`🎮 Gamepad action: ${action} in mode: ${gameState.mode}`);
+      handleActionDown(action);
+    }
+  });
+  
+  // Gamepads have no input events, so poll them while one is connected
+  window.addEventListener('gamepadconnected', (e) => {
+    console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+    startGamepadPolling();
+  });
+  
+  window.addEventListener('gamepaddisconnected', (e) => {
+    console.log(`🎮 Gamepad disconnected: ${e.gamepad.id}`);
+  });
+  
   console.log("🔑 Input listeners set up");
 }
-
-console.log("Displaying file contents for debugging");
@@ -1,11 +1,211 @@
 import gameState from './gameState';
+import { recordModeTime } from '../services/statsService';
 // Import the diagnostic utilities
 import { recordState, compareSnapshots, logStateProperty, verifyStateConsistency } from '../utils/stateDiagnostics';
 
+/**
+ * Game mode state machine.
+ *
+ * Every change of gameState.mode goes through setGameMode (an immediate
+ * change) or transitionGameMode (a change wrapped in the pre/post transition
+ * events, key resets and player state preservation). Both check the change
+ * against MODE_STATES first: a mode can only move to the modes listed in its
+ * transitions, and modes that run a session (the arenas and the 3D training
+ * challenge) cannot be left while that session is still running. Rejected
+ * changes leave the mode alone, are logged and fire a
+ * 'gameModeTransitionRejected' event. Accepted changes run the old mode's
+ * onExit and the new mode's onEnter hooks, then fire 'gameModeChange'.
+ */
+
+export const GAME_MODES = {
+  THREE_D: '3D',
+  TWO_D: '2D',
+  TASK_GAME: 'TASK_GAME',
+  TRAINING_2D: '2D_TRAINING',
+  TASK_ARENA_2D: '2D_TASK_ARENA',
+  TRAINING_CHALLENGE: 'TRAINING_CHALLENGE'
+};
+
+// Checks registered by the modes that run a session: mode -> () => boolean
+const sessionChecks = {};
+
+/**
+ * @param {string} mode - Mode to check
+ * @returns {boolean} True while the mode's session (arena run, challenge) is running
+ */
+function isSessionRunning(mode) {
+  const check = sessionChecks[mode];
+  return Boolean(check && check());
+}
+
+/**
+ * Keep the 2D FPS counter running across 2D-based modes
+ */
+function init2DFpsTracking() {
+  gameState.lastFpsUpdate = gameState.lastFpsUpdate || performance.now();
+  gameState.frameCount = gameState.frameCount || 0;
+}
+
+/**
+ * Allowed transitions and enter/exit hooks for each mode.
+ * locked: the mode cannot be left while its session is running.
+ * Hooks are called with (fromMode, toMode).
+ */
+const MODE_STATES = {
+  '3D': {
+    transitions: ['2D', 'TASK_GAME', 'TRAINING_CHALLENGE'],
+    onEnter: () => {
+      gameState.lastFpsUpdate3D = performance.now();
+      gameState.frameCount3D = 0;
+    },
+    onExit: (fromMode, toMode) => {
+      // The training challenge keeps using the 3D pointer lock
+      if (toMode === 'TRAINING_CHALLENGE') return;
+      if (document.pointerLockElement) {
+        document.exitPointerLock();
+      }
+      gameState.pointerLocked = false;
+    }
+  },
+  '2D': {
+    transitions: ['3D', 'TASK_GAME', '2D_TRAINING', '2D_TASK_ARENA'],
+    onEnter: init2DFpsTracking
+  },
+  'TASK_GAME': {
+    transitions: ['3D', '2D', '2D_TRAINING', '2D_TASK_ARENA'],
+    onEnter: () => {
+      init2DFpsTracking();
+      // CRITICAL FIX: a challenge or pause must never carry into the task game
+      gameState.isPaused = false;
+      gameState.currentTaskChallenge = undefined;
+    }
+  },
+  '2D_TRAINING': {
+    transitions: ['2D', '2D_TASK_ARENA'],
+    locked: true,
+    onEnter: init2DFpsTracking
+  },
+  '2D_TASK_ARENA': {
+    transitions: ['TASK_GAME', '2D', '2D_TRAINING'],
+    locked: true,
+    onEnter: init2DFpsTracking
+  },
+  'TRAINING_CHALLENGE': {
+    transitions: ['3D'],
+    locked: true
+  }
+};
+
 // Track the current transition state
 let isTransitioning = false;
 let transitionCallback = null;
 
+/**
+ * Register how to tell whether a mode's session is still running. While it
+ * is, the mode cannot be left; the session's own exit ends it first.
+ * @param {string} mode - One of the locked modes
+ * @param {Function} isRunning - Returns true while the session is running
+ */
+export function registerModeSession(mode, isRunning) {
+  sessionChecks[mode] = isRunning;
+}
+
+/**
+ * Find out why a transition is not allowed
+ * @param {string} fromMode - Current mode
+ * @param {string} toMode - Requested mode
+ * @returns {string|null} Reason the transition is rejected, or null if it is allowed
+ */
+export function getTransitionRejection(fromMode, toMode) {
+  if (!MODE_STATES[toMode]) {
+    return `unknown mode ${toMode}`;
+  }
+  // Unknown starting mode (e.g. not initialized yet): anything goes
+  const from = MODE_STATES[fromMode];
+  if (!from || fromMode === toMode) {
+    return null;
+  }
+  if (!from.transitions.includes(toMode)) {
+    return `${fromMode} cannot switch to ${toMode}`;
+  }
+  if (from.locked && isSessionRunning(fromMode)) {
+    return `${fromMode} is still running`;
+  }
+  return null;
+}
+
+/**
+ * @param {string} toMode - Requested mode
+ * @param {string} [fromMode] - Mode to start from, the current mode by default
+ * @returns {boolean} True if the transition would be accepted
+ */
+export function canTransition(toMode, fromMode = gameState.mode) {
+  return getTransitionRejection(fromMode, toMode) === null;
+}
+
+/**
+ * Log a rejected transition and let listeners know about it
+ */
+function rejectTransition(fromMode, toMode, reason, options) {
+  console.warn(`⛔ Mode transition rejected: ${fromMode} -> ${toMode} (${reason})`);
+  window.dispatchEvent(new CustomEvent('gameModeTransitionRejected', {
+    detail: { from: fromMode, to: toMode, reason, options }
+  }));
+}
+
+/**
+ * Run a mode's enter or exit hook; a failing hook never blocks the change
+ */
+function runModeHook(mode, hookName, fromMode, toMode) {
+  const hook = MODE_STATES[mode] && MODE_STATES[mode][hookName];
+  if (!hook) return;
+  try {
+    hook(fromMode, toMode);
+  } catch (error) {
+    console.error(`❌ Error in ${mode} ${hookName} hook:`, error);
+  }
+}
+
+/**
+ * Change the game mode immediately, if the state machine allows it.
+ * Switching to the current mode is accepted and does nothing.
+ * @param {string} targetMode - The mode to switch to
+ * @param {Object} options - Passed along to the change and rejection events
+ * @returns {boolean} True if the game is now in targetMode
+ */
+export function setGameMode(targetMode, options = {}) {
+  const fromMode = gameState.mode;
+  const rejection = getTransitionRejection(fromMode, targetMode);
+  if (rejection) {
+    rejectTransition(fromMode, targetMode, rejection, options);
+    return false;
+  }
+  if (fromMode === targetMode) {
+    return true;
+  }
+
+  console.log(`🔄 Setting game mode from ${fromMode} to ${targetMode}`);
+  runModeHook(fromMode, 'onExit', fromMode, targetMode);
+
+  // Time spent per mode feeds the stats dashboard
+  const now = Date.now();
+  recordModeTime(fromMode, now - gameState.lastModeChangeTime);
+
+  gameState.previousMode = fromMode;
+  gameState.mode = targetMode;
+  gameState.lastModeChangeTime = now;
+
+  // Keys held in the old mode must not act in the new one
+  resetAllKeyStates();
+
+  runModeHook(targetMode, 'onEnter', fromMode, targetMode);
+
+  window.dispatchEvent(new CustomEvent('gameModeChange', {
+    detail: { from: fromMode, to: targetMode, options }
+  }));
+  return true;
+}
+
 /**
  * Reset all key states to prevent stuck keys after mode transitions
  */
@@ -100,19 +300,24 @@ export function preservePlayerState(fromMode, toMode) {
  * Safely transition between game modes without unmounting PixiScene
  * @param {string} targetMode - The mode to transition to
  * @param {Object} options - Additional transition options
- * @param {Function} callback - Optional callback after transition completes
+ * @param {Function} callback - Optional callback after transition completes;
+ *   not called if the transition is rejected
+ * @returns {boolean} True if the transition was accepted
  */
 export function transitionGameMode(targetMode, options = {}, callback = null) {
   console.log(`🔄 Mode transition requested: ${gameState.mode} -> ${targetMode}`);
   
+  const previousMode = gameState.mode;
+  const rejection = getTransitionRejection(previousMode, targetMode);
+  if (rejection) {
+    rejectTransition(previousMode, targetMode, rejection, options);
+    return false;
+  }
+  
   // Set transitioning flag to prevent component unmounting
   isTransitioning = true;
   transitionCallback = callback;
   
-  // Store previous mode for potential rollback
-  const previousMode = gameState.mode;
-  gameState.previousMode = previousMode;
-  
   // Reset all key states to prevent stuck keys
   resetAllKeyStates();
   
@@ -132,22 +337,8 @@ export function transitionGameMode(targetMode, options = {}, callback = null) {
   // Preserve player state before changing modes
   preservePlayerState(previousMode, targetMode);
   
-  // Update the game state mode
-  gameState.mode = targetMode;
-  if (gameState.setMode) {
-    gameState.setMode(targetMode);
-  }
-  
-  // CRITICAL FIX: Explicitly reset these state variables during transition
-  if (targetMode === 'TASK_GAME') {
-    gameState.isPaused = false;
-    gameState.currentTaskChallenge = undefined;
-    
-    console.log("🔍 Critical state variables reset during transition:", {
-      isPaused: gameState.isPaused,
-      currentTaskChallenge: gameState.currentTaskChallenge
-    });
-  }
+  // Update the game state mode (the TASK_GAME enter hook clears any challenge)
+  setGameMode(targetMode, options);
   
   // Allow a small delay for React to process the state change
   // without unmounting components
@@ -198,6 +389,8 @@ export function transitionGameMode(targetMode, options = {}, callback = null) {
       }
     }, 100);
   }, 50);
+  
+  return true;
 }
 
 /**
@@ -208,13 +401,23 @@ export function isInModeTransition() {
   return isTransitioning;
 }
 
+// Window events behind each listener type
+const TRANSITION_EVENTS = {
+  pre: 'gamePreModeTransition',
+  post: 'gamePostModeTransition',
+  change: 'gameModeChange',
+  rejected: 'gameModeTransitionRejected'
+};
+
 /**
  * Register a listener for mode transitions
- * @param {string} eventType - Either 'pre' or 'post'
- * @param {Function} listener - Callback function
+ * @param {string} eventType - 'pre' or 'post' (transitionGameMode only),
+ *   'change' (every accepted mode change) or 'rejected'
+ * @param {Function} listener - Callback function, given the event; its detail
+ *   holds from, to and options (and reason for 'rejected')
  */
 export function addModeTransitionListener(eventType, listener) {
-  const eventName = eventType === 'pre' ? 'gamePreModeTransition' : 'gamePostModeTransition';
+  const eventName = TRANSITION_EVENTS[eventType] || TRANSITION_EVENTS.post;
   window.addEventListener(eventName, listener);
   
   // Return a function to remove the listener
@@ -0,0 +1,343 @@
+// src/game/physics2D.js
+
+/**
+ * Shared 2D physics for the canvas modes (2D world, task game, both arenas).
+ *
+ * A body is a view over an existing position ({ x, y }) and velocity
+ * ({ x, y }), so modes keep their own state objects and only the physics
+ * moves here. Bodies move by swept AABB against platforms: the earliest
+ * contact along the step's path stops the body on that axis and the rest of
+ * the step slides along the other one, so fast bodies cannot tunnel through
+ * thin platforms. Platforms with `oneWay: true` only catch a body landing
+ * on them from above; it passes through them from below and the sides.
+ *
+ * Every contact is reported as a collision event ({ type, ... } with type
+ * from COLLISION) so each mode decides what the contact means: landing,
+ * falling out of the world, a bullet hitting a target. Bullet checks against
+ * many targets go through a uniform grid broadphase.
+ *
+ * Units are per second (see fixedTimestep.js); deltaTime is in milliseconds.
+ */
+
+import { ACTIONS, isActionPressed } from './inputBindings';
+
+// Collision event types
+export const COLLISION = {
+  LAND: 'land', // body came down on top of a platform
+  CEILING: 'ceiling', // body hit the underside of a solid platform
+  WALL: 'wall', // body hit the side of a solid platform
+  FELL: 'fell', // body dropped below the bottom of the world
+  HIT: 'hit' // bullet hit a target
+};
+
+// Player hitbox in pixels
+export const PLAYER_SIZE = { width: 40, height: 50 };
+
+// Player movement in pixels per second
+export const PLAYER_MOVEMENT = {
+  moveSpeed: 300,
+  jumpPower: 900,
+  // Cap on falling speed so a long fall stays readable
+  maxFallSpeed: 900
+};
+
+// A body is stopped by at most this many contacts per step (e.g. floor, then wall)
+const MAX_CONTACTS_PER_STEP = 3;
+
+// Bullet checks switch to the grid broadphase at this many targets; below
+// it, testing every target is cheaper than building the grid
+export const BROADPHASE_MIN_TARGETS = 16;
+
+// Broadphase cell size in pixels, a little larger than a typical target
+const GRID_CELL_SIZE = 64;
+
+/**
+ * Create a body over an existing position and velocity
+ * @param {Object} position Position object ({ x, y }), moved in place
+ * @param {Object} velocity Velocity object ({ x, y }) in pixels per second, changed in place
+ * @param {Object} [size] Hitbox size ({ width, height })
+ * @returns {Object} Body: position, velocity, width, height and grounded
+ */
+export function createBody(position, velocity, size = PLAYER_SIZE) {
+  return {
+    position,
+    velocity,
+    width: size.width,
+    height: size.height,
+    grounded: false
+  };
+}
+
+/**
+ * Check whether a point lies inside a rectangle (edges excluded)
+ * @param {Object} rect Rectangle ({ x, y, width, height })
+ * @param {number} x Point x
+ * @param {number} y Point y
+ * @returns {boolean} True if the point is inside
+ */
+export function containsPoint(rect, x, y) {
+  return x > rect.x && x < rect.x + rect.width && y > rect.y && y < rect.y + rect.height;
+}
+
+/**
+ * Find when a moving box first touches a still one during a move
+ * @param {Object} box Moving box ({ x, y, width, height }) at the start of the move
+ * @param {number} dx Horizontal distance moved
+ * @param {number} dy Vertical distance moved
+ * @param {Object} target Still box ({ x, y, width, height })
+ * @returns {Object|null} { time (0-1 along the move), normalX, normalY } of the
+ *   contact, or null if they do not touch (or already overlap)
+ */
+export function sweepAABB(box, dx, dy, target) {
+  const axis = (position, size, delta, targetPosition, targetSize) => {
+    if (delta === 0) {
+      // Not moving on this axis: only a contact if already overlapping on it
+      const overlapping = position + size > targetPosition && position < targetPosition + targetSize;
+      return overlapping ? { entry: -Infinity, exit: Infinity } : null;
+    }
+    const near = delta > 0 ? targetPosition - (position + size) : targetPosition + targetSize - position;
+    const far = delta > 0 ? targetPosition + targetSize - position : targetPosition - (position + size);
+    return { entry: near / delta, exit: far / delta };
+  };
+
+  const x = axis(box.x, box.width, dx, target.x, target.width);
+  const y = axis(box.y, box.height, dy, target.y, target.height);
+  if (!x || !y) return null;
+
+  const entry = Math.max(x.entry, y.entry);
+  const exit = Math.min(x.exit, y.exit);
+  if (entry > exit || entry < 0 || entry > 1) return null;
+
+  return x.entry > y.entry
+    ? { time: entry, normalX: dx > 0 ? -1 : 1, normalY: 0 }
+    : { time: entry, normalX: 0, normalY: dy > 0 ? -1 : 1 };
+}
+
+/**
+ * Move a body for one step: apply gravity, sweep it against the platforms
+ * and keep it inside the world's sides
+ * @param {Object} body Body from createBody
+ * @param {number} deltaTime Step length in milliseconds
+ * @param {Object} [options]
+ * @param {number} [options.gravity] Downward acceleration in pixels per second²
+ * @param {number} [options.maxFallSpeed] Cap on downward speed in pixels per second
+ * @param {Array<Object>} [options.platforms] Platforms ({ x, y, width, height, oneWay })
+ * @param {Object} [options.bounds] World size ({ width, height })
+ * @returns {Array<Object>} Collision events, in the order they happened
+ */
+export function stepBody(body, deltaTime, { gravity = 0, maxFallSpeed = Infinity, platforms = [], bounds = null } = {}) {
+  const dt = deltaTime / 1000;
+  const { position, velocity } = body;
+  const events = [];
+
+  velocity.y = Math.min(velocity.y + gravity * dt, maxFallSpeed);
+
+  let dx = velocity.x * dt;
+  let dy = velocity.y * dt;
+  body.grounded = false;
+
+  for (let contact = 0; contact < MAX_CONTACTS_PER_STEP && (dx !== 0 || dy !== 0); contact++) {
+    const box = { x: position.x, y: position.y, width: body.width, height: body.height };
+
+    // Earliest contact along the remaining move
+    let hit = null;
+    for (const platform of platforms) {
+      const sweep = sweepAABB(box, dx, dy, platform);
+      if (!sweep || (platform.oneWay && sweep.normalY !== -1)) continue;
+      if (!hit || sweep.time < hit.time) {
+        hit = { ...sweep, platform };
+      }
+    }
+
+    if (!hit) {
+      position.x += dx;
+      position.y += dy;
+      break;
+    }
+
+    // Move up to the contact, then slide along it with the rest of the move
+    const remaining = 1 - hit.time;
+    if (hit.normalY !== 0) {
+      position.x += dx * hit.time;
+      position.y = hit.normalY < 0 ? hit.platform.y - body.height : hit.platform.y + hit.platform.height;
+      velocity.y = 0;
+      dx *= remaining;
+      dy = 0;
+      if (hit.normalY < 0) body.grounded = true;
+      events.push({ type: hit.normalY < 0 ? COLLISION.LAND : COLLISION.CEILING, platform: hit.platform });
+    } else {
+      position.x = hit.normalX < 0 ? hit.platform.x - body.width : hit.platform.x + hit.platform.width;
+      position.y += dy * hit.time;
+      velocity.x = 0;
+      dx = 0;
+      dy *= remaining;
+      events.push({ type: COLLISION.WALL, platform: hit.platform, normalX: hit.normalX });
+    }
+  }
+
+  if (bounds) {
+    position.x = Math.max(0, Math.min(bounds.width - body.width, position.x));
+    if (position.y > bounds.height) {
+      events.push({ type: COLLISION.FELL });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Run the shared player controls and physics for one step: A/D or arrows
+ * walk, W/Up/Space jump while standing on something
+ * @param {Object} state Game state (keys, velocity, gravity, isJumping, playerFacingDirection)
+ * @param {Object} position The mode's player position ({ x, y }), moved in place
+ * @param {number} deltaTime Step length in milliseconds
+ * @param {Object} world Platforms and bounds, as for stepBody
+ * @returns {Array<Object>} Collision events from stepBody
+ */
+export function updatePlayerBody(state, position, deltaTime, { platforms, bounds }) {
+  const { keys, velocity } = state;
+  velocity.x = 0;
+
+  if (isActionPressed(ACTIONS.MOVE_LEFT, keys)) {
+    velocity.x = -PLAYER_MOVEMENT.moveSpeed;
+    state.playerFacingDirection = -1;
+  }
+  if (isActionPressed(ACTIONS.MOVE_RIGHT, keys)) {
+    velocity.x = PLAYER_MOVEMENT.moveSpeed;
+    state.playerFacingDirection = 1;
+  }
+  if (isActionPressed(ACTIONS.JUMP, keys) && !state.isJumping) {
+    velocity.y = -PLAYER_MOVEMENT.jumpPower;
+  }
+
+  const body = createBody(position, velocity);
+  const events = stepBody(body, deltaTime, {
+    gravity: state.gravity,
+    maxFallSpeed: PLAYER_MOVEMENT.maxFallSpeed,
+    platforms,
+    bounds
+  });
+
+  // Only a body standing on something can jump; walking off a ledge counts as airborne
+  state.isJumping = !body.grounded;
+  return events;
+}
+
+/**
+ * Move bullets for one step and drop the ones that left the world
+ * @param {Array<Object>} bullets Bullets ({ x, y, vx, vy } in pixels per second), changed in place
+ * @param {number} deltaTime Step length in milliseconds
+ * @param {Object} bounds World size ({ width, height })
+ */
+export function stepBullets(bullets, deltaTime, bounds) {
+  const dt = deltaTime / 1000;
+  for (let i = bullets.length - 1; i >= 0; i--) {
+    const bullet = bullets[i];
+
+    // Skip if bullet is undefined (safety check)
+    if (!bullet) {
+      bullets.splice(i, 1);
+      continue;
+    }
+
+    bullet.x += bullet.vx * dt;
+    bullet.y += (bullet.vy || 0) * dt;
+
+    if (bullet.x < 0 || bullet.x > bounds.width || bullet.y < 0 || bullet.y > bounds.height) {
+      bullets.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Bucket rectangles into a uniform grid so a point only has to be tested
+ * against the rectangles in its cell. Rectangles spanning several cells are
+ * added to each of them.
+ * @param {Array<Object>} items Rectangles ({ x, y, width, height })
+ * @param {number} [cellSize] Cell size in pixels
+ * @returns {Object} Grid with queryPoint(x, y) returning the { item, index }
+ *   entries of the point's cell
+ */
+export function createSpatialGrid(items, cellSize = GRID_CELL_SIZE) {
+  const cells = new Map();
+  // String keys stay distinct for negative cells (items above or left of the world)
+  const keyOf = (cellX, cellY) => `${cellX},${cellY}`;
+
+  items.forEach((item, index) => {
+    const minX = Math.floor(item.x / cellSize);
+    const maxX = Math.floor((item.x + item.width) / cellSize);
+    const minY = Math.floor(item.y / cellSize);
+    const maxY = Math.floor((item.y + item.height) / cellSize);
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        const key = keyOf(cellX, cellY);
+        const cell = cells.get(key);
+        if (cell) cell.push({ item, index });
+        else cells.set(key, [{ item, index }]);
+      }
+    }
+  });
+
+  return {
+    queryPoint(x, y) {
+      return cells.get(keyOf(Math.floor(x / cellSize), Math.floor(y / cellSize))) || [];
+    }
+  };
+}
+
+/**
+ * Find the target a bullet is inside. Like a reverse scan over the targets,
+ * the one latest in the array wins when targets overlap.
+ * @private
+ */
+function findBulletTarget(bullet, targets, grid) {
+  if (!grid) {
+    for (let j = targets.length - 1; j >= 0; j--) {
+      if (containsPoint(targets[j], bullet.x, bullet.y)) return j;
+    }
+    return -1;
+  }
+
+  let found = -1;
+  for (const { item, index } of grid.queryPoint(bullet.x, bullet.y)) {
+    // Earlier hits may have removed targets and shifted the rest
+    const current = targets[index] === item ? index : targets.indexOf(item);
+    if (current > found && containsPoint(item, bullet.x, bullet.y)) {
+      found = current;
+    }
+  }
+  return found;
+}
+
+/**
+ * Test every bullet against a set of targets and report the hits. Each bullet
+ * hits at most one target. The handler may remove the target from its array.
+ * With BROADPHASE_MIN_TARGETS or more targets, the targets are put in a
+ * spatial grid first so each bullet is only tested against its neighbours.
+ * @param {Array<Object>} bullets Bullets, changed in place
+ * @param {Array<Object>} targets Rectangles the bullets can hit
+ * @param {Function} onHit Called with a HIT event ({ type, bullet, target, targetIndex });
+ *   return false to let the bullet fly on, anything else removes it
+ * @param {Object} [options]
+ * @param {boolean} [options.broadphase] Force the grid on or off
+ * @returns {number} Number of hits
+ */
+export function collideBullets(bullets, targets, onHit, { broadphase = targets.length >= BROADPHASE_MIN_TARGETS } = {}) {
+  const grid = broadphase && bullets.length > 0 ? createSpatialGrid(targets) : null;
+  let hits = 0;
+  for (let i = bullets.length - 1; i >= 0; i--) {
+    const bullet = bullets[i];
+    if (!bullet) continue;
+
+    const targetIndex = findBulletTarget(bullet, targets, grid);
+    if (targetIndex < 0) continue;
+
+    hits++;
+    const keepBullet = onHit({ type: COLLISION.HIT, bullet, target: targets[targetIndex], targetIndex }) === false;
+    // The handler may have cleared the bullets (e.g. by leaving the mode)
+    if (!keepBullet && bullets[i] === bullet) {
+      bullets.splice(i, 1);
+    }
+  }
+  return hits;
+}
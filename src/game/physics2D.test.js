@@ -0,0 +1,83 @@
+import { createBody, stepBody, createSpatialGrid, collideBullets, COLLISION, PLAYER_MOVEMENT } from './physics2D';
+
+// One 60 Hz step in milliseconds
+const STEP = 1000 / 60;
+
+const platform = (fields) => ({ x: 0, y: 200, width: 300, height: 20, ...fields });
+
+describe('stepBody', () => {
+  it('lands a falling body on top of a platform', () => {
+    const body = createBody({ x: 100, y: 140 }, { x: 0, y: 600 });
+    const events = stepBody(body, STEP, { gravity: 2000, platforms: [platform()] });
+
+    expect(events).toEqual([expect.objectContaining({ type: COLLISION.LAND })]);
+    expect(body.position.y).toBe(200 - body.height);
+    expect(body.velocity.y).toBe(0);
+    expect(body.grounded).toBe(true);
+  });
+
+  it('lands a fast body instead of letting it tunnel through a thin platform', () => {
+    const body = createBody({ x: 100, y: 0 }, { x: 0, y: 20000 });
+    const events = stepBody(body, STEP, { platforms: [platform({ height: 2 })] });
+
+    expect(events.map(event => event.type)).toEqual([COLLISION.LAND]);
+    expect(body.position.y).toBe(200 - body.height);
+  });
+
+  it('passes up through a one-way platform and lands on it coming back down', () => {
+    const oneWay = platform({ oneWay: true });
+    const body = createBody({ x: 100, y: 230 }, { x: 0, y: -900 });
+
+    // Rising through it from below is not a contact
+    expect(stepBody(body, STEP * 6, { platforms: [oneWay] })).toEqual([]);
+    expect(body.position.y + body.height).toBeLessThan(oneWay.y);
+    expect(body.velocity.y).toBe(-900);
+
+    body.velocity.y = 900;
+    const events = stepBody(body, STEP * 6, { platforms: [oneWay] });
+    expect(events.map(event => event.type)).toEqual([COLLISION.LAND]);
+    expect(body.position.y).toBe(oneWay.y - body.height);
+  });
+
+  it('stops a rising body under a solid platform', () => {
+    const body = createBody({ x: 100, y: 230 }, { x: 0, y: -900 });
+    const events = stepBody(body, STEP, { platforms: [platform()] });
+
+    expect(events.map(event => event.type)).toEqual([COLLISION.CEILING]);
+    expect(body.position.y).toBe(220);
+    expect(body.velocity.y).toBe(0);
+  });
+
+  it('caps the falling speed', () => {
+    const body = createBody({ x: 0, y: 0 }, { x: 0, y: 850 });
+    stepBody(body, 100, { gravity: 2000, maxFallSpeed: PLAYER_MOVEMENT.maxFallSpeed });
+
+    expect(body.velocity.y).toBe(PLAYER_MOVEMENT.maxFallSpeed);
+    expect(body.position.y).toBeCloseTo(PLAYER_MOVEMENT.maxFallSpeed * 0.1);
+  });
+
+  it('reports falling out of the bottom of the world', () => {
+    const body = createBody({ x: 0, y: 590 }, { x: 0, y: 900 });
+    const events = stepBody(body, STEP, { bounds: { width: 800, height: 600 } });
+    expect(events.map(event => event.type)).toEqual([COLLISION.FELL]);
+  });
+});
+
+describe('createSpatialGrid', () => {
+  it('keeps cells with negative coordinates apart', () => {
+    // With packed numeric keys, cell (0, -1) and cell (-1, 65535) shared a key
+    const grid = createSpatialGrid([{ x: 0, y: -1, width: 0.5, height: 0.5 }], 1);
+    expect(grid.queryPoint(0.25, -0.75)).toHaveLength(1);
+    expect(grid.queryPoint(-0.5, 65535.5)).toEqual([]);
+  });
+
+  it('finds targets above and left of the world origin', () => {
+    const targets = Array.from({ length: 20 }, (_, i) => ({ x: -1000 + i * 100, y: -80, width: 40, height: 40 }));
+    const bullets = [{ x: -880, y: -60 }, { x: -850, y: -60 }];
+    const hits = [];
+    collideBullets(bullets, targets, ({ targetIndex }) => { hits.push(targetIndex); }, { broadphase: true });
+
+    expect(hits).toEqual([1]);
+    expect(bullets).toEqual([{ x: -850, y: -60 }]);
+  });
+});
@@ -1,13 +1,31 @@
 import gameState from './gameState';
 import { setupInputListeners } from './inputManager';
+import { setGameMode, canTransition, registerModeSession } from './modeTransitionManager';
+import { taskStorage } from '../services/TaskStorageService';
+import { getDefaultDifficulty, SPECIAL_TARGET_DESCRIPTIONS } from './taskDifficulty';
+import { createRandom, resolveArenaSeed } from '../services/seededRandom';
+import { startArenaRecording, finishArenaRecording, isReplayPlaying } from './arenaReplay';
+import { updatePlayerBody, stepBullets, collideBullets, COLLISION } from './physics2D';
+import { fireWeapon } from './arenaWeapons';
+import { getAimDirection, drawAimLine } from './aim2D';
+import { SOUNDS, playSound } from './audioManager';
+import { getArenaWeapon, getPlayerColor } from '../services/tokenShop';
+import { ACTIONS, isActionPressed, releaseAction, consumeAction, getArenaHudHint } from './inputBindings';
 
 // Constants for the 2D task arena
 const ARENA_WIDTH = window.innerWidth;
 const ARENA_HEIGHT = window.innerHeight;
-const TARGET_SPEED_MIN = 1;
-const TARGET_SPEED_MAX = 3;
-const TASK_CHALLENGE_TIME = 30; // seconds 
-    // leave it as 30 seconds
+// Time limit, target speed and target mix come from the challenge's difficulty (see taskDifficulty.js)
+
+// Chance that a spawned target is a special one, per special type the difficulty allows
+const SPECIAL_TARGET_CHANCE = 0.12;
+
+// Special target types: size relative to a normal target, points per kill, hits to destroy
+const SPECIAL_TARGETS = {
+  bonus: { sizeScale: 0.6, speedScale: 1.5, points: 50, hits: 1, color: '#FFD700' },
+  decoy: { sizeScale: 1, speedScale: 1, points: -20, hits: 1, color: '#F44336' },
+  armored: { sizeScale: 1.3, speedScale: 0.6, points: 40, hits: 2, color: '#9E9E9E' }
+};
 
 // Quality-dependent constants
 const QUALITY_SETTINGS = {
@@ -55,6 +73,11 @@ class TaskArena2DManager {
     this.requiredScore = requiredScore || 300;
     this.onCompleteCallback = onCompleteCallback;
     
+    // Difficulty computed for the task being challenged
+    const challenge = state.currentTaskChallenge;
+    this.difficulty = (challenge && challenge.difficulty) || getDefaultDifficulty(this.requiredScore);
+    console.log(`Task arena difficulty: ${this.difficulty.name} (${this.difficulty.reasons.join(', ')})`);
+    
     // Add flag to track if callback has been executed
     this.callbackExecuted = false;
     
@@ -70,19 +93,22 @@ class TaskArena2DManager {
     // Task arena state
     this.targets = [];
     this.score = 0;
-    this.timeRemaining = TASK_CHALLENGE_TIME;
+    this.timeRemaining = this.difficulty.timeLimit;
     this.isActive = false;
     this.lastUpdateTime = 0;
     this.activeEffects = [];
     this.exitPortal = null;
     this.scoreGoalReached = false;
     
-    // Track last shoot time for cooldown
-    this.lastShootTime = 0;
-    this.shootCooldown = 300; // milliseconds between shots
+    // Arena clock in milliseconds, advanced by update so runs can be replayed
+    this.elapsed = 0;
     
-    // Setup custom L key listener for bullet creation
-    this.setupLKeyListener();
+    // Targets waiting to respawn: arena clock times at which to spawn them
+    this.pendingSpawns = [];
+    
+    // Track last shoot time (arena clock) for cooldown
+    this.lastShootTime = -Infinity;
+    this.shootCooldown = 300; // milliseconds between shots
     
     // Bind methods to retain 'this' context
     this.update = this.update.bind(this);
@@ -97,26 +123,20 @@ class TaskArena2DManager {
     console.log("TaskArena2DManager created with required score:", this.requiredScore);
   }
   
-  // Setup a direct L key listener that bypasses gameState
-  setupLKeyListener() {
-    console.log("Setting up L key listener for task arena");
-    
-    this.lKeyHandler = (e) => {
-      if (!this.isActive) return;
-      
-      if (e.key.toLowerCase() === 'l') {
-        console.log("L key pressed in task arena");
-        const currentTime = Date.now();
-        if (currentTime - this.lastShootTime > this.shootCooldown) {
-          this.lastShootTime = currentTime;
-          this.createBullet();
-        }
-      }
-    };
-    
-    // Add the event listener
-    window.addEventListener('keydown', this.lKeyHandler);
-    console.log("L key listener added for task arena");
+  // Shoot if the cooldown has passed, straight ahead or at the given aim
+  // angle. The cooldown runs on the arena clock rather than wall time, so a
+  // replayed run fires the same shots.
+  tryShoot(aimAngle) {
+    // No more shots once time is up and the final score is showing
+    if (this.isEnding) {
+      return false;
+    }
+    if (this.elapsed - this.lastShootTime < this.shootCooldown) {
+      return false;
+    }
+    this.lastShootTime = this.elapsed;
+    this.createBullet(aimAngle);
+    return true;
   }
   
   // Initialize the task arena
@@ -124,11 +144,21 @@ class TaskArena2DManager {
     console.log("Initializing 2D task arena");
     this.isActive = true;
     this.score = 0;
-    this.timeRemaining = TASK_CHALLENGE_TIME;
+    this.timeRemaining = this.difficulty.timeLimit;
     this.lastUpdateTime = Date.now();
     this.activeEffects = [];
     this.scoreGoalReached = false;
-    this.lastShootTime = 0;
+    this.elapsed = 0;
+    this.pendingSpawns = [];
+    this.lastShootTime = -Infinity;
+    // Weapon bought in the token shop (or the one a replay was recorded with)
+    this.weapon = getArenaWeapon();
+    
+    // Seed this run's random numbers so it can be replayed and compared
+    this.seed = resolveArenaSeed(this.gameState.arenaSeed);
+    this.random = createRandom(this.seed);
+    this.gameState.lastArenaSeed = this.seed;
+    console.log("Arena seed:", this.seed);
     
     try {
       // Clear existing game elements
@@ -175,14 +205,15 @@ class TaskArena2DManager {
     const platformHeight = 20;
     
     for (let i = 0; i < platformCount; i++) {
-      const x = Math.random() * (this.canvas.width - platformWidth);
+      const x = this.random.next() * (this.canvas.width - platformWidth);
       const y = this.canvas.height - 150 - (i * 100);
       
       this.gameState.platforms.push({
         x,
         y,
         width: platformWidth,
-        height: platformHeight
+        height: platformHeight,
+        oneWay: true // can be jumped through from below
       });
     }
   }
@@ -203,7 +234,8 @@ class TaskArena2DManager {
   
   // Create targets
   createTargets() {
-    const targetCount = this.qualitySettings.targetCount;
+    const targetCount = Math.round(this.qualitySettings.targetCount * this.difficulty.targetScale);
+    this.targetCount = targetCount;
     for (let i = 0; i < targetCount; i++) {
       this.createTarget();
     }
@@ -211,60 +243,68 @@ class TaskArena2DManager {
   
   // Create a single target
   createTarget() {
-    // Random target type (static or moving)
-    const isMoving = Math.random() > 0.3;
-    const size = this.qualitySettings.targetSize;
+    // Maybe spawn one of the special types the difficulty allows
+    const specialType = this.difficulty.specialTargets.find(() => this.random.chance(SPECIAL_TARGET_CHANCE)) || null;
+    const special = specialType ? SPECIAL_TARGETS[specialType] : null;
+    
+    // Random target type (static or moving); bonus targets always move
+    const isMoving = specialType === 'bonus' || this.random.next() > 0.3;
+    const size = Math.round(this.qualitySettings.targetSize * (special ? special.sizeScale : 1));
     
     // Create target
     const target = {
-      x: Math.random() * (this.canvas.width - size * 2) + size,
-      y: Math.random() * (this.canvas.height - 200) + 50,
+      x: this.random.next() * (this.canvas.width - size * 2) + size,
+      y: this.random.next() * (this.canvas.height - 200) + 50,
       width: size,
       height: size,
       isTarget: true,
-      points: isMoving ? 20 : 10 // More points for moving targets
+      specialType: specialType,
+      hitsLeft: special ? special.hits : 1,
+      points: special ? special.points : (isMoving ? 20 : 10) // More points for moving targets
     };
     
     // Add movement properties for moving targets
     if (isMoving) {
-      const speed = TARGET_SPEED_MIN + Math.random() * (TARGET_SPEED_MAX - TARGET_SPEED_MIN);
+      const { speedMin, speedMax } = this.difficulty;
+      const speed = this.random.range(speedMin, speedMax) * (special ? special.speedScale : 1);
       target.isMoving = true;
-      target.vx = (Math.random() > 0.5 ? 1 : -1) * speed;
-      target.vy = (Math.random() > 0.5 ? 1 : -1) * speed;
+      target.vx = this.random.sign() * speed;
+      target.vy = this.random.sign() * speed;
       target.color = '#FF9500'; // Orange for moving targets
     } else {
       target.isMoving = false;
       target.color = '#00FF00'; // Green for static targets
     }
+    if (special) {
+      target.color = special.color;
+    }
     
     this.targets.push(target);
     return target;
   }
   
   // Create a bullet - simplified and direct method
-  createBullet() {
+  createBullet(aimAngle) {
     if (!this.isActive) return;
     
     console.log("Creating bullet in 2D task arena");
     
-    // Get direction based on player facing direction
+    // An aimed shot turns the player toward the aim
+    if (aimAngle !== undefined) {
+      this.gameState.playerFacingDirection = getAimDirection(aimAngle);
+    }
     const direction = this.gameState.playerFacingDirection || 1;
     
-    // Create bullet using the EXACT same formula as in inputManager.js
-    const bullet = {
+    // Fire the equipped weapon from the gun's muzzle
+    const muzzle = {
       x: this.gameState.playerPosition.x + (direction > 0 ? 40 : 0),
-      y: this.gameState.playerPosition.y + 25,
-      vx: direction * 10,
-      vy: 0,
-      size: 5,
-      color: '#FFFF00'
+      y: this.gameState.playerPosition.y + 25
     };
-    
-    // Add bullet to game state
-    this.gameState.bullets.push(bullet);
+    this.gameState.bullets.push(...fireWeapon(this.weapon, muzzle, direction, aimAngle));
     
     // Create muzzle flash effect
-    this.createMuzzleFlash(bullet.x, bullet.y);
+    this.createMuzzleFlash(muzzle.x, muzzle.y);
+    playSound(SOUNDS.SHOT);
   }
   
   // Create muzzle flash effect
@@ -293,6 +333,8 @@ class TaskArena2DManager {
   
   // Create hit effect
   createHitEffect(x, y) {
+    playSound(SOUNDS.HIT);
+    
     // Limit number of active effects
     if (this.activeEffects.length >= this.qualitySettings.maxEffects) {
       // Remove oldest effect
@@ -322,8 +364,9 @@ class TaskArena2DManager {
         return true; // Keep rendering but don't update game elements
       }
       
-      // Update timer
+      // Update timer and arena clock
       this.timeRemaining -= deltaTime / 1000;
+      this.elapsed += deltaTime;
       
       // Check if time ran out
       if (this.timeRemaining <= 0) {
@@ -336,10 +379,11 @@ class TaskArena2DManager {
       this.updatePlayerMovement(deltaTime);
       
       // Update bullets
-      this.updateBullets();
+      this.updateBullets(deltaTime);
       
       // Update targets
       this.updateTargets(deltaTime);
+      this.spawnPendingTargets();
       
       // Update effects
       this.updateEffects();
@@ -356,15 +400,12 @@ class TaskArena2DManager {
         this.createScoreGoalReachedEffect();
       }
       
-      // Handle shooting with L key directly in the update loop
-      // This is a backup method in case the key listener doesn't work
-      if (this.gameState.keys && this.gameState.keys['l']) {
-        const currentTime = Date.now();
-        if (currentTime - this.lastShootTime > this.shootCooldown) {
-          this.lastShootTime = currentTime;
-          this.createBullet();
-          // Reset the key state to prevent continuous shooting
-          this.gameState.keys['l'] = false;
+      // Also shoot from the update loop, in case the input manager's
+      // shot was still on cooldown when the key went down
+      if (isActionPressed(ACTIONS.SHOOT)) {
+        if (this.tryShoot()) {
+          // Release the action to prevent continuous shooting
+          releaseAction(ACTIONS.SHOOT);
         }
       }
       
@@ -396,110 +437,34 @@ class TaskArena2DManager {
     }
   }
   
-  // Update player movement - similar to twoDSetup.js
+  // Update player movement with the shared physics (see physics2D.js)
   updatePlayerMovement(deltaTime) {
-    const moveSpeed = 5;
-    const jumpPower = 15;
-    const gravity = this.gameState.gravity;
-    this.gameState.velocity.x = 0;
-    
-    // Update player movement based on keyboard controls
-    if (this.gameState.keys['a'] || this.gameState.keys['arrowleft']) {
-      this.gameState.velocity.x = -moveSpeed;
-      this.gameState.playerFacingDirection = -1;
-    }
-    if (this.gameState.keys['d'] || this.gameState.keys['arrowright']) {
-      this.gameState.velocity.x = moveSpeed;
-      this.gameState.playerFacingDirection = 1;
-    }
-    if ((this.gameState.keys['w'] || this.gameState.keys['arrowup'] || this.gameState.keys[' ']) && !this.gameState.isJumping) {
-      this.gameState.velocity.y = -jumpPower;
-      this.gameState.isJumping = true;
-    }
-    
-    // Apply gravity
-    this.gameState.velocity.y += gravity;
-    
-    // Cap maximum falling speed to prevent tunneling through platforms
-    const maxFallSpeed = 15;
-    if (this.gameState.velocity.y > maxFallSpeed) {
-      this.gameState.velocity.y = maxFallSpeed;
-    }
-    
-    // Update position
-    this.gameState.playerPosition.x += this.gameState.velocity.x;
-    this.gameState.playerPosition.y += this.gameState.velocity.y;
-    
-    // Platform collision (improved to handle high velocities)
-    let onPlatform = false;
-    this.gameState.platforms.forEach(platform => {
-      // Check if player is within horizontal bounds of the platform
-      if (
-        this.gameState.playerPosition.x + 30 > platform.x &&
-        this.gameState.playerPosition.x < platform.x + platform.width
-      ) {
-        // Check if player is landing on top of platform
-        if (
-          this.gameState.playerPosition.y + 50 >= platform.y &&
-          this.gameState.playerPosition.y + 50 - this.gameState.velocity.y <= platform.y
-        ) {
-          this.gameState.playerPosition.y = platform.y - 50;
-          this.gameState.velocity.y = 0;
-          this.gameState.isJumping = false;
-          onPlatform = true;
-        }
-      }
+    const bounds = { width: this.canvas.width, height: this.canvas.height };
+    const events = updatePlayerBody(this.gameState, this.gameState.playerPosition, deltaTime, {
+      platforms: this.gameState.platforms,
+      bounds
     });
     
     // Ensure player doesn't fall through the bottom of the screen
-    if (this.gameState.playerPosition.y > this.canvas.height) {
+    if (events.some(event => event.type === COLLISION.FELL)) {
       this.gameState.playerPosition.y = this.canvas.height - 50;
       this.gameState.velocity.y = 0;
-      this.gameState.isJumping = false;
-    }
-    
-    // Keep player within screen bounds
-    if (this.gameState.playerPosition.x < 0) {
-      this.gameState.playerPosition.x = 0;
-    } else if (this.gameState.playerPosition.x > this.canvas.width - 40) {
-      this.gameState.playerPosition.x = this.canvas.width - 40;
     }
   }
   
-  // Update bullets - new method to properly handle bullet movement
-  updateBullets() {
-    for (let i = this.gameState.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.gameState.bullets[i];
-      
-      // Skip if bullet is undefined (safety check)
-      if (!bullet) {
-        this.gameState.bullets.splice(i, 1);
-        continue;
-      }
-      
-      // Update bullet position
-      bullet.x += bullet.vx;
-      bullet.y += bullet.vy || 0;
-      
-      // Remove bullet if offscreen
-      if (
-        bullet.x < 0 ||
-        bullet.x > this.canvas.width ||
-        bullet.y < 0 ||
-        bullet.y > this.canvas.height
-      ) {
-        this.gameState.bullets.splice(i, 1);
-      }
-    }
+  // Update bullets
+  updateBullets(deltaTime) {
+    stepBullets(this.gameState.bullets, deltaTime, { width: this.canvas.width, height: this.canvas.height });
   }
   
   // Update targets (move the moving ones)
   updateTargets(deltaTime) {
+    const dt = deltaTime / 1000;
     for (const target of this.targets) {
       if (target.isMoving) {
-        // Move the target
-        target.x += target.vx;
-        target.y += target.vy;
+        // Move the target (velocity in pixels per second)
+        target.x += target.vx * dt;
+        target.y += target.vy * dt;
         
         // Bounce off walls
         if (target.x <= 0 || target.x + target.width >= this.canvas.width) {
@@ -515,6 +480,14 @@ class TaskArena2DManager {
     }
   }
   
+  // Respawn destroyed targets whose delay has passed
+  spawnPendingTargets() {
+    while (this.pendingSpawns.length > 0 && this.pendingSpawns[0] <= this.elapsed) {
+      this.pendingSpawns.shift();
+      this.createTarget();
+    }
+  }
+  
   // Update visual effects
   updateEffects() {
     const currentTime = Date.now();
@@ -552,38 +525,22 @@ class TaskArena2DManager {
   
   // Check bullet collisions with targets
   checkBulletCollisions() {
-    for (let i = this.gameState.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.gameState.bullets[i];
+    collideBullets(this.gameState.bullets, this.targets, ({ target, targetIndex }) => {
+      this.createHitEffect(target.x + target.width / 2, target.y + target.height / 2);
       
-      // Check collisions with targets
-      for (let j = this.targets.length - 1; j >= 0; j--) {
-        const target = this.targets[j];
-        
-        if (
-          bullet.x > target.x &&
-          bullet.x < target.x + target.width &&
-          bullet.y > target.y &&
-          bullet.y < target.y + target.height
-        ) {
-          // Hit a target
-          this.score += target.points;
-          this.createHitEffect(target.x + target.width / 2, target.y + target.height / 2);
-          
-          // Remove bullet and target
-          this.gameState.bullets.splice(i, 1);
-          this.targets.splice(j, 1);
-          
-          // Create a new target to replace it
-          setTimeout(() => {
-            if (this.isActive) {
-              this.createTarget();
-            }
-          }, 1000);
-          
-          break;
-        }
+      // Armored targets soak up hits before they break
+      target.hitsLeft--;
+      if (target.hitsLeft > 0) {
+        return;
       }
-    }
+      
+      // Decoys take points away, but the score never drops below zero
+      this.score = Math.max(0, this.score + target.points);
+      
+      // Remove the target and create a new one to replace it a second later
+      this.targets.splice(targetIndex, 1);
+      this.pendingSpawns.push(this.elapsed + 1000);
+    });
   }
   
   // Check if player is near exit portal
@@ -600,10 +557,10 @@ class TaskArena2DManager {
     const dy = playerCenterY - portalCenterY;
     const distance = Math.sqrt(dx * dx + dy * dy);
     
-    // If player is close to portal and presses 'E', exit the arena
-    if (distance < 50 && this.gameState.keys && this.gameState.keys['e']) {
+    // If player is close to portal and presses interact, exit the arena
+    // (consuming the press prevents multiple toggles)
+    if (distance < 50 && consumeAction(ACTIONS.INTERACT)) {
       this.exitArena();
-      this.gameState.keys['e'] = false; // Reset key to prevent multiple toggles
     }
   }
   
@@ -614,11 +571,11 @@ class TaskArena2DManager {
     // Set flag to show we're in the end state but keep arena active for rendering
     this.isEnding = true;
     
-    // Immediately remove the L key event listener to prevent input interference
-    if (this.lKeyHandler) {
-      window.removeEventListener('keydown', this.lKeyHandler);
-      this.lKeyHandler = null;
+    // Record the run in the persisted arena stats (replays are not new runs)
+    if (!isReplayPlaying()) {
+      taskStorage.recordArenaRun('taskArena2D', this.score, { success: this.score >= this.requiredScore });
     }
+    finishArenaRecording(this.score);
     
     // Show final score immediately
     this.showFinalScore();
@@ -652,15 +609,9 @@ class TaskArena2DManager {
       };
     }
     
-    // Determine if the challenge was successful
-    const isSuccess = this.score >= this.requiredScore;
-    
-    // If we have a callback and it hasn't been executed yet, call it with the score
-    if (this.onCompleteCallback && typeof this.onCompleteCallback === 'function' && !this.callbackExecuted) {
-      console.log("Executing completion callback with score:", this.score);
-      this.callbackExecuted = true;
-      this.onCompleteCallback(this.score);
-    }
+    // The completion callback runs from exitArena once the score screen is
+    // over: it leaves the mode, which the state machine refuses while the
+    // arena is still active
   }
   
   // Render the task arena
@@ -718,7 +669,8 @@ class TaskArena2DManager {
         this.ctx.fillText(`Required Score: ${this.requiredScore}`, this.canvas.width / 2, this.canvas.height / 2 + 60);
         
         this.ctx.font = '20px Arial';
-        this.ctx.fillText('Exiting in 5 seconds...', this.canvas.width / 2, this.canvas.height / 2 + 100);
+        this.ctx.fillText(`Seed: ${this.seed}`, this.canvas.width / 2, this.canvas.height / 2 + 100);
+        this.ctx.fillText('Exiting in 5 seconds...', this.canvas.width / 2, this.canvas.height / 2 + 130);
         return;
       }
       
@@ -787,11 +739,18 @@ class TaskArena2DManager {
           this.ctx.strokeStyle = '#FFFFFF';
           this.ctx.stroke();
         }
+        
+        // Armored targets show a thick rim until their armor breaks
+        if (target.hitsLeft > 1) {
+          this.ctx.lineWidth = 4;
+          this.ctx.strokeStyle = '#424242';
+          this.ctx.strokeRect(target.x, target.y, target.width, target.height);
+        }
       });
       
-      // Draw bullets
-      this.ctx.fillStyle = '#FFFF00';
+      // Draw bullets in their weapon's color
       this.gameState.bullets.forEach(bullet => {
+        this.ctx.fillStyle = bullet.color || '#FFFF00';
         this.ctx.beginPath();
         this.ctx.arc(bullet.x, bullet.y, bullet.size || 5, 0, Math.PI * 2);
         this.ctx.fill();
@@ -807,8 +766,8 @@ class TaskArena2DManager {
         this.ctx.globalAlpha = 1;
       });
       
-      // Draw player
-      this.ctx.fillStyle = '#3498db';
+      // Draw player in the equipped skin
+      this.ctx.fillStyle = getPlayerColor('#3498db');
       this.ctx.fillRect(
         this.gameState.playerPosition.x,
         this.gameState.playerPosition.y,
@@ -850,6 +809,11 @@ class TaskArena2DManager {
       }
       this.ctx.stroke();
       
+      // Draw the mouse aim
+      if (this.gameState.isMouseAiming && !isReplayPlaying()) {
+        drawAimLine(this.ctx, this.gameState.playerPosition, this.gameState.mousePosition);
+      }
+      
       // Draw UI elements
       this.drawUI();
       
@@ -902,13 +866,31 @@ class TaskArena2DManager {
     this.ctx.textAlign = 'right';
     this.ctx.fillText(`Time: ${Math.ceil(this.timeRemaining)}s`, this.canvas.width - 30, 45);
     
+    // Show the seed so a run can be shared and replayed
+    this.ctx.font = '12px Arial';
+    this.ctx.fillStyle = '#B0BEC5';
+    this.ctx.fillText(`${isReplayPlaying() ? 'REPLAY | ' : ''}Seed: ${this.seed}`, this.canvas.width - 30, 75);
+    
     // Draw instructions
     this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     this.ctx.fillRect(this.canvas.width / 2 - 150, 20, 300, 40);
     this.ctx.fillStyle = '#FFFFFF';
     this.ctx.font = '16px Arial';
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('Press L to shoot | Press E near exit to leave', this.canvas.width / 2, 45);
+    this.ctx.fillText(getArenaHudHint(), this.canvas.width / 2, 45);
+    
+    // Name the subtask this run clears, if the task has subtasks
+    const challenge = this.gameState.currentTaskChallenge;
+    if (challenge && challenge.subtask) {
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      this.ctx.fillRect(this.canvas.width / 2 - 150, 65, 300, 30);
+      this.ctx.fillStyle = '#8BC34A';
+      this.ctx.font = '14px Arial';
+      this.ctx.fillText(`Subtask: ${challenge.subtask.text}`, this.canvas.width / 2, 85, 290);
+    }
+    
+    // Explain why the challenge is as hard as it is
+    this.drawDifficultyHeader(challenge && challenge.subtask ? 100 : 65);
     
     // Draw progress bar
     const progressWidth = 300;
@@ -941,6 +923,28 @@ class TaskArena2DManager {
     this.ctx.fillText(`${Math.floor(progress * 100)}%`, progressX + progressWidth / 2, progressY + 15);
   }
   
+  // Draw the difficulty level, what caused it and what it changes
+  drawDifficultyHeader(y) {
+    const difficulty = this.difficulty;
+    const width = 440;
+    const lines = [
+      `Difficulty: ${difficulty.name}` + (difficulty.reasons.length > 0 ? ` (${difficulty.reasons.join(', ')})` : ''),
+      `${difficulty.timeLimit}s · ${this.targetCount} targets · speed ${difficulty.speedMin}-${difficulty.speedMax} px/s`
+    ];
+    if (difficulty.specialTargets.length > 0) {
+      lines.push(difficulty.specialTargets.map(type => SPECIAL_TARGET_DESCRIPTIONS[type]).join(' · '));
+    }
+    
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(this.canvas.width / 2 - width / 2, y, width, 10 + lines.length * 18);
+    this.ctx.font = '13px Arial';
+    this.ctx.textAlign = 'center';
+    lines.forEach((line, i) => {
+      this.ctx.fillStyle = i === 0 ? '#FFC107' : '#FFFFFF';
+      this.ctx.fillText(line, this.canvas.width / 2, y + 20 + i * 18, width - 10);
+    });
+  }
+  
   // Exit arena and return to task game
   exitArena() {
     console.log("Exiting 2D task arena");
@@ -949,11 +953,8 @@ class TaskArena2DManager {
       // Set inactive flag to prevent further updates
       this.isActive = false;
       
-      // Remove L key event listener
-      if (this.lKeyHandler) {
-        window.removeEventListener('keydown', this.lKeyHandler);
-        this.lKeyHandler = null;
-      }
+      // Keep the input recording if the player left before time ran out
+      finishArenaRecording(this.score);
       
       // Clear any pending timeouts
       if (this.exitTimeout) {
@@ -994,12 +995,7 @@ class TaskArena2DManager {
         }).catch(error => {
           console.error("Error importing modeTransitionManager:", error);
           // Last resort fallback
-          if (this.gameState) {
-            this.gameState.mode = '2D';
-            if (this.gameState.setMode) {
-              this.gameState.setMode('2D');
-            }
-          }
+          setGameMode('2D');
         });
       }
       
@@ -1016,9 +1012,8 @@ class TaskArena2DManager {
       }
       
       // Emergency fallback to 2D mode
-      if (this.gameState) {
-        this.gameState.mode = '2D';
-      }
+      this.isActive = false;
+      setGameMode('2D');
     }
   }
   
@@ -1027,12 +1022,6 @@ class TaskArena2DManager {
     console.log("Cleaning up task arena resources");
     
     try {
-      // Remove custom event listener for L key
-      if (this.lKeyHandler) {
-        window.removeEventListener('keydown', this.lKeyHandler);
-        this.lKeyHandler = null;
-      }
-      
       // Clear bullets, effects, and targets
       this.gameState.bullets = [];
       this.activeEffects = [];
@@ -1062,12 +1051,15 @@ class TaskArena2DManager {
 // Create task arena manager instance
 let taskArena2DManager = null;
 
-// Function to shoot in task arena - can be called from outside
-export function shootInTaskArena() {
+// 2D_TASK_ARENA can only be left through the arena's own exit
+registerModeSession('2D_TASK_ARENA', () => Boolean(taskArena2DManager && taskArena2DManager.isActive));
+
+// Function to shoot in task arena - can be called from outside.
+// aimAngle (radians) fires a mouse shot; without it the shot goes straight ahead.
+export function shootInTaskArena(aimAngle) {
   if (taskArena2DManager && taskArena2DManager.isActive) {
     console.log("External call to shoot in task arena");
-    taskArena2DManager.createBullet();
-    return true;
+    return taskArena2DManager.tryShoot(aimAngle);
   }
   return false;
 }
@@ -1078,6 +1070,11 @@ export function enterTaskArena2D(canvas, ctx, state, requiredScore, onCompleteCa
               "context:", ctx ? 'valid' : 'null',
               "mode:", state.mode);
   
+  if (!canTransition('2D_TASK_ARENA')) {
+    console.warn(`Cannot enter the 2D task arena from ${state.mode}`);
+    return null;
+  }
+  
   try {
     // Clean up any existing instance
     if (taskArena2DManager) {
@@ -1106,29 +1103,47 @@ export function enterTaskArena2D(canvas, ctx, state, requiredScore, onCompleteCa
       requiredScore: taskArena2DManager.requiredScore
     });
     
-    // Set game mode to 2D_TASK_ARENA - we're already in this mode from the direct transition
-    // but we'll set it again to be sure
-    state.previousMode = state.mode !== '2D_TASK_ARENA' ? state.mode : (state.previousMode || 'TASK_GAME');
-    state.mode = '2D_TASK_ARENA';
+    // Set game mode to 2D_TASK_ARENA - we're usually already in this mode from the
+    // direct transition, which the state machine accepts as a no-op
+    setGameMode('2D_TASK_ARENA');
     
     console.log("Game mode confirmed as:", state.mode);
     
+    // Record this run's inputs so it can be replayed
+    const challenge = state.currentTaskChallenge;
+    startArenaRecording({
+      mode: '2D_TASK_ARENA',
+      seed: taskArena2DManager.seed,
+      requiredScore: taskArena2DManager.requiredScore,
+      difficulty: taskArena2DManager.difficulty,
+      subtask: challenge && challenge.subtask ? challenge.subtask.text : null
+    });
+    
     return taskArena2DManager;
   } catch (error) {
     console.error("Error entering 2D task arena:", error);
     // If there's an error, make sure we return to TASK_GAME mode
+    if (taskArena2DManager) {
+      taskArena2DManager.isActive = false;
+      taskArena2DManager.cleanup();
+    }
     import('./modeTransitionManager').then(({ transitionGameMode }) => {
       transitionGameMode('TASK_GAME', {}, () => {
         console.log("Returned to TASK_GAME mode after error in task arena initialization");
       });
     }).catch(() => {
       // Fallback to direct mode change
-      state.mode = 'TASK_GAME';
+      setGameMode('TASK_GAME');
     });
     return null;
   }
 }
 
+// Function to get the arena's targets, for drawing them between simulation steps
+export function getTaskArena2DTargets() {
+  return taskArena2DManager && taskArena2DManager.isActive ? taskArena2DManager.targets : [];
+}
+
 // Function to update the 2D task arena
 export function updateTaskArena2D(deltaTime) {
   try {
@@ -1189,11 +1204,10 @@ export function cleanupTaskArena2D() {
   }
 }
 
-// Add a direct function to handle L key presses from the input manager
+// Add a direct function to handle shoot presses from the input manager
 export function handleLKeyInTaskArena() {
   if (taskArena2DManager && taskArena2DManager.isActive) {
-    taskArena2DManager.createBullet();
-    return true;
+    return taskArena2DManager.tryShoot();
   }
   return false;
 }
@@ -0,0 +1,66 @@
+import gameState from './gameState';
+import { canTransition } from './modeTransitionManager';
+import { enterTaskArena2D, updateTaskArena2D } from './taskArena2DSetup';
+
+// 2D context stand-in: every drawing call is a no-op
+const createContext = () => new Proxy({}, {
+  get: (target, prop) => (prop in target ? target[prop] : () => ({ addColorStop: () => {}, width: 0 }))
+});
+
+const createCanvas = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 800;
+  canvas.height = 600;
+  gameState.canvas = canvas;
+  return canvas;
+};
+
+describe('task arena time-out', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameState.mode = 'TASK_GAME';
+    gameState.currentTaskChallenge = undefined;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('reports the score after the score screen, when the arena can be left', () => {
+    const canvas = createCanvas();
+    let leaveAllowed = null;
+    const onComplete = jest.fn(() => { leaveAllowed = canTransition('TASK_GAME'); });
+
+    const arena = enterTaskArena2D(canvas, createContext(), gameState, 300, onComplete);
+    expect(gameState.mode).toBe('2D_TASK_ARENA');
+
+    arena.timeRemaining = 0.001;
+    updateTaskArena2D(16);
+
+    // Time is up: the score screen shows and the arena cannot be left yet
+    expect(arena.isEnding).toBe(true);
+    expect(onComplete).not.toHaveBeenCalled();
+    expect(canTransition('TASK_GAME')).toBe(false);
+
+    jest.advanceTimersByTime(5000);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete).toHaveBeenCalledWith(0);
+    expect(leaveAllowed).toBe(true);
+  });
+
+  it('reports the score once when the player leaves through the exit during the score screen', () => {
+    const canvas = createCanvas();
+    const onComplete = jest.fn();
+    const arena = enterTaskArena2D(canvas, createContext(), gameState, 300, onComplete);
+
+    arena.timeRemaining = 0.001;
+    updateTaskArena2D(16);
+    arena.exitArena();
+    jest.advanceTimersByTime(5000);
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+});
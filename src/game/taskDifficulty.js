@@ -0,0 +1,116 @@
+// src/game/taskDifficulty.js
+import { PRIORITIES, priorityToRequiredScore, getSubtaskRequiredScore } from '../services/taskSchema';
+
+/**
+ * Difficulty model for task arena challenges.
+ *
+ * A task's priority picks a starting level, a long time estimate pushes it
+ * up, and every past failure (up to MAX_FAILURE_RELIEF) eases it back down.
+ * The level decides the arena's time limit, target count, target speed,
+ * required score and which special targets may spawn. The reasons behind
+ * the level are kept so the arena can explain them to the player.
+ */
+
+// Levels from easiest to hardest. targetScale multiplies the quality
+// setting's target count; scoreScale multiplies the task's required score.
+// Target speeds are in pixels per second.
+export const DIFFICULTY_LEVELS = [
+  { name: 'Easy', timeLimit: 40, targetScale: 0.8, speedMin: 30, speedMax: 120, scoreScale: 0.8, specialTargets: [] },
+  { name: 'Normal', timeLimit: 30, targetScale: 1, speedMin: 60, speedMax: 180, scoreScale: 1, specialTargets: [] },
+  { name: 'Tricky', timeLimit: 30, targetScale: 1, speedMin: 90, speedMax: 210, scoreScale: 1, specialTargets: ['bonus'] },
+  { name: 'Hard', timeLimit: 30, targetScale: 1.2, speedMin: 120, speedMax: 240, scoreScale: 1.1, specialTargets: ['bonus', 'decoy'] },
+  { name: 'Brutal', timeLimit: 25, targetScale: 1.4, speedMin: 150, speedMax: 300, scoreScale: 1.2, specialTargets: ['bonus', 'decoy', 'armored'] }
+];
+
+// Level a task without priority (or with low priority) starts at
+const BASE_LEVEL = 1;
+
+// Estimates above these many minutes add one level each
+const ESTIMATE_THRESHOLDS = [60, 180];
+
+// Past failures ease the challenge by one level each, up to this many
+export const MAX_FAILURE_RELIEF = 2;
+
+// Extra seconds granted per past failure
+const FAILURE_TIME_BONUS = 5;
+
+// What each special target does, for the arena header
+export const SPECIAL_TARGET_DESCRIPTIONS = {
+  bonus: 'gold bonus targets',
+  decoy: 'red decoys cost points',
+  armored: 'grey armored targets take 2 hits'
+};
+
+/**
+ * Round a score up to a multiple of 50, never below 100
+ * @private
+ */
+const roundScore = (score) => Math.max(100, Math.ceil(score / 50) * 50);
+
+/**
+ * Work out the arena difficulty for a task challenge
+ * @param {Object} task Task being challenged
+ * @param {Object} [options]
+ * @param {Object|null} [options.subtask] Subtask this run clears, if any
+ * @returns {Object} Difficulty: level, name, timeLimit, targetScale, speedMin,
+ *   speedMax, requiredScore, specialTargets, failures and reasons
+ */
+export const getTaskDifficulty = (task, { subtask = null } = {}) => {
+  const reasons = [];
+  let level = BASE_LEVEL;
+
+  const priorityLevel = PRIORITIES.indexOf(task.priority);
+  if (priorityLevel > 0) {
+    level += priorityLevel;
+    reasons.push(`${task.priority} priority +${priorityLevel}`);
+  } else if (priorityLevel === 0) {
+    reasons.push('low priority');
+  }
+
+  const estimateBonus = ESTIMATE_THRESHOLDS.filter(minutes => task.estimateMinutes > minutes).length;
+  if (estimateBonus > 0) {
+    level += estimateBonus;
+    reasons.push(`${task.estimateMinutes} min estimate +${estimateBonus}`);
+  }
+
+  const failures = task.failedAttempts || 0;
+  const relief = Math.min(failures, MAX_FAILURE_RELIEF);
+  if (relief > 0) {
+    level -= relief;
+    reasons.push(`failed ${failures}x -${relief}`);
+  }
+
+  level = Math.max(0, Math.min(DIFFICULTY_LEVELS.length - 1, level));
+  const settings = DIFFICULTY_LEVELS[level];
+
+  // Subtasks split the parent's score; otherwise the priority decides it
+  const baseScore = subtask
+    ? getSubtaskRequiredScore(task)
+    : task.requiredScore || priorityToRequiredScore(task.priority);
+
+  return {
+    level,
+    name: settings.name,
+    timeLimit: settings.timeLimit + relief * FAILURE_TIME_BONUS,
+    targetScale: settings.targetScale,
+    speedMin: settings.speedMin,
+    speedMax: settings.speedMax,
+    requiredScore: roundScore(baseScore * settings.scoreScale),
+    specialTargets: settings.specialTargets,
+    failures,
+    reasons: reasons.length > 0 ? reasons : ['no priority or estimate']
+  };
+};
+
+/**
+ * Difficulty used when the arena is entered without a task (Normal level)
+ * @param {number} [requiredScore] Score the run needs
+ * @returns {Object} Difficulty in the same shape as getTaskDifficulty
+ */
+export const getDefaultDifficulty = (requiredScore = priorityToRequiredScore(null)) => ({
+  ...DIFFICULTY_LEVELS[BASE_LEVEL],
+  level: BASE_LEVEL,
+  requiredScore,
+  failures: 0,
+  reasons: []
+});
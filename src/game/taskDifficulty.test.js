@@ -0,0 +1,48 @@
+import { getTaskDifficulty, getDefaultDifficulty, DIFFICULTY_LEVELS } from './taskDifficulty';
+
+describe('getTaskDifficulty', () => {
+  it('uses the Normal level for a task without priority or estimate', () => {
+    const difficulty = getTaskDifficulty({ requiredScore: 300 });
+    expect(difficulty).toMatchObject({ level: 1, name: 'Normal', timeLimit: 30, requiredScore: 300, failures: 0 });
+    expect(difficulty.reasons).toEqual(['no priority or estimate']);
+  });
+
+  it('raises the level for priority and long estimates, up to the hardest level', () => {
+    const difficulty = getTaskDifficulty({ priority: 'urgent', estimateMinutes: 200, requiredScore: 600 });
+    expect(difficulty.level).toBe(DIFFICULTY_LEVELS.length - 1);
+    expect(difficulty.name).toBe('Brutal');
+    expect(difficulty.specialTargets).toEqual(['bonus', 'decoy', 'armored']);
+    // 600 * 1.2, rounded up to a multiple of 50
+    expect(difficulty.requiredScore).toBe(750);
+    expect(difficulty.reasons).toEqual(['urgent priority +3', '200 min estimate +2']);
+  });
+
+  it('eases the level and adds time for past failures, capped at two', () => {
+    const difficulty = getTaskDifficulty({ priority: 'low', failedAttempts: 3, requiredScore: 300 });
+    expect(difficulty).toMatchObject({ level: 0, name: 'Easy', timeLimit: 50, requiredScore: 250, failures: 3 });
+    expect(difficulty.reasons).toEqual(['low priority', 'failed 3x -2']);
+  });
+
+  it('falls back to the priority score when the task has no required score', () => {
+    expect(getTaskDifficulty({ priority: 'medium' }).requiredScore).toBe(400);
+  });
+
+  it('splits the score across subtasks when challenging a subtask', () => {
+    const task = { priority: 'high', requiredScore: 500, subtasks: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] };
+    const difficulty = getTaskDifficulty(task, { subtask: task.subtasks[0] });
+    expect(difficulty.name).toBe('Hard');
+    // 500 / 3 rounds up to 200, then 200 * 1.1 rounds up to 250
+    expect(difficulty.requiredScore).toBe(250);
+  });
+
+  it('never asks for less than 100 points', () => {
+    expect(getTaskDifficulty({ requiredScore: 10, failedAttempts: 2 }).requiredScore).toBe(100);
+  });
+});
+
+describe('getDefaultDifficulty', () => {
+  it('returns the Normal level with the given score', () => {
+    expect(getDefaultDifficulty(450)).toMatchObject({ level: 1, name: 'Normal', requiredScore: 450, failures: 0, reasons: [] });
+    expect(getDefaultDifficulty().requiredScore).toBe(300);
+  });
+});
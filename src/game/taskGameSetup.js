@@ -1,27 +1,78 @@
       // src/game/taskGameSetup.js
-      import gameState from './gameState';
-      import TaskStorageService from '../services/TaskStorageService';
+      import gameState, { notifyGameState } from './gameState';
+      import { taskStorage } from '../services/TaskStorageService';
+      import {
+        createTask,
+        validateTasks,
+        getDueStatus,
+        parseTags,
+        priorityToRequiredScore,
+        PRIORITIES,
+        createSubtask,
+        getSubtaskProgress,
+        getNextSubtask
+      } from '../services/taskSchema';
+      import { getTaskDifficulty } from './taskDifficulty';
+      import { FIXED_STEP_MS } from './fixedTimestep';
+      import { updatePlayerBody, stepBullets, collideBullets, COLLISION } from './physics2D';
+      import { ACTIONS, isActionPressed, releaseAction, consumeAction, setActionPressed } from './inputBindings';
+      import { getAimDirection, getAimVelocity, drawAimLine } from './aim2D';
+      import { SOUNDS, playSound } from './audioManager';
+      import { archiveTask } from '../services/taskArchive';
+      import { recordChallengeResult } from '../services/statsService';
+      import { earnTokens, getTokenBalance, TOKEN_REASONS } from '../services/tokenLedger';
+      import { getPlayerColor, takeExtraArenaTime, consumeItem } from '../services/tokenShop';
+      import { advanceRecurringTask, getStreak, createRecurrence, describeRecurrence, toDateString, RECURRENCE_TYPES } from '../services/recurrence';
+      import { exportBackup, importBackupFromFile, IMPORT_MODES, CONFLICT_STRATEGIES } from '../services/backupService';
       // Import the task arena module
       import { enterTaskArena2D } from './taskArena2DSetup';
+      import { setGameMode } from './modeTransitionManager';
+      import {
+        TASK_COMMANDS,
+        snapshotTask,
+        recordTaskAdded,
+        recordTaskChanged,
+        recordTaskRemoved,
+        undoTaskCommand,
+        redoTaskCommand
+      } from '../services/taskHistory';
       // Import the diagnostic utilities
       import { recordState, compareSnapshots, logStateProperty, verifyStateConsistency } from '../utils/stateDiagnostics';
       // Import the logger utility
       import logger from '../utils/logger';
       
-      // Initialize the storage service
-      const taskStorage = new TaskStorageService();
-      
       // Module name for logging
       const MODULE = 'TaskGame';
       
+      // Task box colors for unfinished tasks, by priority
+      const PRIORITY_COLORS = {
+        low: '#03A9F4',
+        medium: '#FFC107',
+        high: '#FF5722',
+        urgent: '#E91E63'
+      };
+      const DEFAULT_TASK_COLOR = '#FF9800';
+      const COMPLETED_TASK_COLOR = '#8BC34A';
+      
+      // Maximum tag chips drawn above a task box
+      const MAX_TAG_CHIPS = 3;
+      
+      /**
+       * Persists the task list and tells tasks subscribers it changed.
+       * Tasks are edited in place, which the game store cannot see on its own.
+       */
+      function saveTaskList() {
+        taskStorage.saveTasks(gameState.tasks);
+        notifyGameState('tasks');
+      }
+      
       /**
        * Enters the task game mode from another mode.
        */
       export function enterTaskGame() {
         // CRITICAL: Set mode directly to TASK_GAME instead of transitioning through 2D first
-        gameState.mode = 'TASK_GAME';
-        if (gameState.setMode) {
-          gameState.setMode('TASK_GAME');
+        if (!setGameMode('TASK_GAME')) {
+          return;
         }
         
         // Initialize task game position if not already set
@@ -40,21 +91,12 @@
         // Ensure we have some sample tasks if none exist
         if (!gameState.tasks || gameState.tasks.length === 0) {
           gameState.tasks = [
-            { 
-              id: 'sample1', 
-              text: 'Example Task 1', 
-              completed: false,
-              requiredScore: 300 // Add required score for the task challenge
-            }
+            createTask('Example Task 1', { id: 'sample1' })
           ];
         }
         
-        // Ensure all tasks have a requiredScore property
-        gameState.tasks.forEach(task => {
-          if (task.requiredScore === undefined) {
-            task.requiredScore = 300; // Default score requirement
-          }
-        });
+        // Tasks added outside the task game (e.g. TaskMenu) may predate the schema
+        gameState.tasks = validateTasks(gameState.tasks).tasks;
         
         // Initialize taskTokens if not set
         if (gameState.taskTokens === undefined) {
@@ -103,6 +145,7 @@
             y: canvas.height - 150 - Math.floor(index / 3) * 100,
             width: 250,
             height: 20,
+            oneWay: true,
             index: index,
             task: task
           }))
@@ -111,6 +154,9 @@
         // Create task objects that float above each platform.
         state.taskObjects = state.tasks.map((task, index) => {
           const platform = state.taskGamePlatforms[index + 1]; // skip ground
+          const subtaskProgress = getSubtaskProgress(task);
+          // Tasks with subtasks are cleared one subtask per arena run
+          const difficulty = getTaskDifficulty(task, { subtask: getNextSubtask(task) });
           return {
             x: platform.x + platform.width / 2 - 30,
             y: platform.y - 60,
@@ -119,8 +165,15 @@
             text: task.text,
             completed: task.completed,
             locked: !task.completed, // Add locked state for uncompleted tasks
-            color: task.completed ? '#8BC34A' : '#FF9800',
-            requiredScore: task.requiredScore || 300, // Use task's required score or default
+            color: task.completed ? COMPLETED_TASK_COLOR : (PRIORITY_COLORS[task.priority] || DEFAULT_TASK_COLOR),
+            requiredScore: difficulty.requiredScore,
+            difficulty: difficulty.name,
+            subtaskProgress: subtaskProgress,
+            priority: task.priority || null,
+            dueStatus: getDueStatus(task),
+            tags: task.tags || [],
+            recurring: Boolean(task.recurrence),
+            streak: getStreak(task),
             index: index
           };
         });
@@ -136,6 +189,24 @@
             color: '#2196F3',
             action: 'new_task'
           },
+          {
+            x: 190,
+            y: 50,
+            width: 120,
+            height: 50,
+            text: 'Export',
+            color: '#607D8B',
+            action: 'export'
+          },
+          {
+            x: 330,
+            y: 50,
+            width: 120,
+            height: 50,
+            text: 'Import',
+            color: '#607D8B',
+            action: 'import'
+          },
           {
             x: canvas.width - 150,
             y: 50,
@@ -221,189 +292,65 @@
         // Log update at verbose level only
         logger.verbose(MODULE, `Updating task game with deltaTime: ${deltaTime}`);
       
-        const moveSpeed = 5;
-        const jumpPower = 15;
-        const gravity = state.gravity || 0.5;
-      
-        // Reset horizontal velocity.
-        state.velocity.x = 0;
-      
-        // Handle horizontal movement.
-        if (state.keys['a'] || state.keys['arrowleft']) {
-          state.velocity.x = -moveSpeed;
-          state.playerFacingDirection = -1;
-        }
-        if (state.keys['d'] || state.keys['arrowright']) {
-          state.velocity.x = moveSpeed;
-          state.playerFacingDirection = 1;
-        }
-      
-        // Handle jumping.
-        if ((state.keys['w'] || state.keys['arrowup'] || state.keys[' ']) && !state.isJumping) {
-          state.velocity.y = -jumpPower;
-          state.isJumping = true;
-        }
-        state.velocity.y += gravity;
-      
-        // Update player position in the task game.
-        state.taskGamePosition.x += state.velocity.x;
-        state.taskGamePosition.y += state.velocity.y;
+        // Shared player controls and physics (see physics2D.js)
+        const bounds = { width: canvas.width, height: canvas.height };
+        const events = updatePlayerBody(state, state.taskGamePosition, deltaTime, {
+          platforms: state.taskGamePlatforms || [],
+          bounds
+        });
         
         // Log position at verbose level only
         logger.verbose(MODULE, `Position updated: {x: ${state.taskGamePosition.x}, y: ${state.taskGamePosition.y}, vx: ${state.velocity.x}, vy: ${state.velocity.y}}`);
         
-        // Ensure playerPosition is synchronized with taskGamePosition
-        state.playerPosition.x = state.taskGamePosition.x;
-        state.playerPosition.y = state.taskGamePosition.y;
-      
-        // Check for platform collisions.
-        for (const platform of state.taskGamePlatforms || []) {
-          if (
-            state.taskGamePosition.y + 50 >= platform.y &&
-            state.taskGamePosition.y + 40 < platform.y &&
-            state.taskGamePosition.x + 30 > platform.x &&
-            state.taskGamePosition.x < platform.x + platform.width
-          ) {
-            state.taskGamePosition.y = platform.y - 50;
-            state.velocity.y = 0;
-            state.isJumping = false;
-            
-            // DIAGNOSTIC: Ensure playerPosition is synchronized with taskGamePosition
-            state.playerPosition.y = state.taskGamePosition.y;
-          }
-        }
-      
-        // Enforce boundaries.
-        if (state.taskGamePosition.x < 0) state.taskGamePosition.x = 0;
-        if (state.taskGamePosition.x > canvas.width - 40) state.taskGamePosition.x = canvas.width - 40;
-        if (state.taskGamePosition.y > canvas.height) {
+        // Falling out of the world puts the player back in the middle
+        if (events.some(event => event.type === COLLISION.FELL)) {
           state.taskGamePosition.x = canvas.width / 2;
           state.taskGamePosition.y = canvas.height - 100;
           state.velocity.y = 0;
-          
-          // DIAGNOSTIC: Ensure playerPosition is synchronized with taskGamePosition
-          state.playerPosition.x = state.taskGamePosition.x;
-          state.playerPosition.y = state.taskGamePosition.y;
         }
+        
+        // Ensure playerPosition is synchronized with taskGamePosition
+        state.playerPosition.x = state.taskGamePosition.x;
+        state.playerPosition.y = state.taskGamePosition.y;
       
         let tasksChanged = false; // Flag to indicate tasks were modified.
       
-        // Process bullet updates - CRITICAL FIX
+        // Process bullet updates
         if (state.bullets && state.bullets.length > 0) {
           logger.debug(MODULE, `Updating ${state.bullets.length} bullets in task game`);
+          stepBullets(state.bullets, deltaTime, bounds);
           
-          for (let i = state.bullets.length - 1; i >= 0; i--) {
-            const bullet = state.bullets[i];
-            
-            // Skip if bullet is undefined (safety check)
-            if (!bullet) {
-              state.bullets.splice(i, 1);
-              continue;
-            }
+          // Check collision with task objects.
+          collideBullets(state.bullets, state.taskObjects || [], ({ target: taskObj, targetIndex }) => {
+            // A challenge started earlier this step; leave the other bullets alone
+            if (state.currentTaskChallenge) return false;
             
-            // Update bullet position with velocity
-            bullet.x += bullet.vx;
-            bullet.y += (bullet.vy || 0);
-
-            // Remove bullet if offscreen.
-            if (bullet.x < 0 || bullet.x > canvas.width || bullet.y < 0 || bullet.y > canvas.height) {
-              logger.verbose(MODULE, `Bullet ${i} removed - out of bounds`);
-              state.bullets.splice(i, 1);
-              continue;
-            }
-
-            // Check collision with task objects.
-            if (state.taskObjects) {
-              for (let j = 0; j < state.taskObjects.length; j++) {
-                const taskObj = state.taskObjects[j];
-                if (
-                  bullet.x > taskObj.x &&
-                  bullet.x < taskObj.x + taskObj.width &&
-                  bullet.y > taskObj.y &&
-                  bullet.y < taskObj.y + taskObj.height
-                ) {
-                  const correspondingTask = state.tasks[taskObj.index];
-                  
-                  if (taskObj.locked) {
-                    // Task is locked, start the challenge
-                    state.bullets.splice(i, 1);
-                    
-                    // Store task info for the challenge
-                    state.currentTaskChallenge = {
-                      task: correspondingTask,
-                      taskObj: taskObj,
-                      requiredScore: taskObj.requiredScore || 300
-                    };
-                    
-                    // Save current player position to restore later
-                    state.savedTaskGamePosition = {
-                      x: state.taskGamePosition.x,
-                      y: state.taskGamePosition.y
-                    };
-                    
-                    // Activate task arena challenge using similar pattern to training arena
-                    activateTaskArenaChallenge();
-                    
-                    break;
-                  } else if (correspondingTask.completed) {
-                    // Task is already completed, archive it
-                    state.tasks.splice(taskObj.index, 1);
-                    state.taskObjects.splice(j, 1);
-                    tasksChanged = true;
-                    
-                    // Update indices for remaining task objects
-                    for (let k = j; k < state.taskObjects.length; k++) {
-                      state.taskObjects[k].index--;
-                    }
-                    
-                    createArchiveEffect(taskObj.x + taskObj.width / 2, taskObj.y + taskObj.height / 2);
-                    
-                    // Save tasks after archiving
-                    taskStorage.saveTasks(state.tasks);
-                  }
-                  
-                  state.bullets.splice(i, 1);
-                  break;
-                }
-              }
-            }
-
-            // Check collision with UI buttons.
-            if (state.taskGameButtons) {
-              for (const button of state.taskGameButtons) {
-                if (
-                  bullet.x > button.x &&
-                  bullet.x < button.x + button.width &&
-                  bullet.y > button.y &&
-                  bullet.y < button.y + button.height
-                ) {
-                  if (button.action === 'new_task') {
-                    createNewTaskInput();
-                  } else if (button.action === 'exit') {
-                    closeTaskGame();
-                  }
-                  state.bullets.splice(i, 1);
-                  break;
-                }
-              }
+            if (hitTaskObject(state, taskObj, targetIndex)) {
+              tasksChanged = true;
             }
-          }
+          });
+          
+          // Check collision with UI buttons.
+          collideBullets(state.bullets, state.taskGameButtons || [], ({ target: button }) => {
+            pressTaskGameButton(button);
+          });
         }
       
         // If tasks were modified (e.g. a task was archived), recalculate the environment.
         if (tasksChanged) {
+          notifyGameState('tasks');
           setupTaskGameEnvironment(state, canvas);
         }
         
-        // Handle shooting with L key
-        if (state.keys['l']) {
+        // Handle shooting
+        if (isActionPressed(ACTIONS.SHOOT, state.keys)) {
           const currentTime = Date.now();
           if (currentTime - state.lastShootTime > state.shootCooldown) {
             state.lastShootTime = currentTime;
             shootTaskGame();
             
-            // Reset the L key state to prevent continuous shooting
-            state.keys['l'] = false;
+            // Release the shoot action to prevent continuous shooting
+            releaseAction(ACTIONS.SHOOT);
           }
         }
         
@@ -416,18 +363,139 @@
           logger.debug(MODULE, `State changes during updateTaskGame: ${JSON.stringify(changes)}`);
         }
         
-        // DIAGNOSTIC: Handle diagnostic button click
-        if (state.keys['t']) {
-          logger.info(MODULE, "Diagnostic test triggered by T key");
+        // DIAGNOSTIC: Handle the diagnostics key (consuming the press
+        // prevents multiple triggers)
+        if (consumeAction(ACTIONS.DIAGNOSTICS)) {
+          logger.info(MODULE, "Diagnostic test triggered by the diagnostics key");
           runDiagnosticTest(state, canvas);
-          state.keys['t'] = false; // Reset key to prevent multiple triggers
         }
       }
       
+      /**
+       * Shooting (or tapping) a task box: a locked task starts its challenge,
+       * a completed recurring task moves on to its next occurrence and any
+       * other completed task goes to the archive.
+       * @param {Object} state Game state
+       * @param {Object} taskObj The task box
+       * @param {number} targetIndex Index of the box in state.taskObjects
+       * @returns {boolean} True if the task list changed
+       */
+      function hitTaskObject(state, taskObj, targetIndex) {
+        let changed = false;
+        const correspondingTask = state.tasks[taskObj.index];
+        
+        if (taskObj.locked) {
+          // Task is locked, start the challenge
+          // Store task info for the challenge; the arena reads its settings from the difficulty
+          const subtask = getNextSubtask(correspondingTask); // null for tasks without subtasks
+          const difficulty = getTaskDifficulty(correspondingTask, { subtask });
+          // Extra time bought in the token shop goes to the next challenge
+          const extraTime = takeExtraArenaTime();
+          if (extraTime > 0) {
+            difficulty.timeLimit += extraTime;
+            difficulty.reasons = [...difficulty.reasons, `+${extraTime}s bought`];
+          }
+          state.currentTaskChallenge = {
+            task: correspondingTask,
+            taskObj: taskObj,
+            subtask: subtask,
+            difficulty: difficulty,
+            requiredScore: difficulty.requiredScore
+          };
+          
+          // Save current player position to restore later
+          state.savedTaskGamePosition = {
+            x: state.taskGamePosition.x,
+            y: state.taskGamePosition.y
+          };
+          
+          // Activate task arena challenge using similar pattern to training arena
+          activateTaskArenaChallenge();
+        } else if (correspondingTask.completed && correspondingTask.recurrence) {
+          // Recurring tasks are never archived; move on to the next occurrence
+          const before = snapshotTask(correspondingTask);
+          advanceRecurringTask(correspondingTask, correspondingTask.completedAt || Date.now());
+          recordTaskChanged(TASK_COMMANDS.EDIT, before, correspondingTask);
+          changed = true;
+          
+          createArchiveEffect(taskObj.x + taskObj.width / 2, taskObj.y + taskObj.height / 2, `NEXT: ${correspondingTask.dueDate}`);
+          
+          // Save the task's next occurrence
+          saveTaskList();
+        } else if (correspondingTask.completed) {
+          // Task is already completed, move it to the archive
+          state.tasks.splice(taskObj.index, 1);
+          archiveTask(correspondingTask);
+          recordTaskRemoved(TASK_COMMANDS.ARCHIVE, correspondingTask, taskObj.index);
+          state.taskObjects.splice(targetIndex, 1);
+          changed = true;
+          
+          // Update indices for remaining task objects
+          for (let k = targetIndex; k < state.taskObjects.length; k++) {
+            state.taskObjects[k].index--;
+          }
+          
+          createArchiveEffect(taskObj.x + taskObj.width / 2, taskObj.y + taskObj.height / 2);
+          
+          // Save tasks after archiving
+          saveTaskList();
+        }
+        return changed;
+      }
+      
+      /**
+       * Shooting (or tapping) one of the task game's buttons
+       * @param {Object} button Button from state.taskGameButtons
+       */
+      function pressTaskGameButton(button) {
+        if (button.action === 'new_task') {
+          createNewTaskInput();
+        } else if (button.action === 'export') {
+          exportBackup();
+        } else if (button.action === 'import') {
+          createBackupImportDialog();
+        } else if (button.action === 'exit') {
+          closeTaskGame();
+        }
+      }
+      
+      /**
+       * A tap on the task game canvas, e.g. from a touch screen, acts on the
+       * task box or button under it as if it had been shot
+       * @param {number} x Canvas x
+       * @param {number} y Canvas y
+       * @returns {boolean} True if a task box or button was tapped
+       */
+      export function tapTaskGame(x, y) {
+        const state = gameState;
+        if (state.mode !== 'TASK_GAME' || state.currentTaskChallenge || state.isPaused) return false;
+        
+        const contains = (box) => x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+        const targetIndex = (state.taskObjects || []).findIndex(contains);
+        if (targetIndex !== -1) {
+          logger.info(MODULE, `Tapped task box ${targetIndex}`);
+          if (hitTaskObject(state, state.taskObjects[targetIndex], targetIndex)) {
+            notifyGameState('tasks');
+            setupTaskGameEnvironment(state, state.canvas);
+          }
+          return true;
+        }
+        
+        const button = (state.taskGameButtons || []).find(contains);
+        if (button) {
+          logger.info(MODULE, `Tapped ${button.action} button`);
+          pressTaskGameButton(button);
+          return true;
+        }
+        return false;
+      }
+      
       /**
        * Shoots a bullet in TASK_GAME mode.
+       * @param {number} [aimAngle] Angle of a mouse shot in radians; without it
+       *   the bullet flies ahead and upward in the facing direction
        */
-      export function shootTaskGame() {
+      export function shootTaskGame(aimAngle) {
         // DIAGNOSTIC: Record state before shooting
         const beforeShootState = recordState(gameState);
         
@@ -456,19 +524,25 @@
         logger.info(MODULE, `Player position at shoot time: ${JSON.stringify(gameState.taskGamePosition)}`);
         logger.info(MODULE, `Player facing direction: ${gameState.playerFacingDirection}`);
         
+        // An aimed shot turns the player toward the aim
+        if (aimAngle !== undefined) {
+          gameState.playerFacingDirection = getAimDirection(aimAngle);
+        }
+        
         // Create a bullet
         const direction = gameState.playerFacingDirection;
         const bullet = {
           x: gameState.taskGamePosition.x + (direction > 0 ? 40 : 0),
           y: gameState.taskGamePosition.y + 25,
-          vx: direction * 10,
-          vy: -5, // Upward velocity for task game bullets
+          // pixels per second; key shots fly upward so they reach the task boxes
+          ...(aimAngle === undefined ? { vx: direction * 600, vy: -300 } : getAimVelocity(aimAngle, 600)),
           size: 5,
           color: '#FFFF00'
         };
         
         // Add bullet to game state
         gameState.bullets.push(bullet);
+        playSound(SOUNDS.SHOT);
         
         // DIAGNOSTIC: Record state after shooting and log changes
         const afterShootState = recordState(gameState);
@@ -479,6 +553,86 @@
         logger.info(MODULE, `Bullet shot in Task Game mode: ${JSON.stringify(bullet)}`);
       }
       
+      /**
+       * Draws a due-soon / overdue badge on the top-right corner of a task box.
+       */
+      function drawDueBadge(ctx, taskObj) {
+        const overdue = taskObj.dueStatus === 'overdue';
+        const badgeX = taskObj.x + taskObj.width - 4;
+        const badgeY = taskObj.y + 4;
+        
+        ctx.fillStyle = overdue ? '#D32F2F' : '#FFEB3B';
+        ctx.beginPath();
+        ctx.arc(badgeX, badgeY, 11, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        ctx.fillStyle = overdue ? '#FFFFFF' : '#000000';
+        ctx.font = 'bold 9px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(overdue ? 'LATE' : 'DUE', badgeX, badgeY + 3);
+      }
+      
+      /**
+       * Draws subtask progress (e.g. 2/5) and a progress bar along the bottom of a task box.
+       */
+      function drawSubtaskProgress(ctx, taskObj) {
+        const { done, total } = taskObj.subtaskProgress;
+        const barHeight = 6;
+        const barY = taskObj.y + taskObj.height - barHeight;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(taskObj.x, barY, taskObj.width, barHeight);
+        ctx.fillStyle = COMPLETED_TASK_COLOR;
+        ctx.fillRect(taskObj.x, barY, taskObj.width * (done / total), barHeight);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${done}/${total}`, taskObj.x + 3, taskObj.y + 12);
+        ctx.textAlign = 'center';
+      }
+      
+      /**
+       * Draws a row of tag chips centered above a task box.
+       */
+      function drawTagChips(ctx, taskObj) {
+        const labels = taskObj.tags.slice(0, MAX_TAG_CHIPS).map(tag => (tag.length > 8 ? tag.substring(0, 7) + '…' : tag));
+        if (taskObj.tags.length > MAX_TAG_CHIPS) {
+          labels.push(`+${taskObj.tags.length - MAX_TAG_CHIPS}`);
+        }
+        
+        ctx.font = '10px Arial';
+        const padding = 4;
+        const gap = 3;
+        const widths = labels.map(label => ctx.measureText(label).width + padding * 2);
+        const totalWidth = widths.reduce((sum, width) => sum + width, 0) + gap * (labels.length - 1);
+        let chipX = taskObj.x + taskObj.width / 2 - totalWidth / 2;
+        const chipY = taskObj.y - 16;
+        
+        ctx.textAlign = 'center';
+        labels.forEach((label, i) => {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+          ctx.fillRect(chipX, chipY, widths[i], 13);
+          ctx.fillStyle = '#263238';
+          ctx.fillText(label, chipX + widths[i] / 2, chipY + 10);
+          chipX += widths[i] + gap;
+        });
+      }
+      
+      /**
+       * Draws the repeat marker and current streak in the bottom-right corner of a recurring task box.
+       */
+      function drawRecurrenceBadge(ctx, taskObj) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(taskObj.streak > 0 ? `↻ ${taskObj.streak}` : '↻', taskObj.x + taskObj.width - 3, taskObj.y + taskObj.height - 9);
+        ctx.textAlign = 'center';
+      }
+      
       /**
        * Renders the task game on the 2D canvas.
        */
@@ -533,10 +687,25 @@
             if (taskObj.completed) {
               statusText = " (Done)";
             } else {
-              statusText = ` (${taskObj.requiredScore} pts)`;
+              statusText = ` (${taskObj.requiredScore} pts, ${taskObj.difficulty})`;
             }
             
             ctx.fillText(taskText + statusText, taskObj.x + taskObj.width / 2, taskObj.y + taskObj.height + 15);
+            
+            if (taskObj.subtaskProgress.total > 0) {
+              drawSubtaskProgress(ctx, taskObj);
+            }
+            
+            if (taskObj.recurring) {
+              drawRecurrenceBadge(ctx, taskObj);
+            }
+            
+            if (taskObj.dueStatus) {
+              drawDueBadge(ctx, taskObj);
+            }
+            if (taskObj.tags.length > 0) {
+              drawTagChips(ctx, taskObj);
+            }
           }
         }
       
@@ -552,8 +721,8 @@
           }
         }
       
-        // Draw player character.
-        ctx.fillStyle = '#2ecc71';
+        // Draw player character in the equipped skin.
+        ctx.fillStyle = getPlayerColor();
         ctx.fillRect(state.taskGamePosition.x, state.taskGamePosition.y, 40, 50);
       
         // Draw player face.
@@ -578,6 +747,11 @@
         }
         ctx.stroke();
       
+        // Draw the mouse aim.
+        if (state.isMouseAiming) {
+          drawAimLine(ctx, state.taskGamePosition, state.mousePosition);
+        }
+      
         // Draw bullets.
         ctx.fillStyle = '#FFFF00';
         for (const bullet of state.bullets) {
@@ -600,9 +774,8 @@
        */
       export function closeTaskGame() {
         // CRITICAL: First transition to 2D mode directly
-        gameState.mode = '2D';
-        if (gameState.setMode) {
-          gameState.setMode('2D');
+        if (!setGameMode('2D')) {
+          return;
         }
         
         // Clear any existing bullets
@@ -613,6 +786,10 @@
         if (inputEl) {
           document.body.removeChild(inputEl);
         }
+        const importEl = document.getElementById('taskGameImport');
+        if (importEl) {
+          document.body.removeChild(importEl);
+        }
         
         // Ensure game is not paused
         gameState.isPaused = false;
@@ -623,9 +800,82 @@
         // Reset animation timing to prevent speed issues
         gameState.lastTime = performance.now();
       }
-      
+
+      /**
+       * Undoes the newest task operation (add, edit, complete, archive or delete).
+       * Used by the Ctrl+Z shortcut and the task menu.
+       * @returns {Object|null} The undone command, or null if nothing was undone
+       */
+      export function undoTaskChange() {
+        return applyHistoryStep(undoTaskCommand, 'UNDO');
+      }
+
+      /**
+       * Redoes the newest undone task operation.
+       * Used by the Ctrl+Shift+Z / Ctrl+Y shortcuts and the task menu.
+       * @returns {Object|null} The redone command, or null if nothing was redone
+       */
+      export function redoTaskChange() {
+        return applyHistoryStep(redoTaskCommand, 'REDO');
+      }
+
+      /**
+       * Runs an undo or redo and rebuilds the task boxes if the task game is showing.
+       * @private
+       */
+      function applyHistoryStep(runCommand, verb) {
+        // The running challenge holds references to its task
+        if (gameState.currentTaskChallenge) {
+          logger.warn(MODULE, `Cannot ${verb.toLowerCase()} during a task challenge`);
+          return null;
+        }
+
+        const command = runCommand();
+        if (command && gameState.mode === 'TASK_GAME' && gameState.canvas) {
+          setupTaskGameEnvironment(gameState, gameState.canvas);
+          createArchiveEffect(gameState.canvas.width / 2, gameState.canvas.height / 2, `${verb} ${command.type.toUpperCase()}`);
+        }
+        return command;
+      }
+
+      /**
+       * Completes a task with a skip pass from the token shop instead of a challenge.
+       * The pass is used up; no token is earned.
+       * @param {string} taskId Id of the task to complete
+       * @returns {boolean} True if the task was completed
+       */
+      export function completeTaskWithPass(taskId) {
+        const task = gameState.tasks.find(t => t.id === taskId);
+        if (!task || task.completed || gameState.currentTaskChallenge) {
+          return false;
+        }
+        if (!consumeItem('skip_pass')) {
+          logger.warn(MODULE, 'No skip pass left');
+          return false;
+        }
+
+        const before = snapshotTask(task);
+        if (task.recurrence) {
+          advanceRecurringTask(task);
+        } else {
+          task.completed = true;
+          task.completedAt = Date.now();
+        }
+        // The pass goes back to the inventory if the completion is undone
+        recordTaskChanged(TASK_COMMANDS.COMPLETE, before, task, 0, 'skip_pass');
+        saveTaskList();
+
+        if (gameState.mode === 'TASK_GAME' && gameState.canvas) {
+          setupTaskGameEnvironment(gameState, gameState.canvas);
+        }
+        logger.info(MODULE, `Completed "${task.text}" with a skip pass`);
+        return true;
+      }
+
       /**
        * Creates a floating input for adding a new task.
+       * Besides the description, the dialog takes priority, due date,
+       * time estimate, tags, notes, subtasks and a repeat schedule.
        */
       export function createNewTaskInput() {
         gameState.isPaused = true;
@@ -653,39 +903,136 @@
         input.style.width = '300px';
         input.style.padding = '8px';
         
-        // Prevent game keys from affecting the game while typing
-        input.addEventListener('keydown', (e) => {
+        // Optional task details
+        const detailsRow = document.createElement('div');
+        detailsRow.style.marginTop = '8px';
+        detailsRow.style.display = 'flex';
+        detailsRow.style.gap = '6px';
+        
+        const prioritySelect = document.createElement('select');
+        [['', 'No priority'], ...PRIORITIES.map(priority => [priority, priority])].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          prioritySelect.appendChild(option);
+        });
+        
+        const dueInput = document.createElement('input');
+        dueInput.type = 'date';
+        dueInput.title = 'Due date';
+        
+        const estimateInput = document.createElement('input');
+        estimateInput.type = 'number';
+        estimateInput.min = '1';
+        estimateInput.placeholder = 'Est. min';
+        estimateInput.style.width = '70px';
+        
+        detailsRow.appendChild(prioritySelect);
+        detailsRow.appendChild(dueInput);
+        detailsRow.appendChild(estimateInput);
+        
+        const tagsInput = document.createElement('input');
+        tagsInput.type = 'text';
+        tagsInput.placeholder = 'Tags, comma separated';
+        tagsInput.style.width = '300px';
+        tagsInput.style.padding = '4px';
+        tagsInput.style.marginTop = '8px';
+        
+        const notesInput = document.createElement('textarea');
+        notesInput.placeholder = 'Notes';
+        notesInput.rows = 3;
+        notesInput.style.width = '300px';
+        notesInput.style.marginTop = '8px';
+        notesInput.style.display = 'block';
+        
+        const subtasksInput = document.createElement('textarea');
+        subtasksInput.placeholder = 'Subtasks, one per line (optional)';
+        subtasksInput.rows = 3;
+        subtasksInput.style.width = '300px';
+        subtasksInput.style.marginTop = '8px';
+        subtasksInput.style.display = 'block';
+        
+        // Repeat schedule; weekly and monthly repeats follow the due date (or today)
+        const repeatRow = document.createElement('div');
+        repeatRow.style.marginTop = '8px';
+        repeatRow.style.display = 'flex';
+        repeatRow.style.gap = '6px';
+        
+        const repeatSelect = document.createElement('select');
+        [['', 'Does not repeat'], ...RECURRENCE_TYPES.map(type => [type, type === 'interval' ? 'Every N days' : type])].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          repeatSelect.appendChild(option);
+        });
+        
+        const intervalInput = document.createElement('input');
+        intervalInput.type = 'number';
+        intervalInput.min = '1';
+        intervalInput.value = '2';
+        intervalInput.title = 'Days between repeats';
+        intervalInput.style.width = '50px';
+        intervalInput.style.display = 'none';
+        repeatSelect.addEventListener('change', () => {
+          intervalInput.style.display = repeatSelect.value === 'interval' ? 'inline-block' : 'none';
+        });
+        
+        repeatRow.appendChild(repeatSelect);
+        repeatRow.appendChild(intervalInput);
+        
+        const closeInput = () => {
+          document.body.removeChild(inputContainer);
+          gameState.isPaused = false;
+          
+          // Reset all key states to prevent auto-jumping
+          for (const key in gameState.keys) {
+            gameState.keys[key] = false;
+          }
+        };
+        
+        const submitTask = () => {
+          if (!input.value.trim()) return;
+          
+          const priority = prioritySelect.value || null;
+          const estimate = parseFloat(estimateInput.value);
+          // A recurring task is always due on its current occurrence
+          const recurrence = repeatSelect.value
+            ? createRecurrence(repeatSelect.value, dueInput.value || toDateString(new Date()), intervalInput.value)
+            : null;
+          const newTask = createTask(input.value.trim(), {
+            priority,
+            requiredScore: priorityToRequiredScore(priority),
+            dueDate: dueInput.value || (recurrence ? toDateString(new Date()) : null),
+            recurrence,
+            estimateMinutes: estimate > 0 ? estimate : null,
+            tags: parseTags(tagsInput.value),
+            notes: notesInput.value.trim(),
+            subtasks: subtasksInput.value
+              .split('\n')
+              .map(line => line.trim())
+              .filter(Boolean)
+              .map(createSubtask)
+          });
+          gameState.tasks.push(newTask);
+          recordTaskAdded(newTask);
+          if (recurrence) {
+            logger.info(MODULE, `Added recurring task "${newTask.text}" (${describeRecurrence(recurrence)})`);
+          }
+          setupTaskGameEnvironment(gameState, document.querySelector('canvas'));
+          closeInput();
+          
+          // Save tasks after adding a new one
+          saveTaskList();
+        };
+        
+        // Prevent game keys from affecting the game while typing in any field
+        inputContainer.addEventListener('keydown', (e) => {
           e.stopPropagation();
           
-          if (e.key === 'Enter') {
-            if (input.value.trim()) {
-              const newTask = { 
-                id: 'task_' + Date.now(), 
-                text: input.value.trim(), 
-                completed: false,
-                requiredScore: 300 // Default score requirement
-              };
-              gameState.tasks.push(newTask);
-              setupTaskGameEnvironment(gameState, document.querySelector('canvas'));
-              document.body.removeChild(inputContainer);
-              gameState.isPaused = false;
-              
-              // Reset all key states to prevent auto-jumping
-              for (const key in gameState.keys) {
-                gameState.keys[key] = false;
-              }
-              
-              // Save tasks after adding a new one
-              taskStorage.saveTasks(gameState.tasks);
-            }
+          if (e.key === 'Enter' && e.target !== notesInput && e.target !== subtasksInput) {
+            submitTask();
           } else if (e.key === 'Escape') {
-            document.body.removeChild(inputContainer);
-            gameState.isPaused = false;
-            
-            // Reset all key states to prevent auto-jumping
-            for (const key in gameState.keys) {
-              gameState.keys[key] = false;
-            }
+            closeInput();
           }
         });
       
@@ -697,41 +1044,15 @@
         const cancelButton = document.createElement('button');
         cancelButton.textContent = 'Cancel';
       
-        addButton.addEventListener('click', () => {
-          if (input.value.trim()) {
-            const newTask = { 
-              id: 'task_' + Date.now(), 
-              text: input.value.trim(), 
-              completed: false,
-              requiredScore: 300 // Default score requirement
-            };
-            gameState.tasks.push(newTask);
-            setupTaskGameEnvironment(gameState, document.querySelector('canvas'));
-            document.body.removeChild(inputContainer);
-            gameState.isPaused = false;
-            
-            // Reset all key states to prevent auto-jumping
-            for (const key in gameState.keys) {
-              gameState.keys[key] = false;
-            }
-            
-            // Save tasks after adding a new one
-            taskStorage.saveTasks(gameState.tasks);
-          }
-        });
-      
-        cancelButton.addEventListener('click', () => {
-          document.body.removeChild(inputContainer);
-          gameState.isPaused = false;
-          
-          // Reset all key states to prevent auto-jumping
-          for (const key in gameState.keys) {
-            gameState.keys[key] = false;
-          }
-        });
+        addButton.addEventListener('click', submitTask);
+        cancelButton.addEventListener('click', closeInput);
       
         inputContainer.appendChild(input);
-        inputContainer.appendChild(document.createElement('br'));
+        inputContainer.appendChild(detailsRow);
+        inputContainer.appendChild(repeatRow);
+        inputContainer.appendChild(tagsInput);
+        inputContainer.appendChild(notesInput);
+        inputContainer.appendChild(subtasksInput);
         inputContainer.appendChild(addButton);
         inputContainer.appendChild(cancelButton);
         document.body.appendChild(inputContainer);
@@ -748,9 +1069,11 @@
           }
         }, 100);
       
+        // Clicking the dialog background refocuses the description, but clicks
+        // on the other fields must keep their focus
         inputContainer.addEventListener('click', (e) => {
           e.stopPropagation();
-          if (document.activeElement !== input) {
+          if (e.target === inputContainer || e.target === detailsRow || e.target === repeatRow) {
             input.focus();
           }
         });
@@ -773,6 +1096,111 @@
         };
       }
       
+      /**
+       * Creates a floating dialog for importing a backup file.
+       * The player picks merge or replace and how to resolve task id conflicts.
+       */
+      export function createBackupImportDialog() {
+        gameState.isPaused = true;
+        
+        const existingDialog = document.getElementById('taskGameImport');
+        if (existingDialog) {
+          document.body.removeChild(existingDialog);
+        }
+        
+        const dialog = document.createElement('div');
+        dialog.id = 'taskGameImport';
+        dialog.style.position = 'absolute';
+        dialog.style.top = '100px';
+        dialog.style.left = '50%';
+        dialog.style.transform = 'translateX(-50%)';
+        dialog.style.backgroundColor = 'rgba(96, 125, 139, 0.95)';
+        dialog.style.color = 'white';
+        dialog.style.padding = '15px';
+        dialog.style.borderRadius = '10px';
+        dialog.style.zIndex = '1000';
+        
+        const createSelect = (label, options) => {
+          const wrapper = document.createElement('label');
+          wrapper.style.display = 'block';
+          wrapper.style.marginBottom = '8px';
+          wrapper.textContent = label + ' ';
+          const select = document.createElement('select');
+          options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+          });
+          wrapper.appendChild(select);
+          dialog.appendChild(wrapper);
+          return select;
+        };
+        
+        const modeSelect = createSelect('Mode:', [
+          [IMPORT_MODES.MERGE, 'Merge with current tasks'],
+          [IMPORT_MODES.REPLACE, 'Replace everything']
+        ]);
+        const conflictSelect = createSelect('Same task id:', [
+          [CONFLICT_STRATEGIES.KEEP_EXISTING, 'Keep current task'],
+          [CONFLICT_STRATEGIES.USE_IMPORTED, 'Use imported task'],
+          [CONFLICT_STRATEGIES.KEEP_BOTH, 'Keep both']
+        ]);
+        modeSelect.addEventListener('change', () => {
+          conflictSelect.disabled = modeSelect.value === IMPORT_MODES.REPLACE;
+        });
+        
+        const closeDialog = () => {
+          if (dialog.parentNode) {
+            document.body.removeChild(dialog);
+          }
+          gameState.isPaused = false;
+          
+          // Reset all key states to prevent auto-jumping
+          for (const key in gameState.keys) {
+            gameState.keys[key] = false;
+          }
+        };
+        
+        const chooseButton = document.createElement('button');
+        chooseButton.textContent = 'Choose File';
+        chooseButton.style.marginTop = '10px';
+        chooseButton.style.marginRight = '10px';
+        chooseButton.addEventListener('click', async () => {
+          try {
+            const summary = await importBackupFromFile({
+              mode: modeSelect.value,
+              conflictStrategy: conflictSelect.value
+            });
+            if (!summary) return;
+            
+            closeDialog();
+            setupTaskGameEnvironment(gameState, document.querySelector('canvas'));
+            alert(`Import complete: ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped` +
+              (summary.rejected ? `, ${summary.rejected} invalid tasks ignored` : ''));
+          } catch (e) {
+            logger.error(MODULE, 'Error importing backup:', e);
+            alert(`Import failed: ${e.message}`);
+          }
+        });
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', closeDialog);
+        
+        // Keep game keys from reaching the game while the dialog is open
+        dialog.addEventListener('keydown', (e) => {
+          e.stopPropagation();
+          if (e.key === 'Escape') {
+            closeDialog();
+          }
+        });
+        
+        dialog.appendChild(chooseButton);
+        dialog.appendChild(cancelButton);
+        document.body.appendChild(dialog);
+      }
+      
       /**
        * Creates a visual effect for earning a token.
        * Exported so it can be used by other modules.
@@ -790,6 +1218,7 @@
         tokenEffect.style.zIndex = '1000';
         tokenEffect.style.textShadow = '0 0 10px #FFD700';
         document.body.appendChild(tokenEffect);
+        playSound(SOUNDS.TOKEN);
       
         let opacity = 1;
         let y = 0;
@@ -805,17 +1234,48 @@
           requestAnimationFrame(animateToken);
         }
         animateToken();
-        
-        // Save tokens after incrementing
-        taskStorage.saveTokens(gameState.taskTokens);
+      }
+      
+      /**
+       * Creates a visual effect for clearing one subtask of a task.
+       */
+      function createSubtaskEffect(progress) {
+        const subtaskEffect = document.createElement('div');
+        subtaskEffect.textContent = `SUBTASK CLEARED ${progress.done}/${progress.total}`;
+        subtaskEffect.style.position = 'absolute';
+        subtaskEffect.style.color = '#8BC34A';
+        subtaskEffect.style.fontSize = '24px';
+        subtaskEffect.style.fontWeight = 'bold';
+        subtaskEffect.style.top = '50%';
+        subtaskEffect.style.left = '50%';
+        subtaskEffect.style.transform = 'translate(-50%, -50%)';
+        subtaskEffect.style.zIndex = '1000';
+        subtaskEffect.style.textShadow = '0 0 10px #8BC34A';
+        document.body.appendChild(subtaskEffect);
+      
+        let opacity = 1;
+        let y = 0;
+        function animateSubtask() {
+          opacity -= 0.02;
+          y -= 2;
+          subtaskEffect.style.opacity = String(opacity);
+          subtaskEffect.style.transform = `translate(-50%, calc(-50% + ${y}px))`;
+          if (opacity <= 0) {
+            document.body.removeChild(subtaskEffect);
+            return;
+          }
+          requestAnimationFrame(animateSubtask);
+        }
+        animateSubtask();
       }
       
       /**
        * Creates a visual effect for archiving a completed task.
+       * Recurring tasks pass their next due date as the label instead.
        */
-      function createArchiveEffect(x, y) {
+      function createArchiveEffect(x, y, label = 'ARCHIVED') {
         const archiveEffect = document.createElement('div');
-        archiveEffect.textContent = 'ARCHIVED';
+        archiveEffect.textContent = label;
         archiveEffect.style.position = 'absolute';
         archiveEffect.style.color = '#4CAF50';
         archiveEffect.style.fontSize = '24px';
@@ -843,7 +1303,7 @@
         animateArchive();
         
         // After the task is archived, add:
-        taskStorage.saveTasks(gameState.tasks);
+        saveTaskList();
       }
       
       /**
@@ -864,6 +1324,7 @@
         notification.style.fontWeight = 'bold';
         notification.style.zIndex = '1000';
         document.body.appendChild(notification);
+        playSound(SOUNDS.FAILURE);
         
         // Fade out and remove after 3 seconds
         setTimeout(() => {
@@ -883,6 +1344,19 @@
        * Load saved tasks and tokens from storage
        */
       function loadSavedTasksAndTokens() {
+        // The storage backend loads asynchronously (IndexedDB); reload once it's ready
+        if (!taskStorage.isReady()) {
+          taskStorage.ready.then(() => {
+            loadSavedTasksAndTokens();
+            if (gameState.mode === 'TASK_GAME') {
+              const canvas = document.querySelector('canvas');
+              if (canvas) {
+                setupTaskGameEnvironment(gameState, canvas);
+              }
+            }
+          });
+        }
+        
         // Load tasks
         const savedTasks = taskStorage.getTasks();
         if (savedTasks && savedTasks.length > 0) {
@@ -891,32 +1365,22 @@
             gameState.tasks = [];
           }
           
-          // Merge saved tasks with existing tasks, avoiding duplicates
+          // Merge saved tasks with existing tasks, avoiding duplicates.
+          // Stored tasks are already migrated to the current schema by TaskStorageService.
           savedTasks.forEach(savedTask => {
             const exists = gameState.tasks.some(task => task.id === savedTask.id);
             if (!exists) {
-              // Ensure required score is set
-              if (savedTask.requiredScore === undefined) {
-                savedTask.requiredScore = 300;
-              }
               gameState.tasks.push(savedTask);
             }
           });
         }
         
-        // Load tokens
-        const savedTokens = taskStorage.getTokens();
-        if (typeof savedTokens === 'number') {
-          gameState.taskTokens = savedTokens;
-        } else if (savedTokens !== null) {
-          gameState.taskTokens = parseInt(savedTokens, 10) || 0;
-        } else {
-          gameState.taskTokens = 0;
-        }
+        // Load tokens; the balance is the sum of the token ledger
+        gameState.taskTokens = getTokenBalance();
       }
 
       function startTaskChallenge(task) {
-        logger.info(MODULE, `Starting task challenge for task: ${task.title}`);
+        logger.info(MODULE, `Starting task challenge for task: ${task.text}`);
         
         // Store the current task being challenged
         gameState.currentTaskChallenge = task;
@@ -927,15 +1391,14 @@
           y: gameState.playerPosition.y
         };
         
-        // Determine required score based on task priority/difficulty
-        const requiredScore = task.priority * 100 || 300;
+        // Required score is part of the task schema
+        const requiredScore = task.requiredScore;
         
         // IMPORTANT: Must set mode BEFORE creating the arena
         logger.info(MODULE, "Setting game mode to 2D_TASK_ARENA");
-        if (gameState.setMode) {
-          gameState.setMode('2D_TASK_ARENA');
-        } else {
-          gameState.mode = '2D_TASK_ARENA';
+        if (!setGameMode('2D_TASK_ARENA')) {
+          gameState.currentTaskChallenge = null;
+          return;
         }
         logger.info(MODULE, `Set game mode to: ${gameState.mode}`);
         
@@ -977,11 +1440,7 @@
                 
                 // Return to task game
                 logger.info(MODULE, "Returning to task game mode");
-                if (gameState.setMode) {
-                  gameState.setMode('TASK_GAME');
-                } else {
-                  gameState.mode = 'TASK_GAME';
-                }
+                setGameMode('TASK_GAME');
                 
                 // Reset key states to prevent auto-jumping after task challenge
                 for (const key in gameState.keys) {
@@ -999,11 +1458,7 @@
             logger.error(MODULE, "Error starting task challenge:", error);
             
             // Reset game state in case of error
-            if (gameState.setMode) {
-              gameState.setMode('TASK_GAME');
-            } else {
-              gameState.mode = 'TASK_GAME';
-            }
+            setGameMode('TASK_GAME');
           }
         }, 100); // Small delay to ensure PixiScene doesn't unmount
       }
@@ -1089,7 +1544,9 @@
         logger.log(MODULE, `Canvas dimensions: ${gameState.canvas.width} x ${gameState.canvas.height}`);
         
         // Set mode to 2D_TASK_ARENA
-        gameState.mode = '2D_TASK_ARENA';
+        if (!setGameMode('2D_TASK_ARENA')) {
+          return;
+        }
         logger.log(MODULE, `Game mode set to: ${gameState.mode}`);
         
         // Create the arena manager
@@ -1115,9 +1572,10 @@
 
       /**
        * Handles task challenge completion.
-       * This is called when a task arena challenge is completed.
+       * This is called when a task arena challenge is completed, however the
+       * arena was entered, and returns the player to the task game.
        */
-      function onTaskChallengeComplete(scoreAchieved) {
+      export function onTaskChallengeComplete(scoreAchieved) {
         logger.info(MODULE, `Task challenge completed with score: ${scoreAchieved}`);
         
         // Get the current challenge info and store it locally before clearing it
@@ -1133,32 +1591,71 @@
         const localChallenge = {
           task: challenge.task,
           taskObj: challenge.taskObj,
+          subtask: challenge.subtask || null,
           requiredScore: challenge.requiredScore
         };
+        const taskBefore = snapshotTask(localChallenge.task);
         
         // Check if the score requirement was met
         const isSuccess = scoreAchieved >= localChallenge.requiredScore;
         
+        // Clearing a subtask unlocks part of the parent; the parent only
+        // completes once its last subtask is cleared
+        if (isSuccess && localChallenge.subtask) {
+          localChallenge.subtask.completed = true;
+          localChallenge.subtask.completedAt = Date.now();
+          const progress = getSubtaskProgress(localChallenge.task);
+          localChallenge.taskObj.subtaskProgress = progress;
+          logger.info(MODULE, `Subtask "${localChallenge.subtask.text}" cleared (${progress.done}/${progress.total})`);
+          
+          if (progress.done < progress.total) {
+            recordChallengeResult({ ...localChallenge, score: scoreAchieved, completed: false });
+            createSubtaskEffect(progress);
+            recordTaskChanged(TASK_COMMANDS.COMPLETE, taskBefore, localChallenge.task);
+            saveTaskList();
+            gameState.currentTaskChallenge = null;
+            returnToTaskGame(scoreAchieved);
+            return;
+          }
+        }
+        
         // Process challenge result
         if (isSuccess) {
           logger.info(MODULE, "Challenge successful! Marking task as completed");
           
-          // Mark task as completed
-          localChallenge.task.completed = true;
-          localChallenge.taskObj.locked = false;
-          localChallenge.taskObj.completed = true;
-          localChallenge.taskObj.color = '#8BC34A';
+          if (localChallenge.task.recurrence) {
+            // Recurring tasks log the completion and come back on their next occurrence
+            advanceRecurringTask(localChallenge.task);
+            localChallenge.taskObj.subtaskProgress = getSubtaskProgress(localChallenge.task);
+            localChallenge.taskObj.streak = getStreak(localChallenge.task);
+            logger.info(MODULE, `Recurring task "${localChallenge.task.text}" next due ${localChallenge.task.dueDate} (streak ${localChallenge.taskObj.streak})`);
+          } else {
+            // Mark task as completed
+            localChallenge.task.completed = true;
+            localChallenge.task.completedAt = Date.now();
+            localChallenge.task.arenaScore = scoreAchieved;
+            localChallenge.taskObj.locked = false;
+            localChallenge.taskObj.completed = true;
+            localChallenge.taskObj.color = '#8BC34A';
+          }
           
           // Increase tokens
-          gameState.taskTokens++;
+          earnTokens(1, TOKEN_REASONS.CHALLENGE, { taskId: localChallenge.task.id });
+          recordTaskChanged(TASK_COMMANDS.COMPLETE, taskBefore, localChallenge.task, 1);
+          recordChallengeResult({ ...localChallenge, score: scoreAchieved, completed: true, tokens: 1 });
           
           // Create token effect
           createTokenEffect();
           
           // Save tasks after marking as completed
-          taskStorage.saveTasks(gameState.tasks);
+          saveTaskList();
         } else {
           logger.info(MODULE, "Challenge failed. Task remains incomplete");
+          // Each failure eases the task's next challenge
+          localChallenge.task.failedAttempts = (localChallenge.task.failedAttempts || 0) + 1;
+          recordChallengeResult({ ...localChallenge, score: scoreAchieved, completed: false });
+          saveTaskList();
+          
           // In-game notification instead of alert for better UX
           createFailureNotification(localChallenge.requiredScore);
         }
@@ -1278,15 +1775,12 @@
           
           // CRITICAL: First transition to 2D mode to ensure PixiScene stays mounted
           // This is the key difference - we go through 2D mode first
-          gameState.mode = '2D';
+          setGameMode('2D');
           
           // Give the system a moment to process the mode change
           setTimeout(() => {
             // Then transition to task game mode
-            gameState.mode = 'TASK_GAME';
-            if (gameState.setMode) {
-              gameState.setMode('TASK_GAME');
-            }
+            setGameMode('TASK_GAME');
             
             logger.info(MODULE, "🔄 Mode set back to:", gameState.mode);
             
@@ -1353,11 +1847,11 @@
         logger.info(MODULE, "Testing right movement:");
         const beforeState = recordState(state);
         
-        // Simulate right key press
-        state.keys['d'] = true;
+        // Simulate a move right press
+        setActionPressed(ACTIONS.MOVE_RIGHT, true);
         
         // Call update manually
-        updateTaskGame(16, state, canvas);
+        updateTaskGame(FIXED_STEP_MS, state, canvas);
         
         // Check if position changed
         const afterState = recordState(state);
@@ -1365,7 +1859,7 @@
         logger.info(MODULE, "Changes after right movement:", changes);
         
         // Reset key state
-        state.keys['d'] = false;
+        setActionPressed(ACTIONS.MOVE_RIGHT, false);
         
         // Test 4: Test bullet movement
         logger.info(MODULE, "Testing bullet movement:");
@@ -1376,8 +1870,8 @@
         const testBullet = {
           x: state.taskGamePosition.x,
           y: state.taskGamePosition.y,
-          vx: 10,
-          vy: -5,
+          vx: 600,
+          vy: -300,
           size: 5,
           color: '#FF0000'
         };
@@ -1386,7 +1880,7 @@
         logger.info(MODULE, "Test bullet created:", testBullet);
         
         // Update once to move the bullet
-        updateTaskGame(16, state, canvas);
+        updateTaskGame(FIXED_STEP_MS, state, canvas);
         
         // Check if bullet moved
         logger.info(MODULE, "Test bullet after update:", state.bullets[state.bullets.length - 1]);
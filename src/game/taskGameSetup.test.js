@@ -0,0 +1,58 @@
+import gameState from './gameState';
+import { onTaskChallengeComplete } from './taskGameSetup';
+import { taskStorage } from '../services/TaskStorageService';
+import { createTask } from '../services/taskSchema';
+import { getTokenBalance } from '../services/tokenLedger';
+
+describe('onTaskChallengeComplete', () => {
+  let task;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await taskStorage.ready;
+    task = createTask('Write report', { requiredScore: 300 });
+    taskStorage.saveTasks([task]);
+    taskStorage.saveStatsEvents([]);
+    gameState.tasks = taskStorage.getTasks();
+    gameState.mode = '2D_TASK_ARENA';
+    gameState.currentTaskChallenge = {
+      task: gameState.tasks[0],
+      taskObj: {},
+      subtask: null,
+      requiredScore: 300
+    };
+  });
+
+  afterEach(() => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('saves a completed task with its completion time, token and stats event', () => {
+    const balance = getTokenBalance();
+    onTaskChallengeComplete(350);
+
+    const [stored] = taskStorage.getTasks();
+    expect(stored.completed).toBe(true);
+    expect(stored.completedAt).toEqual(expect.any(Number));
+    expect(stored.arenaScore).toBe(350);
+    expect(getTokenBalance()).toBe(balance + 1);
+    expect(taskStorage.getStatsEvents()).toEqual([
+      expect.objectContaining({ taskId: task.id, score: 350, success: true, completed: true })
+    ]);
+    expect(gameState.currentTaskChallenge).toBeNull();
+  });
+
+  it('saves a failed attempt', () => {
+    onTaskChallengeComplete(100);
+
+    const [stored] = taskStorage.getTasks();
+    expect(stored.completed).toBe(false);
+    expect(stored.failedAttempts).toBe(1);
+    expect(taskStorage.getStatsEvents()).toEqual([
+      expect.objectContaining({ taskId: task.id, score: 100, success: false })
+    ]);
+  });
+});
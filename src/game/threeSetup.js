@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls';
 import { enterTrainingChallenge, updateTrainingChallenge, cleanupTrainingChallenge } from './trainingChallengeSetup';
+import { ACTIONS, isActionPressed, consumeAction, getGamepadSettings } from './inputBindings';
+import { isGamepadConnected, getGamepadLook } from './gamepadInput';
+import { SOUNDS, LOOPS, playSound, startLoop, setListenerPose } from './audioManager';
 
 // Graphics quality presets
 const QUALITY_SETTINGS = {
@@ -92,6 +95,7 @@ class BulletManager {
     
     // Add bullet to tracking array
     this.bullets.push(bullet);
+    playSound(SOUNDS.SHOT);
   }
 
   update(currentTime) {
@@ -172,6 +176,8 @@ class BulletManager {
   }
 
   createHitEffect(position) {
+    playSound(SOUNDS.HIT, { position });
+    
     const hitGeometry = new THREE.SphereGeometry(0.2, 16, 16);
     const hitMaterial = new THREE.MeshStandardMaterial({ 
       color: 0xFFFF00, 
@@ -324,6 +330,11 @@ export const initThreeScene = (container, state, setMode) => {
     state.bulletManager = null;
   }
   
+  if (state.portalHum) {
+    state.portalHum.stop();
+    state.portalHum = null;
+  }
+  
   // Get current quality settings
   const quality = state.graphicsQuality || 'low';
   const qualitySettings = QUALITY_SETTINGS[quality];
@@ -508,6 +519,8 @@ const addPortal = (scene, state, quality) => {
   scene.add(portalMesh);
   state.portalMesh = portalMesh;
   state.portalPosition = { x: 5, y: 1, z: -5 };
+  // The portal hums; it fades in as the player walks up to it
+  state.portalHum = startLoop(LOOPS.PORTAL_HUM, { position: portalMesh.position });
   
   // Add a text label above the 2D world portal
   const deadlineDemonCanvas = document.createElement('canvas');
@@ -630,6 +643,31 @@ const checkWallCollision = (x, z) => {
   return false; // No collision
 };
 
+// Reused by applyGamepadLook; YXZ keeps yaw and pitch apart like PointerLockControls
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Reused for the audio listener's facing every frame
+const listenerForward = new THREE.Vector3();
+
+/**
+ * Turn the camera with the gamepad's look stick, the way PointerLockControls
+ * turns it with the mouse
+ * @param {THREE.Camera} camera Camera to turn
+ * @param {number} deltaTime Frame time in milliseconds
+ */
+const applyGamepadLook = (camera, deltaTime) => {
+  const look = getGamepadLook();
+  if (!look.x && !look.y) return;
+
+  const { lookSpeed, invertLook } = getGamepadSettings();
+  const turn = (lookSpeed * deltaTime) / 1000;
+  lookEuler.setFromQuaternion(camera.quaternion);
+  lookEuler.y -= look.x * turn;
+  lookEuler.x -= look.y * turn * (invertLook ? -1 : 1);
+  lookEuler.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, lookEuler.x));
+  camera.quaternion.setFromEuler(lookEuler);
+};
+
 export const updateThreeScene = (deltaTime, scene, camera, controls, state, setMode, renderer) => {
   // Skip updates if game is paused
   if (state.isPaused) return;
@@ -644,6 +682,17 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
     state.updateSettingsVisibility();
   }
   
+  // The gamepad's look stick turns the camera in both 3D modes
+  applyGamepadLook(camera, Math.min(deltaTime, 100));
+  
+  // Positional sounds are heard from the camera; the portal hum belongs to
+  // the main scene and is silent during the training challenge
+  camera.getWorldDirection(listenerForward);
+  setListenerPose(camera.position, listenerForward, camera.up);
+  if (state.portalHum) {
+    state.portalHum.setLevel(state.mode === 'TRAINING_CHALLENGE' ? 0 : 1);
+  }
+  
   // Check if in training challenge mode
   if (state.mode === 'TRAINING_CHALLENGE') {
     try {
@@ -652,7 +701,7 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
       if (!challengeActive) {
         console.log("Training challenge ended, returning to 3D mode");
         // Training challenge ended, return to 3D mode
-        state.mode = '3D';
+        setMode('3D');
         
         // Make sure we render the main scene again
         if (renderer) {
@@ -662,8 +711,9 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
       // Note: We don't need to call renderer.render here as the training challenge handles that
     } catch (error) {
       console.error("Error in training challenge update:", error);
-      // If there's an error, return to 3D mode
-      state.mode = '3D';
+      // If there's an error, end the challenge and return to 3D mode
+      cleanupTrainingChallenge();
+      setMode('3D');
     }
     return;
   }
@@ -684,19 +734,24 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
   state.velocity.x = 0;
   state.velocity.z = 0;
   
-  // Only process movement if pointer is locked
-  if (state.pointerLocked) {
-    // Apply keyboard controls
-    if (state.keys['w'] || state.keys['arrowup']) {
+  // Only process movement and shooting if pointer is locked, or a gamepad is in use
+  if (state.pointerLocked || isGamepadConnected()) {
+    // The shoot action fires like a click
+    if (consumeAction(ACTIONS.SHOOT) && state.bulletManager) {
+      state.bulletManager.createBullet(camera);
+    }
+    
+    // Apply movement actions (keys or gamepad)
+    if (isActionPressed(ACTIONS.MOVE_FORWARD, state.keys)) {
       direction.z = -1;
     }
-    if (state.keys['s'] || state.keys['arrowdown']) {
+    if (isActionPressed(ACTIONS.MOVE_BACK, state.keys)) {
       direction.z = 1;
     }
-    if (state.keys['a'] || state.keys['arrowleft']) {
+    if (isActionPressed(ACTIONS.MOVE_LEFT, state.keys)) {
       direction.x = -1;
     }
-    if (state.keys['d'] || state.keys['arrowright']) {
+    if (isActionPressed(ACTIONS.MOVE_RIGHT, state.keys)) {
       direction.x = 1;
     }
     
@@ -737,8 +792,8 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
   const distanceToPortal = camera.position.distanceTo(portalPosition);
   const portalVisible = distanceToPortal < 3;
   
-  // Portal interaction
-  if (portalVisible && state.keys['e']) {
+  // Portal interaction (consuming the press prevents multiple toggles)
+  if (portalVisible && consumeAction(ACTIONS.INTERACT)) {
     // Unlock pointer before switching modes
     if (controls.isLocked) {
       controls.unlock();
@@ -746,7 +801,6 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
     state.pointerLocked = false;
     
     setMode('2D');
-    state.keys['e'] = false; // Reset key to prevent multiple toggles
   }
   
   // Check for training challenge portal proximity
@@ -761,7 +815,7 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
     const trainingPortalVisible = distanceToTrainingPortal < 3;
     
     // Training portal interaction
-    if (trainingPortalVisible && state.keys['e']) {
+    if (trainingPortalVisible && consumeAction(ACTIONS.INTERACT)) {
       console.log("Entering training challenge from portal", { 
         renderer: renderer ? "defined" : "undefined",
         scene: scene ? "defined" : "undefined",
@@ -774,16 +828,16 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
       }
       
       // Enter training challenge
-      state.mode = 'TRAINING_CHALLENGE';
-      state.keys['e'] = false; // Reset key to prevent multiple toggles
-      
-      try {
-        // Initialize training challenge - pass renderer as parameter
-        enterTrainingChallenge(scene, camera, renderer, controls);
-      } catch (error) {
-        console.error("Error entering training challenge:", error);
-        // If there's an error, stay in 3D mode
-        state.mode = '3D';
+      if (setMode('TRAINING_CHALLENGE')) {
+        try {
+          // Initialize training challenge - pass renderer as parameter
+          enterTrainingChallenge(scene, camera, renderer, controls);
+        } catch (error) {
+          console.error("Error entering training challenge:", error);
+          // If there's an error, stay in 3D mode
+          cleanupTrainingChallenge();
+          setMode('3D');
+        }
       }
     }
     
@@ -851,14 +905,9 @@ export const updateThreeScene = (deltaTime, scene, camera, controls, state, setM
   
   // Update FPS display every 500ms
   if (elapsed >= 500) {
+    // The Overlay reads this through the performance slice
     state.fps = Math.round((state.frameCount3D * 1000) / elapsed);
     
-    // Update the FPS display
-    const fpsElement = document.getElementById('fps');
-    if (fpsElement) {
-      fpsElement.textContent = state.fps;
-    }
-    
     // Reset counters
     state.lastFpsUpdate3D = now;
     state.frameCount3D = 0;
@@ -879,6 +928,12 @@ export const cleanupThreeScene = (state) => {
     state.bulletManager = null;
   }
   
+  // Stop the portal hum
+  if (state.portalHum) {
+    state.portalHum.stop();
+    state.portalHum = null;
+  }
+  
   // Cleanup training challenge if active
   if (state.mode === 'TRAINING_CHALLENGE') {
     cleanupTrainingChallenge();
@@ -1,13 +1,29 @@
 import gameState from './gameState';
 import { setupInputListeners } from './inputManager';
+import { setGameMode, canTransition, registerModeSession } from './modeTransitionManager';
+import { taskStorage } from '../services/TaskStorageService';
+import { recordTrainingRun } from '../services/statsService';
+import { createRandom, resolveArenaSeed } from '../services/seededRandom';
+import { startArenaRecording, finishArenaRecording, isReplayPlaying } from './arenaReplay';
+import { updatePlayerBody, stepBullets, collideBullets, COLLISION } from './physics2D';
+import { fireWeapon } from './arenaWeapons';
+import { getAimDirection, drawAimLine } from './aim2D';
+import { SOUNDS, playSound } from './audioManager';
+import { getArenaWeapon, getPlayerColor } from '../services/tokenShop';
+import { ACTIONS, consumeAction, getArenaHudHint } from './inputBindings';
 
 // Constants for the 2D training arena
 const ARENA_WIDTH = window.innerWidth;
 const ARENA_HEIGHT = window.innerHeight;
-const TARGET_SPEED_MIN = 1;
-const TARGET_SPEED_MAX = 3;
+const TARGET_SPEED_MIN = 60; // pixels per second
+const TARGET_SPEED_MAX = 180;
 const TRAINING_TIME = 60; // seconds
 
+// Collision benchmark: bullets fired across the arena per step, and how
+// often (arena clock, ms) the averaged collision timings are reported
+const BENCHMARK_BULLETS_PER_STEP = 4;
+const BENCHMARK_REPORT_INTERVAL = 1000;
+
 // Quality-dependent constants
 const QUALITY_SETTINGS = {
   low: {
@@ -35,7 +51,7 @@ const QUALITY_SETTINGS = {
 
 // Create a class to manage the 2D training arena
 class TrainingArena2DManager {
-  constructor(canvas, ctx, state) {
+  constructor(canvas, ctx, state, options = {}) {
     console.log("TrainingArena2DManager constructor");
     
     // Get quality settings
@@ -68,8 +84,21 @@ class TrainingArena2DManager {
     this.activeEffects = [];
     this.exitPortal = null;
     
-    // Setup custom L key listener for bullet creation
-    this.setupLKeyListener();
+    // Collision benchmark run: spawns benchmarkTargets targets, fires bullets
+    // on its own and times the bullet/target checks with and without the grid
+    this.benchmark = options.benchmarkTargets > 0
+      ? { targetCount: options.benchmarkTargets, steps: 0, gridMs: 0, bruteMs: 0, bullets: 0, totals: null, report: null, nextReport: 0 }
+      : null;
+    
+    // Arena clock in milliseconds, advanced by update so runs can be replayed
+    this.elapsed = 0;
+    
+    // Targets waiting to respawn: arena clock times at which to spawn them
+    this.pendingSpawns = [];
+    
+    // Track last shoot time (arena clock) for cooldown
+    this.lastShootTime = -Infinity;
+    this.shootCooldown = state.shootCooldown || 300; // milliseconds between shots
     
     // Bind methods to retain 'this' context
     this.update = this.update.bind(this);
@@ -84,22 +113,20 @@ class TrainingArena2DManager {
     console.log("TrainingArena2DManager created");
   }
   
-  // Setup a direct L key listener that bypasses gameState
-  setupLKeyListener() {
-    this.lKeyHandler = (e) => {
-      if (!this.isActive) return;
-      
-      if (e.key.toLowerCase() === 'l') {
-        const currentTime = Date.now();
-        if (currentTime - this.gameState.lastShootTime > this.gameState.shootCooldown) {
-          this.gameState.lastShootTime = currentTime;
-          this.createBullet();
-        }
-      }
-    };
-    
-    // Add the event listener
-    window.addEventListener('keydown', this.lKeyHandler);
+  // Shoot if the cooldown has passed, straight ahead or at the given aim
+  // angle. The cooldown runs on the arena clock rather than wall time, so a
+  // replayed run fires the same shots.
+  tryShoot(aimAngle) {
+    // No more shots once time is up and the final score is showing
+    if (this.isEnding) {
+      return false;
+    }
+    if (this.elapsed - this.lastShootTime < this.shootCooldown) {
+      return false;
+    }
+    this.lastShootTime = this.elapsed;
+    this.createBullet(aimAngle);
+    return true;
   }
   
   // Initialize the training arena
@@ -110,6 +137,17 @@ class TrainingArena2DManager {
     this.timeRemaining = TRAINING_TIME;
     this.lastUpdateTime = Date.now();
     this.activeEffects = [];
+    this.elapsed = 0;
+    this.pendingSpawns = [];
+    this.lastShootTime = -Infinity;
+    // Weapon bought in the token shop (or the one a replay was recorded with)
+    this.weapon = getArenaWeapon();
+    
+    // Seed this run's random numbers so it can be replayed and compared
+    this.seed = resolveArenaSeed(this.gameState.arenaSeed);
+    this.random = createRandom(this.seed);
+    this.gameState.lastArenaSeed = this.seed;
+    console.log("Arena seed:", this.seed);
     
     try {
       // Clear existing game elements
@@ -156,14 +194,15 @@ class TrainingArena2DManager {
     const platformHeight = 20;
     
     for (let i = 0; i < platformCount; i++) {
-      const x = Math.random() * (this.canvas.width - platformWidth);
+      const x = this.random.next() * (this.canvas.width - platformWidth);
       const y = this.canvas.height - 150 - (i * 100);
       
       this.gameState.platforms.push({
         x,
         y,
         width: platformWidth,
-        height: platformHeight
+        height: platformHeight,
+        oneWay: true // can be jumped through from below
       });
     }
   }
@@ -184,7 +223,7 @@ class TrainingArena2DManager {
   
   // Create targets
   createTargets() {
-    const targetCount = this.qualitySettings.targetCount;
+    const targetCount = this.benchmark ? this.benchmark.targetCount : this.qualitySettings.targetCount;
     for (let i = 0; i < targetCount; i++) {
       this.createTarget();
     }
@@ -193,13 +232,13 @@ class TrainingArena2DManager {
   // Create a single target
   createTarget() {
     // Random target type (static or moving)
-    const isMoving = Math.random() > 0.3;
+    const isMoving = this.random.next() > 0.3;
     const size = this.qualitySettings.targetSize;
     
     // Create target
     const target = {
-      x: Math.random() * (this.canvas.width - size * 2) + size,
-      y: Math.random() * (this.canvas.height - 200) + 50,
+      x: this.random.next() * (this.canvas.width - size * 2) + size,
+      y: this.random.next() * (this.canvas.height - 200) + 50,
       width: size,
       height: size,
       isTarget: true,
@@ -208,10 +247,10 @@ class TrainingArena2DManager {
     
     // Add movement properties for moving targets
     if (isMoving) {
-      const speed = TARGET_SPEED_MIN + Math.random() * (TARGET_SPEED_MAX - TARGET_SPEED_MIN);
+      const speed = this.random.range(TARGET_SPEED_MIN, TARGET_SPEED_MAX);
       target.isMoving = true;
-      target.vx = (Math.random() > 0.5 ? 1 : -1) * speed;
-      target.vy = (Math.random() > 0.5 ? 1 : -1) * speed;
+      target.vx = this.random.sign() * speed;
+      target.vy = this.random.sign() * speed;
       target.color = '#FF9500'; // Orange for moving targets
     } else {
       target.isMoving = false;
@@ -223,29 +262,27 @@ class TrainingArena2DManager {
   }
   
   // Create a bullet - simplified and direct method
-  createBullet() {
+  createBullet(aimAngle) {
     if (!this.isActive) return;
     
     console.log("Creating bullet in 2D training arena");
     
-    // Get direction based on player facing direction
+    // An aimed shot turns the player toward the aim
+    if (aimAngle !== undefined) {
+      this.gameState.playerFacingDirection = getAimDirection(aimAngle);
+    }
     const direction = this.gameState.playerFacingDirection || 1;
     
-    // Create bullet using the EXACT same formula as in inputManager.js
-    const bullet = {
+    // Fire the equipped weapon from the gun's muzzle
+    const muzzle = {
       x: this.gameState.playerPosition.x + (direction > 0 ? 40 : 0),
-      y: this.gameState.playerPosition.y + 25,
-      vx: direction * 10,
-      vy: 0,
-      size: 5,
-      color: '#FFFF00'
+      y: this.gameState.playerPosition.y + 25
     };
-    
-    // Add bullet to game state
-    this.gameState.bullets.push(bullet);
+    this.gameState.bullets.push(...fireWeapon(this.weapon, muzzle, direction, aimAngle));
     
     // Create muzzle flash effect
-    this.createMuzzleFlash(bullet.x, bullet.y);
+    this.createMuzzleFlash(muzzle.x, muzzle.y);
+    playSound(SOUNDS.SHOT);
   }
   
   // Create muzzle flash effect
@@ -274,6 +311,8 @@ class TrainingArena2DManager {
   
   // Create hit effect
   createHitEffect(x, y) {
+    playSound(SOUNDS.HIT);
+    
     // Limit number of active effects
     if (this.activeEffects.length >= this.qualitySettings.maxEffects) {
       // Remove oldest effect
@@ -303,8 +342,9 @@ class TrainingArena2DManager {
         return true; // Keep rendering but don't update game elements
       }
       
-      // Update timer
+      // Update timer and arena clock
       this.timeRemaining -= deltaTime / 1000;
+      this.elapsed += deltaTime;
       
       // Check if time ran out
       if (this.timeRemaining <= 0) {
@@ -316,11 +356,17 @@ class TrainingArena2DManager {
       // Handle player movement - same as in twoDSetup.js
       this.updatePlayerMovement(deltaTime);
       
+      // Benchmark runs keep the arena full of bullets
+      if (this.benchmark) {
+        this.fireBenchmarkBullets();
+      }
+      
       // Update bullets
-      this.updateBullets();
+      this.updateBullets(deltaTime);
       
       // Update targets
       this.updateTargets(deltaTime);
+      this.spawnPendingTargets();
       
       // Update effects
       this.updateEffects();
@@ -338,103 +384,34 @@ class TrainingArena2DManager {
     }
   }
   
-  // Update player movement - similar to twoDSetup.js
+  // Update player movement with the shared physics (see physics2D.js)
   updatePlayerMovement(deltaTime) {
-    const moveSpeed = 5;
-    const jumpPower = 15;
-    const gravity = this.gameState.gravity;
-    this.gameState.velocity.x = 0;
-    
-    // Update player movement based on keyboard controls
-    if (this.gameState.keys['a'] || this.gameState.keys['arrowleft']) {
-      this.gameState.velocity.x = -moveSpeed;
-      this.gameState.playerFacingDirection = -1;
-    }
-    if (this.gameState.keys['d'] || this.gameState.keys['arrowright']) {
-      this.gameState.velocity.x = moveSpeed;
-      this.gameState.playerFacingDirection = 1;
-    }
-    if ((this.gameState.keys['w'] || this.gameState.keys['arrowup'] || this.gameState.keys[' ']) && !this.gameState.isJumping) {
-      this.gameState.velocity.y = -jumpPower;
-      this.gameState.isJumping = true;
-    }
-    
-    // Apply gravity
-    this.gameState.velocity.y += gravity;
-    
-    // Cap maximum falling speed to prevent tunneling through platforms
-    const maxFallSpeed = 15;
-    if (this.gameState.velocity.y > maxFallSpeed) {
-      this.gameState.velocity.y = maxFallSpeed;
-    }
-    
-    // Update position
-    this.gameState.playerPosition.x += this.gameState.velocity.x;
-    this.gameState.playerPosition.y += this.gameState.velocity.y;
-    
-    // Platform collision (improved to handle high velocities)
-    let onPlatform = false;
-    this.gameState.platforms.forEach(platform => {
-      // Check if player is within horizontal bounds of the platform
-      if (
-        this.gameState.playerPosition.x + 30 > platform.x &&
-        this.gameState.playerPosition.x < platform.x + platform.width
-      ) {
-        // Check if player is landing on top of platform
-        if (
-          this.gameState.playerPosition.y + 50 >= platform.y &&
-          this.gameState.playerPosition.y + 50 - this.gameState.velocity.y <= platform.y
-        ) {
-          this.gameState.playerPosition.y = platform.y - 50;
-          this.gameState.velocity.y = 0;
-          this.gameState.isJumping = false;
-          onPlatform = true;
-        }
-      }
+    const bounds = { width: this.canvas.width, height: this.canvas.height };
+    const events = updatePlayerBody(this.gameState, this.gameState.playerPosition, deltaTime, {
+      platforms: this.gameState.platforms,
+      bounds
     });
     
     // Ensure player doesn't fall through the bottom of the screen
-    if (this.gameState.playerPosition.y > this.canvas.height) {
+    if (events.some(event => event.type === COLLISION.FELL)) {
       this.gameState.playerPosition.y = this.canvas.height - 50;
       this.gameState.velocity.y = 0;
-      this.gameState.isJumping = false;
     }
   }
   
-  // Update bullets - new method to properly handle bullet movement
-  updateBullets() {
-    for (let i = this.gameState.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.gameState.bullets[i];
-      
-      // Skip if bullet is undefined (safety check)
-      if (!bullet) {
-        this.gameState.bullets.splice(i, 1);
-        continue;
-      }
-      
-      // Update bullet position
-      bullet.x += bullet.vx;
-      bullet.y += bullet.vy || 0;
-      
-      // Remove bullet if offscreen
-      if (
-        bullet.x < 0 ||
-        bullet.x > this.canvas.width ||
-        bullet.y < 0 ||
-        bullet.y > this.canvas.height
-      ) {
-        this.gameState.bullets.splice(i, 1);
-      }
-    }
+  // Update bullets
+  updateBullets(deltaTime) {
+    stepBullets(this.gameState.bullets, deltaTime, { width: this.canvas.width, height: this.canvas.height });
   }
   
   // Update targets (move the moving ones)
   updateTargets(deltaTime) {
+    const dt = deltaTime / 1000;
     for (const target of this.targets) {
       if (target.isMoving) {
-        // Move the target
-        target.x += target.vx;
-        target.y += target.vy;
+        // Move the target (velocity in pixels per second)
+        target.x += target.vx * dt;
+        target.y += target.vy * dt;
         
         // Bounce off walls
         if (target.x <= 0 || target.x + target.width >= this.canvas.width) {
@@ -450,6 +427,14 @@ class TrainingArena2DManager {
     }
   }
   
+  // Respawn destroyed targets whose delay has passed
+  spawnPendingTargets() {
+    while (this.pendingSpawns.length > 0 && this.pendingSpawns[0] <= this.elapsed) {
+      this.pendingSpawns.shift();
+      this.createTarget();
+    }
+  }
+  
   // Update visual effects
   updateEffects() {
     const currentTime = Date.now();
@@ -484,40 +469,96 @@ class TrainingArena2DManager {
   
   // Check bullet collisions with targets
   checkBulletCollisions() {
-    for (let i = this.gameState.bullets.length - 1; i >= 0; i--) {
-      const bullet = this.gameState.bullets[i];
+    if (this.benchmark) {
+      this.measureCollisions();
+    }
+    
+    collideBullets(this.gameState.bullets, this.targets, ({ target, targetIndex }) => {
+      this.score += target.points;
+      this.createHitEffect(target.x + target.width / 2, target.y + target.height / 2);
       
-      // Check collisions with targets
-      for (let j = this.targets.length - 1; j >= 0; j--) {
-        const target = this.targets[j];
-        
-        if (
-          bullet.x > target.x &&
-          bullet.x < target.x + target.width &&
-          bullet.y > target.y &&
-          bullet.y < target.y + target.height
-        ) {
-          // Hit a target
-          this.score += target.points;
-          this.createHitEffect(target.x + target.width / 2, target.y + target.height / 2);
-          
-          // Remove bullet and target
-          this.gameState.bullets.splice(i, 1);
-          this.targets.splice(j, 1);
-          
-          // Create a new target to replace it
-          setTimeout(() => {
-            if (this.isActive) {
-              this.createTarget();
-            }
-          }, 1000);
-          
-          break;
-        }
-      }
+      // Remove the target and create a new one to replace it a second later
+      this.targets.splice(targetIndex, 1);
+      this.pendingSpawns.push(this.elapsed + 1000);
+    });
+  }
+  
+  // Fire a spread of bullets from the left edge for the collision benchmark
+  fireBenchmarkBullets() {
+    for (let i = 0; i < BENCHMARK_BULLETS_PER_STEP; i++) {
+      this.gameState.bullets.push({
+        x: 1,
+        y: this.random.range(50, this.canvas.height - 150),
+        vx: 600, // pixels per second
+        vy: 0,
+        size: 2,
+        color: '#FFFF00'
+      });
     }
   }
   
+  // Time this step's bullet/target checks with and without the broadphase.
+  // Both runs are dry (no hits are applied), so they test the same data.
+  measureCollisions() {
+    const { bullets } = this.gameState;
+    const timeRun = (broadphase) => {
+      const start = performance.now();
+      collideBullets(bullets, this.targets, () => false, { broadphase });
+      return performance.now() - start;
+    };
+    
+    const benchmark = this.benchmark;
+    benchmark.gridMs += timeRun(true);
+    benchmark.bruteMs += timeRun(false);
+    benchmark.bullets += bullets.length;
+    benchmark.steps++;
+    
+    if (this.elapsed < benchmark.nextReport) return;
+    benchmark.nextReport = this.elapsed + BENCHMARK_REPORT_INTERVAL;
+    
+    benchmark.report = {
+      targets: this.targets.length,
+      bullets: Math.round(benchmark.bullets / benchmark.steps),
+      gridMs: benchmark.gridMs / benchmark.steps,
+      bruteMs: benchmark.bruteMs / benchmark.steps
+    };
+    console.log(
+      `Collision benchmark: ${benchmark.report.targets} targets, ${benchmark.report.bullets} bullets, ` +
+      `grid ${benchmark.report.gridMs.toFixed(3)} ms/frame, brute force ${benchmark.report.bruteMs.toFixed(3)} ms/frame`
+    );
+    
+    // Keep run totals for the summary, then start the next window
+    const totals = benchmark.totals || { steps: 0, gridMs: 0, bruteMs: 0 };
+    benchmark.totals = {
+      steps: totals.steps + benchmark.steps,
+      gridMs: totals.gridMs + benchmark.gridMs,
+      bruteMs: totals.bruteMs + benchmark.bruteMs
+    };
+    benchmark.steps = 0;
+    benchmark.gridMs = 0;
+    benchmark.bruteMs = 0;
+    benchmark.bullets = 0;
+  }
+  
+  // Draw the latest collision benchmark timings
+  drawBenchmarkReport() {
+    const report = this.benchmark.report;
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(20, 70, 330, 70);
+    this.ctx.fillStyle = '#FFFFFF';
+    this.ctx.font = '14px Arial';
+    this.ctx.textAlign = 'left';
+    if (!report) {
+      this.ctx.fillText(`Benchmark: ${this.benchmark.targetCount} targets, measuring...`, 30, 90);
+      return;
+    }
+    this.ctx.fillText(`Benchmark: ${report.targets} targets, ${report.bullets} bullets`, 30, 90);
+    this.ctx.fillStyle = '#8BC34A';
+    this.ctx.fillText(`Grid broadphase: ${report.gridMs.toFixed(3)} ms/frame`, 30, 110);
+    this.ctx.fillStyle = '#FF9800';
+    this.ctx.fillText(`Brute force: ${report.bruteMs.toFixed(3)} ms/frame`, 30, 130);
+  }
+  
   // Check if player is near exit portal
   checkExitPortalProximity() {
     if (!this.exitPortal) return;
@@ -532,10 +573,10 @@ class TrainingArena2DManager {
     const dy = playerCenterY - portalCenterY;
     const distance = Math.sqrt(dx * dx + dy * dy);
     
-    // If player is close to portal and presses 'E', exit the arena
-    if (distance < 50 && this.gameState.keys && this.gameState.keys['e']) {
+    // If player is close to portal and presses interact, exit the arena
+    // (consuming the press prevents multiple toggles)
+    if (distance < 50 && consumeAction(ACTIONS.INTERACT)) {
       this.exitArena();
-      this.gameState.keys['e'] = false; // Reset key to prevent multiple toggles
     }
   }
   
@@ -566,7 +607,8 @@ class TrainingArena2DManager {
         this.ctx.fillText("Time's Up!", this.canvas.width / 2, this.canvas.height / 2 - 40);
         this.ctx.fillText(`Final Score: ${this.score}`, this.canvas.width / 2, this.canvas.height / 2);
         this.ctx.font = '20px Arial';
-        this.ctx.fillText('Exiting in 5 seconds...', this.canvas.width / 2, this.canvas.height / 2 + 40);
+        this.ctx.fillText(`Seed: ${this.seed}`, this.canvas.width / 2, this.canvas.height / 2 + 40);
+        this.ctx.fillText('Exiting in 5 seconds...', this.canvas.width / 2, this.canvas.height / 2 + 70);
         return;
       }
       
@@ -637,9 +679,9 @@ class TrainingArena2DManager {
         }
       });
       
-      // Draw bullets
-      this.ctx.fillStyle = '#FFFF00';
+      // Draw bullets in their weapon's color
       this.gameState.bullets.forEach(bullet => {
+        this.ctx.fillStyle = bullet.color || '#FFFF00';
         this.ctx.beginPath();
         this.ctx.arc(bullet.x, bullet.y, bullet.size || 5, 0, Math.PI * 2);
         this.ctx.fill();
@@ -655,8 +697,8 @@ class TrainingArena2DManager {
         this.ctx.globalAlpha = 1;
       });
       
-      // Draw player
-      this.ctx.fillStyle = '#2ecc71';
+      // Draw player in the equipped skin
+      this.ctx.fillStyle = getPlayerColor();
       this.ctx.fillRect(
         this.gameState.playerPosition.x,
         this.gameState.playerPosition.y,
@@ -698,6 +740,11 @@ class TrainingArena2DManager {
       }
       this.ctx.stroke();
       
+      // Draw the mouse aim
+      if (this.gameState.isMouseAiming && !isReplayPlaying()) {
+        drawAimLine(this.ctx, this.gameState.playerPosition, this.gameState.mousePosition);
+      }
+      
       // Draw UI elements
       this.drawUI();
     } catch (error) {
@@ -730,13 +777,22 @@ class TrainingArena2DManager {
     this.ctx.textAlign = 'right';
     this.ctx.fillText(`Time: ${Math.ceil(this.timeRemaining)}s`, this.canvas.width - 30, 45);
     
+    // Show the seed so a run can be shared and replayed
+    this.ctx.font = '12px Arial';
+    this.ctx.fillStyle = '#B0BEC5';
+    this.ctx.fillText(`${isReplayPlaying() ? 'REPLAY | ' : ''}Seed: ${this.seed}`, this.canvas.width - 30, 75);
+    
     // Draw instructions
     this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
     this.ctx.fillRect(this.canvas.width / 2 - 150, 20, 300, 40);
     this.ctx.fillStyle = '#FFFFFF';
     this.ctx.font = '16px Arial';
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('Press L to shoot | Press E near exit to leave', this.canvas.width / 2, 45);
+    this.ctx.fillText(getArenaHudHint(), this.canvas.width / 2, 45);
+    
+    if (this.benchmark) {
+      this.drawBenchmarkReport();
+    }
   }
   
   // End the challenge (time out)
@@ -746,11 +802,13 @@ class TrainingArena2DManager {
     // Set flag to show we're in the end state but keep arena active for rendering
     this.isEnding = true;
     
-    // Immediately remove the L key event listener to prevent input interference
-    if (this.lKeyHandler) {
-      window.removeEventListener('keydown', this.lKeyHandler);
-      this.lKeyHandler = null;
+    // Record the run in the persisted arena stats (replays and benchmarks are not new runs)
+    if (this.benchmark) {
+      this.logBenchmarkSummary();
+    } else if (!isReplayPlaying()) {
+      taskStorage.recordArenaRun('training2D', this.score);
     }
+    finishArenaRecording(this.score);
     
     // Show final score immediately
     this.showFinalScore();
@@ -761,10 +819,25 @@ class TrainingArena2DManager {
     }, 5000);
   }
   
+  // Log the collision timings averaged over the whole benchmark run
+  logBenchmarkSummary() {
+    const totals = this.benchmark.totals;
+    if (!totals || totals.steps === 0) return;
+    console.log(
+      `Collision benchmark finished: ${this.benchmark.targetCount} targets over ${totals.steps} frames, ` +
+      `grid ${(totals.gridMs / totals.steps).toFixed(3)} ms/frame, brute force ${(totals.bruteMs / totals.steps).toFixed(3)} ms/frame`
+    );
+  }
+  
   // Show final score
   showFinalScore() {
     console.log("Showing final score"); // Debug log
     
+    // Feed the stats dashboard (replays and benchmarks are not new runs)
+    if (!this.benchmark && !isReplayPlaying()) {
+      recordTrainingRun('training2D', this.score);
+    }
+    
     // Make sure we have a valid context
     if (!this.ctx) {
       console.error("No context available for showing final score");
@@ -806,6 +879,9 @@ class TrainingArena2DManager {
       // First, set isActive to false to prevent any further updates
       this.isActive = false;
       
+      // Keep the input recording if the player left before time ran out
+      finishArenaRecording(this.score);
+      
       // Clean up resources
       this.cleanup();
       
@@ -830,13 +906,13 @@ class TrainingArena2DManager {
       }
       
       // Return to normal 2D mode
-      this.gameState.mode = '2D';
+      setGameMode('2D');
       
       console.log("Returned to normal 2D mode");
     } catch (error) {
       console.error("Error exiting 2D training arena:", error);
       // Force return to 2D mode even if there's an error
-      this.gameState.mode = '2D';
+      setGameMode('2D');
     }
   }
   
@@ -845,12 +921,6 @@ class TrainingArena2DManager {
     console.log("Cleaning up 2D training arena");
     
     try {
-      // Remove our custom event listener
-      if (this.lKeyHandler) {
-        window.removeEventListener('keydown', this.lKeyHandler);
-        this.lKeyHandler = null;
-      }
-      
       // Remove global reference
       if (window.trainingArena2DManager === this) {
         delete window.trainingArena2DManager;
@@ -875,16 +945,26 @@ class TrainingArena2DManager {
 // Create training arena manager instance
 let trainingArena2DManager = null;
 
-// Function to shoot in training arena - can be called from outside
-export function shootInTrainingArena() {
+// 2D_TRAINING can only be left through the arena's own exit
+registerModeSession('2D_TRAINING', () => Boolean(trainingArena2DManager && trainingArena2DManager.isActive));
+
+// Function to shoot in training arena - can be called from outside.
+// aimAngle (radians) fires a mouse shot; without it the shot goes straight ahead.
+export function shootInTrainingArena(aimAngle) {
   if (trainingArena2DManager && trainingArena2DManager.isActive) {
-    trainingArena2DManager.createBullet();
+    trainingArena2DManager.tryShoot(aimAngle);
   }
 }
 
-// Function to initialize the 2D training arena
-export function enterTrainingArena2D(canvas, ctx, state) {
-  console.log("Entering 2D training arena");
+// Function to initialize the 2D training arena.
+// options.benchmarkTargets > 0 starts a collision benchmark with that many targets.
+export function enterTrainingArena2D(canvas, ctx, state, options = {}) {
+  console.log("Entering 2D training arena", options.benchmarkTargets ? `(benchmark, ${options.benchmarkTargets} targets)` : '');
+  
+  if (!canTransition('2D_TRAINING')) {
+    console.warn(`Cannot enter the 2D training arena from ${state.mode}`);
+    return null;
+  }
   
   try {
     // Clean up any existing instance
@@ -893,24 +973,37 @@ export function enterTrainingArena2D(canvas, ctx, state) {
     }
     
     // Create new instance
-    trainingArena2DManager = new TrainingArena2DManager(canvas, ctx, state);
+    trainingArena2DManager = new TrainingArena2DManager(canvas, ctx, state, options);
     
     // Initialize arena
     trainingArena2DManager.initialize();
     
     // Set game mode to 2D_TRAINING
-    state.previousMode = state.mode;
-    state.mode = '2D_TRAINING';
+    setGameMode('2D_TRAINING');
+    
+    // Record this run's inputs so it can be replayed (benchmarks play themselves)
+    if (!trainingArena2DManager.benchmark) {
+      startArenaRecording({ mode: '2D_TRAINING', seed: trainingArena2DManager.seed });
+    }
     
     return trainingArena2DManager;
   } catch (error) {
     console.error("Error entering 2D training arena:", error);
     // If there's an error, make sure we return to 2D mode
-    state.mode = '2D';
+    if (trainingArena2DManager) {
+      trainingArena2DManager.isActive = false;
+      trainingArena2DManager.cleanup();
+    }
+    setGameMode('2D');
     return null;
   }
 }
 
+// Function to get the arena's targets, for drawing them between simulation steps
+export function getTrainingArena2DTargets() {
+  return trainingArena2DManager && trainingArena2DManager.isActive ? trainingArena2DManager.targets : [];
+}
+
 // Function to update the 2D training arena
 export function updateTrainingArena2D(deltaTime) {
   try {
@@ -2,6 +2,13 @@
 import * as THREE from 'three';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls';
 import gameState from './gameState';
+import { setGameMode, registerModeSession } from './modeTransitionManager';
+import { taskStorage } from '../services/TaskStorageService';
+import { recordTrainingRun } from '../services/statsService';
+import { createRandom, resolveArenaSeed } from '../services/seededRandom';
+import { ACTIONS, consumeAction } from './inputBindings';
+import { isGamepadConnected } from './gamepadInput';
+import { SOUNDS, playSound } from './audioManager';
 
 // Constants for the training challenge
 const TRAINING_ARENA_SIZE = 50;
@@ -136,8 +143,16 @@ class TrainingChallengeManager {
     this.timeRemaining = 60;
     this.lastUpdateTime = Date.now();
     this.firstUpdate = true;
+    this.runRecorded = false;
+    this.statsRecorded = false;
     this.activeEffects = [];
     
+    // Seed this run's random numbers so it can be replayed and compared
+    this.seed = resolveArenaSeed(gameState.arenaSeed);
+    this.random = createRandom(this.seed);
+    gameState.lastArenaSeed = this.seed;
+    console.log("Arena seed:", this.seed);
+    
     try {
       // Clear the existing scene but keep the original reference
       while(this.scene.children.length > 0){ 
@@ -495,7 +510,7 @@ class TrainingChallengeManager {
   // Create a single target
   createTarget() {
     // Random target type (static or moving)
-    const isMoving = Math.random() > 0.5;
+    const isMoving = this.random.next() > 0.5;
     
     // Create target geometry (different for static vs moving)
     let targetGeometry, targetMaterial;
@@ -529,9 +544,9 @@ class TrainingChallengeManager {
     // Set random position within arena
     const margin = 5;
     target.position.set(
-      Math.random() * (TRAINING_ARENA_SIZE - margin * 2) - (TRAINING_ARENA_SIZE / 2 - margin),
-      1 + Math.random() * 3,
-      Math.random() * (TRAINING_ARENA_SIZE - margin * 2) - (TRAINING_ARENA_SIZE / 2 - margin)
+      this.random.next() * (TRAINING_ARENA_SIZE - margin * 2) - (TRAINING_ARENA_SIZE / 2 - margin),
+      1 + this.random.next() * 3,
+      this.random.next() * (TRAINING_ARENA_SIZE - margin * 2) - (TRAINING_ARENA_SIZE / 2 - margin)
     );
     
     // Add shadows for medium/high quality
@@ -541,15 +556,15 @@ class TrainingChallengeManager {
     
     // Add movement properties for moving targets
     if (isMoving) {
-      const speed = TARGET_SPEED_MIN + Math.random() * (TARGET_SPEED_MAX - TARGET_SPEED_MIN);
+      const speed = this.random.range(TARGET_SPEED_MIN, TARGET_SPEED_MAX);
       target.userData = {
         isTarget: true,
         isMoving: true,
         speed: speed,
         direction: new THREE.Vector3(
-          Math.random() * 2 - 1,
-          Math.random() * 0.5 - 0.25,
-          Math.random() * 2 - 1
+          this.random.next() * 2 - 1,
+          this.random.next() * 0.5 - 0.25,
+          this.random.next() * 2 - 1
         ).normalize(),
         points: 20, // More points for moving targets
         minY: 0.5,
@@ -626,6 +641,7 @@ class TrainingChallengeManager {
         
         // Add bullet to tracking array
         this.bulletManager.bullets.push(bullet);
+        playSound(SOUNDS.SHOT);
         
         // Create muzzle flash effect
         this.createMuzzleFlash(camera);
@@ -929,6 +945,11 @@ class TrainingChallengeManager {
         return false;
       }
       
+      // The shoot action fires like a click
+      if ((this.controls.isLocked || isGamepadConnected()) && consumeAction(ACTIONS.SHOOT)) {
+        this.bulletManager.createBullet(this.camera);
+      }
+      
       // Update bullets using the current time
       const currentTime = Date.now();
       if (this.bulletManager) {
@@ -1025,10 +1046,9 @@ class TrainingChallengeManager {
     const distanceToPortal = playerPosition.distanceTo(portalPosition);
     const portalVisible = distanceToPortal < 3;
     
-    // Portal interaction
-    if (portalVisible && gameState.keys && gameState.keys['e']) {
+    // Portal interaction (consuming the press prevents multiple toggles)
+    if (portalVisible && consumeAction(ACTIONS.INTERACT)) {
       this.exitChallenge();
-      gameState.keys['e'] = false; // Reset key to prevent multiple toggles
     }
     
     // Animate portal
@@ -1053,6 +1073,12 @@ class TrainingChallengeManager {
   // End the challenge (time out)
   endChallenge() {
     console.log("Ending challenge with score:", this.score);
+    // Record the run in the persisted arena stats (update keeps calling this until exit)
+    if (!this.runRecorded) {
+      this.runRecorded = true;
+      taskStorage.recordArenaRun('trainingChallenge3D', this.score);
+    }
+    
     // Show final score
     this.showFinalScore();
     
@@ -1064,6 +1090,12 @@ class TrainingChallengeManager {
   
   // Show final score
   showFinalScore() {
+    // Feed the stats dashboard once per run
+    if (!this.statsRecorded) {
+      this.statsRecorded = true;
+      recordTrainingRun('trainingChallenge3D', this.score);
+    }
+    
     const finalScoreDiv = document.createElement('div');
     finalScoreDiv.id = 'final-score';
     finalScoreDiv.style.position = 'absolute';
@@ -1081,6 +1113,7 @@ class TrainingChallengeManager {
     finalScoreDiv.innerHTML = `
       <div>Time's Up!</div>
       <div>Final Score: ${this.score}</div>
+      <div style="font-size: 16px; margin-top: 10px;">Seed: ${this.seed}</div>
       <div style="font-size: 20px; margin-top: 20px;">Exiting in 5 seconds...</div>
     `;
     
@@ -1099,15 +1132,12 @@ class TrainingChallengeManager {
       this.restoreOriginalScene();
       
       // Return to main 3D world
-      if (gameState.setMode) {
-        gameState.setMode('3D');
-      } else {
-        gameState.mode = '3D';
-      }
+      setGameMode('3D');
     } catch (error) {
       console.error("Error exiting training challenge:", error);
       // Force return to 3D mode even if there's an error
-      gameState.mode = '3D';
+      this.isActive = false;
+      setGameMode('3D');
     }
   }
   
@@ -1428,6 +1458,9 @@ class TrainingChallengeManager {
 // Create training challenge manager instance
 let trainingChallengeManager = null;
 
+// TRAINING_CHALLENGE can only be left once the challenge has ended
+registerModeSession('TRAINING_CHALLENGE', () => Boolean(trainingChallengeManager && trainingChallengeManager.isActive));
+
 // Function to initialize the training challenge
 export function enterTrainingChallenge(scene, camera, renderer, controls) {
   console.log("Entering training challenge", { 
@@ -1459,11 +1492,8 @@ export function enterTrainingChallenge(scene, camera, renderer, controls) {
   } catch (error) {
     console.error("Error entering training challenge:", error);
     // If there's an error, make sure we return to 3D mode
-    if (gameState.setMode) {
-      gameState.setMode('3D');
-    } else {
-      gameState.mode = '3D';
-    }
+    cleanupTrainingChallenge();
+    setGameMode('3D');
     return null;
   }
 }
@@ -1,6 +1,10 @@
 // src/game/twoDSetup.js
-import { enterTaskGame } from './taskGameSetup';
+import { enterTaskGame, activateTaskArenaChallenge } from './taskGameSetup';
 import { enterTrainingArena2D } from './trainingArena2DSetup';
+import { setGameMode } from './modeTransitionManager';
+import { getPlayerColor, openTokenShop } from '../services/tokenShop';
+import { updatePlayerBody, stepBullets, collideBullets, COLLISION } from './physics2D';
+import { drawAimLine } from './aim2D';
 
 export const init2DEnvironment = (container, state) => {
   const canvas = document.createElement('canvas');
@@ -19,12 +23,13 @@ export const init2DEnvironment = (container, state) => {
   return { canvas, ctx };
 };
 
+// The ground is solid; the floating platforms can be jumped through from below
 const createPlatforms = (canvas) => [
   { x: 0, y: canvas.height - 50, width: canvas.width, height: 50 },
-  { x: 200, y: canvas.height - 150, width: 200, height: 20 },
-  { x: 500, y: canvas.height - 250, width: 200, height: 20 },
-  { x: 800, y: canvas.height - 350, width: 200, height: 20 },
-  { x: 300, y: canvas.height - 450, width: 400, height: 20 }
+  { x: 200, y: canvas.height - 150, width: 200, height: 20, oneWay: true },
+  { x: 500, y: canvas.height - 250, width: 200, height: 20, oneWay: true },
+  { x: 800, y: canvas.height - 350, width: 200, height: 20, oneWay: true },
+  { x: 300, y: canvas.height - 450, width: 400, height: 20, oneWay: true }
 ];
 
 const createEnemies = (canvas) => [
@@ -38,243 +43,66 @@ const createGameApps = (canvas) => [
   { x: 250, y: canvas.height - 180, width: 40, height: 40, type: 'app', app: 'notes', label: 'Notes' },
   { x: 600, y: canvas.height - 280, width: 40, height: 40, type: 'app', app: 'timer', label: 'Timer' },
   { x: 400, y: canvas.height - 480, width: 50, height: 50, type: 'app', app: 'tasks', label: 'Tasks', color: '#4CAF50' },
-  { x: 100, y: canvas.height - 480, width: 50, height: 50, type: 'app', app: 'training', label: 'Training Arena', color: '#FF5722' }
+  { x: 100, y: canvas.height - 480, width: 50, height: 50, type: 'app', app: 'training', label: 'Training Arena', color: '#FF5722' },
+  { x: 900, y: canvas.height - 400, width: 50, height: 50, type: 'app', app: 'shop', label: 'Token Shop', color: '#FFC107' }
 ];
 
 export const update2D = (deltaTime, state) => {
   if (state.isPaused) return;
-  const moveSpeed = 5;
-  const jumpPower = 15;
-  const gravity = state.gravity;
-  state.velocity.x = 0;
+  const bounds = { width: window.innerWidth, height: window.innerHeight };
 
-  // Update player movement based on keyboard controls
-  if (state.keys['a'] || state.keys['arrowleft']) {
-    state.velocity.x = -moveSpeed;
-    state.playerFacingDirection = -1;
-  }
-  if (state.keys['d'] || state.keys['arrowright']) {
-    state.velocity.x = moveSpeed;
-    state.playerFacingDirection = 1;
-  }
-  if ((state.keys['w'] || state.keys['arrowup'] || state.keys[' ']) && !state.isJumping) {
-    state.velocity.y = -jumpPower;
-    state.isJumping = true;
-  }
-  
-  // Apply gravity
-  state.velocity.y += gravity;
-  
-  // Cap maximum falling speed to prevent tunneling through platforms
-  const maxFallSpeed = 15;
-  if (state.velocity.y > maxFallSpeed) {
-    state.velocity.y = maxFallSpeed;
-  }
-  
-  // Update position
-  state.playerPosition.x += state.velocity.x;
-  state.playerPosition.y += state.velocity.y;
-
-  // Platform collision (improved to handle high velocities)
-  let onPlatform = false;
-  state.platforms.forEach(platform => {
-    // Check if player is within horizontal bounds of the platform
-    if (
-      state.playerPosition.x + 30 > platform.x &&
-      state.playerPosition.x < platform.x + platform.width
-    ) {
-      // Check if player is landing on top of platform
-      if (
-        state.playerPosition.y + 50 >= platform.y &&
-        state.playerPosition.y + 50 - state.velocity.y <= platform.y
-      ) {
-        state.playerPosition.y = platform.y - 50;
-        state.velocity.y = 0;
-        state.isJumping = false;
-        onPlatform = true;
-      }
-    }
-  });
+  // Shared player controls and physics (see physics2D.js)
+  const events = updatePlayerBody(state, state.playerPosition, deltaTime, { platforms: state.platforms, bounds });
 
   // Ensure player doesn't fall through the bottom of the screen
-  if (state.playerPosition.y > window.innerHeight) {
-    state.playerPosition.y = window.innerHeight - 50;
+  if (events.some(event => event.type === COLLISION.FELL)) {
+    state.playerPosition.y = bounds.height - 50;
     state.velocity.y = 0;
-    state.isJumping = false;
   }
 
-  // Update bullets with collision detection
-  for (let i = state.bullets.length - 1; i >= 0; i--) {
-    const bullet = state.bullets[i];
-    
-    // Skip if bullet is undefined (safety check)
-    if (!bullet) {
-      state.bullets.splice(i, 1);
-      continue;
-    }
-    
-    bullet.x += bullet.vx;
-    bullet.y += bullet.vy || 0;
-
-    // Remove bullet if offscreen
-    if (
-      bullet.x < 0 ||
-      bullet.x > window.innerWidth ||
-      bullet.y < 0 ||
-      bullet.y > window.innerHeight
-    ) {
-      state.bullets.splice(i, 1);
-      continue;
-    }
-
-    // Flag to track if bullet has been removed
-    let bulletRemoved = false;
+  stepBullets(state.bullets, deltaTime, bounds);
 
-    // Check collisions with enemies
-    for (let j = state.enemies.length - 1; j >= 0; j--) {
-      const enemy = state.enemies[j];
-      if (
-        bullet.x > enemy.x &&
-        bullet.x < enemy.x + enemy.width &&
-        bullet.y > enemy.y &&
-        bullet.y < enemy.y + enemy.height
-      ) {
-        enemy.health = (enemy.health || 2) - 1;
-        state.bullets.splice(i, 1);
-        bulletRemoved = true;
-        if (enemy.health <= 0) {
-          if (enemy.type === 'app') {
-            alert(`Activating ${enemy.app} app`);
-          } else {
-            state.score += 10;
-          }
-          state.enemies.splice(j, 1);
-        }
-        break;
+  // Check collisions with enemies
+  collideBullets(state.bullets, state.enemies, ({ target: enemy, targetIndex }) => {
+    enemy.health = (enemy.health || 2) - 1;
+    if (enemy.health <= 0) {
+      if (enemy.type === 'app') {
+        alert(`Activating ${enemy.app} app`);
+      } else {
+        state.score += 10;
       }
+      state.enemies.splice(targetIndex, 1);
     }
+  });
 
-    // Skip the rest of the loop if bullet was removed
-    if (bulletRemoved) {
-      continue;
-    }
-
-    // Check collisions with game apps
-    for (let k = 0; k < state.gameApps.length; k++) {
-      const app = state.gameApps[k];
-      if (
-        bullet.x > app.x &&
-        bullet.x < app.x + app.width &&
-        bullet.y > app.y &&
-        bullet.y < app.y + app.height
-      ) {
-        // Remove bullet
-        state.bullets.splice(i, 1);
-        bulletRemoved = true;
-        
-        // Handle different app types
-        if (app.type === 'portal') {
-          if (state.setMode) {
-            state.setMode('3D');
-          } else {
-            state.mode = '3D';
-          }
-        } else if (app.type === 'app') {
-          if (app.app === 'tasks') {
-            enterTaskGame();
-          } else if (app.app === 'training') {
-            console.log("Activating 2D training arena");
-            // Make sure we have the canvas and context
-            if (state.canvas && state.ctx) {
-              console.log("Canvas and context available, entering training arena");
-              enterTrainingArena2D(state.canvas, state.ctx, state);
-            } else {
-              console.error("Canvas or context not available for training arena");
-            }
-          } else if (app.app === 'taskchallenge' && state.currentTaskChallenge) {
-            console.log("Activating 2D task arena challenge directly");
-            // Make sure we have the canvas and context
-            if (state.canvas && state.ctx) {
-              console.log("Canvas and context available, entering task arena");
-              // Direct path to task arena
-              import('./taskArena2DSetup').then(module => {
-                module.enterTaskArena2D(
-                  state.canvas, 
-                  state.ctx, 
-                  state, 
-                  state.currentTaskChallenge.requiredScore,
-                  (score) => {
-                    console.log("Task challenge completed with score:", score);
-                    
-                    // Check if the score requirement was met
-                    const isSuccess = score >= state.currentTaskChallenge.requiredScore;
-                    
-                    // Process challenge result
-                    if (isSuccess) {
-                      console.log("Challenge successful! Marking task as completed");
-                      
-                      // Mark task as completed
-                      state.currentTaskChallenge.task.completed = true;
-                      state.currentTaskChallenge.taskObj.locked = false;
-                      state.currentTaskChallenge.taskObj.completed = true;
-                      state.currentTaskChallenge.taskObj.color = '#8BC34A';
-                      
-                      // Increase tokens
-                      state.taskTokens++;
-                      
-                      // Create token effect
-                      import('./taskGameSetup').then(taskModule => {
-                        taskModule.createTokenEffect();
-                      });
-                    } else {
-                      console.log("Challenge failed. Task remains incomplete");
-                      // In-game notification
-                      import('./taskGameSetup').then(taskModule => {
-                        taskModule.createFailureNotification(state.currentTaskChallenge.requiredScore);
-                      });
-                    }
-                    
-                    // Clear task challenge reference
-                    state.currentTaskChallenge = null;
-                    
-                    // Return to task game
-                    console.log("Returning to task game mode");
-                    state.mode = 'TASK_GAME';
-                    
-                    // Reset key states
-                    for (const key in state.keys) {
-                      state.keys[key] = false;
-                    }
-                    
-                    // Restore player position
-                    if (state.savedTaskGamePosition) {
-                      state.taskGamePosition.x = state.savedTaskGamePosition.x;
-                      state.taskGamePosition.y = state.savedTaskGamePosition.y;
-                    }
-                    
-                    // Ensure the task game environment is properly set up
-                    import('./taskGameSetup').then(taskModule => {
-                      taskModule.setupTaskGameEnvironment(state, state.canvas);
-                    });
-                  }
-                );
-              });
-            } else {
-              console.error("Canvas or context not available for task arena");
-            }
-          } else {
-            alert(`Activating ${app.app} app`);
-          }
+  // Check collisions with game apps
+  collideBullets(state.bullets, state.gameApps, ({ target: app }) => {
+    // Handle different app types
+    if (app.type === 'portal') {
+      setGameMode('3D');
+    } else if (app.type === 'app') {
+      if (app.app === 'tasks') {
+        enterTaskGame();
+      } else if (app.app === 'shop') {
+        openTokenShop();
+      } else if (app.app === 'training') {
+        console.log("Activating 2D training arena");
+        // Make sure we have the canvas and context
+        if (state.canvas && state.ctx) {
+          console.log("Canvas and context available, entering training arena");
+          enterTrainingArena2D(state.canvas, state.ctx, state);
+        } else {
+          console.error("Canvas or context not available for training arena");
         }
-        break;
+      } else if (app.app === 'taskchallenge' && state.currentTaskChallenge) {
+        // Same entry as from the task game, so the arena always ends through
+        // onTaskChallengeComplete and the mode state machine
+        activateTaskArenaChallenge();
+      } else {
+        alert(`Activating ${app.app} app`);
       }
     }
-    
-    // Skip the rest of the loop if bullet was removed
-    if (bulletRemoved) {
-      continue;
-    }
-  }
+  });
 };
 
 export const render2D = (ctx, state, canvas) => {
@@ -323,6 +151,7 @@ export const render2D = (ctx, state, canvas) => {
       if (app.app === 'notes') icon = 'N';
       if (app.app === 'timer') icon = 'C';
       if (app.app === 'training') icon = 'TR';
+      if (app.app === 'shop') icon = '$';
       ctx.fillText(icon, app.x + app.width / 2, app.y + app.height / 2 + 6);
       ctx.fillStyle = '#FFFFFF';
       ctx.font = '12px Arial';
@@ -362,8 +191,8 @@ export const render2D = (ctx, state, canvas) => {
     ctx.fill();
   });
 
-  // Draw player
-  ctx.fillStyle = '#2ecc71';
+  // Draw player in the equipped skin
+  ctx.fillStyle = getPlayerColor();
   ctx.fillRect(state.playerPosition.x, state.playerPosition.y, 40, 50);
   ctx.fillStyle = '#FFFFFF';
   ctx.beginPath();
@@ -383,6 +212,9 @@ export const render2D = (ctx, state, canvas) => {
     ctx.lineTo(state.playerPosition.x - 5, state.playerPosition.y + 25);
   }
   ctx.stroke();
+  if (state.isMouseAiming) {
+    drawAimLine(ctx, state.playerPosition, state.mousePosition);
+  }
   ctx.fillStyle = 'rgba(0,0,0,0.5)';
   ctx.fillRect(10, canvas.height - 60, 200, 50);
   ctx.fillStyle = '#FFFFFF';
@@ -424,6 +256,8 @@ export function handleAppActivation(app, state) {
               }
             });
           });
+        } else if (app.app === 'shop') {
+          openTokenShop();
         } else if (app.app === 'training') {
           console.log("Activating 2D training arena");
           // Make sure we have the canvas and context
@@ -441,107 +275,7 @@ export function handleAppActivation(app, state) {
             console.error("Canvas or context not available for training arena");
           }
         } else if (app.app === 'taskchallenge' && state.currentTaskChallenge) {
-          console.log("Activating 2D task arena challenge directly");
-          // Make sure we have the canvas and context
-          if (state.canvas && state.ctx) {
-            console.log("Canvas and context available, entering task arena");
-            // Use transition manager for task arena - transition directly to 2D_TASK_ARENA
-            transitionGameMode('2D_TASK_ARENA', {}, () => {
-              // Direct path to task arena
-              import('./taskArena2DSetup').then(module => {
-                module.enterTaskArena2D(
-                  state.canvas, 
-                  state.ctx, 
-                  state, 
-                  state.currentTaskChallenge.requiredScore,
-                  (score) => {
-                    console.log("Task challenge completed with score:", score);
-                    
-                    // Check if the score requirement was met
-                    const isSuccess = score >= state.currentTaskChallenge.requiredScore;
-                    
-                    // Process challenge result
-                    if (isSuccess) {
-                      console.log("Challenge successful! Marking task as completed");
-                      
-                      // Mark task as completed
-                      state.currentTaskChallenge.task.completed = true;
-                      state.currentTaskChallenge.taskObj.locked = false;
-                      state.currentTaskChallenge.taskObj.completed = true;
-                      state.currentTaskChallenge.taskObj.color = '#8BC34A';
-                      
-                      // Increase tokens
-                      state.taskTokens++;
-                      
-                      // Create token effect
-                      import('./taskGameSetup').then(taskModule => {
-                        taskModule.createTokenEffect();
-                      });
-                    } else {
-                      console.log("Challenge failed. Task remains incomplete");
-                      // In-game notification
-                      import('./taskGameSetup').then(taskModule => {
-                        taskModule.createFailureNotification(state.currentTaskChallenge.requiredScore);
-                      });
-                    }
-                    
-                    // Return to task game using transition manager - transition directly to TASK_GAME
-                    import('./modeTransitionManager').then(({ transitionGameMode }) => {
-                      // Transition directly to TASK_GAME mode
-                      transitionGameMode('TASK_GAME', {}, () => {
-                        // Clear task challenge reference
-                        state.currentTaskChallenge = null;
-                        
-                        // Reset key states
-                        for (const key in state.keys) {
-                          state.keys[key] = false;
-                        }
-                        
-                        // Restore player position
-                        if (state.savedTaskGamePosition) {
-                          state.taskGamePosition.x = state.savedTaskGamePosition.x;
-                          state.taskGamePosition.y = state.savedTaskGamePosition.y;
-                        }
-                        
-                        // Ensure the task game environment is properly set up
-                        import('./taskGameSetup').then(taskModule => {
-                          taskModule.setupTaskGameEnvironment(state, state.canvas);
-                        });
-                      });
-                    }).catch(error => {
-                      console.error("Error importing modeTransitionManager:", error);
-                      // Fallback to old method
-                      import('./taskGameSetup').then(taskModule => {
-                        if (taskModule.returnToTaskGame) {
-                          taskModule.returnToTaskGame(score);
-                        } else {
-                          // Manual fallback
-                          state.currentTaskChallenge = null;
-                          state.mode = 'TASK_GAME';
-                          
-                          // Reset key states
-                          for (const key in state.keys) {
-                            state.keys[key] = false;
-                          }
-                          
-                          // Restore player position
-                          if (state.savedTaskGamePosition) {
-                            state.taskGamePosition.x = state.savedTaskGamePosition.x;
-                            state.taskGamePosition.y = state.savedTaskGamePosition.y;
-                          }
-                          
-                          // Ensure the task game environment is properly set up
-                          taskModule.setupTaskGameEnvironment(state, state.canvas);
-                        }
-                      });
-                    });
-                  }
-                );
-              });
-            });
-          } else {
-            console.error("Canvas or context not available for task arena");
-          }
+          activateTaskArenaChallenge();
         } else {
           alert(`Activating ${app.app} app`);
         }
@@ -573,7 +307,7 @@ function handleAppActivationFallback(app, state) {
     case 'mode': {
       // Handle mode change
       if (app.mode === '3D') {
-        state.mode = '3D';
+        setGameMode('3D');
       }
       break;
     }
@@ -582,6 +316,8 @@ function handleAppActivationFallback(app, state) {
         import('./taskGameSetup').then(module => {
           module.enterTaskGame();
         });
+      } else if (app.app === 'shop') {
+        openTokenShop();
       } else if (app.app === 'training') {
         console.log("Activating 2D training arena");
         // Make sure we have the canvas and context
@@ -592,76 +328,7 @@ function handleAppActivationFallback(app, state) {
           console.error("Canvas or context not available for training arena");
         }
       } else if (app.app === 'taskchallenge' && state.currentTaskChallenge) {
-        console.log("Activating 2D task arena challenge directly");
-        // Make sure we have the canvas and context
-        if (state.canvas && state.ctx) {
-          console.log("Canvas and context available, entering task arena");
-          // Direct path to task arena
-          import('./taskArena2DSetup').then(module => {
-            module.enterTaskArena2D(
-              state.canvas, 
-              state.ctx, 
-              state, 
-              state.currentTaskChallenge.requiredScore,
-              (score) => {
-                console.log("Task challenge completed with score:", score);
-                
-                // Check if the score requirement was met
-                const isSuccess = score >= state.currentTaskChallenge.requiredScore;
-                
-                // Process challenge result
-                if (isSuccess) {
-                  console.log("Challenge successful! Marking task as completed");
-                  
-                  // Mark task as completed
-                  state.currentTaskChallenge.task.completed = true;
-                  state.currentTaskChallenge.taskObj.locked = false;
-                  state.currentTaskChallenge.taskObj.completed = true;
-                  state.currentTaskChallenge.taskObj.color = '#8BC34A';
-                  
-                  // Increase tokens
-                  state.taskTokens++;
-                  
-                  // Create token effect
-                  import('./taskGameSetup').then(taskModule => {
-                    taskModule.createTokenEffect();
-                  });
-                } else {
-                  console.log("Challenge failed. Task remains incomplete");
-                  // In-game notification
-                  import('./taskGameSetup').then(taskModule => {
-                    taskModule.createFailureNotification(state.currentTaskChallenge.requiredScore);
-                  });
-                }
-                
-                // Clear task challenge reference
-                state.currentTaskChallenge = null;
-                
-                // Return to task game
-                console.log("Returning to task game mode");
-                state.mode = 'TASK_GAME';
-                
-                // Reset key states
-                for (const key in state.keys) {
-                  state.keys[key] = false;
-                }
-                
-                // Restore player position
-                if (state.savedTaskGamePosition) {
-                  state.taskGamePosition.x = state.savedTaskGamePosition.x;
-                  state.taskGamePosition.y = state.savedTaskGamePosition.y;
-                }
-                
-                // Ensure the task game environment is properly set up
-                import('./taskGameSetup').then(taskModule => {
-                  taskModule.setupTaskGameEnvironment(state, state.canvas);
-                });
-              }
-            );
-          });
-        } else {
-          console.error("Canvas or context not available for task arena");
-        }
+        activateTaskArenaChallenge();
       } else {
         alert(`Activating ${app.app} app`);
       }
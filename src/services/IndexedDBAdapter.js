@@ -0,0 +1,217 @@
+/**
+ * IndexedDBAdapter - Storage backend that keeps one IndexedDB record per task
+ *
+ * Tasks live in the "tasks" object store keyed by id, with indexes on
+ * completion state and creation time so large task lists don't have to be
+ * rewritten on every change. Token balance and other small values live in
+ * the "meta" object store.
+ */
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'IndexedDBAdapter';
+
+const DB_NAME = 'taskGame';
+const DB_VERSION = 1;
+const TASK_STORE = 'tasks';
+const META_STORE = 'meta';
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request The request to wait for
+ * @returns {Promise<*>} Resolves with request.result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Converts a task into the record stored in IndexedDB.
+ * Booleans are not valid IndexedDB keys, so completion is indexed as 0/1.
+ */
+const toRecord = (task) => ({
+  ...task,
+  createdAt: task.createdAt || Date.now(),
+  completedKey: task.completed ? 1 : 0
+});
+
+/**
+ * Converts a stored record back into a plain task object
+ */
+const fromRecord = (record) => {
+  const { completedKey, ...task } = record;
+  return task;
+};
+
+export default class IndexedDBAdapter {
+  /**
+   * @param {string} dbName Name of the IndexedDB database
+   */
+  constructor(dbName = DB_NAME) {
+    this.name = 'indexedDB';
+    this.perRecord = true; // Each task is written individually
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB exists in this environment
+   * @returns {boolean} True if window.indexedDB is available
+   */
+  static isSupported() {
+    try {
+      return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Open the database, creating stores and indexes on first run
+   * @returns {Promise<void>} Rejects if the database cannot be opened
+   */
+  init() {
+    if (this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TASK_STORE)) {
+          const taskStore = db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+          taskStore.createIndex('id', 'id', { unique: true });
+          taskStore.createIndex('completed', 'completedKey', { unique: false });
+          taskStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Another tab upgraded the schema - release our connection
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        logger.info(MODULE, `Opened database "${this.dbName}"`);
+        resolve();
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => logger.warn(MODULE, 'Database open blocked by another tab');
+    });
+  }
+
+  /**
+   * Run a callback inside a transaction and wait for it to commit
+   * @private
+   */
+  _transaction(storeNames, mode, work) {
+    if (!this.db) {
+      return Promise.reject(new Error('IndexedDB is not open'));
+    }
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeNames, mode);
+      let result;
+      Promise.resolve(work(tx)).then(value => { result = value; }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Get all tasks ordered by creation time
+   * @returns {Promise<Array>} Array of task objects
+   */
+  getAllTasks() {
+    return this._transaction(TASK_STORE, 'readonly', (tx) =>
+      promisifyRequest(tx.objectStore(TASK_STORE).index('createdAt').getAll())
+    ).then(records => records.map(fromRecord));
+  }
+
+  /**
+   * Get tasks by completion state using the completed index
+   * @param {boolean} completed Completion state to match
+   * @returns {Promise<Array>} Array of task objects
+   */
+  getTasksByCompletion(completed) {
+    return this._transaction(TASK_STORE, 'readonly', (tx) =>
+      promisifyRequest(tx.objectStore(TASK_STORE).index('completed').getAll(completed ? 1 : 0))
+    ).then(records => records.map(fromRecord));
+  }
+
+  /**
+   * Insert or update a single task record
+   * @param {Object} task Task object with an id
+   * @returns {Promise<void>}
+   */
+  putTask(task) {
+    return this._transaction(TASK_STORE, 'readwrite', (tx) => {
+      tx.objectStore(TASK_STORE).put(toRecord(task));
+    });
+  }
+
+  /**
+   * Insert or update several task records in one transaction
+   * @param {Array} tasks Task objects with ids
+   * @returns {Promise<void>}
+   */
+  putTasks(tasks) {
+    return this._transaction(TASK_STORE, 'readwrite', (tx) => {
+      const store = tx.objectStore(TASK_STORE);
+      tasks.forEach(task => store.put(toRecord(task)));
+    });
+  }
+
+  /**
+   * Delete a single task record
+   * @param {string} taskId ID of the task to delete
+   * @returns {Promise<void>}
+   */
+  deleteTask(taskId) {
+    return this._transaction(TASK_STORE, 'readwrite', (tx) => {
+      tx.objectStore(TASK_STORE).delete(taskId);
+    });
+  }
+
+  /**
+   * Replace every task record with the given list
+   * @param {Array} tasks Task objects with ids
+   * @returns {Promise<void>}
+   */
+  replaceTasks(tasks) {
+    return this._transaction(TASK_STORE, 'readwrite', (tx) => {
+      const store = tx.objectStore(TASK_STORE);
+      store.clear();
+      tasks.forEach(task => store.put(toRecord(task)));
+    });
+  }
+
+  /**
+   * Read a meta value
+   * @param {string} key Meta key
+   * @returns {Promise<*>} The stored value, or undefined if missing
+   */
+  getMeta(key) {
+    return this._transaction(META_STORE, 'readonly', (tx) =>
+      promisifyRequest(tx.objectStore(META_STORE).get(key))
+    ).then(entry => (entry ? entry.value : undefined));
+  }
+
+  /**
+   * Write a meta value
+   * @param {string} key Meta key
+   * @param {*} value Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  setMeta(key, value) {
+    return this._transaction(META_STORE, 'readwrite', (tx) => {
+      tx.objectStore(META_STORE).put({ key, value });
+    });
+  }
+}
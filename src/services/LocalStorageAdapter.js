@@ -0,0 +1,184 @@
+/**
+ * LocalStorageAdapter - Storage backend that keeps tasks as a single JSON blob
+ *
+ * This is the original TaskStorageService persistence, moved behind the storage
+ * adapter interface. It is used as the fallback whenever IndexedDB is unavailable,
+ * and as the source for the one-time migration into IndexedDB.
+ */
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'LocalStorageAdapter';
+
+export default class LocalStorageAdapter {
+  /**
+   * @param {string} storageKey localStorage key holding the task array
+   * @param {string} tokenKey localStorage key holding the token count
+   */
+  constructor(storageKey = 'taskGame_tasks', tokenKey = 'taskGame_tokens') {
+    this.name = 'localStorage';
+    this.perRecord = false; // Whole array is rewritten on every change
+    this.storageKey = storageKey;
+    this.tokenKey = tokenKey;
+  }
+
+  /**
+   * Check whether localStorage can be used in this environment
+   * @returns {boolean} True if localStorage is accessible
+   */
+  static isSupported() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Initialize storage if it doesn't exist
+   * @returns {Promise<void>}
+   */
+  init() {
+    try {
+      if (!localStorage.getItem(this.storageKey)) {
+        localStorage.setItem(this.storageKey, JSON.stringify([]));
+      }
+      if (!localStorage.getItem(this.tokenKey)) {
+        localStorage.setItem(this.tokenKey, JSON.stringify(0));
+      }
+    } catch (e) {
+      logger.error(MODULE, 'Local storage is not available:', e);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Check whether any task data has been written under the legacy keys
+   * @returns {boolean} True if a task array or token count exists
+   */
+  hasData() {
+    try {
+      return localStorage.getItem(this.storageKey) !== null ||
+        localStorage.getItem(this.tokenKey) !== null;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Synchronously read all tasks
+   * @returns {Array} Array of task objects
+   */
+  readTasks() {
+    try {
+      const tasks = localStorage.getItem(this.storageKey);
+      return tasks ? JSON.parse(tasks) : [];
+    } catch (e) {
+      logger.error(MODULE, 'Error retrieving tasks:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Synchronously write all tasks
+   * @param {Array} tasks Array of task objects
+   * @returns {boolean} Success status
+   */
+  writeTasks(tasks) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(tasks));
+      return true;
+    } catch (e) {
+      logger.error(MODULE, 'Error saving tasks:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Map a meta key onto its localStorage key. Tokens keep their legacy key.
+   * @private
+   */
+  _metaKey(key) {
+    return key === 'tokens' ? this.tokenKey : `taskGame_${key}`;
+  }
+
+  /**
+   * Synchronously read a meta value
+   * @param {string} key Meta key
+   * @returns {*} The stored value, or undefined if missing
+   */
+  readMeta(key) {
+    try {
+      const value = localStorage.getItem(this._metaKey(key));
+      return value !== null ? JSON.parse(value) : undefined;
+    } catch (e) {
+      logger.error(MODULE, `Error retrieving ${key}:`, e);
+      return undefined;
+    }
+  }
+
+  /**
+   * Synchronously write a meta value
+   * @param {string} key Meta key
+   * @param {*} value JSON-serializable value
+   * @returns {boolean} Success status
+   */
+  writeMeta(key, value) {
+    try {
+      localStorage.setItem(this._metaKey(key), JSON.stringify(value));
+      return true;
+    } catch (e) {
+      logger.error(MODULE, `Error saving ${key}:`, e);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the legacy task and token keys (used after migrating elsewhere)
+   * @param {Array<string>} [metaKeys] Meta keys to remove as well
+   */
+  clear(metaKeys = []) {
+    try {
+      localStorage.removeItem(this.storageKey);
+      localStorage.removeItem(this.tokenKey);
+      metaKeys.forEach(key => localStorage.removeItem(this._metaKey(key)));
+    } catch (e) {
+      logger.error(MODULE, 'Error clearing local storage:', e);
+    }
+  }
+
+  // Async adapter interface - localStorage has no per-record storage,
+  // so every task write rewrites the whole array.
+
+  getAllTasks() {
+    return Promise.resolve(this.readTasks());
+  }
+
+  putTask(task) {
+    const tasks = this.readTasks();
+    const index = tasks.findIndex(t => t.id === task.id);
+    if (index !== -1) {
+      tasks[index] = task;
+    } else {
+      tasks.push(task);
+    }
+    return Promise.resolve(this.writeTasks(tasks));
+  }
+
+  deleteTask(taskId) {
+    const tasks = this.readTasks().filter(t => t.id !== taskId);
+    return Promise.resolve(this.writeTasks(tasks));
+  }
+
+  replaceTasks(tasks) {
+    return Promise.resolve(this.writeTasks(tasks));
+  }
+
+  getMeta(key) {
+    return Promise.resolve(this.readMeta(key));
+  }
+
+  setMeta(key, value) {
+    return Promise.resolve(this.writeMeta(key, value));
+  }
+}
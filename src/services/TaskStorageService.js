@@ -1,32 +1,306 @@
 /**
  * TaskStorageService - Handles persistence of tasks and tokens
- * 
- * This service abstracts storage operations to make future migration to 
- * Supabase or SQL databases easier. Currently uses localStorage for offline persistence.
+ *
+ * This service abstracts storage operations to make future migration to
+ * Supabase or SQL databases easier. Persistence goes through a pluggable
+ * storage adapter: IndexedDB (one record per task) when available, with
+ * localStorage as the fallback. Existing localStorage saves are moved into
+ * IndexedDB automatically on first run.
+ *
+ * Reads are served synchronously from an in-memory cache; writes update the
+ * cache immediately and are persisted in the background, in order.
+ *
+ * Stored tasks carry a schema version (see taskSchema.js). Older data is
+ * migrated and validated on load, and every save is validated as well.
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name Human-readable backend name
+ * @property {boolean} perRecord True if tasks can be written individually
+ * @property {function(): Promise<void>} init Open/prepare the backend
+ * @property {function(): Promise<Array>} getAllTasks Read every task
+ * @property {function(Object): Promise} putTask Insert or update one task
+ * @property {function(string): Promise} deleteTask Delete one task by id
+ * @property {function(Array): Promise} replaceTasks Replace all tasks
+ * @property {function(string): Promise<*>} getMeta Read a meta value
+ * @property {function(string, *): Promise} setMeta Write a meta value
  */
+import LocalStorageAdapter from './LocalStorageAdapter';
+import IndexedDBAdapter from './IndexedDBAdapter';
+import { SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION, upgradeTasks, validateTasks, generateTaskId } from './taskSchema';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'TaskStorage';
+
+// Meta key marking that localStorage data has been moved into IndexedDB
+const MIGRATION_FLAG = 'migratedFromLocalStorage';
+
+// Meta values loaded into the cache at startup so they can be read synchronously
+const CACHED_META_KEYS = ['arenaStats', 'taskHistory', 'archivedTasks', 'statsEvents', 'tokenLedger', 'inventory', 'keyBindings', 'gamepadSettings'];
+
 export default class TaskStorageService {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {StorageAdapter} [options.adapter] Custom backend; skips auto-detection and migration
+   */
+  constructor(options = {}) {
     this.storageKey = 'taskGame_tasks';
     this.tokenKey = 'taskGame_tokens';
-    this._initializeStorage();
+    this.legacyAdapter = new LocalStorageAdapter(this.storageKey, this.tokenKey);
+    this.adapter = null;
+
+    // In-memory cache and the last persisted state, used to diff writes
+    this._tasks = [];
+    this._tokens = 0;
+    this._persistedTasks = new Map();
+    this._persistedTokens = undefined;
+    this._meta = {};
+    this._persistedMeta = {};
+    this._isReady = false;
+    this._dirtyBeforeReady = false;
+    // Ids of tasks deleted before the backend loaded, so loading does not bring them back
+    this._pendingDeletes = new Set();
+    this._persistScheduled = false;
+    this._legacyTasks = null;
+
+    // Serve legacy data synchronously until the real backend has loaded
+    this._seedFromLegacy();
+
+    this.ready = this._initializeStorage(options.adapter);
+    this._writeQueue = this.ready;
+  }
+
+  /**
+   * Fill the cache from localStorage so reads work before the backend is ready
+   * @private
+   */
+  _seedFromLegacy() {
+    if (!LocalStorageAdapter.isSupported() || !this.legacyAdapter.hasData()) return;
+    const version = this.legacyAdapter.readMeta(SCHEMA_VERSION_KEY) || 0;
+    this._legacyTasks = upgradeTasks(this.legacyAdapter.readTasks(), version).tasks;
+    this._tasks = JSON.parse(JSON.stringify(this._legacyTasks));
+    this._tokens = this.legacyAdapter.readMeta('tokens') || 0;
+    CACHED_META_KEYS.forEach(key => {
+      const value = this.legacyAdapter.readMeta(key);
+      if (value !== undefined) this._meta[key] = value;
+    });
   }
 
   /**
-   * Initialize storage if it doesn't exist
+   * Pick a backend, migrate legacy data into it and load the cache
    * @private
    */
-  _initializeStorage() {
-    // Check if localStorage is available
+  async _initializeStorage(customAdapter) {
+    let adapter = customAdapter || null;
+
+    if (!adapter && IndexedDBAdapter.isSupported()) {
+      try {
+        const indexedDBAdapter = new IndexedDBAdapter();
+        await indexedDBAdapter.init();
+        await this._migrateFromLocalStorage(indexedDBAdapter);
+        adapter = indexedDBAdapter;
+      } catch (e) {
+        logger.warn(MODULE, `IndexedDB unavailable, falling back to localStorage: ${e && e.message}`);
+        adapter = null;
+      }
+    }
+
+    if (!adapter) {
+      adapter = this.legacyAdapter;
+    }
+
     try {
-      if (!localStorage.getItem(this.storageKey)) {
-        localStorage.setItem(this.storageKey, JSON.stringify([]));
+      await adapter.init();
+      const records = (await adapter.getAllTasks()) || [];
+      const tokens = await adapter.getMeta('tokens');
+      const storedVersion = await adapter.getMeta(SCHEMA_VERSION_KEY);
+      const version = typeof storedVersion === 'number' ? storedVersion : 0;
+      const { tasks, repaired, rejected } = upgradeTasks(records, version);
+
+      const meta = {};
+      for (const key of CACHED_META_KEYS) {
+        meta[key] = await adapter.getMeta(key);
+      }
+
+      this.adapter = adapter;
+      this._loadCache(records, tasks, typeof tokens === 'number' ? tokens : 0);
+      this._loadMeta(meta);
+
+      if (version < CURRENT_SCHEMA_VERSION) {
+        await adapter.setMeta(SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION);
       }
-      if (!localStorage.getItem(this.tokenKey)) {
-        localStorage.setItem(this.tokenKey, JSON.stringify(0));
+      if (version < CURRENT_SCHEMA_VERSION || repaired > 0 || rejected > 0) {
+        logger.info(MODULE, `Upgraded tasks from schema v${version} to v${CURRENT_SCHEMA_VERSION} (${repaired} repaired, ${rejected} rejected)`);
+        this._schedulePersist();
       }
+      logger.info(MODULE, `Using ${adapter.name} storage with ${this._tasks.length} tasks`);
     } catch (e) {
-      console.error('Local storage is not available:', e);
+      logger.error(MODULE, 'Error loading tasks from storage:', e);
+      this.adapter = adapter;
     }
+
+    this._isReady = true;
+  }
+
+  /**
+   * Move tasks and tokens from localStorage into IndexedDB once
+   * @private
+   */
+  async _migrateFromLocalStorage(target) {
+    if (await target.getMeta(MIGRATION_FLAG)) return;
+
+    if (LocalStorageAdapter.isSupported() && this.legacyAdapter.hasData()) {
+      const legacyTasks = this._legacyTasks || [];
+      const legacyTokens = this.legacyAdapter.readMeta('tokens');
+
+      const existing = await target.getAllTasks();
+      const existingIds = new Set(existing.map(task => task.id));
+      const toInsert = legacyTasks.filter(task => !existingIds.has(task.id));
+      if (toInsert.length > 0) {
+        await target.putTasks(toInsert);
+      }
+
+      if (typeof legacyTokens === 'number' && (await target.getMeta('tokens')) === undefined) {
+        await target.setMeta('tokens', legacyTokens);
+      }
+
+      for (const key of CACHED_META_KEYS) {
+        const value = this.legacyAdapter.readMeta(key);
+        if (value !== undefined && (await target.getMeta(key)) === undefined) {
+          await target.setMeta(key, value);
+        }
+      }
+
+      logger.info(MODULE, `Migrated ${toInsert.length} tasks and ${legacyTokens || 0} tokens from localStorage to IndexedDB`);
+    }
+
+    await target.setMeta(SCHEMA_VERSION_KEY, CURRENT_SCHEMA_VERSION);
+    await target.setMeta(MIGRATION_FLAG, Date.now());
+    this.legacyAdapter.clear([SCHEMA_VERSION_KEY, ...CACHED_META_KEYS]);
+  }
+
+  /**
+   * Replace the cache with loaded data, keeping any edits made before loading finished
+   * @param {Array} records Records exactly as stored, used as the persisted baseline
+   * @param {Array} tasks Migrated and validated tasks
+   * @param {number} tokens Stored token count
+   * @private
+   */
+  _loadCache(records, tasks, tokens) {
+    const pendingTasks = this._dirtyBeforeReady ? this._tasks : null;
+    const pendingTokens = this._dirtyBeforeReady ? this._tokens : null;
+
+    this._persistedTasks = new Map(records
+      .filter(record => record && typeof record.id === 'string')
+      .map(record => [record.id, JSON.stringify(record)]));
+    this._persistedTokens = tokens;
+    this._tasks = tasks;
+    this._tokens = tokens;
+
+    if (pendingTasks) {
+      const loadedIds = new Set(tasks.map(task => task.id));
+      this._tasks = tasks
+        .filter(task => !this._pendingDeletes.has(task.id))
+        .map(task => pendingTasks.find(pending => pending.id === task.id) || task)
+        .concat(pendingTasks.filter(task => !loadedIds.has(task.id)));
+      this._tokens = pendingTokens;
+      this._schedulePersist();
+    }
+    this._pendingDeletes.clear();
+  }
+
+  /**
+   * Replace cached meta values with loaded ones, keeping values set before loading finished
+   * @private
+   */
+  _loadMeta(meta) {
+    const pending = this._dirtyBeforeReady ? this._meta : {};
+    this._persistedMeta = {};
+    Object.keys(meta).forEach(key => {
+      if (meta[key] !== undefined) {
+        this._persistedMeta[key] = JSON.stringify(meta[key]);
+      }
+    });
+    this._meta = { ...meta, ...pending };
+  }
+
+  /**
+   * Queue a background write of everything that changed since the last one
+   * @private
+   */
+  _schedulePersist() {
+    if (!this._isReady) {
+      this._dirtyBeforeReady = true;
+    }
+    if (this._persistScheduled) return;
+
+    this._persistScheduled = true;
+    this._writeQueue = this._writeQueue
+      .then(() => {
+        this._persistScheduled = false;
+        return this._persistChanges();
+      })
+      .catch(e => {
+        this._persistScheduled = false;
+        logger.error(MODULE, 'Error persisting tasks:', e);
+      });
+  }
+
+  /**
+   * Diff the cache against the last persisted state and write the difference
+   * @private
+   */
+  async _persistChanges() {
+    const adapter = this.adapter;
+    if (!adapter) return;
+
+    const current = new Map(this._tasks.map(task => [task.id, JSON.stringify(task)]));
+    const changed = this._tasks.filter(task => current.get(task.id) !== this._persistedTasks.get(task.id));
+    const removed = [...this._persistedTasks.keys()].filter(id => !current.has(id));
+
+    if (changed.length > 0 || removed.length > 0) {
+      if (adapter.perRecord) {
+        for (const id of removed) {
+          await adapter.deleteTask(id);
+        }
+        if (changed.length > 0) {
+          await (adapter.putTasks ? adapter.putTasks(changed) : Promise.all(changed.map(task => adapter.putTask(task))));
+        }
+      } else {
+        await adapter.replaceTasks(JSON.parse(JSON.stringify(this._tasks)));
+      }
+      logger.debug(MODULE, `Persisted ${changed.length} changed and ${removed.length} removed tasks`);
+    }
+    this._persistedTasks = current;
+
+    if (this._tokens !== this._persistedTokens) {
+      await adapter.setMeta('tokens', this._tokens);
+      this._persistedTokens = this._tokens;
+    }
+
+    for (const key of Object.keys(this._meta)) {
+      const serialized = JSON.stringify(this._meta[key]);
+      if (this._meta[key] !== undefined && serialized !== this._persistedMeta[key]) {
+        await adapter.setMeta(key, JSON.parse(serialized));
+        this._persistedMeta[key] = serialized;
+      }
+    }
+  }
+
+  /**
+   * Check whether the storage backend has finished loading
+   * @returns {boolean} True once tasks have been loaded from the backend
+   */
+  isReady() {
+    return this._isReady;
+  }
+
+  /**
+   * Wait for all queued writes to reach the storage backend
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._writeQueue;
   }
 
   /**
@@ -35,25 +309,37 @@ export default class TaskStorageService {
    */
   getTasks() {
     try {
-      const tasks = localStorage.getItem(this.storageKey);
-      return tasks ? JSON.parse(tasks) : [];
+      return JSON.parse(JSON.stringify(this._tasks));
     } catch (e) {
-      console.error('Error retrieving tasks:', e);
+      logger.error(MODULE, 'Error retrieving tasks:', e);
       return [];
     }
   }
 
   /**
-   * Save all tasks to storage
+   * Save all tasks to storage. Malformed tasks are repaired or dropped.
    * @param {Array} tasks Array of task objects
    * @returns {boolean} Success status
    */
   saveTasks(tasks) {
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(tasks));
+      // Callers keep using their own task objects, so give them the same ids we store
+      tasks.forEach(task => {
+        if (task && typeof task === 'object' && !task.id) {
+          task.id = generateTaskId();
+        }
+      });
+      const nextTasks = validateTasks(JSON.parse(JSON.stringify(tasks))).tasks;
+      if (!this._isReady) {
+        const nextIds = new Set(nextTasks.map(task => task.id));
+        this._tasks.filter(task => !nextIds.has(task.id)).forEach(task => this._pendingDeletes.add(task.id));
+        nextIds.forEach(id => this._pendingDeletes.delete(id));
+      }
+      this._tasks = nextTasks;
+      this._schedulePersist();
       return true;
     } catch (e) {
-      console.error('Error saving tasks:', e);
+      logger.error(MODULE, 'Error saving tasks:', e);
       return false;
     }
   }
@@ -69,6 +355,46 @@ export default class TaskStorageService {
     return this.saveTasks(tasks);
   }
 
+  /**
+   * Add several tasks at once. Tasks whose id is already stored are skipped.
+   * @param {Array} newTasks Task objects to add
+   * @returns {number} Number of tasks added
+   */
+  addTasks(newTasks) {
+    const tasks = this.getTasks();
+    const existingIds = new Set(tasks.map(task => task.id));
+    const toAdd = newTasks.filter(task => !existingIds.has(task.id));
+    if (toAdd.length === 0) return 0;
+    return this.saveTasks(tasks.concat(toAdd)) ? toAdd.length : 0;
+  }
+
+  /**
+   * Add new tasks and update stored tasks that share an id with an incoming one
+   * @param {Array} incomingTasks Task objects to insert or merge
+   * @returns {{added: number, updated: number}} Counts of inserted and updated tasks
+   */
+  upsertTasks(incomingTasks) {
+    const tasks = this.getTasks();
+    const indexById = new Map(tasks.map((task, index) => [task.id, index]));
+    let added = 0;
+    let updated = 0;
+
+    incomingTasks.forEach(task => {
+      if (indexById.has(task.id)) {
+        const index = indexById.get(task.id);
+        tasks[index] = { ...tasks[index], ...task };
+        updated++;
+      } else {
+        indexById.set(task.id, tasks.length);
+        tasks.push(task);
+        added++;
+      }
+    });
+
+    this.saveTasks(tasks);
+    return { added, updated };
+  }
+
   /**
    * Update an existing task
    * @param {string} taskId ID of the task to update
@@ -101,13 +427,7 @@ export default class TaskStorageService {
    * @returns {number} Token count
    */
   getTokens() {
-    try {
-      const tokens = localStorage.getItem(this.tokenKey);
-      return tokens ? JSON.parse(tokens) : 0;
-    } catch (e) {
-      console.error('Error retrieving tokens:', e);
-      return 0;
-    }
+    return this._tokens;
   }
 
   /**
@@ -116,12 +436,191 @@ export default class TaskStorageService {
    * @returns {boolean} Success status
    */
   saveTokens(tokenCount) {
-    try {
-      localStorage.setItem(this.tokenKey, JSON.stringify(tokenCount));
-      return true;
-    } catch (e) {
-      console.error('Error saving tokens:', e);
-      return false;
-    }
+    this._tokens = tokenCount;
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get the token transactions (see tokenLedger.js)
+   * @returns {Array} Transactions, oldest first
+   */
+  getTokenLedger() {
+    return JSON.parse(JSON.stringify(this._meta.tokenLedger || []));
+  }
+
+  /**
+   * Save the token transactions
+   * @param {Array} transactions Transactions, oldest first
+   * @returns {boolean} Success status
+   */
+  saveTokenLedger(transactions) {
+    this._meta.tokenLedger = JSON.parse(JSON.stringify(transactions || []));
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get the shop inventory (see tokenShop.js)
+   * @returns {Object|null} Inventory, or null if nothing was ever bought
+   */
+  getInventory() {
+    return this._meta.inventory ? JSON.parse(JSON.stringify(this._meta.inventory)) : null;
+  }
+
+  /**
+   * Save the shop inventory
+   * @param {Object} inventory Owned items and equipped choices
+   * @returns {boolean} Success status
+   */
+  saveInventory(inventory) {
+    this._meta.inventory = JSON.parse(JSON.stringify(inventory));
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get the player's key bindings (see inputBindings.js)
+   * @returns {Object|null} Keys per action, or null if never changed
+   */
+  getKeyBindings() {
+    return this._meta.keyBindings ? JSON.parse(JSON.stringify(this._meta.keyBindings)) : null;
+  }
+
+  /**
+   * Save the player's key bindings
+   * @param {Object|null} bindings Keys per action, or null to go back to the defaults
+   * @returns {boolean} Success status
+   */
+  saveKeyBindings(bindings) {
+    this._meta.keyBindings = bindings ? JSON.parse(JSON.stringify(bindings)) : null;
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get the gamepad dead zone and look settings (see gamepadInput.js)
+   * @returns {Object|null} Settings, or null if never changed
+   */
+  getGamepadSettings() {
+    return this._meta.gamepadSettings ? { ...this._meta.gamepadSettings } : null;
+  }
+
+  /**
+   * Save the gamepad settings
+   * @param {Object} settings Dead zone, trigger threshold and look settings
+   * @returns {boolean} Success status
+   */
+  saveGamepadSettings(settings) {
+    this._meta.gamepadSettings = { ...settings };
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get the task undo/redo history
+   * @returns {{undo: Array, redo: Array}} Recorded task commands, oldest first
+   */
+  getTaskHistory() {
+    const history = this._meta.taskHistory || {};
+    return JSON.parse(JSON.stringify({ undo: history.undo || [], redo: history.redo || [] }));
+  }
+
+  /**
+   * Save the task undo/redo history
+   * @param {{undo: Array, redo: Array}} history Recorded task commands
+   * @returns {boolean} Success status
+   */
+  saveTaskHistory(history) {
+    this._meta.taskHistory = JSON.parse(JSON.stringify({
+      undo: (history && history.undo) || [],
+      redo: (history && history.redo) || []
+    }));
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get archived tasks (see taskArchive.js)
+   * @returns {Array} Archive entries
+   */
+  getArchivedTasks() {
+    return JSON.parse(JSON.stringify(this._meta.archivedTasks || []));
+  }
+
+  /**
+   * Save archived tasks
+   * @param {Array} entries Archive entries
+   * @returns {boolean} Success status
+   */
+  saveArchivedTasks(entries) {
+    this._meta.archivedTasks = JSON.parse(JSON.stringify(entries || []));
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Get recorded stat events (see statsService.js)
+   * @returns {Array} Events, oldest first
+   */
+  getStatsEvents() {
+    return JSON.parse(JSON.stringify(this._meta.statsEvents || []));
+  }
+
+  /**
+   * Save recorded stat events
+   * @param {Array} events Events, oldest first
+   * @returns {boolean} Success status
+   */
+  saveStatsEvents(events) {
+    this._meta.statsEvents = JSON.parse(JSON.stringify(events || []));
+    this._schedulePersist();
+    return true;
   }
-} 
\ No newline at end of file
+
+  /**
+   * Get arena statistics keyed by arena id
+   * @returns {Object} e.g. { training2D: { runs, bestScore, totalScore, lastScore, lastPlayedAt } }
+   */
+  getArenaStats() {
+    return JSON.parse(JSON.stringify(this._meta.arenaStats || {}));
+  }
+
+  /**
+   * Save arena statistics
+   * @param {Object} stats Arena statistics keyed by arena id
+   * @returns {boolean} Success status
+   */
+  saveArenaStats(stats) {
+    this._meta.arenaStats = JSON.parse(JSON.stringify(stats || {}));
+    this._schedulePersist();
+    return true;
+  }
+
+  /**
+   * Record the result of one arena run
+   * @param {string} arenaId Arena identifier (e.g. 'training2D', 'taskArena2D')
+   * @param {number} score Final score of the run
+   * @param {Object} [options]
+   * @param {boolean} [options.success] Whether the run met its goal, if it had one
+   * @returns {boolean} Success status
+   */
+  recordArenaRun(arenaId, score, options = {}) {
+    const stats = this.getArenaStats();
+    const arena = stats[arenaId] || { runs: 0, bestScore: 0, totalScore: 0, successes: 0, failures: 0 };
+
+    arena.runs++;
+    arena.totalScore += score;
+    arena.bestScore = Math.max(arena.bestScore, score);
+    arena.lastScore = score;
+    arena.lastPlayedAt = Date.now();
+    if (options.success === true) arena.successes++;
+    if (options.success === false) arena.failures++;
+
+    stats[arenaId] = arena;
+    return this.saveArenaStats(stats);
+  }
+}
+
+// Shared instance used by the game modules and UI
+export const taskStorage = new TaskStorageService();
@@ -0,0 +1,81 @@
+import TaskStorageService from './TaskStorageService';
+import { createTask, CURRENT_SCHEMA_VERSION, SCHEMA_VERSION_KEY } from './taskSchema';
+
+// Backend that keeps everything in memory; load() resolves when the test says so
+const createMemoryAdapter = (tasks = [], meta = {}) => {
+  let release;
+  const loaded = new Promise(resolve => { release = resolve; });
+  const adapter = {
+    name: 'memory',
+    perRecord: true,
+    tasks: new Map(tasks.map(task => [task.id, JSON.parse(JSON.stringify(task))])),
+    meta: { [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION, ...meta },
+    release: () => release(),
+    init: () => loaded,
+    getAllTasks: async () => [...adapter.tasks.values()],
+    putTask: async (task) => { adapter.tasks.set(task.id, task); },
+    putTasks: async (list) => { list.forEach(task => adapter.tasks.set(task.id, task)); },
+    deleteTask: async (id) => { adapter.tasks.delete(id); },
+    replaceTasks: async (list) => { adapter.tasks = new Map(list.map(task => [task.id, task])); },
+    getMeta: async (key) => adapter.meta[key],
+    setMeta: async (key, value) => { adapter.meta[key] = value; }
+  };
+  return adapter;
+};
+
+describe('TaskStorageService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('does not bring back a task deleted before storage was ready', async () => {
+    const a = createTask('A');
+    const b = createTask('B');
+    localStorage.setItem('taskGame_tasks', JSON.stringify([a, b]));
+    localStorage.setItem('taskGame_schemaVersion', JSON.stringify(CURRENT_SCHEMA_VERSION));
+
+    const adapter = createMemoryAdapter([a, b]);
+    const storage = new TaskStorageService({ adapter });
+    expect(storage.getTasks().map(task => task.text)).toEqual(['A', 'B']);
+
+    storage.deleteTask(a.id);
+    adapter.release();
+    await storage.ready;
+    await storage.flush();
+
+    expect(storage.getTasks().map(task => task.text)).toEqual(['B']);
+    expect([...adapter.tasks.keys()]).toEqual([b.id]);
+  });
+
+  it('keeps a task deleted and added again before storage was ready', async () => {
+    const a = createTask('A');
+    localStorage.setItem('taskGame_tasks', JSON.stringify([a]));
+    localStorage.setItem('taskGame_schemaVersion', JSON.stringify(CURRENT_SCHEMA_VERSION));
+
+    const adapter = createMemoryAdapter([a]);
+    const storage = new TaskStorageService({ adapter });
+    storage.deleteTask(a.id);
+    storage.addTask({ ...a, text: 'A again' });
+    adapter.release();
+    await storage.ready;
+
+    expect(storage.getTasks().map(task => task.text)).toEqual(['A again']);
+  });
+
+  it('removes the migrated meta keys from localStorage', async () => {
+    localStorage.setItem('taskGame_tasks', JSON.stringify([createTask('A')]));
+    localStorage.setItem('taskGame_tokens', JSON.stringify(3));
+    localStorage.setItem('taskGame_inventory', JSON.stringify({ owned: { skin_gold: 1 } }));
+    localStorage.setItem('taskGame_keyBindings', JSON.stringify({ jump: ['j'] }));
+
+    const adapter = createMemoryAdapter();
+    adapter.release();
+    const storage = new TaskStorageService({ adapter });
+    await storage.ready;
+    await storage._migrateFromLocalStorage(adapter);
+
+    expect(adapter.meta.inventory).toEqual({ owned: { skin_gold: 1 } });
+    expect(adapter.meta.keyBindings).toEqual({ jump: ['j'] });
+    expect(Object.keys(localStorage).filter(key => key.startsWith('taskGame_'))).toEqual([]);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * backupService - Export and import of the whole save as a portable JSON file
+ *
+ * A backup holds tasks, archived tasks, the token balance and ledger, the
+ * shop inventory, settings and arena stats so a save can be moved between
+ * browsers or machines. Imports either merge into the current
+ * save or replace it; when merging, tasks with the same id are resolved with
+ * the chosen conflict strategy.
+ */
+import gameState from '../game/gameState';
+import { taskStorage } from './TaskStorageService';
+import { clearTaskHistory } from './taskHistory';
+import { mergeArchives } from './taskArchive';
+import { addTokenTransaction, replaceTokenLedger, getTokenBalance, TOKEN_REASONS } from './tokenLedger';
+import { CURRENT_SCHEMA_VERSION, upgradeTasks, generateTaskId } from './taskSchema';
+import logger from '../utils/logger';
+import { downloadTextFile, pickTextFile } from '../utils/fileUtils';
+
+// Module name for logging
+const MODULE = 'Backup';
+
+// Identifies our backup files and their layout version
+export const BACKUP_FORMAT = 'taskGame-backup';
+export const BACKUP_VERSION = 1;
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',     // Keep current data and add the backup's
+  REPLACE: 'replace'  // Discard current data and use the backup's
+};
+
+export const CONFLICT_STRATEGIES = {
+  KEEP_EXISTING: 'keepExisting', // Same id: keep the current task
+  USE_IMPORTED: 'useImported',   // Same id: overwrite with the backup's task
+  KEEP_BOTH: 'keepBoth'          // Same id: add the backup's task under a new id
+};
+
+/**
+ * Build a backup object from the current save
+ * @returns {Object} Backup ready to be serialized
+ */
+export const createBackup = () => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  tasks: gameState.tasks && gameState.tasks.length > 0 ? gameState.tasks : taskStorage.getTasks(),
+  tokens: typeof gameState.taskTokens === 'number' ? gameState.taskTokens : taskStorage.getTokens(),
+  settings: {
+    graphicsQuality: gameState.graphicsQuality
+  },
+  arenaStats: taskStorage.getArenaStats(),
+  archivedTasks: taskStorage.getArchivedTasks(),
+  tokenLedger: taskStorage.getTokenLedger(),
+  inventory: taskStorage.getInventory()
+});
+
+/**
+ * Download the current save as a JSON file
+ * @returns {boolean} Success status
+ */
+export const exportBackup = () => {
+  try {
+    const backup = createBackup();
+    downloadTextFile(
+      `task-game-backup-${backup.exportedAt.slice(0, 10)}.json`,
+      JSON.stringify(backup, null, 2),
+      'application/json'
+    );
+
+    logger.info(MODULE, `Exported ${backup.tasks.length} tasks and ${backup.tokens} tokens`);
+    return true;
+  } catch (e) {
+    logger.error(MODULE, 'Error exporting backup:', e);
+    return false;
+  }
+};
+
+/**
+ * Parse and check a backup file's contents
+ * @param {string} text File contents
+ * @returns {Object} The parsed backup
+ * @throws {Error} If the file is not a backup this version can read
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a task game backup');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+  if (!Array.isArray(backup.tasks)) {
+    throw new Error('Backup has no task list');
+  }
+  return backup;
+};
+
+/**
+ * Merge imported tasks into current tasks, resolving id conflicts
+ * @private
+ */
+const mergeTasks = (currentTasks, importedTasks, conflictStrategy, summary) => {
+  const merged = currentTasks.map(task => ({ ...task }));
+  const indexById = new Map(merged.map((task, index) => [task.id, index]));
+
+  importedTasks.forEach(task => {
+    if (!indexById.has(task.id)) {
+      indexById.set(task.id, merged.length);
+      merged.push(task);
+      summary.added++;
+      return;
+    }
+
+    summary.conflicts++;
+    if (conflictStrategy === CONFLICT_STRATEGIES.USE_IMPORTED) {
+      merged[indexById.get(task.id)] = task;
+      summary.updated++;
+    } else if (conflictStrategy === CONFLICT_STRATEGIES.KEEP_BOTH) {
+      const copy = { ...task, id: generateTaskId() };
+      indexById.set(copy.id, merged.length);
+      merged.push(copy);
+      summary.added++;
+    } else {
+      summary.skipped++;
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Merge arena stats, keeping whichever record has seen more runs per arena
+ * @private
+ */
+const mergeArenaStats = (currentStats, importedStats) => {
+  const merged = { ...currentStats };
+  Object.keys(importedStats || {}).forEach(arenaId => {
+    const imported = importedStats[arenaId];
+    if (!merged[arenaId] || (imported && imported.runs > merged[arenaId].runs)) {
+      merged[arenaId] = imported;
+    }
+  });
+  return merged;
+};
+
+/**
+ * Merge shop inventories, keeping the larger count of each item and this
+ * machine's equipped choices
+ * @private
+ */
+const mergeInventories = (current, imported) => {
+  const owned = { ...((current && current.owned) || {}) };
+  Object.entries((imported && imported.owned) || {}).forEach(([itemId, count]) => {
+    owned[itemId] = Math.max(owned[itemId] || 0, count);
+  });
+  return { owned, equipped: { ...((current && current.equipped) || {}) } };
+};
+
+/**
+ * Apply a parsed backup to the current save
+ * @param {Object} backup Backup returned by parseBackup
+ * @param {Object} [options]
+ * @param {string} [options.mode] One of IMPORT_MODES (default merge)
+ * @param {string} [options.conflictStrategy] One of CONFLICT_STRATEGIES (default keepExisting)
+ * @returns {Object} Summary: { mode, added, updated, skipped, conflicts, rejected }
+ */
+export const importBackup = (backup, options = {}) => {
+  const mode = options.mode || IMPORT_MODES.MERGE;
+  const conflictStrategy = options.conflictStrategy || CONFLICT_STRATEGIES.KEEP_EXISTING;
+  const summary = { mode, added: 0, updated: 0, skipped: 0, conflicts: 0, rejected: 0 };
+
+  const { tasks: importedTasks, rejected } = upgradeTasks(backup.tasks, backup.schemaVersion || 0);
+  summary.rejected = rejected;
+
+  const importedTokens = parseInt(backup.tokens, 10) || 0;
+  // Storage is read rather than gameState, which only holds the save once the task game has loaded it
+  const currentTokens = getTokenBalance();
+  let tasks;
+  let arenaStats;
+  let archivedTasks;
+  let inventory;
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    tasks = importedTasks;
+    arenaStats = backup.arenaStats || {};
+    archivedTasks = mergeArchives([], backup.archivedTasks);
+    inventory = mergeInventories(backup.inventory, null);
+    summary.added = importedTasks.length;
+
+    // Backups from before the token ledger only hold the balance
+    if (Array.isArray(backup.tokenLedger)) {
+      replaceTokenLedger(backup.tokenLedger);
+    } else {
+      replaceTokenLedger([]);
+      if (importedTokens > 0) addTokenTransaction(importedTokens, TOKEN_REASONS.IMPORT);
+    }
+  } else {
+    tasks = mergeTasks(taskStorage.getTasks(), importedTasks, conflictStrategy, summary);
+    // Adding the balances up would mint tokens on every re-import, so only
+    // the difference up to the larger balance is credited
+    if (importedTokens > currentTokens) {
+      addTokenTransaction(importedTokens - currentTokens, TOKEN_REASONS.IMPORT);
+    }
+    arenaStats = mergeArenaStats(taskStorage.getArenaStats(), backup.arenaStats);
+    archivedTasks = mergeArchives(taskStorage.getArchivedTasks(), backup.archivedTasks);
+    inventory = mergeInventories(taskStorage.getInventory(), backup.inventory);
+  }
+
+  gameState.tasks = tasks;
+  taskStorage.saveTasks(tasks);
+  taskStorage.saveArenaStats(arenaStats);
+  taskStorage.saveArchivedTasks(archivedTasks);
+  taskStorage.saveInventory(inventory);
+
+  // Settings only follow the backup when replacing; a merge keeps this machine's settings
+  if (mode === IMPORT_MODES.REPLACE && backup.settings && backup.settings.graphicsQuality) {
+    gameState.setGraphicsQuality(backup.settings.graphicsQuality);
+  }
+
+  // The undo history refers to tasks the replaced save no longer has
+  if (mode === IMPORT_MODES.REPLACE) {
+    clearTaskHistory();
+  }
+
+  logger.info(MODULE, `Imported backup (${mode}): ${summary.added} added, ${summary.updated} updated, ` +
+    `${summary.skipped} skipped, ${summary.rejected} rejected`);
+  return summary;
+};
+
+/**
+ * Pick a backup file, then parse and import it
+ * @param {Object} options Same options as importBackup
+ * @returns {Promise<Object|null>} Import summary, or null if no file was picked
+ * @throws {Error} If the file cannot be read or is not a valid backup
+ */
+export const importBackupFromFile = async (options) => {
+  const file = await pickTextFile('application/json,.json');
+  if (file === null) return null;
+  return importBackup(parseBackup(file.text), options);
+};
@@ -0,0 +1,23 @@
+import { importBackup, IMPORT_MODES } from './backupService';
+import { taskStorage } from './TaskStorageService';
+import { createTask, CURRENT_SCHEMA_VERSION } from './taskSchema';
+import gameState from '../game/gameState';
+
+describe('importBackup', () => {
+  beforeEach(async () => {
+    await taskStorage.ready;
+    taskStorage.saveTasks([]);
+    gameState.tasks = [];
+  });
+
+  it('merges into the stored tasks when the task game has not loaded them', () => {
+    taskStorage.saveTasks([createTask('A'), createTask('B')]);
+    const backup = { schemaVersion: CURRENT_SCHEMA_VERSION, tasks: [createTask('C')], tokens: 0 };
+
+    const summary = importBackup(backup, { mode: IMPORT_MODES.MERGE });
+
+    expect(summary.added).toBe(1);
+    expect(taskStorage.getTasks().map(task => task.text)).toEqual(['A', 'B', 'C']);
+    expect(gameState.tasks.map(task => task.text)).toEqual(['A', 'B', 'C']);
+  });
+});
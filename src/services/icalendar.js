@@ -0,0 +1,325 @@
+/**
+ * icalendar - VTODO serializer and parser (RFC 5545)
+ *
+ * Lets the task list round-trip through .ics files used by calendar tools.
+ * Task fields map onto VTODO properties as follows:
+ *
+ *   id          <-> UID
+ *   text        <-> SUMMARY
+ *   notes       <-> DESCRIPTION
+ *   dueDate     <-> DUE (date only, YYYY-MM-DD)
+ *   priority    <-> PRIORITY (1 = highest ... 9 = lowest, 0 = undefined)
+ *   completed   <-> STATUS (COMPLETED / NEEDS-ACTION)
+ *   completedAt <-> COMPLETED
+ *   createdAt   <-> CREATED
+ *   tags        <-> CATEGORIES
+ *   recurrence  <-> RRULE (rules with no equivalent are kept verbatim in `rrule`)
+ */
+import { createTask, priorityToRequiredScore } from './taskSchema';
+import { recurrenceToRRule, recurrenceFromRRule } from './recurrence';
+
+const PRODUCT_ID = '-//Task Game//Task Game//EN';
+
+// Lines longer than this many characters are folded
+const MAX_LINE_LENGTH = 75;
+
+// Our priority levels and the iCalendar PRIORITY value written for each
+const PRIORITY_TO_ICAL = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * Map an iCalendar PRIORITY value onto our priority levels
+ * @param {number} value PRIORITY from 0 to 9
+ * @returns {string|null} Priority level, or null if undefined (0)
+ */
+export const icalPriorityToPriority = (value) => {
+  if (!value || value < 1 || value > 9) return null;
+  if (value <= 2) return 'urgent';
+  if (value <= 4) return 'high';
+  if (value === 5) return 'medium';
+  return 'low';
+};
+
+/**
+ * Escape a TEXT value
+ * @private
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Unescape a TEXT value
+ * @private
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+  (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split a list value on commas that are not escaped
+ * @private
+ */
+const splitList = (value) => {
+  const items = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  items.push(current);
+  return items.map(unescapeText).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Fold a content line so no line exceeds MAX_LINE_LENGTH characters
+ * @private
+ */
+const foldLine = (line) => {
+  if (line.length <= MAX_LINE_LENGTH) return line;
+  const parts = [line.slice(0, MAX_LINE_LENGTH)];
+  for (let i = MAX_LINE_LENGTH; i < line.length; i += MAX_LINE_LENGTH - 1) {
+    parts.push(' ' + line.slice(i, i + MAX_LINE_LENGTH - 1));
+  }
+  return parts.join('\r\n');
+};
+
+/**
+ * Format a timestamp as a UTC DATE-TIME (e.g. 20240105T120000Z)
+ * @private
+ */
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse a DATE or DATE-TIME value into a timestamp.
+ * Floating and TZID times are read as local time.
+ * @private
+ */
+const parseDateTime = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+  const parts = [+year, +month - 1, +day, +hour, +minute, +second];
+  return utc ? Date.UTC(...parts) : new Date(...parts).getTime();
+};
+
+/**
+ * Format a timestamp as a local YYYY-MM-DD date
+ * @private
+ */
+const toDateString = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Serialize one task as a VTODO component
+ * @param {Object} task Task object
+ * @param {number} [now] Timestamp used for DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+export const taskToVTodo = (task, now = Date.now()) => {
+  const lines = [
+    'BEGIN:VTODO',
+    `UID:${escapeText(task.id)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SUMMARY:${escapeText(task.text)}`
+  ];
+
+  if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+  if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`);
+  if (task.dueDate) lines.push(`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`);
+  if (PRIORITY_TO_ICAL[task.priority]) lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`);
+  if (Array.isArray(task.tags) && task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+  if (task.recurrence) {
+    lines.push(`RRULE:${recurrenceToRRule(task.recurrence)}`);
+  } else if (task.rrule) {
+    lines.push(`RRULE:${task.rrule}`);
+  }
+
+  if (task.completed) {
+    lines.push('STATUS:COMPLETED');
+    lines.push(`COMPLETED:${formatDateTime(task.completedAt || now)}`);
+    lines.push('PERCENT-COMPLETE:100');
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+  }
+
+  lines.push('END:VTODO');
+  return lines;
+};
+
+/**
+ * Serialize tasks as an iCalendar document
+ * @param {Array} tasks Task objects
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const serializeTasksToICalendar = (tasks) => {
+  const now = Date.now();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`
+  ];
+  tasks.forEach(task => lines.push(...taskToVTodo(task, now)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * @private
+ */
+const parseContentLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, paramValue = ''] = part.split('=');
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+/**
+ * Convert parsed VTODO properties into the task fields they carry
+ * @private
+ */
+const vtodoToFields = (props) => {
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : '';
+  if (!summary) return null;
+
+  const fields = { text: summary };
+  if (props.UID) fields.id = unescapeText(props.UID.value);
+
+  const status = props.STATUS ? props.STATUS.value.toUpperCase() : '';
+  const completedAt = props.COMPLETED ? parseDateTime(props.COMPLETED.value) : null;
+  fields.completed = status === 'COMPLETED' || completedAt !== null ||
+    Boolean(props['PERCENT-COMPLETE'] && parseInt(props['PERCENT-COMPLETE'].value, 10) === 100);
+  if (fields.completed && completedAt) {
+    fields.completedAt = completedAt;
+  } else if (!fields.completed) {
+    fields.completedAt = null;
+  }
+
+  const priority = props.PRIORITY ? icalPriorityToPriority(parseInt(props.PRIORITY.value, 10)) : null;
+  if (priority) {
+    fields.priority = priority;
+    fields.requiredScore = priorityToRequiredScore(priority);
+  }
+
+  if (props.DUE) {
+    const due = parseDateTime(props.DUE.value);
+    if (due !== null) fields.dueDate = toDateString(due);
+  }
+
+  const created = props.CREATED ? parseDateTime(props.CREATED.value) : null;
+  if (created !== null) fields.createdAt = created;
+
+  if (props.DESCRIPTION) fields.notes = unescapeText(props.DESCRIPTION.value);
+  if (props.CATEGORIES) fields.tags = splitList(props.CATEGORIES.value);
+  if (props.RRULE) {
+    const recurrence = recurrenceFromRRule(props.RRULE.value, fields.dueDate);
+    if (recurrence) {
+      fields.recurrence = recurrence;
+    } else {
+      fields.rrule = props.RRULE.value;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Parse every VTODO in an iCalendar document into the task fields it
+ * carries. Fields the VTODO has no property for are left out.
+ * Other components (VEVENT, VALARM inside a VTODO, ...) are ignored.
+ * @param {string} text iCalendar text
+ * @returns {Array<Object>} Task fields, always with text; id is the UID if there is one
+ */
+export const parseICalendarFields = (text) => {
+  // Unfold: a line starting with a space or tab continues the previous one
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const entries = [];
+  let props = null;
+  let nestedDepth = 0;
+
+  lines.forEach(rawLine => {
+    const line = parseContentLine(rawLine);
+    if (!line) return;
+
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VTODO' && props === null) {
+        props = {};
+      } else if (props !== null) {
+        nestedDepth++;
+      }
+      return;
+    }
+
+    if (line.name === 'END') {
+      if (props !== null && nestedDepth > 0) {
+        nestedDepth--;
+      } else if (props !== null && line.value.toUpperCase() === 'VTODO') {
+        const fields = vtodoToFields(props);
+        if (fields) entries.push(fields);
+        props = null;
+      }
+      return;
+    }
+
+    // First occurrence wins; properties of nested components are skipped
+    if (props !== null && nestedDepth === 0 && !props[line.name]) {
+      props[line.name] = line;
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Parse every VTODO in an iCalendar document into tasks
+ * @param {string} text iCalendar text
+ * @returns {Array} Task objects; tasks keep their UID as id
+ */
+export const parseICalendar = (text) =>
+  parseICalendarFields(text).map(({ text: summary, ...fields }) => createTask(summary, fields));
+
+/**
+ * Turn parsed VTODO fields into records for TaskStorageService.upsertTasks.
+ * A VTODO whose UID matches an existing task only updates the fields it
+ * carries, so re-importing an exported file keeps the task's subtasks,
+ * completion history and failed attempts; the others become new tasks.
+ * @param {Array<Object>} entries Fields from parseICalendarFields
+ * @param {Array} existingTasks Tasks already in the list
+ * @returns {Array<Object>} Partial updates for existing tasks, full tasks for new ones
+ */
+export const calendarFieldsToUpserts = (entries, existingTasks) => {
+  const existingIds = new Set(existingTasks.map(task => task.id));
+  return entries.map(({ text: summary, ...fields }) => (existingIds.has(fields.id)
+    ? { text: summary, ...fields }
+    : createTask(summary, fields)));
+};
@@ -0,0 +1,164 @@
+import {
+  parseICalendar,
+  parseICalendarFields,
+  calendarFieldsToUpserts,
+  serializeTasksToICalendar,
+  icalPriorityToPriority
+} from './icalendar';
+import { createTask, createSubtask } from './taskSchema';
+import { taskStorage } from './TaskStorageService';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('parseICalendar', () => {
+  it('reads an all-day DUE as a plain date', () => {
+    const [task] = parseICalendar(calendar('BEGIN:VTODO', 'UID:a', 'SUMMARY:Pay rent', 'DUE;VALUE=DATE:20240301', 'END:VTODO'));
+    expect(task.id).toBe('a');
+    expect(task.dueDate).toBe('2024-03-01');
+  });
+
+  it('reads a floating DUE date-time on its local day', () => {
+    const [task] = parseICalendar(calendar('BEGIN:VTODO', 'SUMMARY:Call', 'DUE;TZID=Europe/Paris:20240301T235900', 'END:VTODO'));
+    expect(task.dueDate).toBe('2024-03-01');
+  });
+
+  it('ignores all-day events and other non-VTODO components', () => {
+    const tasks = parseICalendar(calendar(
+      'BEGIN:VEVENT', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20240101', 'DTEND;VALUE=DATE:20240102', 'END:VEVENT',
+      'BEGIN:VTODO', 'SUMMARY:Real task', 'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Alarm text', 'END:VALARM', 'END:VTODO'
+    ));
+    expect(tasks.map(task => task.text)).toEqual(['Real task']);
+    expect(tasks[0].notes).toBe('');
+  });
+
+  it('maps supported RRULEs onto recurrences', () => {
+    const rules = ['FREQ=DAILY', 'FREQ=DAILY;INTERVAL=3', 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', 'FREQ=WEEKLY;INTERVAL=2', 'FREQ=MONTHLY'];
+    const tasks = parseICalendar(calendar(...rules.flatMap((rule, i) =>
+      ['BEGIN:VTODO', `SUMMARY:Task ${i}`, 'DUE;VALUE=DATE:20240315', `RRULE:${rule}`, 'END:VTODO'])));
+
+    expect(tasks.map(task => task.recurrence)).toEqual([
+      { type: 'daily' },
+      { type: 'interval', interval: 3 },
+      { type: 'weekdays' },
+      { type: 'interval', interval: 14 },
+      { type: 'monthly', dayOfMonth: 15 }
+    ]);
+  });
+
+  it('anchors a weekly RRULE without BYDAY on the due date', () => {
+    // 2024-03-15 is a Friday
+    const [task] = parseICalendar(calendar('BEGIN:VTODO', 'SUMMARY:Review', 'DUE;VALUE=DATE:20240315', 'RRULE:FREQ=WEEKLY', 'END:VTODO'));
+    expect(task.recurrence).toEqual({ type: 'weekly', days: [5] });
+  });
+
+  it('keeps an RRULE with no equivalent verbatim and writes it back', () => {
+    const rule = 'FREQ=WEEKLY;COUNT=5;BYDAY=MO';
+    const [task] = parseICalendar(calendar('BEGIN:VTODO', 'SUMMARY:Course', `RRULE:${rule}`, 'END:VTODO'));
+    expect(task.recurrence).toBeNull();
+    expect(task.rrule).toBe(rule);
+    expect(serializeTasksToICalendar([task])).toContain(`RRULE:${rule}\r\n`);
+  });
+
+  it('unfolds long lines and unescapes text', () => {
+    const [task] = parseICalendar(calendar('BEGIN:VTODO', 'SUMMARY:Buy milk\\, eggs', ' and bread', 'CATEGORIES:home,a\\,b', 'END:VTODO'));
+    expect(task.text).toBe('Buy milk, eggsand bread');
+    expect(task.tags).toEqual(['home', 'a,b']);
+  });
+});
+
+describe('serializeTasksToICalendar', () => {
+  it('round-trips all-day due dates, recurrences and long text', () => {
+    const task = createTask(`Water the plants ${'on the balcony '.repeat(8)}`.trim(), {
+      dueDate: '2024-12-31',
+      priority: 'high',
+      recurrence: { type: 'weekly', days: [1, 4] },
+      tags: ['home', 'garden']
+    });
+
+    const text = serializeTasksToICalendar([task]);
+    expect(text).toContain('DUE;VALUE=DATE:20241231\r\n');
+    expect(text.split('\r\n').every(line => line.length <= 75)).toBe(true);
+
+    const [parsed] = parseICalendar(text);
+    expect(parsed).toMatchObject({
+      id: task.id,
+      text: task.text,
+      dueDate: '2024-12-31',
+      priority: 'high',
+      recurrence: { type: 'weekly', days: [1, 4] },
+      tags: ['home', 'garden'],
+      completed: false
+    });
+  });
+});
+
+describe('calendarFieldsToUpserts', () => {
+  beforeEach(async () => {
+    await taskStorage.ready;
+    taskStorage.saveTasks([]);
+  });
+
+  const reimport = (text) => taskStorage.upsertTasks(
+    calendarFieldsToUpserts(parseICalendarFields(text), taskStorage.getTasks())
+  );
+
+  it('keeps subtasks, completion history and failed attempts when re-importing an exported task', () => {
+    const task = createTask('Clean the garage', {
+      subtasks: [createSubtask('Sort the boxes'), { ...createSubtask('Sweep'), completed: true }],
+      completionHistory: [1700000000000, 1700086400000],
+      failedAttempts: 2,
+      recurrence: { type: 'daily' },
+      dueDate: '2024-12-31'
+    });
+    taskStorage.saveTasks([task]);
+
+    const text = serializeTasksToICalendar([{ ...task, text: 'Clean the whole garage' }]);
+    expect(reimport(text)).toEqual({ added: 0, updated: 1 });
+
+    const [stored] = taskStorage.getTasks();
+    expect(stored).toMatchObject({
+      id: task.id,
+      text: 'Clean the whole garage',
+      subtasks: task.subtasks,
+      completionHistory: task.completionHistory,
+      failedAttempts: 2,
+      recurrence: { type: 'daily' }
+    });
+  });
+
+  it('only overwrites the fields the VTODO carries', () => {
+    const task = createTask('Call mum', { notes: 'Ask about Sunday', recurrence: { type: 'weekly', days: [0] } });
+    taskStorage.saveTasks([task]);
+
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VTODO',
+      `UID:${task.id}`,
+      'SUMMARY:Call mum back',
+      'STATUS:NEEDS-ACTION',
+      'END:VTODO',
+      'BEGIN:VTODO',
+      'UID:new-task',
+      'SUMMARY:Buy stamps',
+      'END:VTODO',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    expect(reimport(text)).toEqual({ added: 1, updated: 1 });
+
+    const [updated, added] = taskStorage.getTasks();
+    expect(updated).toMatchObject({
+      text: 'Call mum back',
+      notes: 'Ask about Sunday',
+      recurrence: { type: 'weekly', days: [0] },
+      tags: [],
+      subtasks: []
+    });
+    expect(added).toMatchObject({ id: 'new-task', text: 'Buy stamps', subtasks: [], failedAttempts: 0 });
+  });
+});
+
+describe('icalPriorityToPriority', () => {
+  it('maps the 1-9 scale and treats 0 as undefined', () => {
+    expect([0, 1, 3, 5, 7, 10].map(icalPriorityToPriority)).toEqual([null, 'urgent', 'high', 'medium', 'low', null]);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * recurrence - Recurring task schedules, next-occurrence math and streaks
+ *
+ * A task's `recurrence` is null or one of:
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }                     Monday to Friday
+ *   { type: 'weekly', days: [1, 3] }         0 = Sunday ... 6 = Saturday
+ *   { type: 'monthly', dayOfMonth: 15 }      clamped to the month's length
+ *   { type: 'interval', interval: 3 }        every N days
+ *
+ * Completing a recurring task does not finish it: its completion is added to
+ * `completionHistory` and the task moves on to its next occurrence.
+ * Dates are local YYYY-MM-DD strings, like task.dueDate.
+ */
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// iCalendar BYDAY codes, indexed like Date.getDay()
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Format a Date as a local YYYY-MM-DD string
+ * @param {Date} date The date
+ * @returns {string} Date string
+ */
+export const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD string as local midnight
+ * @param {string} value Date string
+ * @returns {Date} The date
+ */
+export const fromDateString = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Check a recurrence object and return a clean copy
+ * @param {*} recurrence Value to check
+ * @returns {Object|null} A valid recurrence, or null if it cannot be used
+ */
+export const normalizeRecurrence = (recurrence) => {
+  if (!recurrence || !RECURRENCE_TYPES.includes(recurrence.type)) return null;
+
+  switch (recurrence.type) {
+    case 'weekly': {
+      const days = [...new Set((recurrence.days || []).map(Number))]
+        .filter(day => day >= 0 && day <= 6)
+        .sort();
+      return days.length > 0 ? { type: 'weekly', days } : null;
+    }
+    case 'monthly': {
+      const dayOfMonth = parseInt(recurrence.dayOfMonth, 10);
+      return dayOfMonth >= 1 && dayOfMonth <= 31 ? { type: 'monthly', dayOfMonth } : null;
+    }
+    case 'interval': {
+      const interval = parseInt(recurrence.interval, 10);
+      return interval >= 1 ? { type: 'interval', interval } : null;
+    }
+    default:
+      return { type: recurrence.type };
+  }
+};
+
+/**
+ * Build a recurrence of the given type anchored on a start date.
+ * Weekly repeats on the start date's weekday, monthly on its day of the month.
+ * @param {string} type One of RECURRENCE_TYPES
+ * @param {string} startDate YYYY-MM-DD the schedule starts on
+ * @param {number} [interval] Days between occurrences for 'interval'
+ * @returns {Object|null} The recurrence, or null if type is empty or invalid
+ */
+export const createRecurrence = (type, startDate, interval = 1) => {
+  const start = fromDateString(startDate);
+  return normalizeRecurrence({
+    type,
+    days: [start.getDay()],
+    dayOfMonth: start.getDate(),
+    interval
+  });
+};
+
+/**
+ * Get the first scheduled date strictly after a given date
+ * @param {Object} recurrence A valid recurrence
+ * @param {string} after YYYY-MM-DD date to start from
+ * @returns {string} The next occurrence as YYYY-MM-DD
+ */
+export const getNextOccurrence = (recurrence, after) => {
+  const date = fromDateString(after);
+
+  switch (recurrence.type) {
+    case 'interval':
+      date.setDate(date.getDate() + recurrence.interval);
+      return toDateString(date);
+
+    case 'monthly': {
+      // Later this month if the day is still ahead, otherwise next month;
+      // the day is clamped to the month's length (e.g. 31 -> Feb 28)
+      const onDay = (year, month) => new Date(year, month,
+        Math.min(recurrence.dayOfMonth, new Date(year, month + 1, 0).getDate()));
+      const thisMonth = onDay(date.getFullYear(), date.getMonth());
+      return toDateString(thisMonth > date ? thisMonth : onDay(date.getFullYear(), date.getMonth() + 1));
+    }
+
+    default: {
+      // daily, weekdays and weekly: step one day at a time until a day matches
+      for (let i = 0; i < 7; i++) {
+        date.setDate(date.getDate() + 1);
+        const weekday = date.getDay();
+        if (recurrence.type === 'daily' ||
+            (recurrence.type === 'weekdays' && weekday >= 1 && weekday <= 5) ||
+            (recurrence.type === 'weekly' && recurrence.days.includes(weekday))) {
+          return toDateString(date);
+        }
+      }
+      return toDateString(date);
+    }
+  }
+};
+
+/**
+ * Describe a recurrence for display
+ * @param {Object} recurrence A valid recurrence
+ * @returns {string} e.g. "Weekly on Mon, Thu"
+ */
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return '';
+  switch (recurrence.type) {
+    case 'daily': return 'Daily';
+    case 'weekdays': return 'Weekdays';
+    case 'weekly': return `Weekly on ${recurrence.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    case 'monthly': return `Monthly on day ${recurrence.dayOfMonth}`;
+    case 'interval': return `Every ${recurrence.interval} days`;
+    default: return '';
+  }
+};
+
+/**
+ * Convert a recurrence into an iCalendar RRULE value
+ * @param {Object} recurrence A valid recurrence
+ * @returns {string} RRULE value, e.g. "FREQ=WEEKLY;BYDAY=MO,TH"
+ */
+export const recurrenceToRRule = (recurrence) => {
+  switch (recurrence.type) {
+    case 'daily': return 'FREQ=DAILY';
+    case 'weekdays': return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'weekly': return `FREQ=WEEKLY;BYDAY=${recurrence.days.map(day => WEEKDAY_CODES[day]).join(',')}`;
+    case 'monthly': return `FREQ=MONTHLY;BYMONTHDAY=${recurrence.dayOfMonth}`;
+    case 'interval': return `FREQ=DAILY;INTERVAL=${recurrence.interval}`;
+    default: return '';
+  }
+};
+
+/**
+ * Convert an iCalendar RRULE value into a recurrence, where it maps onto one
+ * @param {string} rrule RRULE value
+ * @param {string} [startDate] YYYY-MM-DD used when the rule omits the day
+ * @returns {Object|null} The recurrence, or null if the rule has no equivalent
+ */
+export const recurrenceFromRRule = (rrule, startDate = toDateString(new Date())) => {
+  const parts = {};
+  String(rrule).split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.toUpperCase()] = value.toUpperCase();
+  });
+
+  // COUNT/UNTIL limits and other frequencies have no equivalent here
+  if (parts.COUNT || parts.UNTIL) return null;
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  const start = fromDateString(startDate);
+
+  if (parts.FREQ === 'DAILY' && !parts.BYDAY) {
+    return interval === 1 ? { type: 'daily' } : normalizeRecurrence({ type: 'interval', interval });
+  }
+  if ((parts.FREQ === 'DAILY' || parts.FREQ === 'WEEKLY') && interval === 1) {
+    const days = parts.BYDAY
+      ? parts.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code))
+      : [start.getDay()];
+    if (days.includes(-1)) return null;
+    if ([...days].sort().join(',') === '1,2,3,4,5') return { type: 'weekdays' };
+    return normalizeRecurrence({ type: 'weekly', days });
+  }
+  if (parts.FREQ === 'WEEKLY' && !parts.BYDAY) {
+    return normalizeRecurrence({ type: 'interval', interval: interval * 7 });
+  }
+  if (parts.FREQ === 'MONTHLY' && interval === 1 && !parts.BYDAY) {
+    const dayOfMonth = parts.BYMONTHDAY ? parseInt(parts.BYMONTHDAY, 10) : start.getDate();
+    return normalizeRecurrence({ type: 'monthly', dayOfMonth });
+  }
+  return null;
+};
+
+/**
+ * Move a completed recurring task on to its next occurrence.
+ * The completion is recorded in completionHistory and the task, including
+ * its subtasks, is reset so it can be cleared again.
+ * @param {Object} task Recurring task (mutated)
+ * @param {number} [completedAt] Completion timestamp
+ * @returns {Object} The same task, now due on its next occurrence
+ */
+export const advanceRecurringTask = (task, completedAt = Date.now()) => {
+  const today = toDateString(new Date(completedAt));
+  // Finishing early clears the occurrence that was due; finishing late skips to the future
+  const base = task.dueDate && task.dueDate > today ? task.dueDate : today;
+
+  task.completionHistory = [...(task.completionHistory || []), completedAt];
+  task.dueDate = getNextOccurrence(task.recurrence, base);
+  task.completed = false;
+  task.completedAt = null;
+  task.subtasks = (task.subtasks || []).map(subtask => ({ ...subtask, completed: false, completedAt: null }));
+  return task;
+};
+
+/**
+ * Count consecutive occurrences completed without missing one
+ * @param {Object} task Recurring task
+ * @param {number} [now] Current timestamp
+ * @returns {number} Current streak (0 if the latest occurrence was missed)
+ */
+export const getStreak = (task, now = Date.now()) => {
+  const history = [...(task.completionHistory || [])].sort((a, b) => a - b);
+  if (!task.recurrence || history.length === 0) return 0;
+
+  const days = history.map(timestamp => toDateString(new Date(timestamp)));
+
+  // The streak is broken if the occurrence after the last completion has passed
+  const today = toDateString(new Date(now));
+  if (task.dueDate && task.dueDate < today) return 0;
+
+  let streak = 1;
+  for (let i = days.length - 1; i > 0; i--) {
+    if (days[i] === days[i - 1] || days[i] <= getNextOccurrence(task.recurrence, days[i - 1])) {
+      streak++;
+    } else {
+      break;
+    }
+  }
+  return streak;
+};
+
+/**
+ * Longest run of consecutive completions in a task's history
+ * @param {Object} task Recurring task
+ * @returns {number} Best streak
+ */
+export const getBestStreak = (task) => {
+  const days = [...(task.completionHistory || [])]
+    .sort((a, b) => a - b)
+    .map(timestamp => toDateString(new Date(timestamp)));
+  if (!task.recurrence || days.length === 0) return 0;
+
+  let best = 1;
+  let current = 1;
+  for (let i = 1; i < days.length; i++) {
+    current = days[i] === days[i - 1] || days[i] <= getNextOccurrence(task.recurrence, days[i - 1])
+      ? current + 1
+      : 1;
+    best = Math.max(best, current);
+  }
+  return best;
+};
@@ -0,0 +1,129 @@
+import {
+  getNextOccurrence,
+  advanceRecurringTask,
+  getStreak,
+  getBestStreak,
+  recurrenceToRRule,
+  recurrenceFromRRule
+} from './recurrence';
+import { createTask, createSubtask } from './taskSchema';
+
+// Local noon on a YYYY-MM-DD day, so the timestamp stays on that day in any time zone
+const at = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, 12).getTime();
+};
+
+describe('getNextOccurrence', () => {
+  // 2024-01-01 is a Monday
+
+  it('skips the weekend for weekdays', () => {
+    const recurrence = { type: 'weekdays' };
+    expect(getNextOccurrence(recurrence, '2024-01-01')).toBe('2024-01-02');
+    expect(getNextOccurrence(recurrence, '2024-01-05')).toBe('2024-01-08');
+    expect(getNextOccurrence(recurrence, '2024-01-06')).toBe('2024-01-08');
+  });
+
+  it('moves to the next of the given days for weekly', () => {
+    const recurrence = { type: 'weekly', days: [1, 4] };
+    expect(getNextOccurrence(recurrence, '2024-01-01')).toBe('2024-01-04');
+    expect(getNextOccurrence(recurrence, '2024-01-04')).toBe('2024-01-08');
+    expect(getNextOccurrence({ type: 'weekly', days: [1] }, '2024-01-01')).toBe('2024-01-08');
+  });
+
+  it('clamps monthly to the end of shorter months', () => {
+    const recurrence = { type: 'monthly', dayOfMonth: 31 };
+    expect(getNextOccurrence(recurrence, '2024-01-31')).toBe('2024-02-29');
+    expect(getNextOccurrence(recurrence, '2023-01-31')).toBe('2023-02-28');
+    expect(getNextOccurrence(recurrence, '2024-02-29')).toBe('2024-03-31');
+    expect(getNextOccurrence(recurrence, '2024-04-10')).toBe('2024-04-30');
+  });
+
+  it('adds the interval for every N days', () => {
+    expect(getNextOccurrence({ type: 'interval', interval: 3 }, '2024-01-30')).toBe('2024-02-02');
+    expect(getNextOccurrence({ type: 'interval', interval: 14 }, '2024-12-25')).toBe('2025-01-08');
+  });
+});
+
+describe('advanceRecurringTask', () => {
+  it('records the completion and resets the task on its next occurrence', () => {
+    const task = createTask('Stand-up notes', {
+      recurrence: { type: 'weekdays' },
+      dueDate: '2024-01-05',
+      completed: true,
+      subtasks: [{ ...createSubtask('Write'), completed: true }]
+    });
+
+    advanceRecurringTask(task, at('2024-01-05'));
+
+    expect(task).toMatchObject({
+      dueDate: '2024-01-08',
+      completed: false,
+      completedAt: null,
+      completionHistory: [at('2024-01-05')]
+    });
+    expect(task.subtasks[0].completed).toBe(false);
+  });
+
+  it('clears the occurrence that was due when finished early', () => {
+    const task = createTask('Pay rent', { recurrence: { type: 'monthly', dayOfMonth: 1 }, dueDate: '2024-02-01' });
+
+    advanceRecurringTask(task, at('2024-01-29'));
+
+    expect(task.dueDate).toBe('2024-03-01');
+  });
+});
+
+describe('streaks', () => {
+  const daily = (days, dueDate) => createTask('Stretch', {
+    recurrence: { type: 'daily' },
+    completionHistory: days.map(at),
+    dueDate
+  });
+
+  it('counts consecutive completions back from the latest', () => {
+    expect(getStreak(daily(['2024-01-01', '2024-01-02', '2024-01-03'], '2024-01-04'), at('2024-01-04'))).toBe(3);
+    expect(getStreak(daily(['2024-01-01', '2024-01-03', '2024-01-04'], '2024-01-05'), at('2024-01-05'))).toBe(2);
+  });
+
+  it('drops to zero once the next occurrence has passed', () => {
+    expect(getStreak(daily(['2024-01-01', '2024-01-02'], '2024-01-03'), at('2024-01-05'))).toBe(0);
+  });
+
+  it('follows the schedule rather than calendar days', () => {
+    const task = createTask('Team sync', {
+      recurrence: { type: 'weekly', days: [1] },
+      completionHistory: ['2024-01-01', '2024-01-08', '2024-01-15'].map(at),
+      dueDate: '2024-01-22'
+    });
+    expect(getStreak(task, at('2024-01-20'))).toBe(3);
+  });
+
+  it('keeps the best streak after it is broken', () => {
+    const task = daily(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-06', '2024-01-07'], '2024-01-08');
+    expect(getStreak(task, at('2024-01-08'))).toBe(2);
+    expect(getBestStreak(task)).toBe(3);
+  });
+
+  it('is zero without a recurrence or history', () => {
+    expect(getStreak(createTask('Once', { completionHistory: [at('2024-01-01')] }))).toBe(0);
+    expect(getBestStreak(daily([], '2024-01-01'))).toBe(0);
+  });
+});
+
+describe('RRULE conversion', () => {
+  it.each([
+    { type: 'daily' },
+    { type: 'weekdays' },
+    { type: 'weekly', days: [1, 4] },
+    { type: 'monthly', dayOfMonth: 31 },
+    { type: 'interval', interval: 3 }
+  ])('round-trips $type', (recurrence) => {
+    expect(recurrenceFromRRule(recurrenceToRRule(recurrence), '2024-01-01')).toEqual(recurrence);
+  });
+
+  it('has no recurrence for limited rules', () => {
+    expect(recurrenceFromRRule('FREQ=DAILY;COUNT=5', '2024-01-01')).toBeNull();
+    expect(recurrenceFromRRule('FREQ=WEEKLY;UNTIL=20241231T000000Z', '2024-01-01')).toBeNull();
+  });
+});
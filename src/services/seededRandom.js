@@ -0,0 +1,90 @@
+/**
+ * seededRandom - Deterministic random numbers for the arenas
+ *
+ * Every arena draws its randomness (target placement, movement, special
+ * target rolls, platform layout) from a generator created from a seed, so a
+ * run can be reproduced and scores on the same seed can be compared.
+ *
+ * Seeds are strings. The player picks how the seed is chosen:
+ *   'random'  a fresh seed for every run
+ *   'daily'   the same seed for everyone on a given day (e.g. "daily-2024-05-01")
+ *   anything else is used as a custom seed
+ */
+
+export const SEED_MODES = {
+  RANDOM: 'random',
+  DAILY: 'daily'
+};
+
+/**
+ * Hash a seed string into a 32-bit integer (FNV-1a)
+ * @private
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded generator (mulberry32)
+ * @param {string} seed Seed string; the same seed always gives the same sequence
+ * @returns {Object} Generator with next(), range(min, max), chance(p), sign() and int(min, max)
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: String(seed),
+    // Float in [0, 1), like Math.random
+    next,
+    // Float in [min, max)
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    // True with probability p
+    chance: (p) => next() < p,
+    // 1 or -1
+    sign: () => (next() < 0.5 ? 1 : -1)
+  };
+};
+
+/**
+ * The seed shared by everyone on a given day
+ * @param {Date} [date] Day to get the seed for (local time)
+ * @returns {string} e.g. "daily-2024-05-01"
+ */
+export const getDailySeed = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `daily-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Make up a new short seed for a random run
+ * @returns {string} Six base-36 characters
+ */
+export const generateSeed = () => Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+
+/**
+ * Turn the player's seed choice into the seed for one run
+ * @param {string} choice 'random', 'daily' or a custom seed
+ * @returns {string} Seed to create the run's generator from
+ */
+export const resolveArenaSeed = (choice) => {
+  const trimmed = String(choice || '').trim();
+  if (!trimmed || trimmed === SEED_MODES.RANDOM) return generateSeed();
+  if (trimmed === SEED_MODES.DAILY) return getDailySeed();
+  return trimmed;
+};
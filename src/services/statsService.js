@@ -0,0 +1,210 @@
+/**
+ * statsService - Productivity statistics built from game events
+ *
+ * Three kinds of events are recorded and persisted through TaskStorageService:
+ *   challenge  a task arena challenge ended: task, score, requiredScore,
+ *              success, whether the task (not just a subtask) got completed
+ *              and the tokens it earned
+ *   training   a training arena run ended: arena and score
+ *   mode       the player left a mode: mode and milliseconds spent in it
+ * Events older than MAX_EVENT_AGE_DAYS are dropped when a new one is recorded.
+ * summarizeDays turns the events into the per-day and per-task numbers the
+ * stats dashboard draws; eventsToCsv exports the raw events.
+ */
+import gameState from '../game/gameState';
+import { taskStorage } from './TaskStorageService';
+import { toDateString } from './recurrence';
+import { downloadTextFile } from '../utils/fileUtils';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'Stats';
+
+export const STAT_EVENTS = {
+  CHALLENGE: 'challenge',
+  TRAINING: 'training',
+  MODE: 'mode'
+};
+
+// Events are kept this long
+export const MAX_EVENT_AGE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['time', 'type', 'task', 'score', 'requiredScore', 'success', 'completed', 'tokens', 'arena', 'mode', 'seconds'];
+
+/**
+ * Store an event
+ * @param {string} type One of STAT_EVENTS
+ * @param {Object} fields Event fields
+ * @returns {Object} The stored event
+ */
+export const recordStatEvent = (type, fields) => {
+  const now = Date.now();
+  const event = { type, at: now, ...fields };
+  const cutoff = now - MAX_EVENT_AGE_DAYS * DAY_MS;
+  const events = taskStorage.getStatsEvents().filter(stored => stored.at >= cutoff);
+  events.push(event);
+  taskStorage.saveStatsEvents(events);
+  return event;
+};
+
+/**
+ * Record the end of a task arena challenge
+ * @param {Object} result
+ * @param {Object} result.task The challenged task
+ * @param {number} result.score Score the run reached
+ * @param {number} result.requiredScore Score it needed
+ * @param {boolean} result.completed True if the run completed the task itself
+ * @param {number} [result.tokens] Tokens the run earned
+ * @returns {Object} The stored event
+ */
+export const recordChallengeResult = ({ task, score, requiredScore, completed, tokens = 0 }) =>
+  recordStatEvent(STAT_EVENTS.CHALLENGE, {
+    taskId: task.id,
+    task: task.text,
+    score,
+    requiredScore,
+    success: score >= requiredScore,
+    completed,
+    tokens
+  });
+
+/**
+ * Record the end of a training arena run
+ * @param {string} arena Arena id, as used by TaskStorageService.recordArenaRun
+ * @param {number} score Final score
+ * @returns {Object} The stored event
+ */
+export const recordTrainingRun = (arena, score) =>
+  recordStatEvent(STAT_EVENTS.TRAINING, { arena, score });
+
+/**
+ * Record time spent in a mode that was just left
+ * @param {string} mode The mode that was left
+ * @param {number} ms Milliseconds spent in it
+ * @returns {Object|null} The stored event, or null for a zero-length visit
+ */
+export const recordModeTime = (mode, ms) =>
+  ms > 0 ? recordStatEvent(STAT_EVENTS.MODE, { mode, ms }) : null;
+
+/**
+ * Summarize the events of the last few days
+ * @param {Array} events Stored events
+ * @param {Object} [options]
+ * @param {number} [options.days] Number of days, ending today
+ * @param {number} [options.now] Current time
+ * @returns {Object} days: per day { date, completed, tokens, runs, averageScore,
+ *   averageRequired }; failures: [{ task, failures }] most failed first;
+ *   modeTime: { mode: ms } including the visit to the current mode; totals
+ */
+export const summarizeDays = (events, { days = 7, now = Date.now() } = {}) => {
+  const today = new Date(now);
+  const dayList = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    dayList.push({ date: toDateString(date), completed: 0, tokens: 0, runs: 0, scoreTotal: 0, requiredTotal: 0 });
+  }
+  const byDate = new Map(dayList.map(day => [day.date, day]));
+
+  const failuresByTask = new Map();
+  const modeTime = {};
+  const totals = { completed: 0, tokens: 0, runs: 0, failures: 0, trainingRuns: 0 };
+
+  events.forEach(event => {
+    const day = byDate.get(toDateString(new Date(event.at)));
+    if (!day) return;
+
+    if (event.type === STAT_EVENTS.CHALLENGE) {
+      day.runs++;
+      day.scoreTotal += event.score;
+      day.requiredTotal += event.requiredScore;
+      day.tokens += event.tokens || 0;
+      totals.runs++;
+      totals.tokens += event.tokens || 0;
+      if (event.completed) {
+        day.completed++;
+        totals.completed++;
+      }
+      if (!event.success) {
+        totals.failures++;
+        const entry = failuresByTask.get(event.taskId) || { task: event.task, failures: 0 };
+        entry.failures++;
+        failuresByTask.set(event.taskId, entry);
+      }
+    } else if (event.type === STAT_EVENTS.TRAINING) {
+      totals.trainingRuns++;
+    } else if (event.type === STAT_EVENTS.MODE) {
+      modeTime[event.mode] = (modeTime[event.mode] || 0) + event.ms;
+    }
+  });
+
+  // The current visit has not been recorded yet
+  if (gameState.lastModeChangeTime) {
+    modeTime[gameState.mode] = (modeTime[gameState.mode] || 0) + Math.max(0, now - gameState.lastModeChangeTime);
+  }
+
+  return {
+    days: dayList.map(({ scoreTotal, requiredTotal, ...day }) => ({
+      ...day,
+      averageScore: day.runs > 0 ? Math.round(scoreTotal / day.runs) : 0,
+      averageRequired: day.runs > 0 ? Math.round(requiredTotal / day.runs) : 0
+    })),
+    failures: [...failuresByTask.values()].sort((a, b) => b.failures - a.failures),
+    modeTime,
+    totals
+  };
+};
+
+/**
+ * Quote a CSV field if it needs it
+ * @private
+ */
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write events as CSV, one row per event
+ * @param {Array} events Stored events
+ * @returns {string} CSV text with a header row
+ */
+export const eventsToCsv = (events) => {
+  const rows = events.map(event => ({
+    ...event,
+    time: new Date(event.at).toISOString(),
+    seconds: event.ms !== undefined ? Math.round(event.ms / 1000) : null
+  }));
+  return [CSV_COLUMNS.join(',')]
+    .concat(rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(',')))
+    .join('\n');
+};
+
+/**
+ * Download every stored event as a CSV file
+ * @returns {boolean} True if the download started
+ */
+export const exportStatsCsv = () => {
+  try {
+    const events = taskStorage.getStatsEvents();
+    downloadTextFile(`task-game-stats-${toDateString(new Date())}.csv`, eventsToCsv(events), 'text/csv');
+    logger.info(MODULE, `Exported ${events.length} stat events`);
+    return true;
+  } catch (e) {
+    logger.error(MODULE, 'Error exporting stats:', e);
+    return false;
+  }
+};
+
+// Window event that opens or closes the stats dashboard
+export const STATS_DASHBOARD_TOGGLE_EVENT = 'toggleStatsDashboard';
+
+/**
+ * Open the stats dashboard, or close it if it is open
+ */
+export const toggleStatsDashboard = () => {
+  window.dispatchEvent(new CustomEvent(STATS_DASHBOARD_TOGGLE_EVENT));
+};
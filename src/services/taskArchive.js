@@ -0,0 +1,139 @@
+/**
+ * taskArchive - Completed tasks taken off the active list
+ *
+ * Archiving a task moves it out of gameState.tasks into a separate store
+ * instead of deleting it, so there is a record of what got done. Each entry
+ * is the task as it was, plus:
+ *   archivedAt  when it was archived
+ *   arenaScore  score of the arena run that completed it (null if none)
+ *   attempts    arena runs it took, failed ones included
+ * Entries can be searched, filtered by date and tag, and restored to the
+ * active list.
+ */
+import gameState, { notifyGameState } from '../game/gameState';
+import { taskStorage } from './TaskStorageService';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'TaskArchive';
+
+// Fields an entry adds on top of the task
+const ARCHIVE_FIELDS = ['archivedAt', 'arenaScore', 'attempts'];
+
+/**
+ * Build the archive entry for a task
+ * @param {Object} task Task being archived
+ * @param {number} [now] Archive time
+ * @returns {Object} Archive entry
+ */
+export const createArchiveEntry = (task, now = Date.now()) => ({
+  ...JSON.parse(JSON.stringify(task)),
+  completedAt: task.completedAt || now,
+  archivedAt: now,
+  arenaScore: typeof task.arenaScore === 'number' ? task.arenaScore : null,
+  // The run that completed the task counts as an attempt too
+  attempts: (task.failedAttempts || 0) + (typeof task.arenaScore === 'number' ? 1 : 0)
+});
+
+/**
+ * Add a task to the archive. It must already be off the active list.
+ * @param {Object} task Task to archive
+ * @returns {Object} The stored entry
+ */
+export const archiveTask = (task) => {
+  const entry = createArchiveEntry(task);
+  const entries = taskStorage.getArchivedTasks().filter(archived => archived.id !== task.id);
+  entries.push(entry);
+  taskStorage.saveArchivedTasks(entries);
+  logger.info(MODULE, `Archived "${task.text}"`);
+  return entry;
+};
+
+/**
+ * Remove a task from the archive without restoring it
+ * @param {string} taskId Id of the archived task
+ * @returns {boolean} True if the task was in the archive
+ */
+export const removeFromArchive = (taskId) => {
+  const entries = taskStorage.getArchivedTasks();
+  const remaining = entries.filter(entry => entry.id !== taskId);
+  if (remaining.length === entries.length) return false;
+  taskStorage.saveArchivedTasks(remaining);
+  return true;
+};
+
+/**
+ * Move an archived task back to the active list as an unfinished task
+ * @param {string} taskId Id of the archived task
+ * @returns {Object|null} The restored task, or null if it is not archived
+ */
+export const restoreArchivedTask = (taskId) => {
+  const entry = taskStorage.getArchivedTasks().find(archived => archived.id === taskId);
+  if (!entry) return null;
+
+  const task = { ...entry, completed: false, completedAt: null };
+  ARCHIVE_FIELDS.forEach(field => { delete task[field]; });
+
+  removeFromArchive(taskId);
+  // Added to storage on its own; gameState.tasks may not hold the whole list yet
+  taskStorage.addTasks([task]);
+  if (!gameState.tasks.some(active => active.id === taskId)) {
+    gameState.tasks.push(task);
+  }
+  notifyGameState('tasks');
+
+  logger.info(MODULE, `Restored "${task.text}" to the active list`);
+  return task;
+};
+
+/**
+ * Filter archive entries, newest first
+ * @param {Array} entries Archive entries
+ * @param {Object} [filters]
+ * @param {string} [filters.query] Text to find in the task text, notes or tags
+ * @param {string} [filters.tag] Tag the task must have
+ * @param {string} [filters.from] Earliest completion date, YYYY-MM-DD
+ * @param {string} [filters.to] Latest completion date, YYYY-MM-DD
+ * @returns {Array} Matching entries
+ */
+export const searchArchive = (entries, { query = '', tag = '', from = '', to = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  // Date inputs are local calendar days
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+  return entries
+    .filter(entry => {
+      const tags = entry.tags || [];
+      if (tag && !tags.includes(tag)) return false;
+      if (entry.completedAt < fromTime || entry.completedAt > toTime) return false;
+      if (!needle) return true;
+      return [entry.text, entry.notes, ...tags].some(value => (value || '').toLowerCase().includes(needle));
+    })
+    .sort((a, b) => b.completedAt - a.completedAt);
+};
+
+/**
+ * @param {Array} entries Archive entries
+ * @returns {Array<string>} Every tag used in the archive, sorted
+ */
+export const getArchiveTags = (entries) =>
+  [...new Set(entries.flatMap(entry => entry.tags || []))].sort();
+
+/**
+ * Merge two archives by id, keeping the later-archived copy of a task
+ * @param {Array} current Archive entries on this machine
+ * @param {Array} imported Archive entries from a backup
+ * @returns {Array} Merged entries
+ */
+export const mergeArchives = (current, imported) => {
+  const byId = new Map(current.map(entry => [entry.id, entry]));
+  (Array.isArray(imported) ? imported : []).forEach(entry => {
+    if (!entry || typeof entry.id !== 'string') return;
+    const existing = byId.get(entry.id);
+    if (!existing || entry.archivedAt > existing.archivedAt) {
+      byId.set(entry.id, entry);
+    }
+  });
+  return [...byId.values()];
+};
@@ -0,0 +1,36 @@
+import { archiveTask, restoreArchivedTask } from './taskArchive';
+import { taskStorage } from './TaskStorageService';
+import { createTask } from './taskSchema';
+import gameState from '../game/gameState';
+
+describe('restoreArchivedTask', () => {
+  beforeEach(async () => {
+    await taskStorage.ready;
+    taskStorage.saveArchivedTasks([]);
+    gameState.tasks = [];
+  });
+
+  it('adds the task to the stored list when the task game has not loaded it', () => {
+    const done = createTask('Done', { completed: true, completedAt: 1000 });
+    taskStorage.saveTasks([createTask('A'), createTask('B')]);
+    archiveTask(done);
+
+    const restored = restoreArchivedTask(done.id);
+
+    expect(restored).toMatchObject({ id: done.id, completed: false, completedAt: null });
+    expect(restored.archivedAt).toBeUndefined();
+    expect(taskStorage.getTasks().map(task => task.text)).toEqual(['A', 'B', 'Done']);
+    expect(taskStorage.getArchivedTasks()).toEqual([]);
+    expect(gameState.tasks.map(task => task.text)).toEqual(['Done']);
+  });
+
+  it('does not add a second copy of a task that is already active', () => {
+    const task = createTask('Twice');
+    taskStorage.saveTasks([task]);
+    archiveTask(task);
+
+    restoreArchivedTask(task.id);
+
+    expect(taskStorage.getTasks()).toHaveLength(1);
+  });
+});
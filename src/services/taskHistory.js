@@ -0,0 +1,211 @@
+/**
+ * taskHistory - Undo/redo for task operations
+ *
+ * Every add, edit, completion, archive and delete is recorded as a command:
+ *   { type, label, index, before, after, tokenDelta, itemUsed, at }
+ * before/after are copies of the task on either side of the operation (null
+ * when the task did not exist), index is where it sat in the list,
+ * tokenDelta is how many tokens the operation earned and itemUsed is the
+ * shop consumable it used up (e.g. a skip pass), if any. Undoing a command
+ * puts the task back to `before`, takes the tokens back and returns the
+ * item; redoing puts it to `after` and uses the item again. Commands are plain data, so the history is persisted through
+ * TaskStorageService and survives a reload.
+ *
+ * Recording a new command clears the redo stack. Only the last HISTORY_LIMIT
+ * commands are kept.
+ */
+import gameState, { notifyGameState } from '../game/gameState';
+import { taskStorage } from './TaskStorageService';
+import { archiveTask, removeFromArchive } from './taskArchive';
+import { addTokenTransaction, getTokenBalance, TOKEN_REASONS } from './tokenLedger';
+import { consumeItem, returnItem } from './tokenShop';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'TaskHistory';
+
+export const TASK_COMMANDS = {
+  ADD: 'add',
+  EDIT: 'edit',
+  COMPLETE: 'complete',
+  ARCHIVE: 'archive',
+  DELETE: 'delete'
+};
+
+// Most commands kept in the undo stack
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Copy a task so later edits to it do not change the record
+ * @param {Object} task Task to copy
+ * @returns {Object} Deep copy
+ */
+export const snapshotTask = (task) => JSON.parse(JSON.stringify(task));
+
+/**
+ * Record an operation that already happened
+ * @param {string} type One of TASK_COMMANDS
+ * @param {Object} change
+ * @param {Object|null} change.before Task as it was before, null for an add
+ * @param {Object|null} change.after Task as it is now, null for an archive or delete
+ * @param {number} [change.index] Position of the task in gameState.tasks
+ * @param {number} [change.tokenDelta] Tokens the operation earned
+ * @param {string|null} [change.itemUsed] Id of the shop consumable the operation used up
+ * @returns {Object|null} The recorded command
+ */
+export const recordTaskCommand = (type, { before = null, after = null, index, tokenDelta = 0, itemUsed = null }) => {
+  if (!Object.values(TASK_COMMANDS).includes(type) || (!before && !after)) {
+    logger.warn(MODULE, `Ignoring invalid ${type} command`);
+    return null;
+  }
+
+  const task = after || before;
+  const command = {
+    type,
+    // Shown after "Undo"/"Redo", e.g. archive “Buy milk”
+    label: `${type} “${task.text}”`,
+    index: typeof index === 'number' && index >= 0 ? index : gameState.tasks.length,
+    before: before && snapshotTask(before),
+    after: after && snapshotTask(after),
+    tokenDelta,
+    itemUsed,
+    at: Date.now()
+  };
+
+  const history = taskStorage.getTaskHistory();
+  history.undo.push(command);
+  history.undo = history.undo.slice(-HISTORY_LIMIT);
+  history.redo = [];
+  taskStorage.saveTaskHistory(history);
+  return command;
+};
+
+/**
+ * Record a task that was just added to gameState.tasks
+ * @param {Object} task The new task
+ * @returns {Object|null} The recorded command
+ */
+export const recordTaskAdded = (task) =>
+  recordTaskCommand(TASK_COMMANDS.ADD, { after: task, index: gameState.tasks.indexOf(task) });
+
+/**
+ * Record a change made to a task in place
+ * @param {string} type TASK_COMMANDS.EDIT or TASK_COMMANDS.COMPLETE
+ * @param {Object} before Snapshot taken with snapshotTask before the change
+ * @param {Object} task The changed task
+ * @param {number} [tokenDelta] Tokens the change earned
+ * @param {string|null} [itemUsed] Id of the shop consumable the change used up
+ * @returns {Object|null} The recorded command
+ */
+export const recordTaskChanged = (type, before, task, tokenDelta = 0, itemUsed = null) =>
+  recordTaskCommand(type, { before, after: task, index: gameState.tasks.indexOf(task), tokenDelta, itemUsed });
+
+/**
+ * Record a task that was taken out of gameState.tasks
+ * @param {string} type TASK_COMMANDS.ARCHIVE or TASK_COMMANDS.DELETE
+ * @param {Object} task The removed task
+ * @param {number} index Where it was in the list
+ * @returns {Object|null} The recorded command
+ */
+export const recordTaskRemoved = (type, task, index) =>
+  recordTaskCommand(type, { before: task, index });
+
+/**
+ * Put a task in a list into the given state: remove it, restore its fields in
+ * place or re-insert it where it was
+ * @private
+ */
+const applyTaskState = (tasks, command, target) => {
+  const id = (command.after || command.before).id;
+  const index = tasks.findIndex(task => task.id === id);
+
+  if (!target) {
+    if (index !== -1) tasks.splice(index, 1);
+  } else if (index !== -1) {
+    // Keep the object, other code may hold a reference to it
+    const task = tasks[index];
+    Object.keys(task).forEach(key => { delete task[key]; });
+    Object.assign(task, snapshotTask(target));
+  } else {
+    tasks.splice(Math.min(command.index, tasks.length), 0, snapshotTask(target));
+  }
+};
+
+/**
+ * Move the newest command from one stack to the other and apply it
+ * @private
+ */
+const step = (direction) => {
+  const history = taskStorage.getTaskHistory();
+  const [from, to] = direction === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+  const command = history[from].pop();
+  if (!command) return null;
+
+  // Storage holds the whole list; gameState.tasks may not have loaded it yet
+  // (e.g. right after a reload), so it is only kept in step, never saved
+  const target = direction === 'undo' ? command.before : command.after;
+  const tasks = taskStorage.getTasks();
+  applyTaskState(tasks, command, target);
+  applyTaskState(gameState.tasks, command, target);
+  // Archived tasks live on in the archive store; keep it in step
+  if (command.type === TASK_COMMANDS.ARCHIVE) {
+    if (direction === 'undo') {
+      removeFromArchive(command.before.id);
+    } else {
+      archiveTask(command.before);
+    }
+  }
+  if (command.tokenDelta) {
+    // Tokens already spent in the shop cannot be taken back
+    const delta = direction === 'undo'
+      ? -Math.min(command.tokenDelta, getTokenBalance())
+      : command.tokenDelta;
+    if (delta !== 0) {
+      addTokenTransaction(delta, TOKEN_REASONS.UNDO, { taskId: (command.after || command.before).id });
+    }
+  }
+  if (command.itemUsed) {
+    if (direction === 'undo') {
+      returnItem(command.itemUsed);
+    } else if (!consumeItem(command.itemUsed)) {
+      logger.warn(MODULE, `Redid ${command.label} without a ${command.itemUsed} left to use`);
+    }
+  }
+
+  history[to].push(command);
+  taskStorage.saveTasks(tasks);
+  taskStorage.saveTaskHistory(history);
+  notifyGameState('tasks');
+
+  logger.info(MODULE, `${direction === 'undo' ? 'Undid' : 'Redid'} ${command.label}`);
+  return command;
+};
+
+/**
+ * Undo the newest recorded operation
+ * @returns {Object|null} The undone command, or null if there is nothing to undo
+ */
+export const undoTaskCommand = () => step('undo');
+
+/**
+ * Redo the newest undone operation
+ * @returns {Object|null} The redone command, or null if there is nothing to redo
+ */
+export const redoTaskCommand = () => step('redo');
+
+/**
+ * @returns {Object|null} The command undo would revert
+ */
+export const peekUndo = () => taskStorage.getTaskHistory().undo.slice(-1)[0] || null;
+
+/**
+ * @returns {Object|null} The command redo would re-apply
+ */
+export const peekRedo = () => taskStorage.getTaskHistory().redo.slice(-1)[0] || null;
+
+/**
+ * Forget all recorded commands, e.g. after the whole task list was replaced
+ */
+export const clearTaskHistory = () => {
+  taskStorage.saveTaskHistory({ undo: [], redo: [] });
+};
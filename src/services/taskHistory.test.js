@@ -0,0 +1,74 @@
+import { TASK_COMMANDS, recordTaskCommand, undoTaskCommand, redoTaskCommand, clearTaskHistory } from './taskHistory';
+import { taskStorage } from './TaskStorageService';
+import { createTask } from './taskSchema';
+import { getItemCount } from './tokenShop';
+import gameState from '../game/gameState';
+
+const texts = (tasks) => tasks.map(task => task.text);
+
+describe('taskHistory', () => {
+  let a;
+  let b;
+  let c;
+
+  beforeEach(async () => {
+    await taskStorage.ready;
+    a = createTask('A');
+    b = createTask('B');
+    c = createTask('C');
+    taskStorage.saveTasks([a, b, c]);
+    clearTaskHistory();
+    gameState.tasks = [];
+  });
+
+  it('undoes an edit after a reload without dropping the other tasks', () => {
+    recordTaskCommand(TASK_COMMANDS.EDIT, { before: a, after: { ...a, text: 'A edited' }, index: 0 });
+    taskStorage.updateTask(a.id, { text: 'A edited' });
+
+    // A reload leaves gameState.tasks empty until the task game loads the save
+    gameState.tasks = [];
+    expect(undoTaskCommand().type).toBe(TASK_COMMANDS.EDIT);
+
+    expect(texts(taskStorage.getTasks())).toEqual(['A', 'B', 'C']);
+  });
+
+  it('undoes and redoes a delete after a reload', () => {
+    recordTaskCommand(TASK_COMMANDS.DELETE, { before: b, index: 1 });
+    taskStorage.deleteTask(b.id);
+    gameState.tasks = [];
+
+    undoTaskCommand();
+    expect(texts(taskStorage.getTasks())).toEqual(['A', 'B', 'C']);
+
+    redoTaskCommand();
+    expect(texts(taskStorage.getTasks())).toEqual(['A', 'C']);
+  });
+
+  it('keeps the loaded task objects in step', () => {
+    recordTaskCommand(TASK_COMMANDS.EDIT, { before: a, after: { ...a, text: 'A edited' }, index: 0 });
+    gameState.tasks = taskStorage.getTasks();
+    const loaded = gameState.tasks[0];
+    loaded.text = 'A edited';
+    taskStorage.updateTask(a.id, { text: 'A edited' });
+
+    undoTaskCommand();
+    expect(gameState.tasks[0]).toBe(loaded);
+    expect(loaded.text).toBe('A');
+    expect(texts(taskStorage.getTasks())).toEqual(['A', 'B', 'C']);
+  });
+
+  it('returns a used skip pass on undo and uses it again on redo', () => {
+    taskStorage.saveInventory({ owned: { skip_pass: 0 }, equipped: {} });
+    recordTaskCommand(TASK_COMMANDS.COMPLETE, {
+      before: a, after: { ...a, completed: true }, index: 0, itemUsed: 'skip_pass'
+    });
+
+    undoTaskCommand();
+    expect(getItemCount('skip_pass')).toBe(1);
+    expect(taskStorage.getTasks()[0].completed).toBe(false);
+
+    redoTaskCommand();
+    expect(getItemCount('skip_pass')).toBe(0);
+    expect(taskStorage.getTasks()[0].completed).toBe(true);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * taskParsers - Turn to-do lists from other tools into task objects
+ *
+ * Supported formats:
+ * - Markdown checklists: "- [ ] foo", "* [x] bar", "1. [ ] baz"
+ * - todo.txt: "x 2024-01-02 (A) 2024-01-01 Call mom +Family @phone due:2024-01-05"
+ * - CSV: any header row, mapped onto task fields with a column mapping
+ * - iCalendar: detected here, parsed by icalendar.js
+ *
+ * Every parser returns tasks built with createTask, ready for
+ * TaskStorageService.addTasks. Parsed priority decides requiredScore.
+ */
+import { createTask, priorityToRequiredScore, PRIORITIES } from './taskSchema';
+
+export const IMPORT_FORMATS = {
+  MARKDOWN: 'markdown',
+  TODO_TXT: 'todotxt',
+  CSV: 'csv',
+  ICALENDAR: 'icalendar'
+};
+
+// Task fields a CSV column can be mapped onto
+export const CSV_FIELDS = ['text', 'completed', 'priority', 'dueDate', 'tags'];
+
+// Header names recognized when guessing a CSV column mapping
+const CSV_HEADER_ALIASES = {
+  text: ['text', 'task', 'title', 'name', 'summary', 'description'],
+  completed: ['completed', 'done', 'status', 'complete', 'finished'],
+  priority: ['priority', 'prio', 'importance'],
+  dueDate: ['due', 'due date', 'duedate', 'deadline'],
+  tags: ['tags', 'tag', 'labels', 'project', 'projects', 'category']
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a priority written as a todo.txt letter, a name or a number
+ * @param {string} value Raw priority, e.g. "A", "high", "1"
+ * @returns {string|null} One of PRIORITIES, or null if not recognized
+ */
+export const parsePriority = (value) => {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim().toLowerCase();
+  if (raw === '') return null;
+
+  if (PRIORITIES.includes(raw)) return raw;
+  if (/^[a-z]$/.test(raw)) {
+    // todo.txt letters: A is the most important
+    return { a: 'urgent', b: 'high', c: 'medium' }[raw] || 'low';
+  }
+  if (/^\d+$/.test(raw)) {
+    // 1 is the most important, as in most task apps
+    return { 1: 'urgent', 2: 'high', 3: 'medium' }[raw] || 'low';
+  }
+  if (raw === 'critical' || raw === 'highest') return 'urgent';
+  if (raw === 'normal') return 'medium';
+  if (raw === 'lowest' || raw === 'none') return 'low';
+  return null;
+};
+
+/**
+ * Build a task from parsed fields, mapping priority onto requiredScore
+ * @private
+ */
+const buildTask = (text, { completed = false, priority = null, dueDate = null, tags = [] } = {}) => {
+  const fields = { completed };
+  if (priority) {
+    fields.priority = priority;
+    fields.requiredScore = priorityToRequiredScore(priority);
+  }
+  if (dueDate) fields.dueDate = dueDate;
+  if (tags.length > 0) fields.tags = tags;
+  return createTask(text, fields);
+};
+
+/**
+ * Parse a Markdown checklist. Lines that are not checklist items are ignored.
+ * Items may contain #tags, due:YYYY-MM-DD and !priority (e.g. !high).
+ * @param {string} text Markdown document
+ * @returns {Array} Task objects
+ */
+export const parseMarkdownChecklist = (text) => {
+  const tasks = [];
+  const itemPattern = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+)$/;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(itemPattern);
+    if (!match) return;
+
+    const tags = [];
+    let priority = null;
+    let dueDate = null;
+    const words = match[2].split(/\s+/).filter(word => {
+      if (/^#[\w-]+$/.test(word)) {
+        tags.push(word.slice(1));
+        return false;
+      }
+      if (/^due:/.test(word) && DATE_PATTERN.test(word.slice(4))) {
+        dueDate = word.slice(4);
+        return false;
+      }
+      if (/^!\w+$/.test(word) && parsePriority(word.slice(1))) {
+        priority = parsePriority(word.slice(1));
+        return false;
+      }
+      return true;
+    });
+
+    const taskText = words.join(' ').trim();
+    if (taskText) {
+      tasks.push(buildTask(taskText, { completed: match[1] !== ' ', priority, dueDate, tags }));
+    }
+  });
+
+  return tasks;
+};
+
+/**
+ * Parse a todo.txt file (http://todotxt.org). Projects (+Project) and
+ * contexts (@context) become tags; due:YYYY-MM-DD becomes the due date.
+ * @param {string} text todo.txt contents
+ * @returns {Array} Task objects
+ */
+export const parseTodoTxt = (text) => {
+  const tasks = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    let rest = line.trim();
+    if (!rest) return;
+
+    let completed = false;
+    let priority = null;
+    let createdAt = null;
+
+    // "x " marks a completed task, optionally followed by the completion date
+    if (/^x\s/.test(rest)) {
+      completed = true;
+      rest = rest.slice(2).trim();
+      if (DATE_PATTERN.test(rest.split(/\s+/)[0])) {
+        rest = rest.replace(/^\S+\s*/, '');
+      }
+    }
+
+    const priorityMatch = rest.match(/^\(([A-Z])\)\s+/);
+    if (priorityMatch) {
+      priority = parsePriority(priorityMatch[1]);
+      rest = rest.slice(priorityMatch[0].length);
+    }
+
+    // Creation date follows the priority
+    const firstWord = rest.split(/\s+/)[0];
+    if (DATE_PATTERN.test(firstWord)) {
+      createdAt = Date.parse(firstWord);
+      rest = rest.replace(/^\S+\s*/, '');
+    }
+
+    const tags = [];
+    let dueDate = null;
+    const words = rest.split(/\s+/).filter(word => {
+      if (/^[+@]\S+$/.test(word)) {
+        tags.push(word);
+        return false;
+      }
+      if (/^due:/.test(word) && DATE_PATTERN.test(word.slice(4))) {
+        dueDate = word.slice(4);
+        return false;
+      }
+      // Completed tasks keep their priority as "pri:A"
+      if (/^pri:[A-Z]$/.test(word)) {
+        priority = priority || parsePriority(word.slice(4));
+        return false;
+      }
+      return true;
+    });
+
+    const taskText = words.join(' ').trim();
+    if (!taskText) return;
+
+    const task = buildTask(taskText, { completed, priority, dueDate, tags });
+    if (createdAt && !isNaN(createdAt)) {
+      task.createdAt = createdAt;
+    }
+    tasks.push(task);
+  });
+
+  return tasks;
+};
+
+/**
+ * Split CSV text into rows of fields, honoring quoted fields (RFC 4180)
+ * @param {string} text CSV contents
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}} Header row and data rows
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map(header => header.trim()), rows };
+};
+
+/**
+ * Guess which CSV column holds each task field from the header names
+ * @param {Array<string>} headers CSV header row
+ * @returns {Object} Mapping of task field to column index (or -1 if unmapped)
+ */
+export const guessCsvMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase());
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    mapping[field] = normalized.findIndex(header => CSV_HEADER_ALIASES[field].includes(header));
+  });
+  // Fall back to the first column for the task text
+  if (mapping.text === -1 && headers.length > 0) {
+    mapping.text = 0;
+  }
+  return mapping;
+};
+
+/**
+ * Read a CSV "completed" cell
+ * @private
+ */
+const parseCompletedCell = (value) =>
+  ['x', 'yes', 'y', 'true', '1', 'done', 'completed', 'complete'].includes(String(value).trim().toLowerCase());
+
+/**
+ * Turn CSV rows into tasks using a column mapping
+ * @param {Array<Array<string>>} rows CSV data rows
+ * @param {Object} mapping Mapping of task field to column index (-1 to skip)
+ * @returns {Array} Task objects
+ */
+export const csvRowsToTasks = (rows, mapping) => {
+  const cell = (row, field) => (mapping[field] >= 0 && row[mapping[field]] !== undefined
+    ? row[mapping[field]].trim()
+    : '');
+
+  return rows
+    .map(row => {
+      const taskText = cell(row, 'text');
+      if (!taskText) return null;
+
+      const due = cell(row, 'dueDate');
+      const parsedDue = Date.parse(due);
+      return buildTask(taskText, {
+        completed: parseCompletedCell(cell(row, 'completed')),
+        priority: parsePriority(cell(row, 'priority')),
+        dueDate: DATE_PATTERN.test(due) ? due : (due && !isNaN(parsedDue) ? new Date(parsedDue).toISOString().slice(0, 10) : null),
+        tags: cell(row, 'tags').split(/[;,|]/).map(tag => tag.trim()).filter(Boolean)
+      });
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Guess a list's format from its file name, falling back to its contents
+ * @param {string} filename Name of the imported file
+ * @param {string} text File contents
+ * @returns {string} One of IMPORT_FORMATS
+ */
+export const detectImportFormat = (filename = '', text = '') => {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.csv')) return IMPORT_FORMATS.CSV;
+  if (name.endsWith('.ics') || /^\s*BEGIN:VCALENDAR/i.test(text)) return IMPORT_FORMATS.ICALENDAR;
+  if (name.endsWith('.md') || name.endsWith('.markdown')) return IMPORT_FORMATS.MARKDOWN;
+  if (name === 'todo.txt' || name.endsWith('.txt')) return IMPORT_FORMATS.TODO_TXT;
+  return /^\s*(?:[-*+]|\d+[.)])\s+\[[ xX]\]/m.test(text) ? IMPORT_FORMATS.MARKDOWN : IMPORT_FORMATS.TODO_TXT;
+};
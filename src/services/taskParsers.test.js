@@ -0,0 +1,131 @@
+import {
+  parsePriority,
+  parseMarkdownChecklist,
+  parseTodoTxt,
+  parseCsv,
+  guessCsvMapping,
+  csvRowsToTasks,
+  detectImportFormat,
+  IMPORT_FORMATS
+} from './taskParsers';
+
+describe('parsePriority', () => {
+  it('reads letters, numbers and names', () => {
+    expect(parsePriority('A')).toBe('urgent');
+    expect(parsePriority('d')).toBe('low');
+    expect(parsePriority('2')).toBe('high');
+    expect(parsePriority('9')).toBe('low');
+    expect(parsePriority(' Critical ')).toBe('urgent');
+    expect(parsePriority('normal')).toBe('medium');
+  });
+
+  it('returns null for empty or unknown values', () => {
+    expect(parsePriority(undefined)).toBeNull();
+    expect(parsePriority('   ')).toBeNull();
+    expect(parsePriority('soonish')).toBeNull();
+  });
+});
+
+describe('parseMarkdownChecklist', () => {
+  it('reads tags, due dates and priorities out of the item text', () => {
+    const [task] = parseMarkdownChecklist('- [x] Ship release #work #q3 due:2024-03-01 !high');
+    expect(task.text).toBe('Ship release');
+    expect(task.completed).toBe(true);
+    expect(task.tags).toEqual(['work', 'q3']);
+    expect(task.dueDate).toBe('2024-03-01');
+    expect(task.priority).toBe('high');
+    expect(task.requiredScore).toBe(500);
+  });
+
+  it('skips lines that are not checklist items and items with no text', () => {
+    const tasks = parseMarkdownChecklist('# Heading\r\n- plain bullet\r\n1) [ ] Numbered\r\n* [ ] #onlytag\r\n[ ] no marker');
+    expect(tasks.map(task => task.text)).toEqual(['Numbered']);
+  });
+
+  it('keeps words that only look like markers', () => {
+    const [task] = parseMarkdownChecklist('- [ ] Read due:tomorrow !someday');
+    expect(task.text).toBe('Read due:tomorrow !someday');
+    expect(task.dueDate).toBeNull();
+    expect(task.priority).toBeNull();
+  });
+});
+
+describe('parseTodoTxt', () => {
+  it('reads a completed line with dates, priority, projects and contexts', () => {
+    const [task] = parseTodoTxt('x 2024-01-02 2024-01-01 Call mom +Family @phone due:2024-01-05 pri:A');
+    expect(task.text).toBe('Call mom');
+    expect(task.completed).toBe(true);
+    expect(task.priority).toBe('urgent');
+    expect(task.tags).toEqual(['+Family', '@phone']);
+    expect(task.dueDate).toBe('2024-01-05');
+    expect(task.createdAt).toBe(Date.parse('2024-01-01'));
+  });
+
+  it('only treats a leading uppercase letter in parentheses as priority', () => {
+    const [first, second] = parseTodoTxt('(B) Water plants\n(b) Not a priority');
+    expect(first.priority).toBe('high');
+    expect(first.text).toBe('Water plants');
+    expect(second.priority).toBeNull();
+    expect(second.text).toBe('(b) Not a priority');
+  });
+
+  it('does not take "x" without a space as the completion marker', () => {
+    const [task] = parseTodoTxt('xylophone lessons');
+    expect(task.completed).toBe(false);
+    expect(task.text).toBe('xylophone lessons');
+  });
+
+  it('skips blank lines and lines with only tags', () => {
+    expect(parseTodoTxt('\n   \n+Project @home\n')).toEqual([]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes and line breaks in fields', () => {
+    const { headers, rows } = parseCsv(' Title ,Notes\r\n"Buy milk, eggs","Say ""hi""\nto Bob"\r\n');
+    expect(headers).toEqual(['Title', 'Notes']);
+    expect(rows).toEqual([['Buy milk, eggs', 'Say "hi"\nto Bob']]);
+  });
+
+  it('drops empty rows and keeps a last row without a trailing newline', () => {
+    const { rows } = parseCsv('task\n\n , \nlast');
+    expect(rows).toEqual([['last']]);
+  });
+
+  it('returns no headers for empty input', () => {
+    expect(parseCsv('')).toEqual({ headers: [], rows: [] });
+  });
+});
+
+describe('CSV mapping', () => {
+  it('guesses columns from header aliases and falls back to the first column for text', () => {
+    expect(guessCsvMapping(['Deadline', 'Done', 'Labels'])).toEqual({
+      text: 0, completed: 1, priority: -1, dueDate: 0, tags: 2
+    });
+  });
+
+  it('turns rows into tasks, normalizing dates and splitting tags', () => {
+    const mapping = { text: 0, completed: 1, priority: 2, dueDate: 3, tags: 4 };
+    const tasks = csvRowsToTasks([
+      ['Pay rent', 'yes', '1', '2024-03-03T12:00:00', 'home; bills|money'],
+      ['  ', 'no', '', '', ''],
+      ['Short row']
+    ], mapping);
+
+    expect(tasks).toHaveLength(2);
+    expect(tasks[0]).toMatchObject({
+      text: 'Pay rent', completed: true, priority: 'urgent', dueDate: '2024-03-03', tags: ['home', 'bills', 'money']
+    });
+    expect(tasks[1]).toMatchObject({ text: 'Short row', completed: false, dueDate: null, tags: [] });
+  });
+});
+
+describe('detectImportFormat', () => {
+  it('prefers the file extension and falls back to the contents', () => {
+    expect(detectImportFormat('list.CSV', '- [ ] item')).toBe(IMPORT_FORMATS.CSV);
+    expect(detectImportFormat('export', 'BEGIN:VCALENDAR\n')).toBe(IMPORT_FORMATS.ICALENDAR);
+    expect(detectImportFormat('notes.txt', '- [ ] item')).toBe(IMPORT_FORMATS.TODO_TXT);
+    expect(detectImportFormat('', 'intro\n  2. [X] item')).toBe(IMPORT_FORMATS.MARKDOWN);
+    expect(detectImportFormat()).toBe(IMPORT_FORMATS.TODO_TXT);
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * taskSchema - Versioned task schema, load-time migrations and validation
+ *
+ * The schema version is stored next to the task data (meta key "schemaVersion").
+ * When tasks are loaded, every migration newer than the stored version runs in
+ * order, then each record is validated. Malformed records are repaired where
+ * possible and rejected otherwise; every repair is reported through the logger.
+ *
+ * To add a field: bump CURRENT_SCHEMA_VERSION, append a migration that fills it
+ * in for older records, and teach validateTask how to repair it.
+ */
+import logger from '../utils/logger';
+import { normalizeRecurrence, recurrenceFromRRule } from './recurrence';
+
+// Module name for logging
+const MODULE = 'TaskSchema';
+
+// Meta key holding the schema version of the stored tasks
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Default arena score needed to complete a task
+export const DEFAULT_REQUIRED_SCORE = 300;
+
+// Priority levels, lowest first
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Harder tasks get harder arena challenges
+export const PRIORITY_REQUIRED_SCORES = {
+  low: 300,
+  medium: 400,
+  high: 500,
+  urgent: 600
+};
+
+// A task due within this many days shows a due-soon badge
+export const DUE_SOON_DAYS = 2;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Map a priority level onto the arena score needed to complete the task
+ * @param {string} priority One of PRIORITIES
+ * @returns {number} Required score
+ */
+export const priorityToRequiredScore = (priority) =>
+  PRIORITY_REQUIRED_SCORES[priority] || DEFAULT_REQUIRED_SCORE;
+
+/**
+ * Ordered migrations. MIGRATIONS[n] upgrades a task from version n to n + 1.
+ * Each function receives a copy of the task and returns the upgraded task.
+ */
+export const MIGRATIONS = [
+  // 0 -> 1: unversioned saves. Some records used `title` instead of `text`,
+  // some carried a numeric `priority` that startTaskChallenge turned into a
+  // required score, and many had no requiredScore or createdAt at all.
+  (task) => {
+    const { title, ...migrated } = task;
+    if (migrated.text === undefined && typeof title === 'string') {
+      migrated.text = title;
+    }
+    if (migrated.requiredScore === undefined) {
+      migrated.requiredScore = typeof task.priority === 'number' && task.priority > 0
+        ? task.priority * 100
+        : DEFAULT_REQUIRED_SCORE;
+    }
+    if (migrated.createdAt === undefined) {
+      migrated.createdAt = Date.now();
+    }
+    return migrated;
+  },
+
+  // 1 -> 2: rich task model. Adds priority, dueDate, estimateMinutes, tags and
+  // notes. Legacy numeric priorities were only ever used for requiredScore,
+  // which migration 1 already derived, so they are dropped here.
+  (task) => ({
+    ...task,
+    priority: PRIORITIES.includes(task.priority) ? task.priority : null,
+    dueDate: typeof task.dueDate === 'string' && DATE_PATTERN.test(task.dueDate) ? task.dueDate : null,
+    estimateMinutes: task.estimateMinutes > 0 ? task.estimateMinutes : null,
+    tags: Array.isArray(task.tags) ? task.tags : [],
+    notes: typeof task.notes === 'string' ? task.notes : ''
+  }),
+
+  // 2 -> 3: ordered subtasks, each cleared by its own arena run
+  (task) => ({
+    ...task,
+    subtasks: Array.isArray(task.subtasks) ? task.subtasks : []
+  }),
+
+  // 3 -> 4: recurring tasks. Calendar imports kept RRULE values verbatim in
+  // `rrule`; those that map onto a recurrence are converted here, the rest
+  // stay as they are so they still round-trip through .ics export.
+  (task) => {
+    const { rrule, ...migrated } = task;
+    const converted = typeof rrule === 'string'
+      ? recurrenceFromRRule(rrule, migrated.dueDate || undefined)
+      : null;
+    if (rrule !== undefined && !converted) {
+      migrated.rrule = rrule;
+    }
+    migrated.recurrence = converted || normalizeRecurrence(task.recurrence);
+    migrated.completionHistory = Array.isArray(task.completionHistory) ? task.completionHistory : [];
+    return migrated;
+  },
+
+  // 4 -> 5: failed arena attempts, used to ease the challenge difficulty
+  (task) => ({
+    ...task,
+    failedAttempts: task.failedAttempts > 0 ? Math.floor(task.failedAttempts) : 0
+  })
+];
+
+// Version written alongside newly saved data
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Generate a unique task id
+ * @returns {string} A new task id
+ */
+export const generateTaskId = () =>
+  `task_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Create a task that matches the current schema
+ * @param {string} text Task description
+ * @param {Object} [fields] Extra fields to set on the task
+ * @returns {Object} New task object
+ */
+export const createTask = (text, fields = {}) => ({
+  id: generateTaskId(),
+  text,
+  completed: false,
+  requiredScore: DEFAULT_REQUIRED_SCORE,
+  createdAt: Date.now(),
+  priority: null,
+  dueDate: null,
+  estimateMinutes: null,
+  tags: [],
+  notes: '',
+  subtasks: [],
+  recurrence: null,
+  completionHistory: [],
+  failedAttempts: 0,
+  ...fields
+});
+
+/**
+ * Create a subtask
+ * @param {string} text Subtask description
+ * @returns {Object} New subtask object
+ */
+export const createSubtask = (text) => ({
+  id: generateTaskId().replace('task_', 'sub_'),
+  text,
+  completed: false,
+  completedAt: null
+});
+
+/**
+ * Count a task's cleared subtasks
+ * @param {Object} task Task object
+ * @returns {{done: number, total: number}} Progress; total is 0 for tasks without subtasks
+ */
+export const getSubtaskProgress = (task) => {
+  const subtasks = task.subtasks || [];
+  return {
+    done: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  };
+};
+
+/**
+ * Get the first subtask that still has to be cleared
+ * @param {Object} task Task object
+ * @returns {Object|null} The subtask, or null if there is none left
+ */
+export const getNextSubtask = (task) =>
+  (task.subtasks || []).find(subtask => !subtask.completed) || null;
+
+/**
+ * Arena score needed to clear one subtask. The parent's required score is
+ * split across its subtasks, rounded up to a multiple of 50 (minimum 100).
+ * @param {Object} task Parent task
+ * @returns {number} Required score per subtask
+ */
+export const getSubtaskRequiredScore = (task) => {
+  const total = (task.subtasks || []).length || 1;
+  return Math.max(100, Math.ceil(task.requiredScore / total / 50) * 50);
+};
+
+/**
+ * Work out whether a task's due date needs attention
+ * @param {Object} task Task object
+ * @param {number} [now] Current timestamp
+ * @returns {string|null} 'overdue', 'soon' (within DUE_SOON_DAYS) or null
+ */
+export const getDueStatus = (task, now = Date.now()) => {
+  if (!task.dueDate || task.completed) return null;
+  const [year, month, day] = task.dueDate.split('-').map(Number);
+  // Due at the end of the due day, local time
+  const dueAt = new Date(year, month - 1, day, 23, 59, 59).getTime();
+  if (dueAt < now) return 'overdue';
+  if (dueAt - now <= DUE_SOON_DAYS * 24 * 60 * 60 * 1000) return 'soon';
+  return null;
+};
+
+/**
+ * Turn user input for tags into a clean tag list
+ * @param {string|Array} value Comma-separated string or array of tags
+ * @returns {Array<string>} Trimmed, non-empty, unique tags
+ */
+export const parseTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
+/**
+ * Run every migration newer than fromVersion over a list of tasks
+ * @param {Array} tasks Task objects at fromVersion
+ * @param {number} fromVersion Schema version the tasks were saved with
+ * @returns {Array} Task objects at CURRENT_SCHEMA_VERSION
+ */
+export const migrateTasks = (tasks, fromVersion = 0) => {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    logger.warn(MODULE, `Stored schema version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+    return tasks;
+  }
+
+  let migrated = tasks;
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    migrated = migrated.map(task =>
+      task && typeof task === 'object' ? MIGRATIONS[version]({ ...task }) : task
+    );
+    logger.info(MODULE, `Migrated ${migrated.length} tasks from schema v${version} to v${version + 1}`);
+  }
+  return migrated;
+};
+
+/**
+ * Validate a single task, repairing what can be repaired
+ * @param {*} task The record to validate
+ * @returns {{task: Object|null, repairs: Array<string>, error: string|null}}
+ *   The repaired task (or null if rejected), the repairs made, and the rejection reason
+ */
+export const validateTask = (task) => {
+  if (!task || typeof task !== 'object' || Array.isArray(task)) {
+    return { task: null, repairs: [], error: 'record is not an object' };
+  }
+
+  const repaired = { ...task };
+  const repairs = [];
+
+  if (typeof repaired.text !== 'string') {
+    if (typeof repaired.text === 'number') {
+      repaired.text = String(repaired.text);
+      repairs.push('converted text to a string');
+    } else {
+      return { task: null, repairs, error: 'missing text' };
+    }
+  }
+  if (repaired.text.trim() === '') {
+    return { task: null, repairs, error: 'empty text' };
+  }
+
+  if (typeof repaired.id !== 'string' || repaired.id === '') {
+    repaired.id = repaired.id !== undefined && repaired.id !== null && repaired.id !== ''
+      ? String(repaired.id)
+      : generateTaskId();
+    repairs.push(`set id to ${repaired.id}`);
+  }
+
+  if (typeof repaired.completed !== 'boolean') {
+    repaired.completed = repaired.completed === 'true' || repaired.completed === 1;
+    repairs.push(`set completed to ${repaired.completed}`);
+  }
+
+  if (typeof repaired.requiredScore !== 'number' || !isFinite(repaired.requiredScore) || repaired.requiredScore <= 0) {
+    const parsed = parseInt(repaired.requiredScore, 10);
+    repaired.requiredScore = parsed > 0 ? parsed : DEFAULT_REQUIRED_SCORE;
+    repairs.push(`set requiredScore to ${repaired.requiredScore}`);
+  }
+
+  if (typeof repaired.createdAt !== 'number' || !isFinite(repaired.createdAt)) {
+    const parsed = Date.parse(repaired.createdAt);
+    repaired.createdAt = isNaN(parsed) ? Date.now() : parsed;
+    repairs.push('set createdAt');
+  }
+
+  if (repaired.priority !== null && !PRIORITIES.includes(repaired.priority)) {
+    repairs.push(`cleared unknown priority ${JSON.stringify(repaired.priority)}`);
+    repaired.priority = null;
+  }
+
+  if (repaired.dueDate !== null && !(typeof repaired.dueDate === 'string' && DATE_PATTERN.test(repaired.dueDate))) {
+    const parsed = Date.parse(repaired.dueDate);
+    repaired.dueDate = isNaN(parsed) ? null : new Date(parsed).toISOString().slice(0, 10);
+    repairs.push(`set dueDate to ${repaired.dueDate}`);
+  }
+
+  if (repaired.estimateMinutes !== null &&
+      !(typeof repaired.estimateMinutes === 'number' && repaired.estimateMinutes > 0)) {
+    const parsed = parseFloat(repaired.estimateMinutes);
+    repaired.estimateMinutes = parsed > 0 ? parsed : null;
+    repairs.push(`set estimateMinutes to ${repaired.estimateMinutes}`);
+  }
+
+  if (!Array.isArray(repaired.tags) || repaired.tags.some(tag => typeof tag !== 'string')) {
+    repaired.tags = parseTags(repaired.tags || []);
+    repairs.push('rebuilt tags');
+  }
+
+  if (typeof repaired.notes !== 'string') {
+    repaired.notes = repaired.notes === undefined || repaired.notes === null ? '' : String(repaired.notes);
+    repairs.push('converted notes to a string');
+  }
+
+  if (!Array.isArray(repaired.subtasks)) {
+    repaired.subtasks = [];
+    repairs.push('reset subtasks');
+  } else {
+    const subtasks = repaired.subtasks
+      .filter(subtask => subtask && typeof subtask.text === 'string' && subtask.text.trim() !== '')
+      .map(subtask => ({
+        ...subtask,
+        id: typeof subtask.id === 'string' && subtask.id ? subtask.id : createSubtask('').id,
+        completed: subtask.completed === true,
+        completedAt: typeof subtask.completedAt === 'number' ? subtask.completedAt : null
+      }));
+    if (JSON.stringify(subtasks) !== JSON.stringify(repaired.subtasks)) {
+      repairs.push('repaired subtasks');
+    }
+    repaired.subtasks = subtasks;
+  }
+
+  if (repaired.recurrence !== null) {
+    const recurrence = normalizeRecurrence(repaired.recurrence);
+    if (JSON.stringify(recurrence) !== JSON.stringify(repaired.recurrence)) {
+      repairs.push(`set recurrence to ${JSON.stringify(recurrence)}`);
+    }
+    repaired.recurrence = recurrence;
+  }
+
+  if (!Array.isArray(repaired.completionHistory) ||
+      repaired.completionHistory.some(timestamp => typeof timestamp !== 'number' || !isFinite(timestamp))) {
+    repaired.completionHistory = (Array.isArray(repaired.completionHistory) ? repaired.completionHistory : [])
+      .filter(timestamp => typeof timestamp === 'number' && isFinite(timestamp));
+    repairs.push('repaired completionHistory');
+  }
+
+  if (!Number.isInteger(repaired.failedAttempts) || repaired.failedAttempts < 0) {
+    const parsed = parseInt(repaired.failedAttempts, 10);
+    repaired.failedAttempts = parsed > 0 ? parsed : 0;
+    repairs.push(`set failedAttempts to ${repaired.failedAttempts}`);
+  }
+
+  return { task: repaired, repairs, error: null };
+};
+
+/**
+ * Validate a list of tasks, logging every repair and rejection
+ * @param {Array} tasks Task records at the current schema version
+ * @returns {{tasks: Array, repaired: number, rejected: number}} Valid tasks and counts
+ */
+export const validateTasks = (tasks) => {
+  const valid = [];
+  const seenIds = new Set();
+  let repaired = 0;
+  let rejected = 0;
+
+  (Array.isArray(tasks) ? tasks : []).forEach((record, index) => {
+    const { task, repairs, error } = validateTask(record);
+
+    if (!task) {
+      rejected++;
+      logger.error(MODULE, `Rejected task at index ${index} (${error}): ${JSON.stringify(record)}`);
+      return;
+    }
+
+    if (seenIds.has(task.id)) {
+      const duplicateId = task.id;
+      task.id = generateTaskId();
+      repairs.push(`replaced duplicate id ${duplicateId} with ${task.id}`);
+    }
+    seenIds.add(task.id);
+
+    if (repairs.length > 0) {
+      repaired++;
+      logger.warn(MODULE, `Repaired task "${task.text}": ${repairs.join(', ')}`);
+    }
+    valid.push(task);
+  });
+
+  return { tasks: valid, repaired, rejected };
+};
+
+/**
+ * Bring stored tasks up to the current schema: migrate, then validate
+ * @param {Array} tasks Stored task records
+ * @param {number} fromVersion Schema version the records were saved with
+ * @returns {{tasks: Array, repaired: number, rejected: number}} Valid tasks and counts
+ */
+export const upgradeTasks = (tasks, fromVersion = 0) =>
+  validateTasks(migrateTasks(Array.isArray(tasks) ? tasks : [], fromVersion));
@@ -0,0 +1,125 @@
+/**
+ * tokenLedger - Transaction log behind the task token balance
+ *
+ * Every token earned or spent is a transaction:
+ *   { id, at, amount, reason, ...details }
+ * amount is positive for tokens earned and negative for tokens spent; the
+ * balance is the sum of all amounts and can never go below zero.
+ * gameState.taskTokens and the stored token count mirror the balance after
+ * every transaction, so code that only reads the balance keeps working.
+ *
+ * Saves from before the ledger only stored the balance; it is carried over
+ * as an opening transaction the first time the ledger is used.
+ */
+import gameState from '../game/gameState';
+import { taskStorage } from './TaskStorageService';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'TokenLedger';
+
+export const TOKEN_REASONS = {
+  OPENING: 'opening',     // Balance carried over from a save without a ledger
+  CHALLENGE: 'challenge', // Task challenge won
+  PURCHASE: 'purchase',   // Shop purchase
+  UNDO: 'undo',           // Undo/redo of a task completion
+  IMPORT: 'import'        // Balance change from a backup import
+};
+
+/**
+ * Sum the amounts of a list of transactions
+ * @param {Array} transactions Ledger transactions
+ * @returns {number} Balance
+ */
+export const sumTransactions = (transactions) =>
+  transactions.reduce((balance, transaction) => balance + transaction.amount, 0);
+
+/**
+ * Read the ledger, carrying a pre-ledger balance over the first time
+ * @private
+ */
+const loadLedger = () => {
+  const ledger = taskStorage.getTokenLedger();
+  const storedTokens = taskStorage.getTokens();
+  if (ledger.length === 0 && storedTokens > 0) {
+    ledger.push(createTransaction(storedTokens, TOKEN_REASONS.OPENING));
+    taskStorage.saveTokenLedger(ledger);
+    logger.info(MODULE, `Carried over a balance of ${storedTokens} tokens`);
+  }
+  return ledger;
+};
+
+/**
+ * @private
+ */
+const createTransaction = (amount, reason, details = {}) => ({
+  id: `tx_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  at: Date.now(),
+  amount,
+  reason,
+  ...details
+});
+
+/**
+ * @returns {Array} Every transaction, oldest first
+ */
+export const getTokenLedger = () => loadLedger();
+
+/**
+ * @returns {number} Current token balance
+ */
+export const getTokenBalance = () => sumTransactions(loadLedger());
+
+/**
+ * Add a transaction and update the mirrored balance
+ * @param {number} amount Tokens earned (positive) or spent (negative)
+ * @param {string} reason One of TOKEN_REASONS
+ * @param {Object} [details] Extra fields to keep on the transaction, e.g. taskId or itemId
+ * @returns {Object|null} The transaction, or null if it would overdraw the balance
+ */
+export const addTokenTransaction = (amount, reason, details = {}) => {
+  const ledger = loadLedger();
+  const balance = sumTransactions(ledger);
+  if (!Number.isInteger(amount) || amount === 0 || balance + amount < 0) {
+    logger.warn(MODULE, `Rejected ${reason} transaction of ${amount} tokens (balance ${balance})`);
+    return null;
+  }
+
+  const transaction = createTransaction(amount, reason, details);
+  ledger.push(transaction);
+  taskStorage.saveTokenLedger(ledger);
+  taskStorage.saveTokens(balance + amount);
+  gameState.taskTokens = balance + amount;
+  return transaction;
+};
+
+/**
+ * @param {number} amount Tokens earned
+ * @param {string} reason One of TOKEN_REASONS
+ * @param {Object} [details] Extra transaction fields
+ * @returns {Object|null} The transaction
+ */
+export const earnTokens = (amount, reason, details) => addTokenTransaction(amount, reason, details);
+
+/**
+ * @param {number} amount Tokens to spend
+ * @param {string} reason One of TOKEN_REASONS
+ * @param {Object} [details] Extra transaction fields
+ * @returns {Object|null} The transaction, or null if the balance is too low
+ */
+export const spendTokens = (amount, reason, details) => addTokenTransaction(-amount, reason, details);
+
+/**
+ * Replace the whole ledger, e.g. with the one from a backup
+ * @param {Array} transactions New ledger
+ * @returns {number} The new balance
+ */
+export const replaceTokenLedger = (transactions) => {
+  const ledger = (Array.isArray(transactions) ? transactions : [])
+    .filter(transaction => transaction && Number.isInteger(transaction.amount));
+  const balance = Math.max(0, sumTransactions(ledger));
+  taskStorage.saveTokenLedger(ledger);
+  taskStorage.saveTokens(balance);
+  gameState.taskTokens = balance;
+  return balance;
+};
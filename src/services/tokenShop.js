@@ -0,0 +1,192 @@
+/**
+ * tokenShop - Items bought with task tokens and the player's inventory
+ *
+ * Skins and weapons are bought once and can then be equipped; the equipped
+ * skin colors the 2D player and the equipped weapon is used in the arenas.
+ * Extra arena time and skip passes are consumables: each purchase adds one,
+ * and each use takes one. Extra time is used automatically by the next task
+ * challenge; a skip pass completes a chosen task without its challenge.
+ *
+ * Purchases are paid through the token ledger. The inventory is persisted
+ * through TaskStorageService as:
+ *   { owned: { itemId: count }, equipped: { skin: itemId|null, weapon: itemId|null } }
+ */
+import { taskStorage } from './TaskStorageService';
+import { spendTokens, TOKEN_REASONS } from './tokenLedger';
+import { DEFAULT_WEAPON } from '../game/arenaWeapons';
+import logger from '../utils/logger';
+
+// Module name for logging
+const MODULE = 'TokenShop';
+
+export const ITEM_TYPES = {
+  SKIN: 'skin',
+  WEAPON: 'weapon',
+  EXTRA_TIME: 'extraTime',
+  SKIP_PASS: 'skipPass'
+};
+
+// Item types that are used up, rather than owned and equipped
+const CONSUMABLE_TYPES = [ITEM_TYPES.EXTRA_TIME, ITEM_TYPES.SKIP_PASS];
+
+export const SHOP_ITEMS = [
+  { id: 'skin_crimson', type: ITEM_TYPES.SKIN, name: 'Crimson skin', price: 3, color: '#E53935' },
+  { id: 'skin_midnight', type: ITEM_TYPES.SKIN, name: 'Midnight skin', price: 5, color: '#3F51B5' },
+  { id: 'skin_gold', type: ITEM_TYPES.SKIN, name: 'Gold skin', price: 10, color: '#FFD700' },
+  { id: 'weapon_spread', type: ITEM_TYPES.WEAPON, name: 'Spread shot', price: 8, weapon: 'spread', description: 'Three bullets in a fan' },
+  { id: 'weapon_heavy', type: ITEM_TYPES.WEAPON, name: 'Heavy rounds', price: 6, weapon: 'heavy', description: 'Big, slower bullets' },
+  { id: 'extra_time', type: ITEM_TYPES.EXTRA_TIME, name: '+10 s arena time', price: 2, seconds: 10, description: 'Used by your next task challenge' },
+  { id: 'skip_pass', type: ITEM_TYPES.SKIP_PASS, name: 'Skip challenge pass', price: 5, description: 'Complete a task without its challenge' }
+];
+
+export const DEFAULT_PLAYER_COLOR = '#2ecc71';
+
+// Weapon a replay is played back with, overriding the equipped one
+let weaponOverride = null;
+
+/**
+ * @param {string} itemId Item id
+ * @returns {Object|undefined} The shop item
+ */
+export const getShopItem = (itemId) => SHOP_ITEMS.find(item => item.id === itemId);
+
+/**
+ * @param {Object} item Shop item
+ * @returns {boolean} True if the item is used up rather than equipped
+ */
+export const isConsumable = (item) => CONSUMABLE_TYPES.includes(item.type);
+
+/**
+ * @returns {Object} The player's inventory
+ */
+export const getInventory = () => {
+  const inventory = taskStorage.getInventory() || {};
+  return {
+    owned: inventory.owned || {},
+    equipped: { skin: null, weapon: null, ...inventory.equipped }
+  };
+};
+
+/**
+ * @param {string} itemId Item id
+ * @returns {number} How many of the item the player has
+ */
+export const getItemCount = (itemId) => getInventory().owned[itemId] || 0;
+
+/**
+ * Buy an item
+ * @param {string} itemId Item id
+ * @returns {{ok: boolean, message: string}} Result to show the player
+ */
+export const purchaseItem = (itemId) => {
+  const item = getShopItem(itemId);
+  if (!item) {
+    return { ok: false, message: `Unknown item: ${itemId}` };
+  }
+
+  const inventory = getInventory();
+  if (!isConsumable(item) && inventory.owned[itemId]) {
+    return { ok: false, message: `You already own ${item.name}` };
+  }
+  if (!spendTokens(item.price, TOKEN_REASONS.PURCHASE, { itemId })) {
+    return { ok: false, message: `${item.name} costs ${item.price} tokens` };
+  }
+
+  inventory.owned[itemId] = (inventory.owned[itemId] || 0) + 1;
+  // A new skin or weapon is put to use right away
+  if (!isConsumable(item)) {
+    inventory.equipped[item.type] = itemId;
+  }
+  taskStorage.saveInventory(inventory);
+
+  logger.info(MODULE, `Bought ${item.name} for ${item.price} tokens`);
+  return { ok: true, message: `Bought ${item.name}` };
+};
+
+/**
+ * Equip an owned skin or weapon, or go back to the default one
+ * @param {string} type ITEM_TYPES.SKIN or ITEM_TYPES.WEAPON
+ * @param {string|null} itemId Owned item id, or null for the default
+ * @returns {boolean} True if the choice changed
+ */
+export const equipItem = (type, itemId) => {
+  const inventory = getInventory();
+  const item = itemId && getShopItem(itemId);
+  if (itemId && (!item || item.type !== type || !inventory.owned[itemId])) {
+    return false;
+  }
+  inventory.equipped[type] = itemId || null;
+  taskStorage.saveInventory(inventory);
+  return true;
+};
+
+/**
+ * Use up one consumable
+ * @param {string} itemId Item id
+ * @returns {boolean} True if the player had one
+ */
+export const consumeItem = (itemId) => {
+  const inventory = getInventory();
+  if (!inventory.owned[itemId]) return false;
+  inventory.owned[itemId]--;
+  taskStorage.saveInventory(inventory);
+  logger.info(MODULE, `Used ${getShopItem(itemId).name} (${inventory.owned[itemId]} left)`);
+  return true;
+};
+
+/**
+ * Give back a used consumable, e.g. when the task it was used on is undone
+ * @param {string} itemId Item id
+ */
+export const returnItem = (itemId) => {
+  const inventory = getInventory();
+  inventory.owned[itemId] = (inventory.owned[itemId] || 0) + 1;
+  taskStorage.saveInventory(inventory);
+  logger.info(MODULE, `Returned ${getShopItem(itemId).name} (${inventory.owned[itemId]} left)`);
+};
+
+/**
+ * @param {string} [defaultColor] Color to use when no skin is equipped
+ * @returns {string} Color of the equipped skin
+ */
+export const getPlayerColor = (defaultColor = DEFAULT_PLAYER_COLOR) => {
+  const skin = getShopItem(getInventory().equipped.skin);
+  return skin ? skin.color : defaultColor;
+};
+
+/**
+ * @returns {string} ARENA_WEAPONS key of the weapon the arenas should use
+ */
+export const getArenaWeapon = () => {
+  if (weaponOverride) return weaponOverride;
+  const weapon = getShopItem(getInventory().equipped.weapon);
+  return weapon ? weapon.weapon : DEFAULT_WEAPON;
+};
+
+/**
+ * Make the arenas use a given weapon regardless of the inventory, e.g. the
+ * one a replay was recorded with
+ * @param {string|null} weaponId ARENA_WEAPONS key, or null to clear the override
+ */
+export const setArenaWeaponOverride = (weaponId) => {
+  weaponOverride = weaponId;
+};
+
+/**
+ * Use one extra arena time item if the player has one
+ * @returns {number} Seconds to add to the challenge, 0 if none
+ */
+export const takeExtraArenaTime = () => {
+  const item = getShopItem('extra_time');
+  return consumeItem(item.id) ? item.seconds : 0;
+};
+
+// Window event that opens the shop overlay
+export const TOKEN_SHOP_OPEN_EVENT = 'openTokenShop';
+
+/**
+ * Open the shop overlay
+ */
+export const openTokenShop = () => {
+  window.dispatchEvent(new CustomEvent(TOKEN_SHOP_OPEN_EVENT));
+};
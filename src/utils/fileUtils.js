@@ -0,0 +1,54 @@
+/**
+ * File helpers for downloading generated files and reading user-picked files
+ */
+
+/**
+ * Download text as a file
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadTextFile = (filename, text, mimeType = 'text/plain') => {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Let the user pick a text file and read its contents
+ * @param {string} accept - Value for the file input's accept attribute
+ * @returns {Promise<{name: string, text: string}|null>} The file, or null if nothing was picked
+ */
+export const pickTextFile = (accept = '') => new Promise((resolve, reject) => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.style.display = 'none';
+
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    document.body.removeChild(input);
+    if (!file) {
+      resolve(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name: file.name, text: reader.result });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+  input.addEventListener('cancel', () => {
+    document.body.removeChild(input);
+    resolve(null);
+  });
+
+  document.body.appendChild(input);
+  input.click();
+});
@@ -1,5 +1,7 @@
 import gameState from '../game/gameState';
 import logger from './logger';
+import { FIXED_STEP_MS } from '../game/fixedTimestep';
+import { ACTIONS, setActionPressed } from '../game/inputBindings';
 
 // Module name for logging
 const MODULE = 'StateDiagnostics';
@@ -93,11 +95,11 @@ export function testTaskGameMovement(updateTaskGame) {
   logger.info(MODULE, "=== MOVEMENT TEST START ===");
   const beforeState = createStateSnapshot(gameState);
   
-  // Simulate key press
-  gameState.keys['d'] = true;
+  // Simulate a move right press
+  setActionPressed(ACTIONS.MOVE_RIGHT, true);
   
   // Manually call update
-  updateTaskGame(16, gameState, gameState.canvas);
+  updateTaskGame(FIXED_STEP_MS, gameState, gameState.canvas);
   
   // Check if position changed
   const afterState = createStateSnapshot(gameState);
@@ -107,7 +109,7 @@ export function testTaskGameMovement(updateTaskGame) {
   logger.info(MODULE, "=== MOVEMENT TEST END ===");
   
   // Reset key state
-  gameState.keys['d'] = false;
+  setActionPressed(ACTIONS.MOVE_RIGHT, false);
 }
 
 /**